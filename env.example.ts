@@ -19,15 +19,46 @@ export const ENV_EXAMPLE = {
   APPLE_MERCHANT_ID: 'merchant.org.aiprotection', // Your Apple Pay Merchant ID
   APPLE_MERCHANT_CERT_PATH: './certs/apple-merchant-cert.pem', // Path to Merchant Identity Certificate
   APPLE_MERCHANT_KEY_PATH: './certs/apple-merchant-key.pem', // Path to Private Key
+  APPLE_MERCHANT_KEY_PASSPHRASE: '', // Optional: Passphrase of an encrypted private key
+  APPLE_MERCHANT_P12: '', // Optional: PKCS#12 bundle instead of PEM files ('./certs/merchant.p12', another existing file, or base64)
+  APPLE_MERCHANT_P12_PASSPHRASE: '', // Passphrase of the PKCS#12 bundle
+  APPLE_MERCHANT_CERT_EXPIRY_WARNING_DAYS: '30', // Warn this many days before the certificate expires
+  APPLE_MERCHANT_CERT_WATCH_INTERVAL_MS: '10000', // Check certificate/key files for changes (hot reload), 0 disables
+  APPLE_PAY_PROCESSING_KEY_PATH: '', // Optional: Payment Processing Certificate key, enables token decryption (e.g. './certs/apple-pay-processing-key.pem')
+  APPLE_PAY_ROOT_CA_PATH: './certs/AppleRootCA-G3.pem', // Apple Root CA - G3 (PEM), verifies token signatures
+  APPLE_PAY_TOKEN_MAX_AGE_SECONDS: '300', // Reject tokens signed longer ago than this
+  APPLE_PAY_VALIDATION_EXTRA_HOSTS: '', // Tests only: mock Apple server hosts allowed as validationURL (e.g. 'localhost:8443')
 
   // Authorize.Net Configuration
   AUTHORIZE_NET_API_LOGIN_ID: 'your_api_login_id_here', // Your Authorize.Net API Login ID
   AUTHORIZE_NET_TRANSACTION_KEY: 'your_transaction_key_here', // Your Authorize.Net Transaction Key
   AUTHORIZE_NET_MODE: 'sandbox', // 'sandbox' | 'production'
-  AUTHORIZE_NET_SIGNATURE_KEY: '', // Optional: For webhook verification
+  AUTHORIZE_NET_WEBHOOKS_URL: '', // Optional: Webhooks REST API base URL override (e.g. a local stand-in)
+  AUTHORIZE_NET_SIGNATURE_KEY: '', // Required to accept webhooks (HMAC-SHA512 verification)
+  AUTHORIZE_NET_SIGNATURE_KEY_PREVIOUS: '', // Optional: Old key, still accepted during a key rotation
+  WEBHOOK_SIGNATURE_MODE: 'enforce', // 'enforce' | 'log-only' (development only, accepts unsigned webhooks)
+
+  // Webhook Forwarding Configuration
+  WEBHOOK_FORWARD_URLS: '', // Optional: Comma-separated internal URLs that receive normalized events
+  WEBHOOK_FORWARD_SECRET: '', // Required with WEBHOOK_FORWARD_URLS: HMAC-SHA256 key for X-Event-Signature
+  WEBHOOK_FORWARD_EVENTS: '*', // Event types to forward ('*', 'net.authorize.payment.*' or exact types)
+  WEBHOOK_FORWARD_MAX_ATTEMPTS: '5', // Delivery attempts per destination
+  WEBHOOK_FORWARD_INITIAL_DELAY_MS: '1000', // First retry delay, doubled after each attempt
 
   // Payment Configuration
   PAYMENT_AMOUNT: '10.00', // Default payment amount in dollars
+  PAYMENT_CAPTURE_MODE: 'immediate', // 'immediate' | 'deferred' (authorize only, capture later)
+  QUOTE_TTL_SECONDS: '900', // How long a priced order (quote) can be paid
+  SUBSCRIPTION_MANAGEMENT_URL: '', // Optional: https page where subscribers manage their subscriptions
+  CUSTOMER_ID_SECRET: '', // Required in production: HMAC key of the customer IDs sent to Authorize.Net (keep stable)
+
+  // Storage Configuration
+  STORE_DRIVER: 'file', // 'file' (JSON files in STORE_DIR, single long-running node, not serverless) | 'memory' (serverless default)
+  STORE_DIR: './data', // Directory for the file store
+  IDEMPOTENCY_KEY_TTL_SECONDS: '86400', // How long /process responses are kept for replay
+
+  // Admin API Configuration
+  ADMIN_API_KEY: '', // Required in production: X-Admin-Key for back-office endpoints
 };
 
 /**
@@ -9,6 +9,7 @@
  */
 
 import dotenv from 'dotenv';
+import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
 
@@ -29,6 +30,51 @@ function resolvePath(path: string): string {
   return resolve(__dirname, path);
 }
 
+/**
+ * Whether the server runs as a serverless function (Vercel, AWS Lambda), where
+ * the filesystem is read-only (except /tmp) and instances share no state
+ */
+function isServerlessRuntime(): boolean {
+  return Boolean(process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME);
+}
+
+/**
+ * Check that a directory can be created or written
+ */
+function isWritableDir(path: string): boolean {
+  let current = path;
+  // The directory is created on first write: check its closest existing parent
+  while (!fs.existsSync(current) && dirname(current) !== current) {
+    current = dirname(current);
+  }
+  try {
+    fs.accessSync(current, fs.constants.W_OK);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether APPLE_MERCHANT_P12 is a file path rather than a base64-encoded bundle:
+ * a .p12/.pfx name, or any path where a file exists (e.g. /run/secrets/merchant)
+ */
+function isP12Path(value: string): boolean {
+  if (/\.(p12|pfx)$/i.test(value)) {
+    return true;
+  }
+  try {
+    return fs.statSync(resolvePath(value)).isFile();
+  } catch (error) {
+    // Missing file, or a base64 value too long for a file name
+    return false;
+  }
+}
+
+// SHA-256 fingerprint of Apple Root CA - G3 (https://www.apple.com/certificateauthority/)
+const APPLE_ROOT_CA_G3_FINGERPRINT =
+  '63:34:3A:BF:B8:9A:6A:03:EB:B5:7E:9B:3F:5F:A7:BE:7C:4F:5C:75:6F:30:17:B3:A8:C4:88:C3:65:3E:91:79';
+
 /**
  * Environment configuration interface
  */
@@ -45,16 +91,52 @@ export interface EnvConfig {
     appleMerchantKey: string;
     appleMerchantCertPath: string;
     appleMerchantKeyPath: string;
+    appleMerchantKeyPassphrase: string;
+    // PKCS#12 bundle, used instead of the PEM certificate and key when set
+    appleMerchantP12: string;
+    appleMerchantP12Path: string;
+    appleMerchantP12Passphrase: string;
+    appleMerchantCertExpiryWarningDays: number;
+    appleMerchantCertWatchIntervalMs: number;
+    // Payment token decryption (optional)
+    applePayProcessingKey: string;
+    applePayProcessingKeyPath: string;
+    applePayRootCaPath: string;
+    applePayRootCaFingerprint: string;
+    applePayTokenMaxAgeSeconds: number;
+    applePayValidationExtraHosts: string[];
 
   // Authorize.Net configuration
   authorizeNetApiLoginId: string;
   authorizeNetTransactionKey: string;
   authorizeNetMode: 'sandbox' | 'production';
   authorizeNetBaseUrl: string;
+  authorizeNetWebhooksBaseUrl: string;
   authorizeNetSignatureKey: string;
+  authorizeNetPreviousSignatureKey: string;
+  webhookSignatureMode: 'enforce' | 'log-only';
+
+  // Webhook forwarding configuration
+  webhookForwardUrls: string[];
+  webhookForwardSecret: string;
+  webhookForwardEvents: string[];
+  webhookForwardMaxAttempts: number;
+  webhookForwardInitialDelayMs: number;
 
   // Payment configuration
   paymentAmount: number;
+  paymentCaptureMode: 'immediate' | 'deferred';
+  quoteTtlSeconds: number;
+  subscriptionManagementUrl: string;
+  customerIdSecret: string;
+
+  // Storage configuration
+  storeDriver: 'memory' | 'file';
+  storeDir: string;
+  idempotencyKeyTtlSeconds: number;
+
+  // Admin API configuration
+  adminApiKey: string;
 }
 
 /**
@@ -84,6 +166,10 @@ function getEnvOptional(key: string, defaultValue: string = ''): string {
   return process.env[key] || defaultValue;
 }
 
+function getEnvList(key: string, defaultValue: string = ''): string[] {
+  return getEnvOptional(key, defaultValue).split(',').map((item) => item.trim()).filter(Boolean);
+}
+
 /**
  * Validate environment configuration
  */
@@ -106,6 +192,70 @@ function validateConfig(config: EnvConfig): void {
     errors.push('AUTHORIZE_NET_MODE must be either "sandbox" or "production"');
   }
 
+  if (config.paymentCaptureMode !== 'immediate' && config.paymentCaptureMode !== 'deferred') {
+    errors.push('PAYMENT_CAPTURE_MODE must be either "immediate" or "deferred"');
+  }
+
+  if (config.appleMerchantP12 && !/^[A-Za-z0-9+/=\s]+$/.test(config.appleMerchantP12)) {
+    errors.push('APPLE_MERCHANT_P12 is neither an existing file nor a base64-encoded PKCS#12 bundle');
+  }
+
+  if (config.storeDriver !== 'memory' && config.storeDriver !== 'file') {
+    errors.push('STORE_DRIVER must be either "memory" or "file"');
+  } else if (config.storeDriver === 'file' && isServerlessRuntime()) {
+    errors.push('STORE_DRIVER=file needs a single long-running node: serverless instances (Vercel, AWS Lambda) have a read-only filesystem and share no state. Set STORE_DRIVER=memory for demos');
+  } else if (config.storeDriver === 'file' && !isWritableDir(config.storeDir)) {
+    errors.push(`STORE_DIR (${config.storeDir}) is not writable`);
+  }
+
+  if (!(config.appleMerchantCertExpiryWarningDays >= 0)) {
+    errors.push('APPLE_MERCHANT_CERT_EXPIRY_WARNING_DAYS must be 0 or more');
+  }
+
+  if (!(config.appleMerchantCertWatchIntervalMs >= 0)) {
+    errors.push('APPLE_MERCHANT_CERT_WATCH_INTERVAL_MS must be 0 or more');
+  }
+
+  if (!(config.applePayTokenMaxAgeSeconds > 0)) {
+    errors.push('APPLE_PAY_TOKEN_MAX_AGE_SECONDS must be a positive number');
+  }
+
+  if (config.applePayRootCaFingerprint !== APPLE_ROOT_CA_G3_FINGERPRINT && config.nodeEnv === 'production') {
+    errors.push('APPLE_PAY_ROOT_CA_FINGERPRINT cannot be overridden in production');
+  }
+
+  if (config.applePayValidationExtraHosts.length > 0 && config.nodeEnv === 'production') {
+    errors.push('APPLE_PAY_VALIDATION_EXTRA_HOSTS is not allowed in production');
+  }
+
+  if (config.webhookForwardUrls.length > 0 && !config.webhookForwardSecret) {
+    errors.push('WEBHOOK_FORWARD_SECRET is required when WEBHOOK_FORWARD_URLS is set');
+  }
+
+  for (const url of config.webhookForwardUrls) {
+    if (!/^https?:\/\/[^\s]+$/.test(url)) {
+      errors.push(`WEBHOOK_FORWARD_URLS contains an invalid URL: ${url}`);
+    }
+  }
+
+  if (config.subscriptionManagementUrl && !/^https:\/\/[^\s]+$/.test(config.subscriptionManagementUrl)) {
+    errors.push('SUBSCRIPTION_MANAGEMENT_URL must be an https URL');
+  }
+
+  if (!config.customerIdSecret && config.nodeEnv === 'production') {
+    errors.push('CUSTOMER_ID_SECRET is required in production');
+  }
+
+  if (!(config.webhookForwardMaxAttempts >= 1)) {
+    errors.push('WEBHOOK_FORWARD_MAX_ATTEMPTS must be at least 1');
+  }
+
+  if (config.webhookSignatureMode !== 'enforce' && config.webhookSignatureMode !== 'log-only') {
+    errors.push('WEBHOOK_SIGNATURE_MODE must be either "enforce" or "log-only"');
+  } else if (config.webhookSignatureMode === 'log-only' && config.nodeEnv === 'production') {
+    errors.push('WEBHOOK_SIGNATURE_MODE=log-only is not allowed in production');
+  }
+
   if (errors.length > 0) {
     throw new Error(`Configuration errors:\n${errors.join('\n')}`);
   }
@@ -117,6 +267,12 @@ function validateConfig(config: EnvConfig): void {
 function createConfig(): EnvConfig {
   const nodeEnv = (process.env.NODE_ENV || 'development') as 'development' | 'production' | 'test';
   const authorizeNetMode = (process.env.AUTHORIZE_NET_MODE || 'sandbox') as 'sandbox' | 'production';
+  const paymentCaptureMode = (process.env.PAYMENT_CAPTURE_MODE || 'immediate') as 'immediate' | 'deferred';
+  // The file store needs a long-running node: serverless platforms default to memory
+  const storeDriver = (process.env.STORE_DRIVER || (isServerlessRuntime() ? 'memory' : 'file')) as 'memory' | 'file';
+  const webhookSignatureMode = (process.env.WEBHOOK_SIGNATURE_MODE || 'enforce') as 'enforce' | 'log-only';
+  const merchantP12 = getEnvOptional('APPLE_MERCHANT_P12', '');
+  const merchantP12IsPath = merchantP12 !== '' && isP12Path(merchantP12);
 
   const config: EnvConfig = {
     // Server configuration
@@ -137,6 +293,33 @@ function createConfig(): EnvConfig {
     appleMerchantKeyPath: resolvePath(
       getEnvOptional('APPLE_MERCHANT_KEY_PATH', './certs/apple-merchant-key.pem')
     ),
+    // Passphrase of an encrypted PEM private key (kept in a separate secret)
+    appleMerchantKeyPassphrase: getEnvOptional('APPLE_MERCHANT_KEY_PASSPHRASE', ''),
+    // PKCS#12 bundle (certificate + key), used instead of the PEM certificate and key:
+    // a path to a file (.p12/.pfx or any existing file), or the base64-encoded bundle (for serverless)
+    appleMerchantP12Path: merchantP12IsPath ? resolvePath(merchantP12) : '',
+    appleMerchantP12: merchantP12IsPath ? '' : merchantP12,
+    appleMerchantP12Passphrase: getEnvOptional('APPLE_MERCHANT_P12_PASSPHRASE', ''),
+    // Warn this many days before the merchant identity certificate expires
+    appleMerchantCertExpiryWarningDays: getEnvNumber('APPLE_MERCHANT_CERT_EXPIRY_WARNING_DAYS', 30),
+    // How often certificate/key files are checked for changes (hot reload), 0 disables
+    appleMerchantCertWatchIntervalMs: getEnvNumber('APPLE_MERCHANT_CERT_WATCH_INTERVAL_MS', 10000),
+
+    // Payment token decryption (optional): private key of the Payment Processing
+    // Certificate, as PEM content/base64 or a file path. When set, /process verifies
+    // and decrypts tokens and checks the approved amount against the order total
+    applePayProcessingKey: getEnvOptional('APPLE_PAY_PROCESSING_KEY', ''),
+    applePayProcessingKeyPath: process.env.APPLE_PAY_PROCESSING_KEY_PATH
+      ? resolvePath(process.env.APPLE_PAY_PROCESSING_KEY_PATH)
+      : '',
+    // Apple Root CA - G3, the trust anchor of token signatures (pinned by SHA-256 fingerprint)
+    applePayRootCaPath: resolvePath(getEnvOptional('APPLE_PAY_ROOT_CA_PATH', './certs/AppleRootCA-G3.pem')),
+    applePayRootCaFingerprint: getEnvOptional('APPLE_PAY_ROOT_CA_FINGERPRINT', APPLE_ROOT_CA_G3_FINGERPRINT),
+    // Tokens signed longer ago than this are rejected
+    applePayTokenMaxAgeSeconds: getEnvNumber('APPLE_PAY_TOKEN_MAX_AGE_SECONDS', 300),
+    // Hosts accepted as merchant validation URLs besides Apple's gateways
+    // (hostname or hostname:port of a local mock Apple server, not allowed in production)
+    applePayValidationExtraHosts: getEnvList('APPLE_PAY_VALIDATION_EXTRA_HOSTS').map((host) => host.toLowerCase()),
 
     // Authorize.Net configuration
     authorizeNetApiLoginId: getEnvOptional('AUTHORIZE_NET_API_LOGIN_ID', ''),
@@ -146,10 +329,54 @@ function createConfig(): EnvConfig {
       authorizeNetMode === 'production'
         ? 'https://api.authorize.net/xml/v1/request.api'
         : 'https://apitest.authorize.net/xml/v1/request.api',
+    // Webhooks REST API (subscription management), overridable for a local stand-in
+    authorizeNetWebhooksBaseUrl: getEnvOptional(
+      'AUTHORIZE_NET_WEBHOOKS_URL',
+      authorizeNetMode === 'production'
+        ? 'https://api.authorize.net/rest/v1'
+        : 'https://apitest.authorize.net/rest/v1'
+    ),
     authorizeNetSignatureKey: getEnvOptional('AUTHORIZE_NET_SIGNATURE_KEY', ''),
+    // Still accepted while rotating to a new Signature Key
+    authorizeNetPreviousSignatureKey: getEnvOptional('AUTHORIZE_NET_SIGNATURE_KEY_PREVIOUS', ''),
+    // 'enforce' rejects unsigned webhooks, 'log-only' (development only) just logs them
+    webhookSignatureMode,
+
+    // Webhook forwarding configuration
+    // Normalized events are re-sent to these internal URLs (comma-separated),
+    // signed with WEBHOOK_FORWARD_SECRET
+    webhookForwardUrls: getEnvList('WEBHOOK_FORWARD_URLS'),
+    webhookForwardSecret: getEnvOptional('WEBHOOK_FORWARD_SECRET', ''),
+    // Event types to forward (exact, prefix wildcard 'net.authorize.payment.*' or '*')
+    webhookForwardEvents: getEnvList('WEBHOOK_FORWARD_EVENTS', '*'),
+    webhookForwardMaxAttempts: getEnvNumber('WEBHOOK_FORWARD_MAX_ATTEMPTS', 5),
+    webhookForwardInitialDelayMs: getEnvNumber('WEBHOOK_FORWARD_INITIAL_DELAY_MS', 1000),
 
     // Payment configuration
     paymentAmount: getEnvNumber('PAYMENT_AMOUNT', 10.0),
+    // 'immediate' charges with authCaptureTransaction, 'deferred' only authorizes
+    // (authOnlyTransaction) and requires a later POST /api/applepay/capture
+    paymentCaptureMode,
+    // How long a priced order (quote) can be paid before a new one is required
+    quoteTtlSeconds: getEnvNumber('QUOTE_TTL_SECONDS', 900),
+    // Page where subscribers manage their subscriptions (managementURL of the
+    // Apple Pay recurring payment request), defaults to the frontend URL
+    subscriptionManagementUrl: getEnvOptional('SUBSCRIPTION_MANAGEMENT_URL', ''),
+    // HMAC key of the customer IDs sent to Authorize.Net (see services/customerIds.js);
+    // changing it gives every user a new customer ID
+    customerIdSecret: getEnvOptional('CUSTOMER_ID_SECRET', ''),
+
+    // Storage configuration
+    // 'file' (default, JSON files in STORE_DIR) or 'memory' (lost on restart). The file
+    // store only works on a single long-running node: not on serverless platforms
+    storeDriver,
+    storeDir: resolvePath(getEnvOptional('STORE_DIR', './data')),
+    // How long responses are kept for replay of a repeated Idempotency-Key
+    idempotencyKeyTtlSeconds: getEnvNumber('IDEMPOTENCY_KEY_TTL_SECONDS', 86400),
+
+    // Admin API configuration
+    // Back-office endpoints (refunds, etc.) require this key in the X-Admin-Key header
+    adminApiKey: getEnvOptional('ADMIN_API_KEY', ''),
   };
 
   // Validate configuration
@@ -167,14 +394,30 @@ export const env = createConfig();
 /**
  * Get masked config for logging (hides sensitive data)
  */
-export function getMaskedConfig(): Omit<EnvConfig, 'authorizeNetTransactionKey' | 'authorizeNetSignatureKey'> & {
+export function getMaskedConfig(): Omit<EnvConfig, 'appleMerchantKeyPassphrase' | 'appleMerchantP12' | 'appleMerchantP12Passphrase' | 'applePayProcessingKey' | 'authorizeNetTransactionKey' | 'authorizeNetSignatureKey' | 'authorizeNetPreviousSignatureKey' | 'webhookForwardSecret' | 'customerIdSecret' | 'adminApiKey'> & {
+  appleMerchantKeyPassphrase: string;
+  appleMerchantP12: string;
+  appleMerchantP12Passphrase: string;
+  applePayProcessingKey: string;
   authorizeNetTransactionKey: string;
   authorizeNetSignatureKey: string;
+  authorizeNetPreviousSignatureKey: string;
+  webhookForwardSecret: string;
+  customerIdSecret: string;
+  adminApiKey: string;
 } {
   return {
     ...env,
+    appleMerchantKeyPassphrase: env.appleMerchantKeyPassphrase ? '***' : '',
+    appleMerchantP12: env.appleMerchantP12 ? '***' : '',
+    appleMerchantP12Passphrase: env.appleMerchantP12Passphrase ? '***' : '',
+    applePayProcessingKey: env.applePayProcessingKey ? '***' : '',
     authorizeNetTransactionKey: env.authorizeNetTransactionKey ? '***' : '',
     authorizeNetSignatureKey: env.authorizeNetSignatureKey ? '***' : '',
+    authorizeNetPreviousSignatureKey: env.authorizeNetPreviousSignatureKey ? '***' : '',
+    webhookForwardSecret: env.webhookForwardSecret ? '***' : '',
+    customerIdSecret: env.customerIdSecret ? '***' : '',
+    adminApiKey: env.adminApiKey ? '***' : '',
   };
 }
 
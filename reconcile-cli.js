@@ -0,0 +1,81 @@
+// Reconcile Authorize.Net settlement batches with stored orders from the command line
+// Usage: npm run reconcile -- [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--format json|csv]
+//
+// Options:
+//   --from YYYY-MM-DD     First settlement day, UTC (default: the day before --to)
+//   --to YYYY-MM-DD       Last settlement day, UTC (default: today); up to 31 days in total
+//   --format json|csv     Print the full report as JSON (default) or its rows as CSV
+//
+// Reads the orders, transactions and subscriptions of STORE_DRIVER=file (STORE_DIR),
+// so run it where the server stores its data. Same report as GET /api/applepay/reconciliation.
+
+import config from './server/config/applepay.js';
+import authorizeNetService from './server/services/authorizeNet.js';
+import reconciliationService from './server/services/reconciliation.js';
+
+const FORMATS = ['json', 'csv'];
+
+const USAGE = 'Usage: npm run reconcile -- [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--format json|csv]';
+
+/**
+ * Parse --options from command line arguments
+ * @param {Array<string>} args - Arguments
+ * @returns {Object} Options
+ */
+function parseOptions(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      throw new Error(`Unexpected argument: ${args[i]}\n${USAGE}`);
+    }
+
+    const name = args[i].slice(2);
+    const next = args[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      throw new Error(`Missing value for --${name}\n${USAGE}`);
+    }
+    options[name] = next;
+    i++;
+  }
+
+  return options;
+}
+
+async function main() {
+  const { from, to, format = 'json', ...unknown } = parseOptions(process.argv.slice(2));
+
+  if (Object.keys(unknown).length > 0) {
+    throw new Error(`Unknown option: --${Object.keys(unknown)[0]}\n${USAGE}`);
+  }
+  if (!FORMATS.includes(format)) {
+    throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  console.error(`Transaction API: ${authorizeNetService.client.baseUrl} (${config.authorizeNetMode})`);
+  if (config.storeDriver !== 'file') {
+    console.error('Warning: STORE_DRIVER is not "file", no stored orders will be found');
+  }
+
+  const report = await reconciliationService.run({ from, to });
+  return format === 'csv' ? reconciliationService.toCsv(report) : report;
+}
+
+main()
+  .then((result) => {
+    if (typeof result === 'string') {
+      process.stdout.write(result);
+    } else {
+      console.log(JSON.stringify(result, null, 2));
+    }
+  })
+  .catch((error) => {
+    console.error(`Error: ${error.message}`);
+    if (error.fields) {
+      error.fields.forEach((field) => console.error(`  ${field.field}: ${field.message}`));
+    }
+    if (error.authorizeNetError) {
+      console.error(JSON.stringify(error.authorizeNetError, null, 2));
+    }
+    process.exit(1);
+  });
@@ -12,6 +12,7 @@
  */
 
 import dotenv from 'dotenv';
+import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
 
@@ -33,6 +34,62 @@ function resolvePath(path) {
   return resolve(__dirname, '../../', path);
 }
 
+/**
+ * Parse a comma-separated list
+ * (Matches getEnvList function in env.ts)
+ */
+function parseList(value) {
+  return (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Whether the server runs as a serverless function (Vercel, AWS Lambda), where
+ * the filesystem is read-only (except /tmp) and instances share no state
+ * (Matches isServerlessRuntime function in env.ts)
+ */
+function isServerlessRuntime() {
+  return Boolean(process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME);
+}
+
+/**
+ * Check that a directory can be created or written
+ * (Matches isWritableDir function in env.ts)
+ */
+function isWritableDir(path) {
+  let current = path;
+  // The directory is created on first write: check its closest existing parent
+  while (!fs.existsSync(current) && dirname(current) !== current) {
+    current = dirname(current);
+  }
+  try {
+    fs.accessSync(current, fs.constants.W_OK);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether APPLE_MERCHANT_P12 is a file path rather than a base64-encoded bundle:
+ * a .p12/.pfx name, or any path where a file exists (e.g. /run/secrets/merchant)
+ * (Matches isP12Path function in env.ts)
+ */
+function isP12Path(value) {
+  if (/\.(p12|pfx)$/i.test(value)) {
+    return true;
+  }
+  try {
+    return fs.statSync(resolvePath(value)).isFile();
+  } catch (error) {
+    // Missing file, or a base64 value too long for a file name
+    return false;
+  }
+}
+
+// SHA-256 fingerprint of Apple Root CA - G3 (https://www.apple.com/certificateauthority/)
+const APPLE_ROOT_CA_G3_FINGERPRINT =
+  '63:34:3A:BF:B8:9A:6A:03:EB:B5:7E:9B:3F:5F:A7:BE:7C:4F:5C:75:6F:30:17:B3:A8:C4:88:C3:65:3E:91:79';
+
 /**
  * Configuration class - follows env.ts structure
  * Single source of truth is env.ts, but this provides JS compatibility
@@ -61,6 +118,35 @@ class Config {
     this.appleMerchantKeyPath = resolvePath(
       process.env.APPLE_MERCHANT_KEY_PATH || './certs/apple-merchant-key.pem'
     );
+    // Passphrase of an encrypted PEM private key (kept in a separate secret)
+    this.appleMerchantKeyPassphrase = process.env.APPLE_MERCHANT_KEY_PASSPHRASE || '';
+    // PKCS#12 bundle (certificate + key), used instead of the PEM certificate and key:
+    // a path to a file (.p12/.pfx or any existing file), or the base64-encoded bundle (for serverless)
+    const merchantP12 = process.env.APPLE_MERCHANT_P12 || '';
+    this.appleMerchantP12Path = merchantP12 && isP12Path(merchantP12) ? resolvePath(merchantP12) : null;
+    this.appleMerchantP12 = this.appleMerchantP12Path ? null : (merchantP12 || null);
+    this.appleMerchantP12Passphrase = process.env.APPLE_MERCHANT_P12_PASSPHRASE || '';
+    // Warn this many days before the merchant identity certificate expires
+    this.appleMerchantCertExpiryWarningDays = parseInt(process.env.APPLE_MERCHANT_CERT_EXPIRY_WARNING_DAYS || '30', 10);
+    // How often certificate/key files are checked for changes (hot reload), 0 disables
+    this.appleMerchantCertWatchIntervalMs = parseInt(process.env.APPLE_MERCHANT_CERT_WATCH_INTERVAL_MS || '10000', 10);
+
+    // Payment token decryption (optional): private key of the Payment Processing
+    // Certificate, as PEM content/base64 or a file path. When set, /process verifies
+    // and decrypts tokens and checks the approved amount against the order total
+    this.applePayProcessingKey = process.env.APPLE_PAY_PROCESSING_KEY || null;
+    this.applePayProcessingKeyPath = process.env.APPLE_PAY_PROCESSING_KEY_PATH
+      ? resolvePath(process.env.APPLE_PAY_PROCESSING_KEY_PATH)
+      : null;
+    // Apple Root CA - G3, the trust anchor of token signatures (pinned by SHA-256 fingerprint)
+    this.applePayRootCaPath = resolvePath(process.env.APPLE_PAY_ROOT_CA_PATH || './certs/AppleRootCA-G3.pem');
+    this.applePayRootCaFingerprint = process.env.APPLE_PAY_ROOT_CA_FINGERPRINT || APPLE_ROOT_CA_G3_FINGERPRINT;
+    // Tokens signed longer ago than this are rejected
+    this.applePayTokenMaxAgeSeconds = parseInt(process.env.APPLE_PAY_TOKEN_MAX_AGE_SECONDS || '300', 10);
+    // Hosts accepted as merchant validation URLs besides Apple's gateways
+    // (hostname or hostname:port of a local mock Apple server, not allowed in production)
+    this.applePayValidationExtraHosts = parseList(process.env.APPLE_PAY_VALIDATION_EXTRA_HOSTS)
+      .map((host) => host.toLowerCase());
 
     // Authorize.Net configuration
     this.authorizeNetApiLoginId = process.env.AUTHORIZE_NET_API_LOGIN_ID || '';
@@ -70,10 +156,58 @@ class Config {
       authorizeNetMode === 'production'
         ? 'https://api.authorize.net/xml/v1/request.api'
         : 'https://apitest.authorize.net/xml/v1/request.api';
+    // Webhooks REST API (subscription management), overridable for a local stand-in
+    this.authorizeNetWebhooksBaseUrl = process.env.AUTHORIZE_NET_WEBHOOKS_URL || (
+      authorizeNetMode === 'production'
+        ? 'https://api.authorize.net/rest/v1'
+        : 'https://apitest.authorize.net/rest/v1'
+    );
     this.authorizeNetSignatureKey = process.env.AUTHORIZE_NET_SIGNATURE_KEY || '';
+    // Still accepted while rotating to a new Signature Key
+    this.authorizeNetPreviousSignatureKey = process.env.AUTHORIZE_NET_SIGNATURE_KEY_PREVIOUS || '';
+    // 'enforce' rejects unsigned webhooks, 'log-only' (development only) just logs them
+    this.webhookSignatureMode = process.env.WEBHOOK_SIGNATURE_MODE || 'enforce';
+
+    // Webhook forwarding configuration
+    // Normalized events are re-sent to these internal URLs (comma-separated),
+    // signed with WEBHOOK_FORWARD_SECRET
+    this.webhookForwardUrls = parseList(process.env.WEBHOOK_FORWARD_URLS);
+    this.webhookForwardSecret = process.env.WEBHOOK_FORWARD_SECRET || '';
+    // Event types to forward (exact, prefix wildcard 'net.authorize.payment.*' or '*')
+    this.webhookForwardEvents = parseList(process.env.WEBHOOK_FORWARD_EVENTS || '*');
+    this.webhookForwardMaxAttempts = parseInt(process.env.WEBHOOK_FORWARD_MAX_ATTEMPTS || '5', 10);
+    this.webhookForwardInitialDelayMs = parseInt(process.env.WEBHOOK_FORWARD_INITIAL_DELAY_MS || '1000', 10);
 
     // Payment configuration
     this.paymentAmount = parseFloat(process.env.PAYMENT_AMOUNT || '10.00');
+    // 'immediate' charges with authCaptureTransaction, 'deferred' only authorizes
+    // (authOnlyTransaction) and requires a later POST /api/applepay/capture
+    this.paymentCaptureMode = process.env.PAYMENT_CAPTURE_MODE || 'immediate';
+    // How long a priced order (quote) can be paid before a new one is required
+    this.quoteTtlSeconds = parseInt(process.env.QUOTE_TTL_SECONDS || '900', 10);
+    // Page where subscribers manage their subscriptions (managementURL of the
+    // Apple Pay recurring payment request), defaults to the frontend URL
+    this.subscriptionManagementUrl = process.env.SUBSCRIPTION_MANAGEMENT_URL || '';
+    // HMAC key of the customer IDs sent to Authorize.Net (see services/customerIds.js);
+    // changing it gives every user a new customer ID
+    this.customerIdSecret = process.env.CUSTOMER_ID_SECRET || '';
+
+    // Storage configuration
+    // 'file' (default, JSON files in STORE_DIR) or 'memory' (lost on restart). The file
+    // store only works on a single long-running node: on serverless platforms the
+    // default is 'memory', and 'file' is rejected
+    this.storeDriver = process.env.STORE_DRIVER || (isServerlessRuntime() ? 'memory' : 'file');
+    if (!process.env.STORE_DRIVER && isServerlessRuntime()) {
+      console.warn('[Config] STORE_DRIVER is not set on a serverless platform: using the memory store, '
+        + 'orders, idempotency keys and records are not kept between function instances');
+    }
+    this.storeDir = resolvePath(process.env.STORE_DIR || './data');
+    // How long responses are kept for replay of a repeated Idempotency-Key
+    this.idempotencyKeyTtlSeconds = parseInt(process.env.IDEMPOTENCY_KEY_TTL_SECONDS || '86400', 10);
+
+    // Admin API configuration
+    // Back-office endpoints (refunds, etc.) require this key in the X-Admin-Key header
+    this.adminApiKey = process.env.ADMIN_API_KEY || '';
 
     // Validate configuration
     this.validate();
@@ -98,6 +232,70 @@ class Config {
       errors.push('AUTHORIZE_NET_TRANSACTION_KEY is required');
     }
 
+    if (this.paymentCaptureMode !== 'immediate' && this.paymentCaptureMode !== 'deferred') {
+      errors.push('PAYMENT_CAPTURE_MODE must be either "immediate" or "deferred"');
+    }
+
+    if (this.appleMerchantP12 && !/^[A-Za-z0-9+/=\s]+$/.test(this.appleMerchantP12)) {
+      errors.push('APPLE_MERCHANT_P12 is neither an existing file nor a base64-encoded PKCS#12 bundle');
+    }
+
+    if (this.storeDriver !== 'memory' && this.storeDriver !== 'file') {
+      errors.push('STORE_DRIVER must be either "memory" or "file"');
+    } else if (this.storeDriver === 'file' && isServerlessRuntime()) {
+      errors.push('STORE_DRIVER=file needs a single long-running node: serverless instances (Vercel, AWS Lambda) have a read-only filesystem and share no state. Set STORE_DRIVER=memory for demos');
+    } else if (this.storeDriver === 'file' && !isWritableDir(this.storeDir)) {
+      errors.push(`STORE_DIR (${this.storeDir}) is not writable`);
+    }
+
+    if (!(this.appleMerchantCertExpiryWarningDays >= 0)) {
+      errors.push('APPLE_MERCHANT_CERT_EXPIRY_WARNING_DAYS must be 0 or more');
+    }
+
+    if (!(this.appleMerchantCertWatchIntervalMs >= 0)) {
+      errors.push('APPLE_MERCHANT_CERT_WATCH_INTERVAL_MS must be 0 or more');
+    }
+
+    if (!(this.applePayTokenMaxAgeSeconds > 0)) {
+      errors.push('APPLE_PAY_TOKEN_MAX_AGE_SECONDS must be a positive number');
+    }
+
+    if (this.applePayRootCaFingerprint !== APPLE_ROOT_CA_G3_FINGERPRINT && this.nodeEnv === 'production') {
+      errors.push('APPLE_PAY_ROOT_CA_FINGERPRINT cannot be overridden in production');
+    }
+
+    if (this.applePayValidationExtraHosts.length > 0 && this.nodeEnv === 'production') {
+      errors.push('APPLE_PAY_VALIDATION_EXTRA_HOSTS is not allowed in production');
+    }
+
+    if (this.webhookForwardUrls.length > 0 && !this.webhookForwardSecret) {
+      errors.push('WEBHOOK_FORWARD_SECRET is required when WEBHOOK_FORWARD_URLS is set');
+    }
+
+    for (const url of this.webhookForwardUrls) {
+      if (!/^https?:\/\/[^\s]+$/.test(url)) {
+        errors.push(`WEBHOOK_FORWARD_URLS contains an invalid URL: ${url}`);
+      }
+    }
+
+    if (this.subscriptionManagementUrl && !/^https:\/\/[^\s]+$/.test(this.subscriptionManagementUrl)) {
+      errors.push('SUBSCRIPTION_MANAGEMENT_URL must be an https URL');
+    }
+
+    if (!this.customerIdSecret && this.nodeEnv === 'production') {
+      errors.push('CUSTOMER_ID_SECRET is required in production');
+    }
+
+    if (!(this.webhookForwardMaxAttempts >= 1)) {
+      errors.push('WEBHOOK_FORWARD_MAX_ATTEMPTS must be at least 1');
+    }
+
+    if (this.webhookSignatureMode !== 'enforce' && this.webhookSignatureMode !== 'log-only') {
+      errors.push('WEBHOOK_SIGNATURE_MODE must be either "enforce" or "log-only"');
+    } else if (this.webhookSignatureMode === 'log-only' && this.nodeEnv === 'production') {
+      errors.push('WEBHOOK_SIGNATURE_MODE=log-only is not allowed in production');
+    }
+
     if (errors.length > 0) {
       throw new Error(`Configuration errors:\n${errors.join('\n')}`);
     }
@@ -115,11 +313,38 @@ class Config {
       appleMerchantId: this.appleMerchantId,
       appleMerchantCertPath: this.appleMerchantCertPath,
       appleMerchantKeyPath: this.appleMerchantKeyPath,
+      appleMerchantKeyPassphrase: this.appleMerchantKeyPassphrase ? '***' : '',
+      appleMerchantP12Path: this.appleMerchantP12Path,
+      appleMerchantP12: this.appleMerchantP12 ? '***' : '',
+      appleMerchantP12Passphrase: this.appleMerchantP12Passphrase ? '***' : '',
+      appleMerchantCertExpiryWarningDays: this.appleMerchantCertExpiryWarningDays,
+      appleMerchantCertWatchIntervalMs: this.appleMerchantCertWatchIntervalMs,
+      applePayProcessingKey: this.applePayProcessingKey ? '***' : '',
+      applePayProcessingKeyPath: this.applePayProcessingKeyPath,
+      applePayRootCaPath: this.applePayRootCaPath,
+      applePayRootCaFingerprint: this.applePayRootCaFingerprint,
+      applePayTokenMaxAgeSeconds: this.applePayTokenMaxAgeSeconds,
+      applePayValidationExtraHosts: this.applePayValidationExtraHosts,
       authorizeNetApiLoginId: this.authorizeNetApiLoginId ? '***' : '',
       authorizeNetTransactionKey: this.authorizeNetTransactionKey ? '***' : '',
       authorizeNetMode: this.authorizeNetMode,
       authorizeNetBaseUrl: this.authorizeNetBaseUrl,
+      authorizeNetWebhooksBaseUrl: this.authorizeNetWebhooksBaseUrl,
+      webhookSignatureMode: this.webhookSignatureMode,
+      webhookForwardUrls: this.webhookForwardUrls,
+      webhookForwardSecret: this.webhookForwardSecret ? '***' : '',
+      webhookForwardEvents: this.webhookForwardEvents,
+      webhookForwardMaxAttempts: this.webhookForwardMaxAttempts,
+      webhookForwardInitialDelayMs: this.webhookForwardInitialDelayMs,
       paymentAmount: this.paymentAmount,
+      paymentCaptureMode: this.paymentCaptureMode,
+      quoteTtlSeconds: this.quoteTtlSeconds,
+      subscriptionManagementUrl: this.subscriptionManagementUrl,
+      customerIdSecret: this.customerIdSecret ? '***' : '',
+      storeDriver: this.storeDriver,
+      storeDir: this.storeDir,
+      idempotencyKeyTtlSeconds: this.idempotencyKeyTtlSeconds,
+      adminApiKey: this.adminApiKey ? '***' : '',
     };
   }
 }
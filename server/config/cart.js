@@ -0,0 +1,50 @@
+/**
+ * Cart configuration
+ * Products, discounts, tax and duty of the cart every order (quote) is priced
+ * from (see server/services/cart.js). Amounts are decimal strings in the order
+ * currency (USD).
+ *
+ * The default cart is a single item priced at PAYMENT_AMOUNT. Example of a
+ * cart with several products, a discount and sales tax:
+ *
+ *   items: [
+ *     { sku: 'TSHIRT-M', name: 'T-Shirt (M)', quantity: 2, unitPrice: '19.99', taxable: true },
+ *     { sku: 'GIFTCARD', name: 'Gift Card', quantity: 1, unitPrice: '25.00', taxable: false },
+ *   ],
+ *   discounts: [
+ *     { id: 'SPRING10', label: 'Spring Sale (10%)', type: 'percent', value: 10 },
+ *     { id: 'LOYALTY', label: 'Loyalty Reward', type: 'amount', value: '5.00' },
+ *   ],
+ *   tax: { name: 'Sales Tax', rate: 0.0825 },
+ *   duty: { name: 'Import Duty', description: 'Customs duty', amount: '3.00' },
+ */
+
+import config from './applepay.js';
+
+export default {
+  // Products: sku (itemId, 31 characters max), name (31 characters max),
+  // optional description, quantity, unitPrice, taxable
+  items: [
+    {
+      sku: 'POC-PAYMENT',
+      name: 'Apple Pay POC Payment',
+      description: 'Apple Pay POC Transaction',
+      quantity: 1,
+      unitPrice: config.paymentAmount.toFixed(2),
+      taxable: false,
+    },
+  ],
+
+  // Order-level discounts: type 'percent' (value in %) or 'amount' (fixed value),
+  // applied to the item subtotal before tax
+  discounts: [],
+
+  // Tax on taxable items after discounts (rate 0 omits the tax line)
+  tax: {
+    name: 'Sales Tax',
+    rate: 0,
+  },
+
+  // Optional duty ({ name, description, amount }), charged on top of the total
+  duty: null,
+};
@@ -0,0 +1,40 @@
+/**
+ * Coupon configuration
+ * Codes shoppers can enter in the Apple Pay sheet (see server/services/coupons.js).
+ * Codes are matched case-insensitively.
+ *
+ * Fields:
+ * - code: Code entered by the shopper
+ * - label: Discount line shown in the sheet (and order discounts)
+ * - type: 'percent' (value in %) or 'amount' (fixed value in the order currency)
+ * - value: Discount
+ * - minimumSpend: Optional item subtotal (before discounts) required for the code
+ * - startsAt / expiresAt: Optional ISO 8601 validity window
+ * - maxRedemptions: Optional number of paid orders the code can be used for
+ *
+ * There is no per-user limit: user IDs come from the client and are not trusted.
+ */
+
+export default [
+  {
+    code: 'WELCOME10',
+    label: 'Welcome Discount (10%)',
+    type: 'percent',
+    value: 10,
+  },
+  {
+    code: 'SAVE5',
+    label: '$5 Off Orders Over $25',
+    type: 'amount',
+    value: '5.00',
+    minimumSpend: '25.00',
+  },
+  {
+    code: 'LAUNCH20',
+    label: 'Launch Promotion (20%)',
+    type: 'percent',
+    value: 20,
+    expiresAt: '2027-12-31T23:59:59Z',
+    maxRedemptions: 100,
+  },
+];
@@ -0,0 +1,34 @@
+/**
+ * Subscription plan configuration
+ * Plans shoppers can subscribe to with Apple Pay (see server/services/subscriptions.js).
+ * The first payment is charged when the shopper subscribes, the following ones
+ * by an Authorize.Net ARB subscription.
+ *
+ * Fields:
+ * - id: Plan ID sent by the frontend (31 characters max, used as the line item ID)
+ * - name: Plan name shown in the sheet and used as the ARB subscription name (50 characters max)
+ * - description: Recurring payment description shown in the sheet
+ * - amount: Amount charged every interval, as a decimal string in USD
+ * - interval: Billing interval, { length, unit } with unit 'months' (length 1-12)
+ *   or 'days' (length 7-365)
+ *
+ * Subscriptions run until they are canceled. Plans can only be switched for
+ * plans with the same interval (ARB cannot change the interval of a subscription).
+ */
+
+export default [
+  {
+    id: 'basic-monthly',
+    name: 'Basic Plan',
+    description: 'Basic plan, billed monthly until canceled',
+    amount: '9.99',
+    interval: { length: 1, unit: 'months' },
+  },
+  {
+    id: 'pro-monthly',
+    name: 'Pro Plan',
+    description: 'Pro plan, billed monthly until canceled',
+    amount: '29.99',
+    interval: { length: 1, unit: 'months' },
+  },
+];
@@ -7,6 +7,7 @@ import config from './config/applepay.js';
 import { errorHandler, requestIdMiddleware } from './middleware/errorHandler.js';
 import healthRouter from './routes/health.js';
 import applePayRouter from './routes/applepay.js';
+import merchantCertificate from './services/merchantCertificate.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -20,7 +21,12 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   credentials: true,
 }));
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body: webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve Apple Pay domain association file with correct content type
@@ -166,6 +172,9 @@ app.listen(PORT, () => {
   console.log(`Environment: ${config.nodeEnv}`);
   console.log(`Apple Merchant ID: ${config.appleMerchantId}`);
   console.log(`Authorize.Net Mode: ${config.authorizeNetMode}`);
+
+  // Load the merchant identity certificate now rather than on the first /validate
+  merchantCertificate.start();
 });
 
 export default app;
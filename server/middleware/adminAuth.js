@@ -0,0 +1,36 @@
+import crypto from 'crypto';
+import config from '../config/applepay.js';
+
+/**
+ * Admin authentication middleware
+ * Protects back-office endpoints (refunds, etc.) with the ADMIN_API_KEY
+ * sent in the X-Admin-Key header.
+ *
+ * In development, requests are allowed when no key is configured so the POC
+ * can be exercised locally. In any other environment a key is required.
+ */
+export const requireAdminKey = (req, res, next) => {
+  if (!config.adminApiKey) {
+    if (config.isDevelopment) {
+      console.warn(`[Admin] ADMIN_API_KEY is not set, allowing ${req.method} ${req.originalUrl} in development`);
+      return next();
+    }
+
+    const error = new Error('Admin API is disabled: ADMIN_API_KEY is not configured');
+    error.statusCode = 503;
+    error.code = 'ADMIN_API_DISABLED';
+    return next(error);
+  }
+
+  const providedKey = Buffer.from(req.get('X-Admin-Key') || '');
+  const expectedKey = Buffer.from(config.adminApiKey);
+
+  if (providedKey.length !== expectedKey.length || !crypto.timingSafeEqual(providedKey, expectedKey)) {
+    const error = new Error('Invalid or missing X-Admin-Key header');
+    error.statusCode = 401;
+    error.code = 'UNAUTHORIZED';
+    return next(error);
+  }
+
+  next();
+};
@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import config from '../config/applepay.js';
+import { getStore } from '../stores/index.js';
+
+// How long an in-flight request holds its key, so a crashed request does not block retries forever
+const IN_PROGRESS_TTL_SECONDS = 120;
+
+/**
+ * Fingerprint of a request, used to detect a key reused with a different request
+ * @param {Object} req - Express request
+ * @returns {string} SHA-256 hex digest
+ */
+function fingerprintRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body ?? null)}`)
+    .digest('hex');
+}
+
+/**
+ * Idempotency middleware
+ * Requests with an Idempotency-Key header are executed at most once: the first
+ * response stored for a key (success or error) is replayed for every repeat of
+ * that request. Reusing a key with a different request body is a conflict.
+ *
+ * Requests without the header are processed normally.
+ *
+ * @param {string} scope - Namespace for keys (e.g. 'process'), so one key can
+ * be used independently on different endpoints
+ * @returns {Function} Express middleware
+ */
+export const idempotency = (scope) => {
+  const store = getStore('idempotency-keys');
+
+  return async (req, res, next) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey === undefined) {
+      return next();
+    }
+
+    try {
+      if (idempotencyKey.trim() === '' || idempotencyKey.length > 255) {
+        const error = new Error('Validation failed');
+        error.type = 'validation';
+        error.fields = [{
+          field: 'Idempotency-Key',
+          constraint: 'invalid',
+          message: 'Idempotency-Key header must be between 1 and 255 characters',
+        }];
+        throw error;
+      }
+
+      const storeKey = `${scope}:${idempotencyKey}`;
+      const fingerprint = fingerprintRequest(req);
+      const record = {
+        status: 'in_progress',
+        fingerprint,
+        requestId: req.id,
+        createdAt: new Date().toISOString(),
+      };
+
+      const reserved = await store.setIfAbsent(storeKey, record, { ttlSeconds: IN_PROGRESS_TTL_SECONDS });
+
+      if (!reserved) {
+        const existing = await store.get(storeKey);
+
+        if (existing.fingerprint !== fingerprint) {
+          const error = new Error('Idempotency-Key was already used with a different request body');
+          error.statusCode = 409;
+          error.code = 'IDEMPOTENCY_KEY_CONFLICT';
+          error.details = {
+            idempotencyKey,
+            originalRequestId: existing.requestId,
+          };
+          throw error;
+        }
+
+        if (existing.status === 'in_progress') {
+          const error = new Error('A request with this Idempotency-Key is still being processed');
+          error.statusCode = 409;
+          error.code = 'IDEMPOTENCY_REQUEST_IN_PROGRESS';
+          error.details = {
+            idempotencyKey,
+            originalRequestId: existing.requestId,
+          };
+          throw error;
+        }
+
+        console.log('[Idempotency] Replaying stored response:', {
+          scope,
+          idempotencyKey,
+          originalRequestId: existing.requestId,
+          statusCode: existing.statusCode,
+        });
+
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(existing.statusCode).json(existing.body);
+      }
+
+      // Capture the first response for this key (including errorHandler responses)
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        store.set(storeKey, {
+          ...record,
+          status: 'completed',
+          statusCode: res.statusCode,
+          body,
+          completedAt: new Date().toISOString(),
+        }, { ttlSeconds: config.idempotencyKeyTtlSeconds }).catch((storeError) => {
+          console.error('[Idempotency] Failed to store response:', {
+            scope,
+            idempotencyKey,
+            message: storeError.message,
+          });
+        });
+
+        return originalJson(body);
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import config from '../config/applepay.js';
+
+/**
+ * Authorize.Net webhook signature verification middleware
+ * Authorize.Net signs every notification with an HMAC-SHA512 of the raw request
+ * body, keyed with the merchant's Signature Key, and sends it in the
+ * X-ANET-Signature header as "sha512=<HEX>".
+ *
+ * During a key rotation both AUTHORIZE_NET_SIGNATURE_KEY and
+ * AUTHORIZE_NET_SIGNATURE_KEY_PREVIOUS are accepted.
+ *
+ * WEBHOOK_SIGNATURE_MODE=log-only (development only) logs verification failures
+ * but lets the request through, so webhooks can be replayed locally by hand.
+ *
+ * Requires req.rawBody (captured by express.json in server/index.js): the
+ * signature is computed over the exact bytes Authorize.Net sent.
+ *
+ * Documentation: https://developer.authorize.net/api/reference/features/webhooks.html
+ */
+
+const SIGNATURE_PATTERN = /^sha512=([0-9a-f]{128})$/i;
+
+/**
+ * Compute the expected signature of a body
+ * @param {Buffer} rawBody - Raw request body
+ * @param {string} signatureKey - Authorize.Net Signature Key
+ * @returns {Buffer} HMAC-SHA512 digest
+ */
+const sign = (rawBody, signatureKey) => crypto.createHmac('sha512', signatureKey).update(rawBody).digest();
+
+/**
+ * Check a signature header against the configured keys
+ * @param {Buffer} rawBody - Raw request body
+ * @param {string} header - X-ANET-Signature header value
+ * @returns {{ valid: boolean, key?: string, reason?: string }} Result, with the
+ * key that matched ('current' or 'previous') or the reason it failed
+ */
+export const checkWebhookSignature = (rawBody, header) => {
+  if (!header) {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const match = SIGNATURE_PATTERN.exec(header.trim());
+  if (!match) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const provided = Buffer.from(match[1], 'hex');
+  const keys = [
+    ['current', config.authorizeNetSignatureKey],
+    ['previous', config.authorizeNetPreviousSignatureKey],
+  ];
+
+  for (const [name, key] of keys) {
+    if (key && crypto.timingSafeEqual(provided, sign(rawBody, key))) {
+      return { valid: true, key: name };
+    }
+  }
+
+  return { valid: false, reason: 'mismatch' };
+};
+
+/**
+ * Reject webhooks without a valid signature (401)
+ */
+export const verifyWebhookSignature = (req, res, next) => {
+  const logOnly = config.webhookSignatureMode === 'log-only';
+
+  if (!config.authorizeNetSignatureKey && !logOnly) {
+    // Not a 2xx, so Authorize.Net keeps retrying until the key is configured
+    const error = new Error('Webhook verification is unavailable: AUTHORIZE_NET_SIGNATURE_KEY is not configured');
+    error.statusCode = 503;
+    error.code = 'WEBHOOK_SIGNATURE_KEY_MISSING';
+    return next(error);
+  }
+
+  const header = req.get('X-ANET-Signature');
+  const result = checkWebhookSignature(req.rawBody || Buffer.alloc(0), header);
+
+  if (result.valid) {
+    if (result.key === 'previous') {
+      console.warn('[Authorize.Net] Webhook signed with the previous signature key, finish the key rotation');
+    }
+    return next();
+  }
+
+  if (logOnly) {
+    console.warn(`[Authorize.Net] Webhook signature ${result.reason}, accepting because WEBHOOK_SIGNATURE_MODE=log-only`, {
+      eventId: req.get('X-Anet-Event-Id'),
+      signature: header,
+    });
+    return next();
+  }
+
+  console.warn(`[Authorize.Net] Webhook rejected, signature ${result.reason}:`, {
+    eventId: req.get('X-Anet-Event-Id'),
+    ip: req.ip,
+  });
+
+  const error = new Error(result.reason === 'missing'
+    ? 'Missing X-ANET-Signature header'
+    : 'Invalid webhook signature');
+  error.statusCode = 401;
+  error.code = 'INVALID_WEBHOOK_SIGNATURE';
+  error.details = { reason: result.reason };
+  next(error);
+};
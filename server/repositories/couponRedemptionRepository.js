@@ -0,0 +1,108 @@
+import KeyLock from './keyLock.js';
+
+/**
+ * Coupon redemption repository backed by a key-value store (server/stores)
+ * One record per coupon code and order, stored under "CODE:orderId". A
+ * redemption is "reserved" while the payment is in flight and "redeemed" once
+ * it succeeded; reservations of failed payments are deleted.
+ *
+ * Usage limits are checked and the reservation stored in one step. The
+ * key-value stores have no transactions, so reservations of the same code are
+ * serialized in-process (a SQL implementation would use a unique constraint or
+ * SELECT ... FOR UPDATE instead).
+ */
+class KeyValueCouponRedemptionRepository {
+  /**
+   * @param {Object} store - Key-value store from getStore()
+   */
+  constructor(store) {
+    this.store = store;
+    this.locks = new KeyLock();
+  }
+
+  /**
+   * Reserve a redemption unless the usage limit of the code is reached
+   * @param {Object} redemption - Redemption (code, orderId, userId)
+   * @param {Object} [limits] - Usage limits
+   * @param {number} [limits.maxRedemptions] - Redemptions of the code by all orders
+   * @returns {Promise<Object|null>} Stored redemption (the existing one if the order
+   * already reserved the code), or null if the limit is reached
+   */
+  async reserve(redemption, { maxRedemptions } = {}) {
+    return this.locks.run(redemption.code, async () => {
+      const key = `${redemption.code}:${redemption.orderId}`;
+      const existing = await this.store.get(key);
+      if (existing) {
+        return existing;
+      }
+
+      const redemptions = await this.findByCode(redemption.code);
+      if (maxRedemptions && redemptions.length >= maxRedemptions) {
+        return null;
+      }
+
+      const stored = {
+        ...redemption,
+        status: 'reserved',
+        reservedAt: new Date().toISOString(),
+      };
+      await this.store.set(key, stored);
+      return stored;
+    });
+  }
+
+  /**
+   * Mark a reserved redemption as redeemed
+   * @param {string} code - Coupon code
+   * @param {string} orderId - Order ID
+   * @param {Object} [changes] - Other fields to set (e.g. transId)
+   * @returns {Promise<Object|null>} Updated redemption, or null if none was reserved
+   */
+  async confirm(code, orderId, changes = {}) {
+    return this.locks.run(code, async () => {
+      const key = `${code}:${orderId}`;
+      const redemption = await this.store.get(key);
+      if (!redemption) {
+        return null;
+      }
+
+      const updated = {
+        ...redemption,
+        ...changes,
+        status: 'redeemed',
+        redeemedAt: new Date().toISOString(),
+      };
+      await this.store.set(key, updated);
+      return updated;
+    });
+  }
+
+  /**
+   * Delete the reservation of an order (payment failed)
+   * Redeemed codes are kept.
+   * @param {string} code - Coupon code
+   * @param {string} orderId - Order ID
+   * @returns {Promise<void>}
+   */
+  async release(code, orderId) {
+    return this.locks.run(code, async () => {
+      const key = `${code}:${orderId}`;
+      const redemption = await this.store.get(key);
+      if (redemption?.status === 'reserved') {
+        await this.store.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Redemptions (reserved or redeemed) of a code
+   * @param {string} code - Coupon code
+   * @returns {Promise<Array<Object>>} Redemptions
+   */
+  async findByCode(code) {
+    const redemptions = await this.store.list();
+    return redemptions.filter((redemption) => redemption.code === code);
+  }
+}
+
+export default KeyValueCouponRedemptionRepository;
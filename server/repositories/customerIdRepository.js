@@ -0,0 +1,44 @@
+/**
+ * Customer ID repository backed by a key-value store (server/stores)
+ * Maps the Authorize.Net merchant customer IDs we send (customer.id and
+ * merchantCustomerId) back to our user IDs. Mappings are stored under the
+ * customer ID and never change.
+ */
+class KeyValueCustomerIdRepository {
+  /**
+   * @param {Object} store - Key-value store from getStore()
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Store a new mapping unless the customer ID is already mapped
+   * @param {Object} mapping - Mapping ({ customerId, userId, createdAt })
+   * @returns {Promise<boolean>} True if the mapping was stored, false if the
+   * customer ID already exists
+   */
+  async createIfAbsent(mapping) {
+    return this.store.setIfAbsent(mapping.customerId, mapping);
+  }
+
+  /**
+   * Find the mapping of a customer ID
+   * @param {string} customerId - Merchant customer ID
+   * @returns {Promise<Object|null>} Mapping, or null if the customer ID is unknown
+   */
+  async findByCustomerId(customerId) {
+    return (await this.store.get(customerId)) || null;
+  }
+
+  /**
+   * List mappings
+   * @returns {Promise<Array<Object>>} Mappings, oldest first
+   */
+  async list() {
+    const mappings = await this.store.list();
+    return mappings.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+}
+
+export default KeyValueCustomerIdRepository;
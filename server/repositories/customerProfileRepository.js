@@ -0,0 +1,67 @@
+import KeyLock from './keyLock.js';
+
+/**
+ * Customer profile repository backed by a key-value store (server/stores)
+ * Maps our user IDs to Authorize.Net customer profiles (CIM). Profiles are
+ * stored under the user ID.
+ *
+ * Changes to the same user are serialized in-process, as for orders, so
+ * concurrent payments of one user never create two customer profiles.
+ */
+class KeyValueCustomerProfileRepository {
+  /**
+   * @param {Object} store - Key-value store from getStore()
+   */
+  constructor(store) {
+    this.store = store;
+    this.locks = new KeyLock();
+  }
+
+  /**
+   * Find the customer profile of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Customer profile, or null if the user has none
+   */
+  async findByUserId(userId) {
+    return (await this.store.get(userId)) || null;
+  }
+
+  /**
+   * Create or update the customer profile of a user
+   * @param {string} userId - User ID
+   * @param {Function} update - Async function called with the current profile
+   * (or null) that returns the profile to store, or null to leave it unchanged.
+   * No other change to the same user runs until it settles.
+   * @returns {Promise<Object|null>} Stored profile, or the current one if unchanged
+   */
+  async upsert(userId, update) {
+    return this.locks.run(userId, async () => {
+      const current = (await this.store.get(userId)) || null;
+      const profile = await update(current);
+      if (!profile) {
+        return current;
+      }
+
+      const now = new Date().toISOString();
+      const updated = {
+        ...profile,
+        userId,
+        createdAt: current?.createdAt || now,
+        updatedAt: now,
+      };
+      await this.store.set(userId, updated);
+      return updated;
+    });
+  }
+
+  /**
+   * List customer profiles
+   * @returns {Promise<Array<Object>>} Customer profiles, oldest first
+   */
+  async list() {
+    const profiles = await this.store.list();
+    return profiles.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+}
+
+export default KeyValueCustomerProfileRepository;
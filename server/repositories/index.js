@@ -0,0 +1,45 @@
+import { getStore } from '../stores/index.js';
+import KeyValueOrderRepository from './orderRepository.js';
+import KeyValueTransactionRepository from './transactionRepository.js';
+import KeyValueWebhookEventRepository from './webhookEventRepository.js';
+import KeyValueCouponRedemptionRepository from './couponRedemptionRepository.js';
+import KeyValueSubscriptionRepository from './subscriptionRepository.js';
+import KeyValueCustomerProfileRepository from './customerProfileRepository.js';
+import KeyValueCustomerIdRepository from './customerIdRepository.js';
+
+/**
+ * Repositories
+ * Services only talk to these objects, never to a store directly, so the
+ * persistence backend can be replaced (e.g. with Postgres) by exporting other
+ * implementations of the same async methods from here:
+ *
+ * orderRepository: create(order), findById(orderId), findByTransactionId(transId),
+ *   update(orderId, changes), transition(orderId, fromStatuses, changes), list()
+ * transactionRepository: create(record), findByTransId(transId),
+ *   findByOrderId(orderId), list()
+ * webhookEventRepository: createIfAbsent(event), findById(eventId),
+ *   update(eventId, changes), list({ status })
+ * couponRedemptionRepository: reserve(redemption, limits), confirm(code, orderId, changes),
+ *   release(code, orderId), findByCode(code)
+ * subscriptionRepository: create(subscription), findById(subscriptionId),
+ *   findByArbSubscriptionId(arbSubscriptionId), transition(subscriptionId, fromStatuses, changes),
+ *   list({ userId, status })
+ * customerProfileRepository: findByUserId(userId), upsert(userId, update), list()
+ * customerIdRepository: createIfAbsent(mapping), findByCustomerId(customerId), list()
+ *
+ * The default implementations use the key-value store selected by STORE_DRIVER.
+ */
+
+export const orderRepository = new KeyValueOrderRepository(getStore('orders'));
+
+export const transactionRepository = new KeyValueTransactionRepository(getStore('transactions'));
+
+export const webhookEventRepository = new KeyValueWebhookEventRepository(getStore('webhook-events'));
+
+export const couponRedemptionRepository = new KeyValueCouponRedemptionRepository(getStore('coupon-redemptions'));
+
+export const subscriptionRepository = new KeyValueSubscriptionRepository(getStore('subscriptions'));
+
+export const customerProfileRepository = new KeyValueCustomerProfileRepository(getStore('customer-profiles'));
+
+export const customerIdRepository = new KeyValueCustomerIdRepository(getStore('customer-ids'));
@@ -0,0 +1,37 @@
+/**
+ * In-process lock per key
+ * The key-value stores have no transactions or compare-and-set, so the
+ * repositories serialize read-modify-write operations on the same key here.
+ * Operations on different keys run concurrently. Only one process is covered:
+ * a shared database would need its own locking (see the repository notes).
+ */
+class KeyLock {
+  constructor() {
+    // Tail of the pending operations of each key
+    this.pending = new Map();
+  }
+
+  /**
+   * Run an operation after all pending operations on the same key
+   * A failed operation does not block the ones queued after it.
+   * @param {string} key - Key
+   * @param {Function} operation - Async operation
+   * @returns {Promise<*>} Result of the operation
+   */
+  async run(key, operation) {
+    const previous = this.pending.get(key) || Promise.resolve();
+    const result = previous.then(operation);
+    const done = result.catch(() => {});
+    this.pending.set(key, done);
+
+    try {
+      return await result;
+    } finally {
+      if (this.pending.get(key) === done) {
+        this.pending.delete(key);
+      }
+    }
+  }
+}
+
+export default KeyLock;
@@ -0,0 +1,96 @@
+import KeyLock from './keyLock.js';
+
+/**
+ * Order repository backed by a key-value store (server/stores)
+ * Orders are stored under their order ID.
+ *
+ * Status changes go through transition(), which only applies the change when
+ * the order is still in one of the expected statuses. The key-value stores have
+ * no compare-and-set, so changes to the same order are serialized in-process
+ * (a SQL implementation would use UPDATE ... WHERE status IN (...) instead).
+ */
+class KeyValueOrderRepository {
+  /**
+   * @param {Object} store - Key-value store from getStore()
+   */
+  constructor(store) {
+    this.store = store;
+    this.locks = new KeyLock();
+  }
+
+  /**
+   * Store a new order
+   * @param {Object} order - Order (must have an id)
+   * @returns {Promise<Object>} Stored order
+   */
+  async create(order) {
+    await this.store.set(order.id, order);
+    return order;
+  }
+
+  /**
+   * Find an order by ID
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object|null>} Order, or null if it does not exist
+   */
+  async findById(orderId) {
+    return (await this.store.get(orderId)) || null;
+  }
+
+  /**
+   * Find the order paid by a transaction
+   * @param {string} transId - Authorize.Net transaction ID of the payment
+   * @returns {Promise<Object|null>} Order, or null if no order has this transaction
+   */
+  async findByTransactionId(transId) {
+    const orders = await this.store.list();
+    return orders.find((order) => order.transactionId === transId) || null;
+  }
+
+  /**
+   * Update an order
+   * @param {string} orderId - Order ID
+   * @param {Object|Function} changes - Fields to set (see transition())
+   * @returns {Promise<Object|null>} Updated order, or null if it does not exist
+   */
+  async update(orderId, changes) {
+    return this.transition(orderId, null, changes);
+  }
+
+  /**
+   * Update an order only if it is in one of the expected statuses
+   * @param {string} orderId - Order ID
+   * @param {Array<string>|null} fromStatuses - Expected current statuses (null for any)
+   * @param {Object|Function} changes - Fields to set, or a function that returns
+   * them from the current order (e.g. to append to a list)
+   * @returns {Promise<Object|null>} Updated order, or null if it does not exist
+   * or is not in an expected status
+   */
+  async transition(orderId, fromStatuses, changes) {
+    return this.locks.run(orderId, async () => {
+      const order = await this.store.get(orderId);
+      if (!order || (fromStatuses && !fromStatuses.includes(order.status))) {
+        return null;
+      }
+
+      const updated = {
+        ...order,
+        ...(typeof changes === 'function' ? changes(order) : changes),
+        updatedAt: new Date().toISOString(),
+      };
+      await this.store.set(orderId, updated);
+      return updated;
+    });
+  }
+
+  /**
+   * List all orders
+   * @returns {Promise<Array<Object>>} Orders, oldest first
+   */
+  async list() {
+    const orders = await this.store.list();
+    return orders.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+}
+
+export default KeyValueOrderRepository;
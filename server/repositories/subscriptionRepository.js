@@ -0,0 +1,91 @@
+import KeyLock from './keyLock.js';
+
+/**
+ * Subscription repository backed by a key-value store (server/stores)
+ * Subscriptions are stored under their subscription ID.
+ *
+ * Status changes go through transition(), which only applies the change when
+ * the subscription is still in one of the expected statuses. Changes to the
+ * same subscription are serialized in-process, as for orders.
+ */
+class KeyValueSubscriptionRepository {
+  /**
+   * @param {Object} store - Key-value store from getStore()
+   */
+  constructor(store) {
+    this.store = store;
+    this.locks = new KeyLock();
+  }
+
+  /**
+   * Store a new subscription
+   * @param {Object} subscription - Subscription (must have an id)
+   * @returns {Promise<Object>} Stored subscription
+   */
+  async create(subscription) {
+    await this.store.set(subscription.id, subscription);
+    return subscription;
+  }
+
+  /**
+   * Find a subscription by ID
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<Object|null>} Subscription, or null if it does not exist
+   */
+  async findById(subscriptionId) {
+    return (await this.store.get(subscriptionId)) || null;
+  }
+
+  /**
+   * Find the subscription an Authorize.Net ARB subscription currently bills
+   * @param {string} arbSubscriptionId - ARB subscription ID
+   * @returns {Promise<Object|null>} Subscription, or null if no subscription uses it
+   */
+  async findByArbSubscriptionId(arbSubscriptionId) {
+    const subscriptions = await this.store.list();
+    return subscriptions.find((subscription) => subscription.arbSubscriptionId === arbSubscriptionId) || null;
+  }
+
+  /**
+   * Update a subscription only if it is in one of the expected statuses
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Array<string>|null} fromStatuses - Expected current statuses (null for any)
+   * @param {Object|Function} changes - Fields to set, or a function that returns
+   * them from the current subscription
+   * @returns {Promise<Object|null>} Updated subscription, or null if it does not
+   * exist or is not in an expected status
+   */
+  async transition(subscriptionId, fromStatuses, changes) {
+    return this.locks.run(subscriptionId, async () => {
+      const subscription = await this.store.get(subscriptionId);
+      if (!subscription || (fromStatuses && !fromStatuses.includes(subscription.status))) {
+        return null;
+      }
+
+      const updated = {
+        ...subscription,
+        ...(typeof changes === 'function' ? changes(subscription) : changes),
+        updatedAt: new Date().toISOString(),
+      };
+      await this.store.set(subscriptionId, updated);
+      return updated;
+    });
+  }
+
+  /**
+   * List subscriptions
+   * @param {Object} [filter] - Filter
+   * @param {string} [filter.userId] - User who subscribed
+   * @param {string} [filter.status] - Subscription status
+   * @returns {Promise<Array<Object>>} Subscriptions, oldest first
+   */
+  async list({ userId, status } = {}) {
+    const subscriptions = await this.store.list();
+    return subscriptions
+      .filter((subscription) => !userId || subscription.userId === userId)
+      .filter((subscription) => !status || subscription.status === status)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+}
+
+export default KeyValueSubscriptionRepository;
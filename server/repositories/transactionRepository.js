@@ -0,0 +1,61 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Transaction repository backed by a key-value store (server/stores)
+ * Keeps one record per Authorize.Net gateway call (payment, capture, refund,
+ * void), successful or not, under a generated record ID.
+ */
+class KeyValueTransactionRepository {
+  /**
+   * @param {Object} store - Key-value store from getStore()
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Store a gateway call
+   * @param {Object} record - Transaction record (see TransactionService.record)
+   * @returns {Promise<Object>} Stored record, with id and createdAt
+   */
+  async create(record) {
+    const stored = {
+      id: uuidv4(),
+      ...record,
+      createdAt: new Date().toISOString(),
+    };
+    await this.store.set(stored.id, stored);
+    return stored;
+  }
+
+  /**
+   * Find the record of a gateway call by its Authorize.Net transaction ID
+   * @param {string} transId - Authorize.Net transaction ID
+   * @returns {Promise<Object|null>} Record, or null if none has this transaction ID
+   */
+  async findByTransId(transId) {
+    const records = await this.store.list();
+    return records.find((record) => record.transId === transId) || null;
+  }
+
+  /**
+   * Find all gateway calls for an order
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Array<Object>>} Records, oldest first
+   */
+  async findByOrderId(orderId) {
+    const records = await this.list();
+    return records.filter((record) => record.orderId === orderId);
+  }
+
+  /**
+   * List all gateway calls
+   * @returns {Promise<Array<Object>>} Records, oldest first
+   */
+  async list() {
+    const records = await this.store.list();
+    return records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+}
+
+export default KeyValueTransactionRepository;
@@ -0,0 +1,67 @@
+/**
+ * Webhook event repository backed by a key-value store (server/stores)
+ * Events are stored under their Authorize.Net event ID, so a redelivered event
+ * can be recognized with createIfAbsent().
+ */
+class KeyValueWebhookEventRepository {
+  /**
+   * @param {Object} store - Key-value store from getStore()
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Store a new event unless an event with the same ID exists
+   * @param {Object} event - Webhook event (must have an id)
+   * @returns {Promise<boolean>} True if the event was stored, false for a duplicate
+   */
+  async createIfAbsent(event) {
+    return this.store.setIfAbsent(event.id, event);
+  }
+
+  /**
+   * Find an event by ID
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object|null>} Event, or null if it does not exist
+   */
+  async findById(eventId) {
+    return (await this.store.get(eventId)) || null;
+  }
+
+  /**
+   * Update an event
+   * @param {string} eventId - Event ID
+   * @param {Object|Function} changes - Fields to set, or a function that returns
+   * them from the current event (e.g. to append to a list)
+   * @returns {Promise<Object|null>} Updated event, or null if it does not exist
+   */
+  async update(eventId, changes) {
+    const event = await this.store.get(eventId);
+    if (!event) {
+      return null;
+    }
+
+    const updated = {
+      ...event,
+      ...(typeof changes === 'function' ? changes(event) : changes),
+    };
+    await this.store.set(eventId, updated);
+    return updated;
+  }
+
+  /**
+   * List events
+   * @param {Object} [filter] - Filter
+   * @param {string} [filter.status] - Only events in this status
+   * @returns {Promise<Array<Object>>} Events, oldest first
+   */
+  async list({ status } = {}) {
+    const events = await this.store.list();
+    return events
+      .filter((event) => !status || event.status === status)
+      .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+  }
+}
+
+export default KeyValueWebhookEventRepository;
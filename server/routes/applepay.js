@@ -1,35 +1,219 @@
 import express from 'express';
 import https from 'https';
-import fs from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
 import config from '../config/applepay.js';
 import authorizeNetService from '../services/authorizeNet.js';
+import orderService from '../services/orders.js';
+import cartService from '../services/cart.js';
+import couponService from '../services/coupons.js';
+import customerIdService from '../services/customerIds.js';
+import customerProfileService from '../services/customerProfiles.js';
+import reconciliationService from '../services/reconciliation.js';
+import subscriptionService from '../services/subscriptions.js';
+import transactionService from '../services/transactions.js';
+import webhookService from '../services/webhooks.js';
+import merchantCertificate from '../services/merchantCertificate.js';
+import applePayTokenService from '../services/applePayToken.js';
+import { assertAppleValidationURL } from '../services/applePayGateway.js';
+import { invalidContactError, toBillingDetails, validateBillingContact } from '../services/contacts.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { requireAdminKey } from '../middleware/adminAuth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { verifyWebhookSignature } from '../middleware/webhookSignature.js';
 
 const router = express.Router();
 
+const WEBHOOK_EVENT_STATUSES = ['received', 'processed', 'dead_letter'];
+const SUBSCRIPTION_STATUSES = ['active', 'paused', 'suspended', 'canceled', 'terminated', 'expired'];
+// subsequentAuthInformation reasons of merchant-initiated charges
+const MERCHANT_INITIATED_REASONS = ['resubmission', 'delayedCharge', 'reauthorization', 'noShow'];
+const RECONCILIATION_FORMATS = ['json', 'csv'];
+
+/**
+ * Run a step that follows a successful charge
+ * The charge cannot be undone by failing the request, so a failed step is
+ * logged (with the order and transaction to fix by hand) instead of thrown.
+ * @param {string} step - Step name, for the log
+ * @param {Object} context - Order ID and transaction ID of the charge
+ * @param {Function} operation - Async operation
+ * @returns {Promise<*>} Result of the operation, or null if it failed
+ */
+async function runAfterCharge(step, context, operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    console.error('[Apple Pay] Step after a successful charge failed:', {
+      step,
+      ...context,
+      message: error.message,
+      code: error.code,
+      authorizeNetError: error.authorizeNetError?.errors,
+    });
+    return null;
+  }
+}
+
 /**
  * Configuration Endpoint
  * GET /api/applepay/config
- * Returns frontend configuration (merchant ID, payment amount)
+ * Returns frontend configuration (merchant ID, priced cart, subscription plans)
+ * paymentAmount is the cart total before shipping, the amount charged comes
+ * from the order (POST /orders)
  */
 router.get('/config', (req, res) => {
+  const { cart, lineItems, total } = cartService.price(cartService.getCart());
+
   res.json({
     merchantId: config.appleMerchantId,
-    paymentAmount: config.paymentAmount,
+    cart: {
+      ...cart,
+      lineItems,
+      total,
+    },
+    paymentAmount: parseFloat(total.amount),
+    // Plans with their Apple Pay total and recurringPaymentRequest
+    plans: subscriptionService.getPlans(),
   });
 });
 
+/**
+ * Order (Quote) Endpoint
+ * POST /api/applepay/orders
+ * 
+ * Creates a priced order on the server. The Apple Pay sheet is built from the
+ * returned line items and total, and /process charges this stored total.
+ */
+router.post('/orders', asyncHandler(async (req, res) => {
+  const { userId } = req.body || {};
+  const order = await orderService.createQuote({ userId, requestId: req.id });
+
+  console.log('[Apple Pay] Order quote created:', {
+    orderId: order.id,
+    total: order.total.amount,
+    expiresAt: order.expiresAt,
+  });
+
+  res.status(201).json({
+    success: true,
+    order: orderService.toQuote(order),
+  });
+}));
+
+/**
+ * Order Lookup Endpoint
+ * GET /api/applepay/orders/:orderId
+ */
+router.get('/orders/:orderId', asyncHandler(async (req, res) => {
+  const order = await orderService.getOrder(req.params.orderId);
+
+  res.json({
+    success: true,
+    order: orderService.toQuote(order),
+  });
+}));
+
+/**
+ * Order Shipping Endpoint
+ * POST /api/applepay/orders/:orderId/shipping
+ * 
+ * Called when the shopper changes the shipping address (redacted contact) or
+ * shipping method in the Apple Pay sheet. Returns the repriced order and the
+ * shipping methods available for the address; address problems are returned
+ * as 400 SHIPPING_CONTACT_INVALID with ApplePayError fields in applePayError.errors
+ */
+router.post('/orders/:orderId/shipping', asyncHandler(async (req, res) => {
+  const { shippingContact, shippingMethodIdentifier } = req.body || {};
+
+  if (shippingMethodIdentifier !== undefined && typeof shippingMethodIdentifier !== 'string') {
+    const error = new Error('Validation failed');
+    error.type = 'validation';
+    error.fields = [{
+      field: 'shippingMethodIdentifier',
+      constraint: 'invalid',
+      message: 'shippingMethodIdentifier must be a string',
+    }];
+    throw error;
+  }
+
+  const order = await orderService.updateShipping(req.params.orderId, {
+    shippingContact,
+    shippingMethodIdentifier,
+  });
+
+  console.log('[Apple Pay] Order shipping updated:', {
+    orderId: order.id,
+    shippingMethod: order.shipping.method.identifier,
+    countryCode: order.shipping.contact?.countryCode,
+    total: order.total.amount,
+  });
+
+  res.json({
+    success: true,
+    order: orderService.toQuote(order),
+  });
+}));
+
+/**
+ * Order Coupon Endpoint
+ * POST /api/applepay/orders/:orderId/coupon
+ * 
+ * Called when the shopper enters a coupon code in the Apple Pay sheet. Returns
+ * the repriced order; an empty couponCode removes the coupon. Invalid codes are
+ * returned as 400 COUPON_CODE_INVALID with ApplePayError fields in applePayError.errors
+ */
+router.post('/orders/:orderId/coupon', asyncHandler(async (req, res) => {
+  const { couponCode } = req.body || {};
+
+  if (couponCode !== undefined && couponCode !== null && typeof couponCode !== 'string') {
+    const error = new Error('Validation failed');
+    error.type = 'validation';
+    error.fields = [{
+      field: 'couponCode',
+      constraint: 'invalid',
+      message: 'couponCode must be a string',
+    }];
+    throw error;
+  }
+
+  const order = await orderService.applyCoupon(req.params.orderId, couponCode);
+
+  console.log('[Apple Pay] Order coupon updated:', {
+    orderId: order.id,
+    couponCode: order.coupon?.code || null,
+    discountTotal: order.cart.discountTotal,
+    total: order.total.amount,
+  });
+
+  res.json({
+    success: true,
+    order: orderService.toQuote(order),
+  });
+}));
+
+/**
+ * Order Transactions Endpoint
+ * GET /api/applepay/orders/:orderId/transactions
+ * 
+ * Returns the stored order with its status history and every gateway call
+ * recorded for it (payment attempts, captures, refunds, voids)
+ */
+router.get('/orders/:orderId/transactions', requireAdminKey, asyncHandler(async (req, res) => {
+  const order = await orderService.getOrder(req.params.orderId);
+  const transactions = await transactionService.listForOrder(order.id);
+
+  res.json({
+    success: true,
+    order,
+    transactions,
+  });
+}));
+
 /**
  * Merchant Validation Endpoint
  * POST /api/applepay/validate
  * 
  * Validates merchant with Apple Pay servers
  * Required by Apple Pay - must be called when onvalidatemerchant event fires
+ * validationURL must be an Apple Pay gateway URL (see applePayGateway.js)
  */
 router.post('/validate', asyncHandler(async (req, res) => {
   const { validationURL } = req.body;
@@ -45,6 +229,9 @@ router.post('/validate', asyncHandler(async (req, res) => {
     throw error;
   }
 
+  // Only Apple Pay gateways ever receive the request (with our merchant certificate)
+  assertAppleValidationURL(validationURL);
+
   // Log validation attempt
   console.log('[Apple Pay] Merchant validation request:', {
     validationURL,
@@ -53,69 +240,9 @@ router.post('/validate', asyncHandler(async (req, res) => {
   });
 
   try {
-    // Load merchant identity certificate and private key
-    // Priority: 1. Environment variables (for serverless), 2. File paths (for local/Docker)
-    let merchantCert, merchantKey;
-
-    // Try environment variables first (recommended for serverless/Vercel)
-    if (process.env.APPLE_MERCHANT_CERT) {
-      merchantCert = process.env.APPLE_MERCHANT_CERT;
-      // Handle escaped newlines (common when pasting PEM content as env var)
-      merchantCert = merchantCert.replace(/\\n/g, '\n');
-      // Handle base64 encoded certificates (common in CI/CD environments)
-      if (!merchantCert.includes('-----BEGIN')) {
-        try {
-          merchantCert = Buffer.from(merchantCert, 'base64').toString('utf8');
-        } catch (base64Error) {
-          // If base64 decode fails, assume it's already in PEM format
-          console.warn('[Apple Pay] Failed to decode base64 certificate, using as-is:', base64Error.message);
-        }
-      }
-    } else {
-      // Fall back to file path (for local/Docker development)
-      try {
-        merchantCert = fs.readFileSync(config.appleMerchantCertPath, 'utf8');
-      } catch (err) {
-        const error = new Error(`Failed to load merchant certificate: ${err.message}`);
-        error.code = 'ENOENT';
-        error.applePayError = {
-          type: 'CertificateError',
-          message: 'Merchant identity certificate not found. Set APPLE_MERCHANT_CERT environment variable or provide file path.',
-          path: config.appleMerchantCertPath,
-        };
-        throw error;
-      }
-    }
-
-    // Try environment variables first (recommended for serverless/Vercel)
-    if (process.env.APPLE_MERCHANT_KEY) {
-      merchantKey = process.env.APPLE_MERCHANT_KEY;
-      // Handle escaped newlines (common when pasting PEM content as env var)
-      merchantKey = merchantKey.replace(/\\n/g, '\n');
-      // Handle base64 encoded keys (common in CI/CD environments)
-      if (!merchantKey.includes('-----BEGIN')) {
-        try {
-          merchantKey = Buffer.from(merchantKey, 'base64').toString('utf8');
-        } catch (base64Error) {
-          // If base64 decode fails, assume it's already in PEM format
-          console.warn('[Apple Pay] Failed to decode base64 key, using as-is:', base64Error.message);
-        }
-      }
-    } else {
-      // Fall back to file path (for local/Docker development)
-      try {
-        merchantKey = fs.readFileSync(config.appleMerchantKeyPath, 'utf8');
-      } catch (err) {
-        const error = new Error(`Failed to load merchant private key: ${err.message}`);
-        error.code = 'ENOENT';
-        error.applePayError = {
-          type: 'CertificateError',
-          message: 'Merchant private key not found. Set APPLE_MERCHANT_KEY environment variable or provide file path.',
-          path: config.appleMerchantKeyPath,
-        };
-        throw error;
-      }
-    }
+    // Merchant identity (PEM certificate and key, or PKCS#12 bundle, with their passphrase)
+    // loaded once and hot-reloaded on change
+    const merchantCredentials = merchantCertificate.getCredentials();
 
     // Prepare request data
     const requestData = JSON.stringify({
@@ -132,8 +259,7 @@ router.post('/validate', asyncHandler(async (req, res) => {
           'Content-Type': 'application/json',
           'Content-Length': Buffer.byteLength(requestData),
         },
-        key: merchantKey,
-        cert: merchantCert,
+        ...merchantCredentials,
       };
 
       const req = https.request(validationURL, options, (res) => {
@@ -210,14 +336,40 @@ router.post('/validate', asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * Merchant Certificate Status Endpoint
+ * GET /api/applepay/certificate
+ * 
+ * Returns the loaded merchant identity certificate (subject, merchant ID
+ * extension, validity dates, days until expiry) and the last load error
+ */
+router.get('/certificate', requireAdminKey, (req, res) => {
+  res.json({
+    success: true,
+    ...merchantCertificate.getStatus(),
+  });
+});
+
 /**
  * Payment Processing Endpoint
  * POST /api/applepay/process
  * 
  * Processes Apple Pay token with Authorize.Net
+ * Charges the stored total of the order created by POST /orders and ships to
+ * orderInfo.shippingContact; orderInfo.billingContact is sent as the billing
+ * address (full contacts of the authorized payment)
+ * Tokens must be fresh (APPLE_PAY_TOKEN_MAX_AGE_SECONDS) and are single-use. If token
+ * decryption is configured, the token signature and the approved amount are
+ * checked first (see applePayToken.js)
+ * Send an Idempotency-Key header to make retries safe: the first result for a
+ * key is replayed instead of charging again
+ * Once Authorize.Net approved the charge the response is a success: failures of
+ * the following steps (order status, records, coupon, saved card) are only logged
+ * With savePaymentMethod: true (the shopper agreed to store the card), the card
+ * is stored in the customer profile of userId for merchant-initiated charges
  */
-router.post('/process', asyncHandler(async (req, res) => {
-  const { paymentToken, amount, userId, orderInfo } = req.body;
+router.post('/process', idempotency('process'), asyncHandler(async (req, res) => {
+  const { paymentToken, orderId, userId, orderInfo, savePaymentMethod = false } = req.body;
 
   // Validate input
   const validationErrors = [];
@@ -228,13 +380,16 @@ router.post('/process', asyncHandler(async (req, res) => {
       constraint: 'required',
       message: 'paymentToken is required',
     });
+  } else {
+    // data/header/signature/version structure of the Apple Pay token
+    validationErrors.push(...applePayTokenService.getValidationErrors(paymentToken));
   }
 
-  if (!amount || typeof amount !== 'number' || amount <= 0) {
+  if (!orderId || typeof orderId !== 'string' || orderId.trim() === '') {
     validationErrors.push({
-      field: 'amount',
-      constraint: 'invalid',
-      message: 'amount must be a positive number',
+      field: 'orderId',
+      constraint: 'required',
+      message: 'orderId is required (create one with POST /api/applepay/orders)',
     });
   }
 
@@ -246,6 +401,32 @@ router.post('/process', asyncHandler(async (req, res) => {
     });
   }
 
+  if (typeof savePaymentMethod !== 'boolean') {
+    validationErrors.push({
+      field: 'savePaymentMethod',
+      constraint: 'invalid',
+      message: 'savePaymentMethod must be a boolean',
+    });
+  }
+
+  // billingAddress, email and shippingAddress are taken from the Apple Pay contacts
+  const { shippingContact, billingContact, ...orderDetails } = orderInfo || {};
+  if (!shippingContact || typeof shippingContact !== 'object') {
+    validationErrors.push({
+      field: 'orderInfo.shippingContact',
+      constraint: 'required',
+      message: 'orderInfo.shippingContact is required (payment.shippingContact of the Apple Pay sheet)',
+    });
+  }
+
+  if (!billingContact || typeof billingContact !== 'object') {
+    validationErrors.push({
+      field: 'orderInfo.billingContact',
+      constraint: 'required',
+      message: 'orderInfo.billingContact is required (payment.billingContact of the Apple Pay sheet)',
+    });
+  }
+
   if (validationErrors.length > 0) {
     const error = new Error('Validation failed');
     error.type = 'validation';
@@ -253,43 +434,100 @@ router.post('/process', asyncHandler(async (req, res) => {
     throw error;
   }
 
+  // The full address is only revealed now: it must be one we ship to with the
+  // method the order was priced with (errors are shown in the sheet)
+  const shippingAddress = orderService.getShippingAddress(await orderService.getOrder(orderId), shippingContact);
+
+  // The billing address is used for address verification (AVS): check the
+  // country and postal code formats before charging
+  const billingErrors = validateBillingContact(billingContact);
+  if (billingErrors.length > 0) {
+    throw invalidContactError('BILLING_CONTACT_INVALID', 'BillingContactError', billingErrors);
+  }
+  const { billingAddress, email } = toBillingDetails(billingContact);
+
+  // With our own payment processing key, verify and decrypt the token before charging:
+  // the amount the shopper approved in the payment sheet must be the order total.
+  // Authorize.Net cannot decrypt such tokens, so the network token is sent instead.
+  let networkToken;
+  if (applePayTokenService.enabled) {
+    networkToken = applePayTokenService.decrypt(paymentToken);
+    applePayTokenService.assertMatchesOrder(networkToken, await orderService.getOrder(orderId));
+
+    console.log('[Apple Pay] Payment token verified:', {
+      orderId,
+      version: networkToken.version,
+      transactionId: networkToken.transactionId,
+      signingTime: networkToken.signingTime,
+      dpanLast4: networkToken.dpanLast4,
+      transactionAmount: networkToken.transactionAmount,
+    });
+  } else {
+    // Authorize.Net decrypts the token, only its age can be checked here
+    applePayTokenService.checkFreshness(paymentToken);
+  }
+
+  // Every token can be submitted once: repeats are rejected before reaching the gateway
+  await applePayTokenService.claim(paymentToken, { orderId, userId, requestId: req.id });
+
+  // The charged amount always comes from the stored order, never from the client
+  const order = await orderService.reserveForPayment(orderId, { userId, requestId: req.id });
+
+  // The coupon must still be valid (expiry, usage limits) when the order is paid
+  try {
+    await couponService.reserve(order, { userId });
+  } catch (error) {
+    await orderService.releaseAfterFailure(order.id, { requestId: req.id });
+    throw error;
+  }
+
+  const amount = parseFloat(order.total.amount);
+
+  const transactionContext = {
+    requestId: req.id,
+    type: config.paymentCaptureMode === 'deferred' ? 'authOnlyTransaction' : 'authCaptureTransaction',
+    orderId: order.id,
+    userId,
+    amount,
+  };
+
   // Log payment processing attempt
   console.log('[Apple Pay] Payment processing request:', {
     userId,
+    orderId,
     amount,
-    orderInfo,
+    orderInfo: orderDetails,
+    shippingMethod: order.shipping?.method?.identifier,
+    couponCode: order.coupon?.code,
     timestamp: new Date().toISOString(),
   });
 
+  let result;
   try {
     // Process payment with Authorize.Net
-    const result = await authorizeNetService.processApplePayTransaction({
+    result = await authorizeNetService.processApplePayTransaction({
       paymentToken,
+      networkToken,
       amount,
       userId,
-      orderInfo: orderInfo || {},
-    });
-
-    // Log successful transaction
-    console.log('[Apple Pay] Payment processed successfully:', {
-      transactionId: result.transactionId,
-      amount: result.amount,
-    });
-
-    // Return success response with detailed information
-    res.json({
-      success: true,
-      transaction: {
-        id: result.transactionId,
-        authCode: result.authCode,
-        amount: result.amount,
-        status: 'approved',
-        responseCode: result.responseCode,
+      storeCredentials: savePaymentMethod,
+      orderInfo: {
+        ...orderDetails,
+        orderId: order.id,
+        invoiceNumber: order.id,
+        billingAddress,
+        email,
+        shippingAddress,
+        // lineItems, tax, shipping, duty and discountAmount
+        ...orderService.getTransactionDetails(order),
       },
-      details: result.details,
     });
-
   } catch (error) {
+    // Nothing was charged: the order and its coupon can be paid again
+    await transactionService.recordFailure(transactionContext, error);
+    await orderService.releaseAfterFailure(order.id, { requestId: req.id });
+    await couponService.release(order);
+
     // Log error with full details
     console.error('[Apple Pay] Payment processing error:', {
       message: error.message,
@@ -299,111 +537,1032 @@ router.post('/process', asyncHandler(async (req, res) => {
 
     throw error;
   }
+
+  // The card was charged: from here on failures are logged, the shopper gets the
+  // successful payment, and the order and coupon are never released (an order
+  // left in "processing" cannot be charged again)
+  const context = { orderId: order.id, transactionId: result.transactionId };
+  await runAfterCharge('markPaid', context, () => orderService.markPaid(order.id, result, { requestId: req.id }));
+  await runAfterCharge('recordSuccess', context, () => transactionService.recordSuccess(transactionContext, result));
+  await runAfterCharge('confirmCoupon', context, () => couponService.confirm(order, result.transactionId));
+
+  // The payment stands even if the card cannot be stored
+  const paymentProfile = savePaymentMethod
+    ? (await runAfterCharge('savePaymentMethod', context, () => customerProfileService.saveFromPayment({
+      userId,
+      payment: result,
+      email,
+      source: 'payment',
+    })))?.paymentProfile || null
+    : null;
+
+  // Log successful transaction
+  console.log('[Apple Pay] Payment processed successfully:', {
+    transactionId: result.transactionId,
+    amount: result.amount,
+    paymentProfileId: paymentProfile?.id,
+  });
+
+  // Return success response with detailed information
+  res.json({
+    success: true,
+    orderId: order.id,
+    transaction: {
+      id: result.transactionId,
+      authCode: result.authCode,
+      amount: result.amount,
+      // Deferred capture mode only authorizes, see POST /capture
+      status: result.captured ? 'approved' : 'authorized',
+      responseCode: result.responseCode,
+    },
+    // Stored card (savePaymentMethod), null if it was not requested or could not be stored
+    paymentProfile: paymentProfile
+      ? { id: paymentProfile.id, cardNumber: paymentProfile.cardNumber, cardType: paymentProfile.cardType }
+      : null,
+    details: result.details,
+  });
 }));
 
 /**
- * Webhook Endpoint for Authorize.Net Notifications
- * POST /api/applepay/webhook
+ * Subscribe Endpoint
+ * POST /api/applepay/subscriptions
  * 
- * Receives real-time notifications from Authorize.Net about transaction events
- * Best practice for production: Monitor settlement, refunds, chargebacks, etc.
- * 
- * Documentation: https://developer.authorize.net/api/reference/features/webhooks.html
+ * Subscribes to a plan (see GET /config) with a payment authorized in an Apple
+ * Pay sheet with a recurringPaymentRequest. The token pays the first period;
+ * the following payments are charged by an Authorize.Net ARB subscription on
+ * a customer profile created from the first payment (see SubscriptionService).
+ * billingContact is the billing contact of the authorized payment. Tokens are
+ * checked as in /process (freshness, single use, approved amount)
  */
-router.post('/webhook', asyncHandler(async (req, res) => {
-  const webhookSignature = req.get('X-Anet-Signature');
-  const webhookEventId = req.get('X-Anet-Event-Id');
-  const payload = req.body;
+router.post('/subscriptions', idempotency('subscriptions'), asyncHandler(async (req, res) => {
+  const { paymentToken, planId, userId, billingContact } = req.body || {};
 
-  // Log webhook received
-  console.log('[Authorize.Net] Webhook received:', {
-    eventId: webhookEventId,
-    eventType: payload.eventType,
-    timestamp: new Date().toISOString(),
-    payload: payload,
-  });
+  // Validate input
+  const validationErrors = [];
+
+  if (!paymentToken) {
+    validationErrors.push({
+      field: 'paymentToken',
+      constraint: 'required',
+      message: 'paymentToken is required',
+    });
+  } else {
+    validationErrors.push(...applePayTokenService.getValidationErrors(paymentToken));
+  }
+
+  if (!planId || typeof planId !== 'string') {
+    validationErrors.push({
+      field: 'planId',
+      constraint: 'required',
+      message: 'planId is required (see plans in GET /api/applepay/config)',
+    });
+  }
+
+  if (!userId || typeof userId !== 'string' || userId.trim() === '') {
+    validationErrors.push({
+      field: 'userId',
+      constraint: 'required',
+      message: 'userId is required',
+    });
+  }
+
+  if (!billingContact || typeof billingContact !== 'object') {
+    validationErrors.push({
+      field: 'billingContact',
+      constraint: 'required',
+      message: 'billingContact is required (payment.billingContact of the Apple Pay sheet)',
+    });
+  }
+
+  if (validationErrors.length > 0) {
+    const error = new Error('Validation failed');
+    error.type = 'validation';
+    error.fields = validationErrors;
+    throw error;
+  }
 
-  // Verify webhook signature (best practice for production)
-  // Note: For production, you should verify the signature using Signature Key from Authorize.Net
-  // For POC, we'll log this information but won't enforce signature verification
-  if (webhookSignature) {
-    console.log('[Authorize.Net] Webhook signature present:', webhookSignature);
-    // TODO: Implement signature verification using Signature Key from Authorize.Net
-    // const isValid = verifyWebhookSignature(payload, webhookSignature, config.authorizeNetSignatureKey);
-    // if (!isValid) {
-    //   const error = new Error('Invalid webhook signature');
-    //   error.statusCode = 401;
-    //   throw error;
-    // }
+  const plan = subscriptionService.getPlan(planId);
+
+  const billingErrors = validateBillingContact(billingContact);
+  if (billingErrors.length > 0) {
+    throw invalidContactError('BILLING_CONTACT_INVALID', 'BillingContactError', billingErrors);
+  }
+  const { billingAddress, email } = toBillingDetails(billingContact);
+
+  let networkToken;
+  if (applePayTokenService.enabled) {
+    networkToken = applePayTokenService.decrypt(paymentToken);
+    // The amount approved in the sheet is the first payment, the plan amount
+    applePayTokenService.assertMatchesOrder(networkToken, {
+      id: plan.id,
+      currencyCode: 'USD',
+      total: { amount: plan.amount },
+    });
+  } else {
+    applePayTokenService.checkFreshness(paymentToken);
   }
 
+  await applePayTokenService.claim(paymentToken, { userId, requestId: req.id });
+
+  console.log('[Apple Pay] Subscription request:', {
+    userId,
+    planId: plan.id,
+    amount: plan.amount,
+    interval: plan.interval,
+    timestamp: new Date().toISOString(),
+  });
+
   try {
-    // Handle different webhook event types
-    const { eventType, payload: eventPayload } = payload;
-
-    switch (eventType) {
-      case 'net.authorize.payment.authorization.created':
-        console.log('[Authorize.Net] Transaction authorized:', eventPayload);
-        // Handle authorization created event
-        // e.g., Update order status, send confirmation email, etc.
-        break;
-
-      case 'net.authorize.payment.capture.created':
-        console.log('[Authorize.Net] Payment captured:', eventPayload);
-        // Handle payment captured event (settlement)
-        // e.g., Mark order as paid, trigger fulfillment, etc.
-        break;
-
-      case 'net.authorize.payment.refund.created':
-        console.log('[Authorize.Net] Refund created:', eventPayload);
-        // Handle refund event
-        // e.g., Update order status, process refund in your system, etc.
-        break;
-
-      case 'net.authorize.payment.void.created':
-        console.log('[Authorize.Net] Payment voided:', eventPayload);
-        // Handle void event
-        // e.g., Cancel order, release inventory, etc.
-        break;
-
-      case 'net.authorize.payment.fraud.approved':
-        console.log('[Authorize.Net] Fraud review approved:', eventPayload);
-        // Handle fraud approved event
-        break;
-
-      case 'net.authorize.payment.fraud.declined':
-        console.log('[Authorize.Net] Fraud review declined:', eventPayload);
-        // Handle fraud declined event
-        break;
-
-      default:
-        console.log('[Authorize.Net] Unknown webhook event type:', eventType);
-    }
+    const subscription = await subscriptionService.create({
+      planId: plan.id,
+      paymentToken,
+      networkToken,
+      userId,
+      billingAddress,
+      email,
+      requestId: req.id,
+    });
+
+    console.log('[Apple Pay] Subscription created:', {
+      subscriptionId: subscription.id,
+      arbSubscriptionId: subscription.arbSubscriptionId,
+      transactionId: subscription.firstTransactionId,
+    });
 
-    // Return 200 OK to acknowledge receipt
-    // Authorize.Net expects a 200 response within 10 seconds
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      message: 'Webhook received and processed',
-      eventType: eventType,
-      eventId: webhookEventId,
+      subscription: subscriptionService.toView(subscription),
+      transaction: {
+        id: subscription.firstTransactionId,
+        amount: parseFloat(subscription.amount),
+        status: 'approved',
+      },
     });
 
   } catch (error) {
-    console.error('[Authorize.Net] Webhook processing error:', {
+    console.error('[Apple Pay] Subscription error:', {
       message: error.message,
+      code: error.code,
+      authorizeNetError: error.authorizeNetError,
       stack: config.isDevelopment ? error.stack : undefined,
-      payload: payload,
     });
 
-    // Still return 200 to prevent Authorize.Net from retrying
-    // Log error for manual investigation
-    res.status(200).json({
-      success: false,
-      message: 'Webhook received but processing failed',
-      error: error.message,
-    });
+    throw error;
+  }
+}));
+
+/**
+ * Subscription List Endpoint
+ * GET /api/applepay/subscriptions?userId=...&status=...
+ */
+router.get('/subscriptions', requireAdminKey, asyncHandler(async (req, res) => {
+  const { userId, status } = req.query;
+
+  if (status !== undefined && !SUBSCRIPTION_STATUSES.includes(status)) {
+    const error = new Error('Validation failed');
+    error.type = 'validation';
+    error.fields = [{
+      field: 'status',
+      constraint: 'enum',
+      message: `status must be one of: ${SUBSCRIPTION_STATUSES.join(', ')}`,
+    }];
+    throw error;
+  }
+
+  const subscriptions = await subscriptionService.listSubscriptions({ userId, status });
+
+  res.json({
+    success: true,
+    count: subscriptions.length,
+    subscriptions,
+  });
+}));
+
+/**
+ * Subscription Lookup Endpoint
+ * GET /api/applepay/subscriptions/:subscriptionId
+ * 
+ * Returns the stored subscription with its status history, and the next
+ * billing date
+ */
+router.get('/subscriptions/:subscriptionId', requireAdminKey, asyncHandler(async (req, res) => {
+  const subscription = await subscriptionService.getSubscription(req.params.subscriptionId);
+
+  res.json({
+    success: true,
+    subscription: {
+      ...subscription,
+      nextBillingDate: subscriptionService.toView(subscription).nextBillingDate,
+    },
+  });
+}));
+
+/**
+ * Subscription Plan Endpoint
+ * POST /api/applepay/subscriptions/:subscriptionId/plan
+ * 
+ * Switches to another plan with the same billing interval; the new amount is
+ * charged from the next payment
+ */
+router.post('/subscriptions/:subscriptionId/plan', requireAdminKey, asyncHandler(async (req, res) => {
+  const { planId } = req.body || {};
+
+  if (!planId || typeof planId !== 'string') {
+    const error = new Error('Validation failed');
+    error.type = 'validation';
+    error.fields = [{
+      field: 'planId',
+      constraint: 'required',
+      message: 'planId is required',
+    }];
+    throw error;
   }
+
+  const subscription = await subscriptionService.changePlan(req.params.subscriptionId, planId, {
+    source: 'api',
+    requestId: req.id,
+  });
+
+  console.log('[Apple Pay] Subscription plan changed:', {
+    subscriptionId: subscription.id,
+    planId: subscription.planId,
+    amount: subscription.amount,
+  });
+
+  res.json({
+    success: true,
+    subscription,
+  });
+}));
+
+/**
+ * Subscription Pause, Resume and Cancel Endpoints
+ * POST /api/applepay/subscriptions/:subscriptionId/pause
+ * POST /api/applepay/subscriptions/:subscriptionId/resume
+ * POST /api/applepay/subscriptions/:subscriptionId/cancel
+ * 
+ * Pausing stops the ARB subscription and keeps the customer profile; resuming
+ * schedules the payments again from the next billing date
+ */
+for (const action of ['pause', 'resume', 'cancel']) {
+  router.post(`/subscriptions/:subscriptionId/${action}`, requireAdminKey, asyncHandler(async (req, res) => {
+    const subscription = await subscriptionService[action](req.params.subscriptionId, {
+      source: 'api',
+      requestId: req.id,
+    });
+
+    console.log(`[Apple Pay] Subscription ${action} processed:`, {
+      subscriptionId: subscription.id,
+      status: subscription.status,
+      arbSubscriptionId: subscription.arbSubscriptionId,
+    });
+
+    res.json({
+      success: true,
+      subscription,
+    });
+  }));
+}
+
+/**
+ * Customer Lookup Endpoint
+ * GET /api/applepay/customers?customerId=...
+ * 
+ * Returns the user of a merchant customer ID found in Authorize.Net records
+ * (customer.id of transactions, merchantCustomerId of customer profiles), with
+ * the customer profile of the user if a card was stored
+ */
+router.get('/customers', requireAdminKey, asyncHandler(async (req, res) => {
+  const { customerId } = req.query;
+
+  if (!customerId || typeof customerId !== 'string') {
+    const error = new Error('Validation failed');
+    error.type = 'validation';
+    error.fields = [{
+      field: 'customerId',
+      constraint: 'required',
+      message: 'customerId is required',
+    }];
+    throw error;
+  }
+
+  const userId = await customerIdService.getUserId(customerId);
+  const profile = await customerProfileService.findProfile(userId);
+
+  res.json({
+    success: true,
+    customer: {
+      customerId,
+      userId,
+      profile,
+    },
+  });
+}));
+
+/**
+ * Customer Profile Endpoint
+ * GET /api/applepay/customers/:userId/profile
+ * 
+ * Returns the customer profile (CIM) of a user with the cards stored from
+ * payments made with savePaymentMethod and from subscriptions
+ */
+router.get('/customers/:userId/profile', requireAdminKey, asyncHandler(async (req, res) => {
+  const profile = await customerProfileService.getProfile(req.params.userId);
+
+  res.json({
+    success: true,
+    profile,
+  });
+}));
+
+/**
+ * Merchant-Initiated Charge Endpoint
+ * POST /api/applepay/customers/:userId/charges
+ * 
+ * Charges a stored card of a user without the user (e.g. an adjustment to a
+ * paid order), with the stored credential indicators of the payment the card
+ * was stored with. Omit paymentProfileId to charge the card used last.
+ * Send an Idempotency-Key header to make retries safe
+ */
+router.post('/customers/:userId/charges', requireAdminKey, idempotency('customer-charges'), asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { amount, reason = 'delayedCharge', paymentProfileId, orderId, description } = req.body || {};
+
+  // Validate input
+  const validationErrors = [];
+
+  if (typeof amount !== 'number' || amount <= 0) {
+    validationErrors.push({
+      field: 'amount',
+      constraint: 'invalid',
+      message: 'amount must be a positive number',
+    });
+  }
+
+  if (!MERCHANT_INITIATED_REASONS.includes(reason)) {
+    validationErrors.push({
+      field: 'reason',
+      constraint: 'invalid',
+      message: `reason must be one of: ${MERCHANT_INITIATED_REASONS.join(', ')}`,
+    });
+  }
+
+  if (paymentProfileId !== undefined && (typeof paymentProfileId !== 'string' || paymentProfileId.trim() === '')) {
+    validationErrors.push({
+      field: 'paymentProfileId',
+      constraint: 'invalid',
+      message: 'paymentProfileId must be a non-empty string',
+    });
+  }
+
+  if (orderId !== undefined && (typeof orderId !== 'string' || orderId.trim() === '')) {
+    validationErrors.push({
+      field: 'orderId',
+      constraint: 'invalid',
+      message: 'orderId must be a non-empty string',
+    });
+  }
+
+  if (description !== undefined && (typeof description !== 'string' || description.length > 255)) {
+    validationErrors.push({
+      field: 'description',
+      constraint: 'invalid',
+      message: 'description must be a string of at most 255 characters',
+    });
+  }
+
+  if (validationErrors.length > 0) {
+    const error = new Error('Validation failed');
+    error.type = 'validation';
+    error.fields = validationErrors;
+    throw error;
+  }
+
+  // Charges for an order must be for the user who paid it
+  if (orderId) {
+    const order = await orderService.getOrder(orderId);
+    if (order.userId !== userId) {
+      const error = new Error('Validation failed');
+      error.type = 'validation';
+      error.fields = [{
+        field: 'orderId',
+        constraint: 'invalid',
+        message: `Order ${orderId} does not belong to user ${userId}`,
+      }];
+      throw error;
+    }
+  }
+
+  console.log('[Apple Pay] Merchant-initiated charge request:', {
+    userId,
+    amount,
+    reason,
+    paymentProfileId: paymentProfileId ?? 'default',
+    orderId,
+    timestamp: new Date().toISOString(),
+  });
+
+  try {
+    const { result, paymentProfile } = await customerProfileService.charge(userId, {
+      amount,
+      reason,
+      paymentProfileId,
+      orderId,
+      description,
+      requestId: req.id,
+    });
+
+    console.log('[Apple Pay] Merchant-initiated charge processed successfully:', {
+      transactionId: result.transactionId,
+      amount: result.amount,
+      paymentProfileId: paymentProfile.id,
+    });
+
+    res.json({
+      success: true,
+      transaction: {
+        id: result.transactionId,
+        authCode: result.authCode,
+        amount: result.amount,
+        status: 'approved',
+        responseCode: result.responseCode,
+      },
+      paymentProfileId: paymentProfile.id,
+      details: result.details,
+    });
+
+  } catch (error) {
+    console.error('[Apple Pay] Merchant-initiated charge error:', {
+      message: error.message,
+      authorizeNetError: error.authorizeNetError,
+      stack: config.isDevelopment ? error.stack : undefined,
+    });
+
+    throw error;
+  }
+}));
+
+/**
+ * Refund Endpoint
+ * POST /api/applepay/refund
+ * 
+ * Refunds a settled transaction with Authorize.Net (full or partial)
+ * Omit amount to refund what has not been refunded yet. Refunds recorded for
+ * the transaction count against its captured amount.
+ */
+router.post('/refund', requireAdminKey, asyncHandler(async (req, res) => {
+  const { transId, amount } = req.body;
+
+  // Validate input
+  const validationErrors = [];
+
+  if (!transId || typeof transId !== 'string' || transId.trim() === '') {
+    validationErrors.push({
+      field: 'transId',
+      constraint: 'required',
+      message: 'transId is required',
+    });
+  }
+
+  if (amount !== undefined && (typeof amount !== 'number' || amount <= 0)) {
+    validationErrors.push({
+      field: 'amount',
+      constraint: 'invalid',
+      message: 'amount must be a positive number',
+    });
+  }
+
+  if (validationErrors.length > 0) {
+    const error = new Error('Validation failed');
+    error.type = 'validation';
+    error.fields = validationErrors;
+    throw error;
+  }
+
+  // Log refund attempt
+  console.log('[Apple Pay] Refund request:', {
+    transId,
+    amount: amount ?? 'full',
+    timestamp: new Date().toISOString(),
+  });
+
+  const order = await orderService.findByTransactionId(transId);
+  const transactionContext = {
+    requestId: req.id,
+    type: 'refundTransaction',
+    orderId: order?.id,
+    userId: order?.userId,
+    amount,
+    refTransId: transId,
+  };
+
+  try {
+    const refundedAmount = await transactionService.getRefundedAmount(transId);
+    const result = await authorizeNetService.refundTransaction({ transId, amount, refundedAmount });
+
+    await transactionService.recordSuccess(transactionContext, result);
+    await orderService.recordRefund(transId, result, {
+      source: 'api',
+      requestId: req.id,
+    });
+
+    console.log('[Apple Pay] Refund processed successfully:', {
+      transactionId: result.transactionId,
+      refTransId: transId,
+      amount: result.amount,
+      refundedAmount: result.refundedAmount,
+    });
+
+    res.json({
+      success: true,
+      transaction: {
+        id: result.transactionId,
+        authCode: result.authCode,
+        amount: result.amount,
+        refundedAmount: result.refundedAmount,
+        status: 'refunded',
+        responseCode: result.responseCode,
+      },
+      details: result.details,
+    });
+
+  } catch (error) {
+    await transactionService.recordFailure(transactionContext, error);
+
+    console.error('[Apple Pay] Refund error:', {
+      message: error.message,
+      authorizeNetError: error.authorizeNetError,
+      stack: config.isDevelopment ? error.stack : undefined,
+    });
+
+    throw error;
+  }
+}));
+
+/**
+ * Capture Endpoint
+ * POST /api/applepay/capture
+ * 
+ * Captures a transaction authorized in deferred capture mode (priorAuthCaptureTransaction)
+ * Omit amount to capture the full authorized amount, or pass a lower amount
+ */
+router.post('/capture', requireAdminKey, asyncHandler(async (req, res) => {
+  const { transId, amount } = req.body;
+
+  // Validate input
+  const validationErrors = [];
+
+  if (!transId || typeof transId !== 'string' || transId.trim() === '') {
+    validationErrors.push({
+      field: 'transId',
+      constraint: 'required',
+      message: 'transId is required',
+    });
+  }
+
+  if (amount !== undefined && (typeof amount !== 'number' || amount <= 0)) {
+    validationErrors.push({
+      field: 'amount',
+      constraint: 'invalid',
+      message: 'amount must be a positive number',
+    });
+  }
+
+  if (validationErrors.length > 0) {
+    const error = new Error('Validation failed');
+    error.type = 'validation';
+    error.fields = validationErrors;
+    throw error;
+  }
+
+  // Log capture attempt
+  console.log('[Apple Pay] Capture request:', {
+    transId,
+    amount: amount ?? 'full',
+    timestamp: new Date().toISOString(),
+  });
+
+  const order = await orderService.findByTransactionId(transId);
+  const transactionContext = {
+    requestId: req.id,
+    type: 'priorAuthCaptureTransaction',
+    orderId: order?.id,
+    userId: order?.userId,
+    amount,
+    refTransId: transId,
+  };
+
+  try {
+    const result = await authorizeNetService.captureTransaction({ transId, amount });
+
+    await transactionService.recordSuccess(transactionContext, result);
+    await orderService.updateStatusForTransaction(transId, 'captured', {
+      source: 'api',
+      requestId: req.id,
+    });
+
+    console.log('[Apple Pay] Capture processed successfully:', {
+      transactionId: result.transactionId,
+      amount: result.amount,
+    });
+
+    res.json({
+      success: true,
+      transaction: {
+        id: result.transactionId,
+        authCode: result.authCode,
+        amount: result.amount,
+        status: 'captured',
+        responseCode: result.responseCode,
+      },
+      details: result.details,
+    });
+
+  } catch (error) {
+    await transactionService.recordFailure(transactionContext, error);
+
+    console.error('[Apple Pay] Capture error:', {
+      message: error.message,
+      authorizeNetError: error.authorizeNetError,
+      stack: config.isDevelopment ? error.stack : undefined,
+    });
+
+    throw error;
+  }
+}));
+
+/**
+ * Pending Authorizations Endpoint
+ * GET /api/applepay/authorizations
+ * 
+ * Lists authorizations that were never captured, with the date they expire
+ * Capture them with POST /capture or release them with POST /void before then
+ */
+router.get('/authorizations', requireAdminKey, asyncHandler(async (req, res) => {
+  const authorizations = await authorizeNetService.getPendingAuthorizations();
+
+  res.json({
+    success: true,
+    count: authorizations.length,
+    authorizations,
+  });
+}));
+
+/**
+ * Void Endpoint
+ * POST /api/applepay/void
+ * 
+ * Voids a transaction that has not settled yet (same day, before batch close)
+ * Settled transactions are rejected with 409 and must be refunded instead
+ */
+router.post('/void', requireAdminKey, asyncHandler(async (req, res) => {
+  const { transId } = req.body;
+
+  // Validate input
+  if (!transId || typeof transId !== 'string' || transId.trim() === '') {
+    const error = new Error('Validation failed');
+    error.type = 'validation';
+    error.fields = [{
+      field: 'transId',
+      constraint: 'required',
+      message: 'transId is required',
+    }];
+    throw error;
+  }
+
+  // Log void attempt
+  console.log('[Apple Pay] Void request:', {
+    transId,
+    timestamp: new Date().toISOString(),
+  });
+
+  const order = await orderService.findByTransactionId(transId);
+  const transactionContext = {
+    requestId: req.id,
+    type: 'voidTransaction',
+    orderId: order?.id,
+    userId: order?.userId,
+    refTransId: transId,
+  };
+
+  try {
+    const result = await authorizeNetService.voidTransaction({ transId });
+
+    await transactionService.recordSuccess(transactionContext, result);
+    await orderService.updateStatusForTransaction(transId, 'voided', {
+      source: 'api',
+      requestId: req.id,
+    });
+
+    console.log('[Apple Pay] Transaction voided successfully:', {
+      transactionId: result.transactionId,
+    });
+
+    res.json({
+      success: true,
+      transaction: {
+        id: result.transactionId,
+        authCode: result.authCode,
+        status: 'voided',
+        responseCode: result.responseCode,
+      },
+      details: result.details,
+    });
+
+  } catch (error) {
+    await transactionService.recordFailure(transactionContext, error);
+
+    console.error('[Apple Pay] Void error:', {
+      message: error.message,
+      authorizeNetError: error.authorizeNetError,
+      stack: config.isDevelopment ? error.stack : undefined,
+    });
+
+    throw error;
+  }
+}));
+
+/**
+ * Transaction Lookup Endpoint
+ * GET /api/applepay/transactions/:transId
+ * 
+ * Returns the current state of a transaction from Authorize.Net
+ * (settlement, fraud review, refund status, etc.)
+ */
+router.get('/transactions/:transId', requireAdminKey, asyncHandler(async (req, res) => {
+  const { transId } = req.params;
+
+  // Validate input (Authorize.Net transaction IDs are numeric)
+  if (!/^\d+$/.test(transId)) {
+    const error = new Error('Validation failed');
+    error.type = 'validation';
+    error.fields = [{
+      field: 'transId',
+      constraint: 'numeric',
+      message: 'transId must be a numeric Authorize.Net transaction ID',
+    }];
+    throw error;
+  }
+
+  const transaction = await authorizeNetService.getTransactionDetails(transId);
+  // customer.id is the customer ID of the user who paid (see CustomerIdService)
+  const customerId = transaction.customer?.id || null;
+
+  res.json({
+    success: true,
+    transaction: {
+      id: transaction.transId,
+      refTransId: transaction.refTransId,
+      type: transaction.transactionType,
+      status: transaction.transactionStatus,
+      submittedAt: transaction.submitTimeUTC,
+      responseCode: transaction.responseCode,
+      authCode: transaction.authCode,
+      amounts: {
+        authorized: transaction.authAmount !== undefined ? parseFloat(transaction.authAmount) : undefined,
+        settled: transaction.settleAmount !== undefined ? parseFloat(transaction.settleAmount) : undefined,
+      },
+      settlement: transaction.batch
+        ? {
+          batchId: transaction.batch.batchId,
+          settledAt: transaction.batch.settlementTimeUTC,
+          state: transaction.batch.settlementState,
+        }
+        : null,
+      card: {
+        network: transaction.payment?.creditCard?.cardType,
+        lastFour: transaction.payment?.creditCard?.cardNumber?.slice(-4),
+      },
+      customer: {
+        id: customerId,
+        userId: await customerIdService.findUserId(customerId),
+      },
+      fraud: {
+        action: transaction.FDSFilterAction,
+        filters: transaction.FDSFilters?.FDSFilter || [],
+      },
+    },
+  });
+}));
+
+/**
+ * Settlement Reconciliation Endpoint
+ * GET /api/applepay/reconciliation
+ * 
+ * Compares the transactions Authorize.Net settled between ?from= and ?to=
+ * (YYYY-MM-DD, UTC, up to 31 days; default: yesterday and today) with our
+ * stored payments, and flags missing, extra and amount-mismatched transactions
+ * (see ReconciliationService). ?format=csv returns the rows as a CSV download.
+ * Also available from the command line: npm run reconcile
+ */
+router.get('/reconciliation', requireAdminKey, asyncHandler(async (req, res) => {
+  const { from, to, format = 'json' } = req.query;
+
+  if (!RECONCILIATION_FORMATS.includes(format)) {
+    const error = new Error('Validation failed');
+    error.type = 'validation';
+    error.fields = [{
+      field: 'format',
+      constraint: 'enum',
+      message: `format must be one of: ${RECONCILIATION_FORMATS.join(', ')}`,
+    }];
+    throw error;
+  }
+
+  const report = await reconciliationService.run({ from, to });
+
+  if (format === 'csv') {
+    res.type('text/csv');
+    res.attachment(`reconciliation-${report.from}-${report.to}.csv`);
+    res.send(reconciliationService.toCsv(report));
+    return;
+  }
+
+  res.json({
+    success: true,
+    report,
+  });
+}));
+
+/**
+ * Webhook Endpoint for Authorize.Net Notifications
+ * POST /api/applepay/webhook
+ * 
+ * Receives real-time notifications from Authorize.Net about transaction events
+ * Best practice for production: Monitor settlement, refunds, chargebacks, etc.
+ * Requests without a valid X-ANET-Signature are rejected with 401 (see verifyWebhookSignature)
+ * 
+ * Every event is stored before it is handled (see WebhookService):
+ * - A redelivered event ID is acknowledged without running the handlers again
+ * - An event whose handler fails is acknowledged with 202 and moved to the
+ *   dead-letter queue, to be retried from the admin endpoints below
+ * - If the event cannot be stored, the error response makes Authorize.Net retry
+ * 
+ * Documentation: https://developer.authorize.net/api/reference/features/webhooks.html
+ */
+router.post('/webhook', verifyWebhookSignature, asyncHandler(async (req, res) => {
+  const webhookEventId = req.get('X-Anet-Event-Id');
+  const payload = req.body;
+
+  // Log webhook received
+  console.log('[Authorize.Net] Webhook received:', {
+    eventId: webhookEventId,
+    eventType: payload.eventType,
+    timestamp: new Date().toISOString(),
+    payload: payload,
+  });
+
+  const { event, ignored } = await webhookService.deliver({
+    eventId: webhookEventId,
+    payload,
+    rawBody: req.rawBody,
+    requestId: req.id,
+  });
+
+  if (ignored) {
+    console.log('[Authorize.Net] Duplicate webhook event ignored:', {
+      eventId: event.id,
+      status: event.status,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Duplicate webhook event ignored',
+      eventType: event.eventType,
+      eventId: event.id,
+      status: event.status,
+    });
+  }
+
+  if (event.status === 'dead_letter') {
+    // Acknowledge anyway: the event is stored and retried from the dead-letter queue
+    return res.status(202).json({
+      success: true,
+      message: 'Webhook received, processing failed and the event was moved to the dead-letter queue',
+      eventType: event.eventType,
+      eventId: event.id,
+      status: event.status,
+    });
+  }
+
+  // Return 200 OK to acknowledge receipt
+  // Authorize.Net expects a 200 response within 10 seconds
+  res.status(200).json({
+    success: true,
+    message: 'Webhook received and processed',
+    eventType: event.eventType,
+    eventId: event.id,
+    status: event.status,
+    orderId: event.attempts[event.attempts.length - 1].orderId,
+  });
+}));
+
+/**
+ * Webhook Events Endpoint
+ * GET /api/applepay/webhooks/events
+ * 
+ * Lists stored webhook events, optionally filtered with ?status=received|processed|dead_letter
+ */
+router.get('/webhooks/events', requireAdminKey, asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  if (status !== undefined && !WEBHOOK_EVENT_STATUSES.includes(status)) {
+    const error = new Error('Validation failed');
+    error.type = 'validation';
+    error.fields = [{
+      field: 'status',
+      constraint: 'enum',
+      message: `status must be one of: ${WEBHOOK_EVENT_STATUSES.join(', ')}`,
+    }];
+    throw error;
+  }
+
+  const events = await webhookService.listEvents({ status });
+
+  res.json({
+    success: true,
+    count: events.length,
+    events,
+  });
+}));
+
+/**
+ * Webhook Event Endpoint
+ * GET /api/applepay/webhooks/events/:eventId
+ * 
+ * Returns a stored webhook event with its raw payload and processing attempts
+ */
+router.get('/webhooks/events/:eventId', requireAdminKey, asyncHandler(async (req, res) => {
+  const event = await webhookService.getEvent(req.params.eventId);
+
+  res.json({
+    success: true,
+    event,
+  });
+}));
+
+/**
+ * Webhook Replay Endpoint
+ * POST /api/applepay/webhooks/events/:eventId/replay
+ * 
+ * Runs a stored event through the handlers again, whatever its status
+ * A failed replay leaves the event in the dead-letter queue
+ */
+router.post('/webhooks/events/:eventId/replay', requireAdminKey, asyncHandler(async (req, res) => {
+  console.log('[Authorize.Net] Webhook replay request:', {
+    eventId: req.params.eventId,
+    timestamp: new Date().toISOString(),
+  });
+
+  const event = await webhookService.process(req.params.eventId, {
+    trigger: 'replay',
+    requestId: req.id,
+  });
+
+  res.json({
+    success: event.status === 'processed',
+    event,
+  });
+}));
+
+/**
+ * Dead-Letter Queue Endpoint
+ * GET /api/applepay/webhooks/dead-letter
+ * 
+ * Lists webhook events whose processing failed
+ */
+router.get('/webhooks/dead-letter', requireAdminKey, asyncHandler(async (req, res) => {
+  const events = await webhookService.listEvents({ status: 'dead_letter' });
+
+  res.json({
+    success: true,
+    count: events.length,
+    events,
+  });
+}));
+
+/**
+ * Dead-Letter Retry Endpoint
+ * POST /api/applepay/webhooks/dead-letter/retry
+ * 
+ * Re-runs every event in the dead-letter queue
+ */
+router.post('/webhooks/dead-letter/retry', requireAdminKey, asyncHandler(async (req, res) => {
+  const events = await webhookService.retryDeadLetters({ requestId: req.id });
+  const processed = events.filter((event) => event.status === 'processed');
+
+  console.log('[Authorize.Net] Dead-letter retry finished:', {
+    retried: events.length,
+    processed: processed.length,
+  });
+
+  res.json({
+    success: processed.length === events.length,
+    retried: events.length,
+    processed: processed.length,
+    remaining: events.length - processed.length,
+    events,
+  });
 }));
 
 export default router;
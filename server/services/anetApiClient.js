@@ -0,0 +1,276 @@
+import axios from 'axios';
+import { XMLBuilder, XMLParser } from 'fast-xml-parser';
+
+/**
+ * Authorize.Net XML API Client
+ * Builds requests and parses responses for the AnetApi schema
+ * (AnetApi/xml/v1/schema/AnetApiSchema.xsd)
+ *
+ * Shared by AuthorizeNetService and the standalone test scripts, so it does not
+ * read the server configuration itself: credentials are passed to the constructor.
+ *
+ * Requests are plain objects that mirror the schema, e.g.
+ *   client.send('getTransactionDetailsRequest', { transId: '1234' })
+ * Responses are the full element tree of the response document. Repeated
+ * elements (messages.message, errors.error, lineItems.lineItem, ...) are always
+ * arrays, even when the response contains a single item. Leaf values are kept
+ * as strings exactly as Authorize.Net returned them (e.g. responseCode "1",
+ * settleAmount "10.00").
+ *
+ * Documentation: https://developer.authorize.net/api/reference/index.html
+ */
+
+const ANET_NAMESPACE = 'AnetApi/xml/v1/schema/AnetApiSchema.xsd';
+
+/**
+ * Repeated elements in AnetApi responses, as "parent.child" element names
+ * (the child is parsed as an array whenever it appears under that parent)
+ */
+const LIST_ELEMENTS = new Set([
+  'messages.message',
+  'errors.error',
+  'userFields.userField',
+  'lineItems.lineItem',
+  'FDSFilters.FDSFilter',
+  'splitTenderPayments.splitTenderPayment',
+  'returnedItems.returnedItem',
+  'transactions.transaction',
+  'batchList.batch',
+  'statistics.statistic',
+  'tags.tag',
+  'profile.paymentProfiles',
+  'profile.shipToList',
+  'paymentProfiles.paymentProfile',
+  'subscriptionDetails.subscriptionDetail',
+  'arbTransactions.arbTransaction',
+  'subscriptionIds.numericString',
+  'ids.numericString',
+  'customerPaymentProfileIdList.numericString',
+  'customerShippingAddressIdList.numericString',
+  'validationDirectResponseList.string',
+]);
+
+/**
+ * Element order of the xs:sequence types used in requests
+ * The schema rejects requests whose child elements are out of order, so
+ * request objects are reordered with these sequences before serializing.
+ * Elements that are not listed keep their relative order after the listed ones.
+ */
+const ELEMENT_SEQUENCES = {
+  transactionRequest: [
+    'transactionType', 'amount', 'currencyCode', 'payment', 'profile', 'solution', 'callId',
+    'terminalNumber', 'authCode', 'refTransId', 'splitTenderId', 'order', 'lineItems', 'tax',
+    'duty', 'shipping', 'taxExempt', 'poNumber', 'customer', 'billTo', 'shipTo', 'customerIP',
+    'cardholderAuthentication', 'retail', 'employeeId', 'transactionSettings', 'userFields',
+    'surcharge', 'merchantDescriptor', 'subMerchant', 'tip', 'processingOptions',
+    'subsequentAuthInformation', 'otherTax', 'shipFrom', 'authorizationIndicatorType',
+  ],
+  payment: ['creditCard', 'bankAccount', 'trackData', 'encryptedTrackData', 'payPal', 'opaqueData', 'emv'],
+  creditCard: ['cardNumber', 'expirationDate', 'cardCode', 'isPaymentToken', 'cryptogram', 'tokenRequestorName', 'tokenRequestorId', 'tokenRequestorEci'],
+  opaqueData: ['dataDescriptor', 'dataValue', 'dataKey', 'expirationTimeStamp'],
+  order: ['invoiceNumber', 'description', 'discountAmount', 'taxIsAfterDiscount', 'totalTaxTypeCode', 'purchaserVATRegistrationNumber', 'merchantVATRegistrationNumber', 'vatInvoiceReferenceNumber', 'purchaserCode', 'summaryCommodityCode', 'purchaseOrderDateUTC', 'supplierOrderReference', 'authorizedContactName', 'cardAcceptorRefNumber', 'amexDataTAA1', 'amexDataTAA2', 'amexDataTAA3', 'amexDataTAA4'],
+  lineItem: ['itemId', 'name', 'description', 'quantity', 'unitPrice', 'taxable', 'unitOfMeasure', 'typeOfSupply', 'taxRate', 'taxAmount', 'nationalTax', 'localTax', 'vatRate', 'alternateTaxId', 'alternateTaxType', 'alternateTaxTypeApplied', 'alternateTaxRate', 'alternateTaxAmount', 'totalAmount', 'commodityCode', 'productCode', 'productSKU', 'discountRate', 'discountAmount', 'taxIncludedInTotal', 'taxIsAfterDiscount'],
+  tax: ['amount', 'name', 'description'],
+  duty: ['amount', 'name', 'description'],
+  shipping: ['amount', 'name', 'description'],
+  // customerDataType (transactions) and customerProfileBaseType (customer profiles)
+  customer: ['type', 'id', 'merchantCustomerId', 'description', 'email', 'phoneNumber', 'faxNumber', 'driversLicense', 'taxId'],
+  billTo: ['firstName', 'lastName', 'company', 'address', 'city', 'state', 'zip', 'country', 'phoneNumber', 'faxNumber', 'email'],
+  shipTo: ['firstName', 'lastName', 'company', 'address', 'city', 'state', 'zip', 'country', 'phoneNumber', 'faxNumber', 'email'],
+  cardholderAuthentication: ['authenticationIndicator', 'cardholderAuthenticationValue'],
+  processingOptions: ['isFirstRecurringPayment', 'isFirstSubsequentAuth', 'isSubsequentAuth', 'isStoredCredentials'],
+  subsequentAuthInformation: ['originalNetworkTransId', 'originalAuthAmount', 'reason'],
+  subscription: ['name', 'paymentSchedule', 'amount', 'trialAmount', 'payment', 'order', 'customer', 'billTo', 'shipTo', 'profile'],
+  paymentSchedule: ['interval', 'startDate', 'totalOccurrences', 'trialOccurrences'],
+  interval: ['length', 'unit'],
+  // customerProfilePaymentType (transactions) and customerProfileIdType (ARB subscriptions)
+  profile: ['createProfile', 'customerProfileId', 'customerPaymentProfileId', 'paymentProfile', 'customerAddressId', 'shippingProfileId'],
+  paymentProfile: ['paymentProfileId', 'cardCode'],
+  sorting: ['orderBy', 'orderDescending'],
+  paging: ['limit', 'offset'],
+};
+
+/**
+ * Root elements of every request: merchantAuthentication must come first,
+ * followed by the optional clientId and refId
+ */
+const REQUEST_ROOT_SEQUENCE = ['merchantAuthentication', 'clientId', 'refId'];
+
+class AnetApiClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.apiLoginId - Authorize.Net API Login ID
+   * @param {string} options.transactionKey - Authorize.Net Transaction Key
+   * @param {string} options.baseUrl - XML API endpoint (sandbox or production)
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor({ apiLoginId, transactionKey, baseUrl, timeout = 30000 }) {
+    this.apiLoginId = apiLoginId;
+    this.transactionKey = transactionKey;
+    this.baseUrl = baseUrl;
+    this.timeout = timeout;
+
+    this.builder = new XMLBuilder({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      format: true,
+      indentBy: '  ',
+      suppressEmptyNode: true,
+    });
+
+    this.parser = new XMLParser({
+      ignoreAttributes: true,
+      removeNSPrefix: true,
+      parseTagValue: false,
+      trimValues: true,
+      isArray: (name, jpath) => {
+        const parent = jpath.split('.').slice(-2, -1)[0];
+        return LIST_ELEMENTS.has(`${parent}.${name}`);
+      },
+    });
+  }
+
+  /**
+   * Build an XML request document
+   * Empty values (undefined, null, '' and empty objects) are omitted, since every
+   * optional element in the schema may be left out entirely.
+   * @param {string} requestType - Root element name (e.g. 'createTransactionRequest')
+   * @param {Object} body - Request elements, excluding merchantAuthentication
+   * @returns {string} XML request string
+   */
+  buildRequest(requestType, body = {}) {
+    const content = this.orderElements(null, {
+      merchantAuthentication: {
+        name: this.apiLoginId,
+        transactionKey: this.transactionKey,
+      },
+      ...this.compact(body),
+    }, REQUEST_ROOT_SEQUENCE);
+
+    const xml = this.builder.build({
+      [requestType]: {
+        '@_xmlns': ANET_NAMESPACE,
+        ...content,
+      },
+    });
+
+    return `<?xml version="1.0" encoding="utf-8"?>\n${xml}`;
+  }
+
+  /**
+   * Parse an XML response document
+   * @param {string} xmlString - XML response string
+   * @returns {{ type: string, response: Object }} Root element name and its element tree
+   */
+  parseResponse(xmlString) {
+    // Authorize.Net prefixes its XML responses with a byte order mark
+    const xml = String(xmlString || '').replace(/^\uFEFF/, '');
+    const document = this.parser.parse(xml);
+
+    const type = Object.keys(document).find((key) => key !== '?xml');
+    if (!type) {
+      const error = new Error('Authorize.Net returned an empty or invalid XML response');
+      error.authorizeNetError = {
+        rawResponse: xmlString,
+      };
+      throw error;
+    }
+
+    return {
+      type,
+      response: typeof document[type] === 'object' ? document[type] : {},
+    };
+  }
+
+  /**
+   * Send a request to the Authorize.Net XML API
+   * A failed request (error status from the API) is rethrown from axios unchanged,
+   * so callers can inspect error.response.
+   * @param {string} requestType - Root element name (e.g. 'createTransactionRequest')
+   * @param {Object} body - Request elements, excluding merchantAuthentication
+   * @returns {Promise<Object>} Response element tree (content of the root element,
+   * which is either the matching "...Response" or an ErrorResponse)
+   */
+  async send(requestType, body = {}) {
+    const xmlRequest = this.buildRequest(requestType, body);
+
+    const response = await axios.post(this.baseUrl, xmlRequest, {
+      headers: {
+        'Content-Type': 'application/xml',
+      },
+      timeout: this.timeout,
+      // Keep the raw XML, axios would otherwise try to JSON-parse it
+      responseType: 'text',
+      transformResponse: [(data) => data],
+    });
+
+    return this.parseResponse(response.data).response;
+  }
+
+  /**
+   * Remove empty values from a request object (recursively)
+   * @param {*} value - Request value
+   * @returns {*} Value without empty elements, or undefined if it is empty itself
+   */
+  compact(value) {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+
+    if (Array.isArray(value)) {
+      const items = value.map((item) => this.compact(item)).filter((item) => item !== undefined);
+      return items.length > 0 ? items : undefined;
+    }
+
+    if (typeof value === 'object') {
+      const result = {};
+      for (const [key, child] of Object.entries(value)) {
+        const compacted = this.compact(child);
+        if (compacted !== undefined) {
+          result[key] = compacted;
+        }
+      }
+      return Object.keys(result).length > 0 ? result : undefined;
+    }
+
+    if (typeof value === 'boolean' || typeof value === 'number') {
+      return String(value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Reorder the children of a request element to match its schema sequence
+   * @param {string|null} name - Element name
+   * @param {*} value - Element value
+   * @param {Array<string>} [sequence] - Explicit sequence (defaults to ELEMENT_SEQUENCES[name])
+   * @returns {*} Reordered element value
+   */
+  orderElements(name, value, sequence = ELEMENT_SEQUENCES[name]) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.orderElements(name, item));
+    }
+
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    const keys = Object.keys(value);
+    if (sequence) {
+      const position = (key) => {
+        const index = sequence.indexOf(key);
+        return index === -1 ? sequence.length : index;
+      };
+      keys.sort((a, b) => position(a) - position(b));
+    }
+
+    const result = {};
+    for (const key of keys) {
+      result[key] = this.orderElements(key, value[key]);
+    }
+    return result;
+  }
+}
+
+export default AnetApiClient;
@@ -0,0 +1,162 @@
+import axios from 'axios';
+
+/**
+ * Authorize.Net Webhooks REST API Client
+ * Manages webhook subscriptions (which URL receives which event types) and
+ * reads notification history, instead of configuring them in the Merchant Interface.
+ *
+ * Like AnetApiClient it does not read the server configuration itself: pass the
+ * credentials and base URL (config.authorizeNetWebhooksBaseUrl, or a local
+ * stand-in server for testing) to the constructor.
+ *
+ * Documentation: https://developer.authorize.net/api/reference/features/webhooks.html
+ */
+
+class AnetWebhooksClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.apiLoginId - Authorize.Net API Login ID
+   * @param {string} options.transactionKey - Authorize.Net Transaction Key
+   * @param {string} options.baseUrl - REST API base URL (e.g. https://apitest.authorize.net/rest/v1)
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor({ apiLoginId, transactionKey, baseUrl, timeout = 30000 }) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.timeout = timeout;
+    this.authorization = `Basic ${Buffer.from(`${apiLoginId}:${transactionKey}`).toString('base64')}`;
+  }
+
+  /**
+   * List the event types that can be subscribed to
+   * @returns {Promise<Array<{ name: string }>>} Event types
+   */
+  async listEventTypes() {
+    return this.request('GET', '/eventtypes');
+  }
+
+  /**
+   * List webhook subscriptions
+   * @returns {Promise<Array<Object>>} Webhooks ({ webhookId, name, url, eventTypes, status })
+   */
+  async listWebhooks() {
+    return this.request('GET', '/webhooks');
+  }
+
+  /**
+   * Get a webhook subscription
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<Object>} Webhook
+   */
+  async getWebhook(webhookId) {
+    return this.request('GET', `/webhooks/${encodeURIComponent(webhookId)}`);
+  }
+
+  /**
+   * Create a webhook subscription
+   * @param {Object} webhook - Webhook
+   * @param {string} webhook.url - URL that receives the notifications
+   * @param {Array<string>} webhook.eventTypes - Event types to send
+   * @param {string} [webhook.name] - Display name
+   * @param {string} [webhook.status] - 'active' (default) or 'inactive'
+   * @returns {Promise<Object>} Created webhook
+   */
+  async createWebhook({ url, eventTypes, name, status = 'active' }) {
+    return this.request('POST', '/webhooks', { name, url, eventTypes, status });
+  }
+
+  /**
+   * Update a webhook subscription
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} changes - Fields to change (url, eventTypes, status)
+   * @returns {Promise<Object>} Updated webhook
+   */
+  async updateWebhook(webhookId, changes) {
+    return this.request('PUT', `/webhooks/${encodeURIComponent(webhookId)}`, changes);
+  }
+
+  /**
+   * Delete a webhook subscription
+   * @param {string} webhookId - Webhook ID
+   */
+  async deleteWebhook(webhookId) {
+    await this.request('DELETE', `/webhooks/${encodeURIComponent(webhookId)}`);
+  }
+
+  /**
+   * Send a test notification to a webhook's URL
+   * The webhook must be active.
+   * @param {string} webhookId - Webhook ID
+   */
+  async pingWebhook(webhookId) {
+    await this.request('POST', `/webhooks/${encodeURIComponent(webhookId)}/pings`);
+  }
+
+  /**
+   * Get notification history (delivery status of sent notifications)
+   * @param {Object} [options] - Paging
+   * @param {number} [options.offset] - Page offset (default 0)
+   * @param {number} [options.limit] - Page size (default 100, max 1000)
+   * @param {string} [options.deliveryStatus] - e.g. 'Failed', 'Delivered', 'RetryPending'
+   * @returns {Promise<Array<Object>>} Notifications
+   */
+  async listNotifications({ offset = 0, limit = 100, deliveryStatus } = {}) {
+    const response = await this.request('GET', '/notifications', undefined, { offset, limit, deliveryStatus });
+    return response?.notifications || [];
+  }
+
+  /**
+   * Get one notification, including its payload
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<Object>} Notification
+   */
+  async getNotification(notificationId) {
+    return this.request('GET', `/notifications/${encodeURIComponent(notificationId)}`);
+  }
+
+  /**
+   * Send a request to the Webhooks REST API
+   * Errors are rethrown with an authorizeNetError object built from the JSON
+   * error body ({ status, reason, message, correlationId }).
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the base URL
+   * @param {Object} [body] - JSON body
+   * @param {Object} [params] - Query parameters
+   * @returns {Promise<*>} Response body (undefined for empty responses)
+   */
+  async request(method, path, body, params) {
+    try {
+      const response = await axios.request({
+        method,
+        url: `${this.baseUrl}${path}`,
+        data: body,
+        params,
+        headers: {
+          Authorization: this.authorization,
+          'Content-Type': 'application/json',
+        },
+        timeout: this.timeout,
+      });
+
+      return response.data === '' ? undefined : response.data;
+    } catch (err) {
+      if (!err.response) {
+        throw err;
+      }
+
+      const data = err.response.data || {};
+      const error = new Error(`Authorize.Net Webhooks API ${method} ${path} failed: ${data.message || data.reason || `HTTP ${err.response.status}`}`);
+      error.statusCode = err.response.status >= 500 ? 502 : err.response.status;
+      error.code = 'WEBHOOKS_API_ERROR';
+      error.authorizeNetError = {
+        status: err.response.status,
+        reason: data.reason,
+        message: data.message,
+        correlationId: data.correlationId,
+        response: data,
+      };
+      throw error;
+    }
+  }
+}
+
+export default AnetWebhooksClient;
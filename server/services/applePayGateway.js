@@ -0,0 +1,115 @@
+import config from '../config/applepay.js';
+
+/**
+ * Apple Pay payment gateway hosts
+ * The validationURL sent by Apple Pay JS (event.validationURL) always points
+ * to one of these hosts. /validate makes a mutual TLS request with the merchant
+ * identity certificate to this URL, so anything else is rejected: otherwise a
+ * caller could make the server connect to arbitrary hosts (SSRF).
+ *
+ * Source: https://developer.apple.com/documentation/apple_pay_on_the_web/setting_up_your_server
+ */
+
+export const APPLE_PAY_GATEWAY_HOSTS = new Set([
+  // Global
+  'apple-pay-gateway.apple.com',
+  'apple-pay-gateway-nc-pod1.apple.com',
+  'apple-pay-gateway-nc-pod2.apple.com',
+  'apple-pay-gateway-nc-pod3.apple.com',
+  'apple-pay-gateway-nc-pod4.apple.com',
+  'apple-pay-gateway-nc-pod5.apple.com',
+  'apple-pay-gateway-pr-pod1.apple.com',
+  'apple-pay-gateway-pr-pod2.apple.com',
+  'apple-pay-gateway-pr-pod3.apple.com',
+  'apple-pay-gateway-pr-pod4.apple.com',
+  'apple-pay-gateway-pr-pod5.apple.com',
+  'apple-pay-gateway-nc-pod1-dr.apple.com',
+  'apple-pay-gateway-nc-pod2-dr.apple.com',
+  'apple-pay-gateway-nc-pod3-dr.apple.com',
+  'apple-pay-gateway-nc-pod4-dr.apple.com',
+  'apple-pay-gateway-nc-pod5-dr.apple.com',
+  'apple-pay-gateway-pr-pod1-dr.apple.com',
+  'apple-pay-gateway-pr-pod2-dr.apple.com',
+  'apple-pay-gateway-pr-pod3-dr.apple.com',
+  'apple-pay-gateway-pr-pod4-dr.apple.com',
+  'apple-pay-gateway-pr-pod5-dr.apple.com',
+  // China region
+  'cn-apple-pay-gateway.apple.com',
+  'cn-apple-pay-gateway-sh-pod1.apple.com',
+  'cn-apple-pay-gateway-sh-pod1-dr.apple.com',
+  'cn-apple-pay-gateway-sh-pod2.apple.com',
+  'cn-apple-pay-gateway-sh-pod2-dr.apple.com',
+  'cn-apple-pay-gateway-sh-pod3.apple.com',
+  'cn-apple-pay-gateway-sh-pod3-dr.apple.com',
+  'cn-apple-pay-gateway-tj-pod1.apple.com',
+  'cn-apple-pay-gateway-tj-pod1-dr.apple.com',
+  'cn-apple-pay-gateway-tj-pod2.apple.com',
+  'cn-apple-pay-gateway-tj-pod2-dr.apple.com',
+  'cn-apple-pay-gateway-tj-pod3.apple.com',
+  'cn-apple-pay-gateway-tj-pod3-dr.apple.com',
+  // Sandbox
+  'apple-pay-gateway-cert.apple.com',
+  'cn-apple-pay-gateway-cert.apple.com',
+]);
+
+/**
+ * Build the error for a rejected validation URL
+ * @param {string} reason - Machine-readable reason
+ * @param {string} message - Description
+ * @param {Object} [details] - Extra applePayError fields
+ * @returns {Error} Error (400 INVALID_VALIDATION_URL)
+ */
+function rejection(reason, message, details = {}) {
+  const error = new Error(`Invalid validationURL: ${message}`);
+  error.statusCode = 400;
+  error.code = 'INVALID_VALIDATION_URL';
+  error.applePayError = {
+    type: 'ValidationURLError',
+    reason,
+    message,
+    ...details,
+  };
+  return error;
+}
+
+/**
+ * Check a merchant validation URL against the Apple Pay gateway hosts
+ * Only https URLs on the default port are accepted, matched on the exact
+ * hostname. APPLE_PAY_VALIDATION_EXTRA_HOSTS adds hosts (hostname or
+ * hostname:port) for a local mock Apple server in tests.
+ * @param {string} validationURL - URL from the onvalidatemerchant event
+ * @returns {URL} Parsed URL
+ * @throws {Error} If the URL is not an Apple Pay gateway URL (400)
+ */
+export function assertAppleValidationURL(validationURL) {
+  let url;
+  try {
+    url = new URL(validationURL);
+  } catch (err) {
+    throw rejection('invalid_url', 'not a valid URL');
+  }
+
+  if (url.protocol !== 'https:') {
+    throw rejection('https_required', 'only https URLs are allowed', { protocol: url.protocol });
+  }
+
+  if (url.username || url.password) {
+    throw rejection('credentials_not_allowed', 'URLs with credentials are not allowed');
+  }
+
+  const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+
+  if (config.applePayValidationExtraHosts.includes(url.port ? `${hostname}:${url.port}` : hostname)) {
+    return url;
+  }
+
+  if (!APPLE_PAY_GATEWAY_HOSTS.has(hostname)) {
+    throw rejection('host_not_allowed', `${hostname} is not an Apple Pay gateway host`, { hostname });
+  }
+
+  if (url.port) {
+    throw rejection('port_not_allowed', 'Apple Pay gateway URLs must use the default https port', { port: url.port });
+  }
+
+  return url;
+}
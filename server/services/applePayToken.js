@@ -0,0 +1,653 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import config from '../config/applepay.js';
+import { getStore } from '../stores/index.js';
+import {
+  decodeOid,
+  decodeTime,
+  elementBytes,
+  elementContent,
+  findExtension,
+  readChildren,
+  readElement,
+} from './asn1.js';
+
+/**
+ * Apple Pay Payment Token Service
+ * Verifies and decrypts token.paymentData on our own server, with the private
+ * key of the Payment Processing Certificate (APPLE_PAY_PROCESSING_KEY[_PATH]),
+ * so we can check what the shopper approved before charging it.
+ *
+ * Verification follows Apple's "Payment token format reference":
+ * 1. The signature is a detached PKCS#7/CMS signature; its certificates must be
+ *    the Apple Pay leaf (OID 1.2.840.113635.100.6.29) and intermediate
+ *    (OID 1.2.840.113635.100.6.2.14) certificates
+ * 2. The chain must lead to Apple Root CA - G3 (APPLE_PAY_ROOT_CA_PATH, pinned by fingerprint)
+ * 3. The signature covers ephemeralPublicKey (EC_v1) or wrappedKey (RSA_v1),
+ *    data, transactionId and applicationData
+ * 4. signingTime must be within APPLE_PAY_TOKEN_MAX_AGE_SECONDS of now
+ *
+ * Decryption:
+ * - EC_v1: ECDH (merchant private key + ephemeral public key), NIST SP 800-56A
+ *   concatenation KDF with SHA-256, then AES-256-GCM
+ * - RSA_v1: RSA-OAEP (SHA-256) unwraps the AES-256-GCM key
+ *
+ * Every token is single-use: its header.transactionId is recorded when it is
+ * first submitted (claim), and repeats are rejected.
+ *
+ * Documentation: https://developer.apple.com/documentation/passkit/payment-token-format-reference
+ */
+
+const OID_SIGNED_DATA = '1.2.840.113549.1.7.2';
+const OID_MESSAGE_DIGEST = '1.2.840.113549.1.9.4';
+const OID_SIGNING_TIME = '1.2.840.113549.1.9.5';
+const OID_SHA256 = '2.16.840.1.101.3.4.2.1';
+const OID_APPLE_PAY_LEAF = '1.2.840.113635.100.6.29';
+const OID_APPLE_PAY_INTERMEDIATE = '1.2.840.113635.100.6.2.14';
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+const HEX_PATTERN = /^[0-9a-fA-F]+$/;
+
+// ISO 4217 numeric codes, as used in the decrypted currencyCode
+const CURRENCY_NUMERIC_CODES = {
+  USD: '840',
+  EUR: '978',
+  GBP: '826',
+  CAD: '124',
+  AUD: '036',
+};
+
+/**
+ * Build a PaymentTokenError
+ * @param {string} reason - Machine-readable reason
+ * @param {string} message - Description
+ * @param {Object} [details] - Extra applePayError fields
+ * @param {number} [statusCode] - HTTP status (400: the token was rejected)
+ * @returns {Error} Error (INVALID_PAYMENT_TOKEN)
+ */
+function tokenError(reason, message, details = {}, statusCode = 400) {
+  const error = new Error(`Invalid payment token: ${message}`);
+  error.statusCode = statusCode;
+  error.code = 'INVALID_PAYMENT_TOKEN';
+  error.applePayError = {
+    type: 'PaymentTokenError',
+    reason,
+    message,
+    ...details,
+  };
+  return error;
+}
+
+/**
+ * Build an error for missing or invalid token decryption configuration
+ * @param {string} message - Description
+ * @returns {Error} Error (500 PAYMENT_TOKEN_CONFIG_ERROR)
+ */
+function configError(message) {
+  const error = new Error(message);
+  error.statusCode = 500;
+  error.code = 'PAYMENT_TOKEN_CONFIG_ERROR';
+  error.applePayError = {
+    type: 'CertificateError',
+    message,
+  };
+  return error;
+}
+
+/**
+ * Read a PEM value given as an environment variable (PEM content or base64) or file
+ * @param {string|null} value - Environment variable value
+ * @param {string|null} path - File path
+ * @returns {string|null} PEM content, or null if neither is set
+ */
+function readPem(value, path) {
+  if (value) {
+    const pem = value.replace(/\\n/g, '\n');
+    return pem.includes('-----BEGIN') ? pem : Buffer.from(pem, 'base64').toString('utf8');
+  }
+
+  return path ? fs.readFileSync(path, 'utf8') : null;
+}
+
+class ApplePayTokenService {
+  constructor() {
+    // Loaded lazily, on first use
+    this.processingKey = null;
+    this.rootCertificate = null;
+    // header.transactionId of every token submitted for payment
+    this.seenTokens = getStore('payment-tokens');
+  }
+
+  /**
+   * Whether tokens are decrypted (a Payment Processing Certificate key is configured)
+   * @returns {boolean} True if APPLE_PAY_PROCESSING_KEY or APPLE_PAY_PROCESSING_KEY_PATH is set
+   */
+  get enabled() {
+    return Boolean(config.applePayProcessingKey || config.applePayProcessingKeyPath);
+  }
+
+  /**
+   * Verify and decrypt an Apple Pay payment token
+   * @param {Object|string} paymentToken - Token from ApplePayPayment.token (or its JSON)
+   * @param {Object} [options] - Options
+   * @param {Date} [options.now] - Current time (freshness check)
+   * @returns {Object} Decrypted payment data: dpan, expirationDate (YYMMDD), cryptogram,
+   * eci, transactionAmount (minor units), currencyCode (ISO 4217 numeric), ...
+   * @throws {Error} If the token is malformed, its signature is invalid or stale,
+   * or it cannot be decrypted (400 INVALID_PAYMENT_TOKEN)
+   */
+  decrypt(paymentToken, { now = new Date() } = {}) {
+    const paymentData = this.getPaymentData(paymentToken);
+    const { signingTime } = this.verifySignature(paymentData, { now });
+
+    const privateKey = this.getProcessingKey();
+    const { header, version } = paymentData;
+
+    // publicKeyHash identifies the processing certificate the token was encrypted for
+    const publicKeyHash = crypto.createHash('sha256')
+      .update(crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' }))
+      .digest('base64');
+    if (header.publicKeyHash !== publicKeyHash) {
+      throw tokenError('key_mismatch', 'token was encrypted for a different payment processing certificate');
+    }
+
+    let payload;
+    try {
+      const symmetricKey = version === 'EC_v1'
+        ? this.deriveEcKey(privateKey, header.ephemeralPublicKey)
+        : this.unwrapRsaKey(privateKey, header.wrappedKey);
+      payload = JSON.parse(this.decryptData(symmetricKey, Buffer.from(paymentData.data, 'base64')).toString('utf8'));
+    } catch (err) {
+      throw tokenError('decryption_failed', 'token data could not be decrypted', { detail: err.message });
+    }
+
+    const networkData = payload.paymentData || {};
+
+    return {
+      version,
+      transactionId: header.transactionId,
+      signingTime: signingTime.toISOString(),
+      dpan: payload.applicationPrimaryAccountNumber,
+      dpanLast4: String(payload.applicationPrimaryAccountNumber || '').slice(-4),
+      expirationDate: payload.applicationExpirationDate,
+      cryptogram: networkData.onlinePaymentCryptogram || null,
+      eci: networkData.eciIndicator || null,
+      transactionAmount: payload.transactionAmount,
+      currencyCode: payload.currencyCode,
+      paymentDataType: payload.paymentDataType,
+      deviceManufacturerIdentifier: payload.deviceManufacturerIdentifier,
+      cardholderName: payload.cardholderName || null,
+    };
+  }
+
+  /**
+   * Check that the amount approved in the payment sheet is the order total
+   * @param {Object} token - Decrypted token (see decrypt)
+   * @param {Object} order - Order being paid
+   * @throws {Error} If amount or currency differ (400 INVALID_PAYMENT_TOKEN)
+   */
+  assertMatchesOrder(token, order) {
+    const expectedAmount = Math.round(parseFloat(order.total.amount) * 100);
+    const expectedCurrency = CURRENCY_NUMERIC_CODES[order.currencyCode];
+
+    if (Number(token.transactionAmount) !== expectedAmount) {
+      throw tokenError('amount_mismatch', 'approved amount does not match the order total', {
+        orderId: order.id,
+        approvedAmount: token.transactionAmount,
+        expectedAmount,
+      });
+    }
+
+    if (expectedCurrency && token.currencyCode !== expectedCurrency) {
+      throw tokenError('currency_mismatch', 'approved currency does not match the order currency', {
+        orderId: order.id,
+        approvedCurrency: token.currencyCode,
+        expectedCurrency,
+      });
+    }
+  }
+
+  /**
+   * Verify the signature of token.paymentData
+   * Works without the processing key, only Apple Root CA - G3 is needed.
+   * @param {Object} paymentData - token.paymentData
+   * @param {Object} [options] - Options
+   * @param {Date} [options.now] - Current time (freshness check)
+   * @returns {{ signingTime: Date, leafSubject: string }} Signing time and signer
+   * @throws {Error} If the signature is missing, invalid, untrusted or stale (400)
+   */
+  verifySignature(paymentData, { now = new Date() } = {}) {
+    const { version, header = {} } = paymentData;
+
+    if (version !== 'EC_v1' && version !== 'RSA_v1') {
+      throw tokenError('unsupported_version', `unsupported token version ${version}`, { version });
+    }
+
+    const keyField = version === 'EC_v1' ? 'ephemeralPublicKey' : 'wrappedKey';
+    for (const field of ['data', 'signature']) {
+      if (typeof paymentData[field] !== 'string' || !paymentData[field]) {
+        throw tokenError('malformed', `paymentData.${field} is missing`, { field: `paymentData.${field}` });
+      }
+    }
+    for (const field of [keyField, 'publicKeyHash', 'transactionId']) {
+      if (typeof header[field] !== 'string' || !header[field]) {
+        throw tokenError('malformed', `paymentData.header.${field} is missing`, { field: `paymentData.header.${field}` });
+      }
+    }
+
+    let signature;
+    try {
+      signature = this.parseSignature(Buffer.from(paymentData.signature, 'base64'));
+    } catch (err) {
+      throw tokenError('malformed', 'signature is not a valid PKCS#7 signature', { detail: err.message });
+    }
+
+    const { certificates, signedAttributes, signedAttributesDer, digestAlgorithm, signatureValue } = signature;
+    const { signingTime, messageDigest } = signedAttributes;
+
+    // 1. Apple Pay leaf and intermediate certificates
+    const leaf = certificates.find((certificate) => findExtension(certificate.raw, OID_APPLE_PAY_LEAF));
+    const intermediate = certificates.find((certificate) => findExtension(certificate.raw, OID_APPLE_PAY_INTERMEDIATE));
+    if (!leaf || !intermediate) {
+      throw tokenError('certificate_invalid', 'signature does not contain the Apple Pay leaf and intermediate certificates');
+    }
+
+    // 2. Chain of trust up to Apple Root CA - G3
+    const root = this.getRootCertificate();
+    if (!intermediate.checkIssued(root) || !intermediate.verify(root.publicKey)
+      || !leaf.checkIssued(intermediate) || !leaf.verify(intermediate.publicKey)) {
+      throw tokenError('untrusted_certificate', 'signing certificate is not issued by Apple Root CA - G3');
+    }
+
+    if (!signingTime || !messageDigest) {
+      throw tokenError('malformed', 'signature has no signingTime or messageDigest attribute');
+    }
+
+    for (const certificate of [leaf, intermediate]) {
+      if (signingTime < new Date(certificate.validFrom) || signingTime > new Date(certificate.validTo)) {
+        throw tokenError('certificate_invalid', 'signing certificate was not valid at signingTime', {
+          subject: certificate.subject.split('\n').join(', '),
+          signingTime: signingTime.toISOString(),
+        });
+      }
+    }
+
+    // 3. Signature over the token content
+    const signedContent = Buffer.concat([
+      Buffer.from(header[keyField], 'base64'),
+      Buffer.from(paymentData.data, 'base64'),
+      Buffer.from(header.transactionId, 'hex'),
+      Buffer.from(header.applicationData || '', 'hex'),
+    ]);
+
+    // timingSafeEqual throws on buffers of different lengths: check the SHA-256 length first
+    if (digestAlgorithm !== OID_SHA256
+      || messageDigest.length !== 32
+      || !crypto.timingSafeEqual(crypto.createHash('sha256').update(signedContent).digest(), messageDigest)
+      || !crypto.verify('sha256', signedAttributesDer, leaf.publicKey, signatureValue)) {
+      throw tokenError('signature_invalid', 'signature does not match the token content');
+    }
+
+    // 4. Freshness
+    this.assertFresh(signingTime, { now });
+
+    return {
+      signingTime,
+      leafSubject: leaf.subject.split('\n').join(', '),
+    };
+  }
+
+  /**
+   * Check the age of a token without verifying its signature chain
+   * Used when tokens are not decrypted here (Authorize.Net verifies the
+   * signature when it decrypts them), to reject old tokens before charging.
+   * @param {Object|string} paymentToken - Token or its JSON
+   * @param {Object} [options] - Options
+   * @param {Date} [options.now] - Current time
+   * @returns {Date} signingTime of the token signature
+   * @throws {Error} If the signature cannot be read or the token is stale (400)
+   */
+  checkFreshness(paymentToken, { now = new Date() } = {}) {
+    const paymentData = this.getPaymentData(paymentToken);
+
+    let signingTime;
+    try {
+      ({ signingTime } = this.parseSignature(Buffer.from(paymentData.signature || '', 'base64')).signedAttributes);
+    } catch (err) {
+      throw tokenError('malformed', 'signature is not a valid PKCS#7 signature', { detail: err.message });
+    }
+    if (!signingTime) {
+      throw tokenError('malformed', 'signature has no signingTime attribute');
+    }
+
+    this.assertFresh(signingTime, { now });
+    return signingTime;
+  }
+
+  /**
+   * Reject tokens signed outside the APPLE_PAY_TOKEN_MAX_AGE_SECONDS window
+   * @param {Date} signingTime - signingTime of the token signature
+   * @param {Object} [options] - Options
+   * @param {Date} [options.now] - Current time
+   * @throws {Error} If the token is stale (400)
+   */
+  assertFresh(signingTime, { now = new Date() } = {}) {
+    const ageSeconds = Math.round((now.getTime() - signingTime.getTime()) / 1000);
+    if (Math.abs(ageSeconds) > config.applePayTokenMaxAgeSeconds) {
+      throw tokenError('stale', `token signingTime is outside the ${config.applePayTokenMaxAgeSeconds}s freshness window`, {
+        signingTime: signingTime.toISOString(),
+        ageSeconds,
+        maxAgeSeconds: config.applePayTokenMaxAgeSeconds,
+      });
+    }
+  }
+
+  /**
+   * Record a token as used, rejecting tokens that were submitted before
+   * Tokens are remembered for twice the freshness window: a token signed up to
+   * APPLE_PAY_TOKEN_MAX_AGE_SECONDS in the future is still fresh that long after now,
+   * and after that the freshness check rejects it anyway.
+   * @param {Object|string} paymentToken - Token or its JSON
+   * @param {Object} context - Payment context stored with the token
+   * @param {string} [context.orderId] - Order ID (none for subscriptions)
+   * @param {string} [context.userId] - User ID
+   * @param {string} [context.requestId] - Request ID (X-Request-Id)
+   * @returns {Promise<string>} Token transaction ID
+   * @throws {Error} If the token was already submitted (409 PAYMENT_TOKEN_REPLAYED)
+   */
+  async claim(paymentToken, { orderId, userId, requestId } = {}) {
+    const transactionId = this.getPaymentData(paymentToken).header.transactionId.toLowerCase();
+    const record = {
+      transactionId,
+      orderId: orderId || null,
+      userId: userId || null,
+      requestId: requestId || null,
+      firstSeenAt: new Date().toISOString(),
+    };
+
+    const claimed = await this.seenTokens.setIfAbsent(transactionId, record, {
+      ttlSeconds: config.applePayTokenMaxAgeSeconds * 2,
+    });
+
+    if (!claimed) {
+      const existing = await this.seenTokens.get(transactionId);
+      const error = new Error('This Apple Pay token was already submitted, authorize the payment again');
+      error.statusCode = 409;
+      error.code = 'PAYMENT_TOKEN_REPLAYED';
+      error.applePayError = {
+        type: 'PaymentTokenError',
+        reason: 'replayed',
+        transactionId,
+        orderId: existing?.orderId,
+        firstSeenAt: existing?.firstSeenAt,
+      };
+      throw error;
+    }
+
+    return transactionId;
+  }
+
+  /**
+   * Field-level validation of the token structure
+   * @param {Object|string} paymentToken - Token or its JSON
+   * @returns {Array<Object>} Validation errors ({ field, constraint, message }), empty if valid
+   */
+  getValidationErrors(paymentToken) {
+    let token = paymentToken;
+    if (typeof token === 'string') {
+      try {
+        token = JSON.parse(token);
+      } catch (err) {
+        return [{ field: 'paymentToken', constraint: 'format', message: 'paymentToken must be a JSON object' }];
+      }
+    }
+
+    if (!token || typeof token !== 'object') {
+      return [{ field: 'paymentToken', constraint: 'type', message: 'paymentToken must be an object' }];
+    }
+
+    const { paymentData } = token;
+    if (!paymentData || typeof paymentData !== 'object') {
+      return [{ field: 'paymentToken.paymentData', constraint: 'required', message: 'paymentToken.paymentData is required' }];
+    }
+
+    const errors = [];
+    const check = (field, value, pattern, description) => {
+      if (typeof value !== 'string' || value === '') {
+        errors.push({ field, constraint: 'required', message: `${field} is required` });
+      } else if (!pattern.test(value)) {
+        errors.push({ field, constraint: 'format', message: `${field} must be ${description}` });
+      }
+    };
+
+    if (paymentData.version !== 'EC_v1' && paymentData.version !== 'RSA_v1') {
+      errors.push({
+        field: 'paymentToken.paymentData.version',
+        constraint: 'enum',
+        message: 'paymentToken.paymentData.version must be "EC_v1" or "RSA_v1"',
+      });
+    }
+    check('paymentToken.paymentData.data', paymentData.data, BASE64_PATTERN, 'base64');
+    check('paymentToken.paymentData.signature', paymentData.signature, BASE64_PATTERN, 'base64');
+
+    const { header } = paymentData;
+    if (!header || typeof header !== 'object') {
+      errors.push({ field: 'paymentToken.paymentData.header', constraint: 'required', message: 'paymentToken.paymentData.header is required' });
+      return errors;
+    }
+
+    const keyField = paymentData.version === 'RSA_v1' ? 'wrappedKey' : 'ephemeralPublicKey';
+    check(`paymentToken.paymentData.header.${keyField}`, header[keyField], BASE64_PATTERN, 'base64');
+    check('paymentToken.paymentData.header.publicKeyHash', header.publicKeyHash, BASE64_PATTERN, 'base64');
+    check('paymentToken.paymentData.header.transactionId', header.transactionId, HEX_PATTERN, 'hexadecimal');
+    if (header.applicationData !== undefined) {
+      check('paymentToken.paymentData.header.applicationData', header.applicationData, HEX_PATTERN, 'hexadecimal');
+    }
+
+    if (token.transactionIdentifier !== undefined && typeof header.transactionId === 'string'
+      && String(token.transactionIdentifier).toLowerCase() !== header.transactionId.toLowerCase()) {
+      errors.push({
+        field: 'paymentToken.transactionIdentifier',
+        constraint: 'mismatch',
+        message: 'paymentToken.transactionIdentifier must match paymentData.header.transactionId',
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Parse a detached PKCS#7/CMS SignedData signature
+   * @param {Buffer} der - DER-encoded ContentInfo
+   * @returns {Object} { certificates, signedAttributes, signedAttributesDer, digestAlgorithm, signatureValue }
+   * @throws {Error} If the structure is not a SignedData with one signer
+   */
+  parseSignature(der) {
+    // ContentInfo ::= SEQUENCE { contentType, [0] EXPLICIT SignedData }
+    const [contentType, explicitContent] = readChildren(der, readElement(der));
+    if (decodeOid(der, contentType) !== OID_SIGNED_DATA || !explicitContent) {
+      throw new Error('not a PKCS#7 SignedData');
+    }
+
+    // SignedData ::= SEQUENCE { version, digestAlgorithms, encapContentInfo,
+    //   certificates [0] IMPLICIT OPTIONAL, crls [1] IMPLICIT OPTIONAL, signerInfos SET }
+    const [signedData] = readChildren(der, explicitContent);
+    const signedDataFields = readChildren(der, signedData);
+    const certificatesField = signedDataFields.find((element) => element.tag === 0xa0);
+    const signerInfos = signedDataFields[signedDataFields.length - 1];
+
+    const certificates = certificatesField
+      ? readChildren(der, certificatesField).map((element) => new crypto.X509Certificate(elementBytes(der, element)))
+      : [];
+
+    const [signerInfo] = readChildren(der, signerInfos);
+    if (!signerInfo) {
+      throw new Error('signature has no signer');
+    }
+
+    // SignerInfo ::= SEQUENCE { version, sid, digestAlgorithm, signedAttrs [0] IMPLICIT,
+    //   signatureAlgorithm, signature OCTET STRING, unsignedAttrs [1] IMPLICIT OPTIONAL }
+    const signerFields = readChildren(der, signerInfo);
+    const [digestAlgorithm] = readChildren(der, signerFields[2]);
+    const signedAttrs = signerFields.find((element) => element.tag === 0xa0);
+    const signatureValue = signerFields.find((element, index) => index > 2 && element.tag === 0x04);
+    if (!signedAttrs || !signatureValue) {
+      throw new Error('signer has no signed attributes or signature');
+    }
+
+    const signedAttributes = {};
+    for (const attribute of readChildren(der, signedAttrs)) {
+      const [type, values] = readChildren(der, attribute);
+      const [value] = readChildren(der, values);
+      const oid = decodeOid(der, type);
+
+      if (oid === OID_MESSAGE_DIGEST) {
+        signedAttributes.messageDigest = elementContent(der, value);
+      } else if (oid === OID_SIGNING_TIME) {
+        signedAttributes.signingTime = decodeTime(der, value);
+      }
+    }
+
+    // The signature covers the attributes DER-encoded as a SET, not with their [0] tag
+    const signedAttributesDer = Buffer.from(elementBytes(der, signedAttrs));
+    signedAttributesDer[0] = 0x31;
+
+    return {
+      certificates,
+      signedAttributes,
+      signedAttributesDer,
+      digestAlgorithm: decodeOid(der, digestAlgorithm),
+      signatureValue: elementContent(der, signatureValue),
+    };
+  }
+
+  /**
+   * EC_v1: derive the AES key from the ephemeral public key
+   * @param {crypto.KeyObject} privateKey - Processing private key (P-256)
+   * @param {string} ephemeralPublicKey - Base64 DER SubjectPublicKeyInfo
+   * @returns {Buffer} 256-bit AES key
+   */
+  deriveEcKey(privateKey, ephemeralPublicKey) {
+    const publicKey = crypto.createPublicKey({
+      key: Buffer.from(ephemeralPublicKey, 'base64'),
+      format: 'der',
+      type: 'spki',
+    });
+    const sharedSecret = crypto.diffieHellman({ privateKey, publicKey });
+
+    // KDF(Z, otherInfo) = SHA-256(counter || Z || otherInfo), single round
+    // otherInfo = algorithm ID (length-prefixed) || party U ("Apple") || party V (SHA-256 of the merchant ID)
+    const algorithmId = Buffer.from('id-aes256-GCM', 'ascii');
+    return crypto.createHash('sha256')
+      .update(Buffer.from([0, 0, 0, 1]))
+      .update(sharedSecret)
+      .update(Buffer.from([algorithmId.length]))
+      .update(algorithmId)
+      .update(Buffer.from('Apple', 'ascii'))
+      .update(crypto.createHash('sha256').update(config.appleMerchantId).digest())
+      .digest();
+  }
+
+  /**
+   * RSA_v1: unwrap the AES key
+   * @param {crypto.KeyObject} privateKey - Processing private key (RSA)
+   * @param {string} wrappedKey - Base64 wrapped key
+   * @returns {Buffer} AES key
+   */
+  unwrapRsaKey(privateKey, wrappedKey) {
+    return crypto.privateDecrypt({
+      key: privateKey,
+      padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+      oaepHash: 'sha256',
+    }, Buffer.from(wrappedKey, 'base64'));
+  }
+
+  /**
+   * AES-256-GCM decryption with the all-zero IV Apple Pay uses (the key is single-use)
+   * @param {Buffer} key - AES key
+   * @param {Buffer} data - Ciphertext followed by the 16-byte authentication tag
+   * @returns {Buffer} Plaintext
+   */
+  decryptData(key, data) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.alloc(16));
+    decipher.setAuthTag(data.subarray(data.length - 16));
+    return Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]);
+  }
+
+  /**
+   * Extract token.paymentData
+   * @param {Object|string} paymentToken - Token or its JSON
+   * @returns {Object} paymentData
+   * @throws {Error} If there is no paymentData (400)
+   */
+  getPaymentData(paymentToken) {
+    let token = paymentToken;
+    if (typeof token === 'string') {
+      try {
+        token = JSON.parse(token);
+      } catch (err) {
+        throw tokenError('malformed', 'paymentToken is not valid JSON');
+      }
+    }
+
+    if (!token?.paymentData || typeof token.paymentData !== 'object') {
+      throw tokenError('malformed', 'paymentToken.paymentData is missing', { field: 'paymentData' });
+    }
+
+    return token.paymentData;
+  }
+
+  /**
+   * Private key of the Payment Processing Certificate
+   * @returns {crypto.KeyObject} Private key
+   * @throws {Error} If it is not configured or cannot be read (500)
+   */
+  getProcessingKey() {
+    if (!this.processingKey) {
+      let pem;
+      try {
+        pem = readPem(config.applePayProcessingKey, config.applePayProcessingKeyPath);
+      } catch (err) {
+        throw configError(`Failed to load payment processing key: ${err.message}`);
+      }
+      if (!pem) {
+        throw configError('Payment token decryption requires APPLE_PAY_PROCESSING_KEY or APPLE_PAY_PROCESSING_KEY_PATH');
+      }
+
+      try {
+        this.processingKey = crypto.createPrivateKey(pem);
+      } catch (err) {
+        throw configError(`Invalid payment processing key: ${err.message}`);
+      }
+    }
+
+    return this.processingKey;
+  }
+
+  /**
+   * Apple Root CA - G3, checked against the pinned fingerprint
+   * @returns {crypto.X509Certificate} Root certificate
+   * @throws {Error} If it cannot be read or its fingerprint does not match (500)
+   */
+  getRootCertificate() {
+    if (!this.rootCertificate) {
+      let certificate;
+      try {
+        certificate = new crypto.X509Certificate(fs.readFileSync(config.applePayRootCaPath));
+      } catch (err) {
+        throw configError(`Failed to load Apple Root CA - G3 from ${config.applePayRootCaPath}: ${err.message}`);
+      }
+
+      if (certificate.fingerprint256.toUpperCase() !== config.applePayRootCaFingerprint.toUpperCase()) {
+        throw configError(`Certificate at ${config.applePayRootCaPath} is not Apple Root CA - G3 (fingerprint ${certificate.fingerprint256})`);
+      }
+
+      this.rootCertificate = certificate;
+    }
+
+    return this.rootCertificate;
+  }
+}
+
+// Export singleton instance
+export default new ApplePayTokenService();
@@ -0,0 +1,159 @@
+/**
+ * Minimal DER (ASN.1) reader
+ * Just enough to walk X.509 certificates and the PKCS#7/CMS signature of
+ * Apple Pay payment tokens: Node's crypto verifies signatures and certificates
+ * but does not expose extensions or CMS structures.
+ *
+ * Elements are { tag, offset, start, end }: offset is where the element starts
+ * (tag byte), start/end delimit its content in the buffer.
+ */
+
+/**
+ * Read the element at an offset
+ * @param {Buffer} buffer - DER data
+ * @param {number} [offset] - Offset of the tag
+ * @returns {{ tag: number, offset: number, start: number, end: number }} Element
+ * @throws {Error} If the element runs past the end of the buffer
+ */
+export function readElement(buffer, offset = 0) {
+  if (offset + 2 > buffer.length) {
+    throw new Error('DER element truncated');
+  }
+
+  const tag = buffer[offset];
+  let length = buffer[offset + 1];
+  let start = offset + 2;
+
+  if (length & 0x80) {
+    const bytes = length & 0x7f;
+    if (bytes === 0 || bytes > 4) {
+      throw new Error('Unsupported DER length encoding');
+    }
+    length = 0;
+    for (let i = 0; i < bytes; i++) {
+      length = length * 256 + buffer[start + i];
+    }
+    start += bytes;
+  }
+
+  if (start + length > buffer.length) {
+    throw new Error('DER element truncated');
+  }
+
+  return { tag, offset, start, end: start + length };
+}
+
+/**
+ * Child elements of a constructed element (SEQUENCE, SET, context tag)
+ * @param {Buffer} buffer - DER data
+ * @param {Object} element - Parent element
+ * @returns {Array<Object>} Children in order
+ */
+export function readChildren(buffer, element) {
+  const children = [];
+  let offset = element.start;
+
+  while (offset < element.end) {
+    const child = readElement(buffer, offset);
+    children.push(child);
+    offset = child.end;
+  }
+
+  return children;
+}
+
+/**
+ * Raw bytes of an element (tag, length and content)
+ * @param {Buffer} buffer - DER data
+ * @param {Object} element - Element
+ * @returns {Buffer} Encoded element
+ */
+export function elementBytes(buffer, element) {
+  return buffer.subarray(element.offset, element.end);
+}
+
+/**
+ * Content bytes of an element
+ * @param {Buffer} buffer - DER data
+ * @param {Object} element - Element
+ * @returns {Buffer} Content
+ */
+export function elementContent(buffer, element) {
+  return buffer.subarray(element.start, element.end);
+}
+
+/**
+ * Decode an OBJECT IDENTIFIER
+ * @param {Buffer} buffer - DER data
+ * @param {Object} element - OID element (tag 0x06)
+ * @returns {string} Dotted OID (e.g. '1.2.840.113549.1.7.2')
+ */
+export function decodeOid(buffer, element) {
+  const bytes = elementContent(buffer, element);
+  const parts = [];
+  let value = 0;
+
+  for (const byte of bytes) {
+    value = value * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+
+  const first = parts.shift() || 0;
+  const head = first < 80 ? [Math.floor(first / 40), first % 40] : [2, first - 80];
+  return [...head, ...parts].join('.');
+}
+
+/**
+ * Decode a UTCTime or GeneralizedTime
+ * @param {Buffer} buffer - DER data
+ * @param {Object} element - Time element (tag 0x17 or 0x18)
+ * @returns {Date} Time
+ */
+export function decodeTime(buffer, element) {
+  const text = elementContent(buffer, element).toString('latin1');
+  const match = element.tag === 0x17
+    ? /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/.exec(text)
+    : /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(?:\.\d+)?Z$/.exec(text);
+
+  if (!match) {
+    throw new Error(`Unsupported DER time: ${text}`);
+  }
+
+  let year = parseInt(match[1], 10);
+  if (element.tag === 0x17) {
+    // UTCTime: 50-99 are 1950-1999, 00-49 are 2000-2049
+    year += year >= 50 ? 1900 : 2000;
+  }
+
+  return new Date(Date.UTC(year, match[2] - 1, match[3], match[4], match[5], match[6]));
+}
+
+/**
+ * Find an extension of a DER-encoded X.509 certificate
+ * @param {Buffer} der - Certificate
+ * @param {string} oid - Extension OID
+ * @returns {Buffer|null} extnValue content (the DER-encoded extension value), or null
+ */
+export function findExtension(der, oid) {
+  // Certificate ::= SEQUENCE { tbsCertificate, signatureAlgorithm, signature }
+  const [tbsCertificate] = readChildren(der, readElement(der));
+  // extensions are tagged [3] at the end of tbsCertificate
+  const extensionsTag = readChildren(der, tbsCertificate).find((element) => element.tag === 0xa3);
+  if (!extensionsTag) {
+    return null;
+  }
+
+  const [extensions] = readChildren(der, extensionsTag);
+  for (const extension of readChildren(der, extensions)) {
+    // Extension ::= SEQUENCE { extnID, critical BOOLEAN DEFAULT FALSE, extnValue OCTET STRING }
+    const [extnId, ...rest] = readChildren(der, extension);
+    if (decodeOid(der, extnId) === oid) {
+      return elementContent(der, rest[rest.length - 1]);
+    }
+  }
+
+  return null;
+}
@@ -1,5 +1,15 @@
-import axios from 'axios';
 import config from '../config/applepay.js';
+import AnetApiClient from './anetApiClient.js';
+import customerIdService from './customerIds.js';
+
+// Authorize.Net expires authorizations that are not captured within 30 days
+const AUTHORIZATION_EXPIRY_DAYS = 30;
+
+// totalOccurrences of an ARB subscription without an end date
+const ARB_UNLIMITED_OCCURRENCES = 9999;
+
+// Largest page of getTransactionListRequest and getUnsettledTransactionListRequest
+const TRANSACTION_LIST_PAGE_SIZE = 1000;
 
 /**
  * Authorize.Net Service
@@ -9,152 +19,114 @@ import config from '../config/applepay.js';
  */
 class AuthorizeNetService {
   constructor() {
-    this.apiLoginId = config.authorizeNetApiLoginId;
-    this.transactionKey = config.authorizeNetTransactionKey;
-    this.baseUrl = config.authorizeNetBaseUrl;
+    this.client = new AnetApiClient({
+      apiLoginId: config.authorizeNetApiLoginId,
+      transactionKey: config.authorizeNetTransactionKey,
+      baseUrl: config.authorizeNetBaseUrl,
+    });
   }
 
   /**
-   * Create XML request for Authorize.Net API
+   * Build the transactionRequest element for an Apple Pay payment
    * @param {Object} transactionData - Transaction data
-   * @returns {string} XML request string
+   * @returns {Object} transactionRequest element (AnetApi transactionRequestType)
    */
-  createXmlRequest(transactionData) {
-    const xml = `<?xml version="1.0" encoding="utf-8"?>
-<createTransactionRequest xmlns="AnetApi/xml/v1/schema/AnetApiSchema.xsd">
-  <merchantAuthentication>
-    <name>${this.escapeXml(this.apiLoginId)}</name>
-    <transactionKey>${this.escapeXml(this.transactionKey)}</transactionKey>
-  </merchantAuthentication>
-  <refId>${this.escapeXml(transactionData.refId || '')}</refId>
-  <transactionRequest>
-    <transactionType>authCaptureTransaction</transactionType>
-    <amount>${this.escapeXml(transactionData.amount)}</amount>
-    <payment>
-      <opaqueData>
-        <dataDescriptor>${this.escapeXml(transactionData.dataDescriptor)}</dataDescriptor>
-        <dataValue>${this.escapeXml(transactionData.dataValue)}</dataValue>
-      </opaqueData>
-    </payment>
-    <order>
-      <invoiceNumber>${this.escapeXml(transactionData.invoiceNumber || '')}</invoiceNumber>
-      <description>${this.escapeXml(transactionData.description || 'Apple Pay Payment')}</description>
-    </order>
-    <customer>
-      <id>${this.escapeXml(transactionData.customerId || '')}</id>
-      <email>${this.escapeXml(transactionData.email || '')}</email>
-    </customer>
-    <billTo>
-      <firstName>${this.escapeXml(transactionData.billingAddress?.firstName || '')}</firstName>
-      <lastName>${this.escapeXml(transactionData.billingAddress?.lastName || '')}</lastName>
-      <company>${this.escapeXml(transactionData.billingAddress?.company || '')}</company>
-      <address>${this.escapeXml(transactionData.billingAddress?.address || '')}</address>
-      <city>${this.escapeXml(transactionData.billingAddress?.city || '')}</city>
-      <state>${this.escapeXml(transactionData.billingAddress?.state || '')}</state>
-      <zip>${this.escapeXml(transactionData.billingAddress?.zip || '')}</zip>
-      <country>${this.escapeXml(transactionData.billingAddress?.country || '')}</country>
-    </billTo>
-  </transactionRequest>
-</createTransactionRequest>`;
-
-    return xml;
-  }
-
-  /**
-   * Escape XML special characters
-   * @param {string} str - String to escape
-   * @returns {string} Escaped string
-   */
-  escapeXml(str) {
-    if (!str) return '';
-    return String(str)
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&apos;');
+  buildPaymentTransactionRequest(transactionData) {
+    return {
+      transactionType: transactionData.transactionType || 'authCaptureTransaction',
+      amount: transactionData.amount,
+      payment: transactionData.networkToken
+        ? {
+          // Token decrypted on our server (see ApplePayTokenService): the DPAN is
+          // sent as a card number flagged as a network token, with its cryptogram
+          creditCard: {
+            cardNumber: transactionData.networkToken.dpan,
+            expirationDate: transactionData.networkToken.expirationDate,
+            isPaymentToken: true,
+            cryptogram: transactionData.networkToken.cryptogram,
+          },
+        }
+        : {
+          opaqueData: {
+            dataDescriptor: transactionData.dataDescriptor,
+            dataValue: transactionData.dataValue,
+          },
+        },
+      order: {
+        invoiceNumber: transactionData.invoiceNumber,
+        description: transactionData.description || 'Apple Pay Payment',
+        discountAmount: transactionData.discountAmount,
+        taxIsAfterDiscount: transactionData.discountAmount ? true : undefined,
+      },
+      lineItems: transactionData.lineItems?.length
+        ? { lineItem: transactionData.lineItems }
+        : undefined,
+      tax: transactionData.tax,
+      duty: transactionData.duty,
+      shipping: transactionData.shipping,
+      customer: {
+        id: transactionData.customerId,
+        email: transactionData.email,
+      },
+      billTo: {
+        firstName: transactionData.billingAddress?.firstName,
+        lastName: transactionData.billingAddress?.lastName,
+        company: transactionData.billingAddress?.company,
+        address: transactionData.billingAddress?.address,
+        city: transactionData.billingAddress?.city,
+        state: transactionData.billingAddress?.state,
+        zip: transactionData.billingAddress?.zip,
+        country: transactionData.billingAddress?.country,
+        phoneNumber: transactionData.billingAddress?.phoneNumber,
+      },
+      shipTo: {
+        firstName: transactionData.shippingAddress?.firstName,
+        lastName: transactionData.shippingAddress?.lastName,
+        company: transactionData.shippingAddress?.company,
+        address: transactionData.shippingAddress?.address,
+        city: transactionData.shippingAddress?.city,
+        state: transactionData.shippingAddress?.state,
+        zip: transactionData.shippingAddress?.zip,
+        country: transactionData.shippingAddress?.country,
+      },
+      cardholderAuthentication: transactionData.networkToken?.eci
+        ? { authenticationIndicator: transactionData.networkToken.eci }
+        : undefined,
+      // Stored credential indicators of a payment whose card is kept for later charges
+      processingOptions: transactionData.isFirstRecurringPayment || transactionData.isFirstSubsequentAuth
+        ? {
+          isFirstRecurringPayment: transactionData.isFirstRecurringPayment || undefined,
+          isFirstSubsequentAuth: transactionData.isFirstSubsequentAuth || undefined,
+        }
+        : undefined,
+    };
   }
 
   /**
-   * Parse XML response from Authorize.Net
-   * @param {string} xmlString - XML response string
-   * @returns {Object} Parsed response object
+   * Build the transactionRequest element for a transaction that references a
+   * previous one (refundTransaction, voidTransaction, priorAuthCaptureTransaction)
+   * @param {Object} transactionData - Transaction data
+   * @param {string} transactionData.transactionType - Authorize.Net transaction type
+   * @param {string} transactionData.refTransId - Referenced transaction ID
+   * @param {string} [transactionData.amount] - Amount (omitted when not set)
+   * @param {string} [transactionData.cardNumber] - Last four digits of the card (refunds only)
+   * @param {string} [transactionData.expirationDate] - Card expiration date (refunds only)
+   * @returns {Object} transactionRequest element (AnetApi transactionRequestType)
    */
-  parseXmlResponse(xmlString) {
-    // Simple XML parsing (for production, consider using xml2js or similar)
-    // This is a basic implementation for POC
-    const result = {
-      transactionResponse: {},
-      messages: {},
+  buildReferencedTransactionRequest(transactionData) {
+    return {
+      transactionType: transactionData.transactionType,
+      amount: transactionData.amount,
+      payment: transactionData.cardNumber
+        ? {
+          creditCard: {
+            cardNumber: transactionData.cardNumber,
+            expirationDate: transactionData.expirationDate,
+          },
+        }
+        : undefined,
+      refTransId: transactionData.refTransId,
     };
-
-    // Extract transaction response
-    const transMatch = xmlString.match(/<transactionResponse[^>]*>([\s\S]*?)<\/transactionResponse>/);
-    if (transMatch) {
-      const transXml = transMatch[1];
-      
-      // Extract response code
-      const responseCodeMatch = transXml.match(/<responseCode>(.*?)<\/responseCode>/);
-      if (responseCodeMatch) {
-        result.transactionResponse.responseCode = responseCodeMatch[1];
-      }
-
-      // Extract auth code
-      const authCodeMatch = transXml.match(/<authCode>(.*?)<\/authCode>/);
-      if (authCodeMatch) {
-        result.transactionResponse.authCode = authCodeMatch[1];
-      }
-
-      // Extract trans ID
-      const transIdMatch = transXml.match(/<transId>(.*?)<\/transId>/);
-      if (transIdMatch) {
-        result.transactionResponse.transId = transIdMatch[1];
-      }
-
-      // Extract errors
-      const errors = [];
-      const errorMatches = transXml.matchAll(/<error>([\s\S]*?)<\/error>/g);
-      for (const errorMatch of errorMatches) {
-        const errorXml = errorMatch[1];
-        const errorCodeMatch = errorXml.match(/<errorCode>(.*?)<\/errorCode>/);
-        const errorTextMatch = errorXml.match(/<errorText>(.*?)<\/errorText>/);
-        errors.push({
-          errorCode: errorCodeMatch ? errorCodeMatch[1] : '',
-          errorText: errorTextMatch ? errorTextMatch[1] : '',
-        });
-      }
-      if (errors.length > 0) {
-        result.transactionResponse.errors = errors;
-      }
-    }
-
-    // Extract messages
-    const messagesMatch = xmlString.match(/<messages[^>]*>([\s\S]*?)<\/messages>/);
-    if (messagesMatch) {
-      const messagesXml = messagesMatch[1];
-      const resultCodeMatch = messagesXml.match(/<resultCode>(.*?)<\/resultCode>/);
-      if (resultCodeMatch) {
-        result.messages.resultCode = resultCodeMatch[1];
-      }
-      
-      // Extract message errors
-      const messageErrors = [];
-      const messageErrorMatches = messagesXml.matchAll(/<message>([\s\S]*?)<\/message>/g);
-      for (const messageErrorMatch of messageErrorMatches) {
-        const messageErrorXml = messageErrorMatch[1];
-        const codeMatch = messageErrorXml.match(/<code>(.*?)<\/code>/);
-        const textMatch = messageErrorXml.match(/<text>(.*?)<\/text>/);
-        messageErrors.push({
-          code: codeMatch ? codeMatch[1] : '',
-          text: textMatch ? textMatch[1] : '',
-        });
-      }
-      if (messageErrors.length > 0) {
-        result.messages.message = messageErrors;
-      }
-    }
-
-    return result;
   }
 
   /**
@@ -165,8 +137,11 @@ class AuthorizeNetService {
   async processApplePayTransaction(paymentData) {
     const {
       paymentToken, // Apple Pay payment token
+      networkToken, // Token decrypted by ApplePayTokenService, sent instead of paymentToken when set
       amount,
       userId,
+      recurring = false, // First payment of a subscription, always captured
+      storeCredentials = false, // Card saved for merchant-initiated charges (see chargeCustomerProfile)
       orderInfo = {},
     } = paymentData;
 
@@ -187,7 +162,9 @@ class AuthorizeNetService {
         throw new Error('Apple Pay token missing paymentData');
       }
 
-      const paymentDataValue = Buffer.from(JSON.stringify(paymentData), 'utf8').toString('base64');
+      const paymentDataValue = networkToken
+        ? undefined
+        : Buffer.from(JSON.stringify(paymentData), 'utf8').toString('base64');
 
       // Create transaction request
       // Authorize.Net limits:
@@ -197,24 +174,23 @@ class AuthorizeNetService {
         ? orderInfo.invoiceNumber.slice(0, 20)
         : `INV-${Date.now()}`.slice(0, 20);
       
-      // Limit customer ID to 20 characters (Authorize.Net limit)
-      // If userId is a UUID (36 chars), use a shorter version or hash
-      let customerId = '';
-      if (userId && userId.trim() !== '') {
-        if (userId.length <= 20) {
-          customerId = userId;
-        } else {
-          // For UUIDs or long IDs, use first 20 characters or create a hash
-          // Using first 20 chars is simpler for POC
-          customerId = userId.slice(0, 20);
-        }
-      }
+      // customer.id is the registered 20-character ID of the user (see CustomerIdService)
+      const customerId = userId && userId.trim() !== ''
+        ? await customerIdService.register(userId)
+        : '';
       
+      // Deferred capture only authorizes the card; funds are captured later
+      // with priorAuthCaptureTransaction (see captureTransaction)
+      const transactionType = config.paymentCaptureMode === 'deferred' && !recurring
+        ? 'authOnlyTransaction'
+        : 'authCaptureTransaction';
+
       const transactionData = {
+        transactionType,
         refId: orderInfo.orderId || `ORDER-${Date.now()}`,
         amount: amount.toFixed(2),
         // Authorize.Net requires this specific descriptor for Apple Pay
-        dataDescriptor: 'COMMON.APPLE.INAPP.PAYMENT',
+        dataDescriptor: networkToken ? undefined : 'COMMON.APPLE.INAPP.PAYMENT',
         // base64(JSON.stringify(token.paymentData))
         dataValue: paymentDataValue,
         invoiceNumber: invoiceNumber,
@@ -222,121 +198,862 @@ class AuthorizeNetService {
         customerId: customerId,
         email: orderInfo.email || '',
         billingAddress: orderInfo.billingAddress || {},
+        shippingAddress: orderInfo.shippingAddress || {},
+        // Itemized (Level 2/3) data, already included in amount:
+        // lineItems, and tax, duty, shipping as { amount, name, description }
+        lineItems: orderInfo.lineItems,
+        tax: orderInfo.tax,
+        duty: orderInfo.duty,
+        shipping: orderInfo.shipping,
+        discountAmount: orderInfo.discountAmount,
+        isFirstRecurringPayment: recurring,
+        isFirstSubsequentAuth: storeCredentials && !recurring,
+        networkToken: networkToken
+          ? {
+            dpan: networkToken.dpan,
+            // applicationExpirationDate is YYMMDD, Authorize.Net expects YYYY-MM
+            expirationDate: `20${networkToken.expirationDate.slice(0, 2)}-${networkToken.expirationDate.slice(2, 4)}`,
+            cryptogram: networkToken.cryptogram,
+            eci: networkToken.eci,
+          }
+          : undefined,
       };
 
-      // Create XML request
-      const xmlRequest = this.createXmlRequest(transactionData);
+      const transactionRequest = this.buildPaymentTransactionRequest(transactionData);
 
       // Log request for POC debugging
       console.log('[Authorize.Net] Request:', {
-        url: this.baseUrl,
+        url: this.client.baseUrl,
+        transactionType: transactionData.transactionType,
         amount: transactionData.amount,
         invoiceNumber: transactionData.invoiceNumber,
         dataDescriptor: transactionData.dataDescriptor,
         dataValueLength: transactionData.dataValue?.length || 0,
-        // Don't log sensitive dataValue content
+        networkToken: Boolean(networkToken),
+        recurring,
+        storeCredentials,
+        // Don't log sensitive dataValue content (or the DPAN)
       });
 
-      // Make API request
-      const response = await axios.post(this.baseUrl, xmlRequest, {
-        headers: {
-          'Content-Type': 'application/xml',
-        },
-        timeout: 30000, // 30 second timeout
+      const parsedResponse = await this.executeTransaction(transactionRequest, transactionData.refId);
+
+      // Return success result
+      return {
+        success: true,
+        transactionId: parsedResponse.transactionResponse.transId,
+        authCode: parsedResponse.transactionResponse.authCode,
+        responseCode: parsedResponse.transactionResponse.responseCode,
+        amount: amount,
+        captured: transactionType === 'authCaptureTransaction',
+        details: parsedResponse.transactionResponse,
+      };
+
+    } catch (error) {
+      this.logError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refund a settled transaction (full or partial)
+   * Apple Pay refunds reference the original transaction and the last four
+   * digits of the card, with the expiration date masked as "XXXX".
+   * @param {Object} refundData - Refund data
+   * @param {string} refundData.transId - Original (settled) transaction ID
+   * @param {number} [refundData.amount] - Amount to refund, defaults to the amount not refunded yet
+   * @param {number} [refundData.refundedAmount] - Amount already refunded for the transaction
+   * @returns {Promise<Object>} Refund result (same shape as processApplePayTransaction,
+   * with capturedAmount and the total refundedAmount including this refund)
+   */
+  async refundTransaction(refundData) {
+    const { transId, amount, refundedAmount = 0 } = refundData;
+
+    try {
+      const original = await this.getTransactionDetails(transId);
+
+      if (original.transactionStatus !== 'settledSuccessfully') {
+        const error = new Error(
+          `Transaction ${transId} cannot be refunded until it has settled (status: ${original.transactionStatus || 'unknown'})`
+        );
+        error.statusCode = 409;
+        error.code = 'TRANSACTION_NOT_SETTLED';
+        error.details = {
+          transId,
+          transactionStatus: original.transactionStatus,
+        };
+        throw error;
+      }
+
+      const capturedAmount = parseFloat(original.settleAmount);
+      const refundableCents = Math.round(capturedAmount * 100) - Math.round(refundedAmount * 100);
+      const refundAmount = amount === undefined ? refundableCents / 100 : amount;
+
+      if (refundableCents <= 0 || Math.round(refundAmount * 100) > refundableCents) {
+        const error = new Error('Refund amount exceeds the amount not refunded yet');
+        error.type = 'validation';
+        error.fields = [{
+          field: 'amount',
+          constraint: 'max',
+          message: refundableCents <= 0
+            ? `transaction ${transId} has already been fully refunded (${capturedAmount.toFixed(2)})`
+            : `amount must not exceed ${(refundableCents / 100).toFixed(2)} `
+              + `(captured ${capturedAmount.toFixed(2)}, already refunded ${refundedAmount.toFixed(2)})`,
+        }];
+        throw error;
+      }
+
+      const transactionRequest = this.buildReferencedTransactionRequest({
+        transactionType: 'refundTransaction',
+        amount: refundAmount.toFixed(2),
+        refTransId: transId,
+        // Authorize.Net returns the card number masked (e.g. "XXXX1111")
+        cardNumber: (original.payment?.creditCard?.cardNumber || '').replace(/^X+/, ''),
+        expirationDate: 'XXXX',
       });
 
-      // Parse response
-      const parsedResponse = this.parseXmlResponse(response.data);
+      console.log('[Authorize.Net] Refund request:', {
+        url: this.client.baseUrl,
+        refTransId: transId,
+        amount: refundAmount.toFixed(2),
+        capturedAmount: capturedAmount.toFixed(2),
+        refundedAmount: refundedAmount.toFixed(2),
+      });
 
-      // Log response for POC debugging
-      console.log('[Authorize.Net] Response:', {
-        resultCode: parsedResponse.messages.resultCode,
+      const parsedResponse = await this.executeTransaction(transactionRequest);
+
+      return {
+        success: true,
+        transactionId: parsedResponse.transactionResponse.transId,
+        authCode: parsedResponse.transactionResponse.authCode,
         responseCode: parsedResponse.transactionResponse.responseCode,
-        transId: parsedResponse.transactionResponse.transId,
-        transactionErrors: parsedResponse.transactionResponse.errors,
-        messageErrors: parsedResponse.messages.message,
-      });
+        amount: refundAmount,
+        capturedAmount,
+        refundedAmount: (Math.round(refundedAmount * 100) + Math.round(refundAmount * 100)) / 100,
+        details: parsedResponse.transactionResponse,
+      };
 
-      // Check for errors at messages level
-      if (parsedResponse.messages.resultCode !== 'Ok') {
-        const errorMessages = parsedResponse.messages.message || [];
-        const transactionErrors = parsedResponse.transactionResponse.errors || [];
-        const allErrors = [...errorMessages, ...transactionErrors];
-        
-        const errorMessage = allErrors.length > 0 
-          ? allErrors.map(e => e.text || e.errorText || e.code || e.errorCode).join('; ')
-          : 'Authorize.Net transaction failed';
-        
-        const error = new Error(errorMessage);
-        error.authorizeNetError = {
-          resultCode: parsedResponse.messages.resultCode,
-          errors: allErrors,
-          messageErrors: errorMessages,
-          transactionErrors: transactionErrors,
-          response: parsedResponse,
+    } catch (error) {
+      this.logError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Capture a previously authorized (authOnlyTransaction) transaction
+   * @param {Object} captureData - Capture data
+   * @param {string} captureData.transId - Authorized transaction ID
+   * @param {number} [captureData.amount] - Amount to capture, defaults to the full authorized amount
+   * @returns {Promise<Object>} Capture result (same shape as processApplePayTransaction)
+   */
+  async captureTransaction(captureData) {
+    const { transId, amount } = captureData;
+
+    try {
+      const original = await this.getTransactionDetails(transId);
+
+      if (original.transactionStatus !== 'authorizedPendingCapture') {
+        const error = new Error(
+          `Transaction ${transId} is not awaiting capture (status: ${original.transactionStatus || 'unknown'})`
+        );
+        error.statusCode = 409;
+        error.code = 'TRANSACTION_NOT_CAPTURABLE';
+        error.details = {
+          transId,
+          transactionStatus: original.transactionStatus,
         };
         throw error;
       }
 
-      // Check transaction response
-      if (parsedResponse.transactionResponse.responseCode !== '1') {
-        const error = new Error('Transaction was declined');
-        error.authorizeNetError = {
-          responseCode: parsedResponse.transactionResponse.responseCode,
-          errors: parsedResponse.transactionResponse.errors || [],
-          response: parsedResponse,
+      const authorizedAmount = parseFloat(original.authAmount);
+      const captureAmount = amount === undefined ? authorizedAmount : amount;
+
+      if (Math.round(captureAmount * 100) > Math.round(authorizedAmount * 100)) {
+        const error = new Error('Capture amount exceeds the authorized amount');
+        error.type = 'validation';
+        error.fields = [{
+          field: 'amount',
+          constraint: 'max',
+          message: `amount must not exceed the authorized amount of ${authorizedAmount.toFixed(2)}`,
+        }];
+        throw error;
+      }
+
+      const transactionRequest = this.buildReferencedTransactionRequest({
+        transactionType: 'priorAuthCaptureTransaction',
+        amount: captureAmount.toFixed(2),
+        refTransId: transId,
+      });
+
+      console.log('[Authorize.Net] Capture request:', {
+        url: this.client.baseUrl,
+        refTransId: transId,
+        amount: captureAmount.toFixed(2),
+        authorizedAmount: authorizedAmount.toFixed(2),
+      });
+
+      const parsedResponse = await this.executeTransaction(transactionRequest);
+
+      return {
+        success: true,
+        transactionId: parsedResponse.transactionResponse.transId,
+        authCode: parsedResponse.transactionResponse.authCode,
+        responseCode: parsedResponse.transactionResponse.responseCode,
+        amount: captureAmount,
+        details: parsedResponse.transactionResponse,
+      };
+
+    } catch (error) {
+      this.logError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * List authorizations that have not been captured yet
+   * Authorize.Net expires uncaptured authorizations after 30 days, so each
+   * entry includes the date by which it must be captured or voided.
+   * The unsettled list also has captured transactions waiting for settlement,
+   * so every page is requested before filtering.
+   * @returns {Promise<Array<Object>>} Pending authorizations
+   */
+  async getPendingAuthorizations() {
+    const transactions = [];
+
+    for (let page = 1; ; page++) {
+      const response = await this.sendRequest('getUnsettledTransactionListRequest', {
+        sorting: {
+          orderBy: 'submitTimeUTC',
+          orderDescending: false,
+        },
+        paging: {
+          limit: TRANSACTION_LIST_PAGE_SIZE,
+          offset: page,
+        },
+      });
+
+      const pageTransactions = response.transactions?.transaction || [];
+      transactions.push(...pageTransactions);
+
+      if (pageTransactions.length < TRANSACTION_LIST_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    return transactions
+      .filter((transaction) => transaction.transactionStatus === 'authorizedPendingCapture')
+      .map((transaction) => {
+        const expiresAt = new Date(transaction.submitTimeUTC);
+        expiresAt.setUTCDate(expiresAt.getUTCDate() + AUTHORIZATION_EXPIRY_DAYS);
+
+        return {
+          ...transaction,
+          expiresAt: expiresAt.toISOString(),
         };
+      });
+  }
+
+  /**
+   * List the settlement batches settled in a date range
+   * Authorize.Net accepts ranges of up to 31 days.
+   * @param {Object} range - Settlement date range (UTC)
+   * @param {string} range.firstSettlementDate - Start, ISO 8601 (e.g. "2026-01-01T00:00:00Z")
+   * @param {string} range.lastSettlementDate - End, ISO 8601
+   * @returns {Promise<Array<Object>>} batch elements (batchId, settlementTimeUTC, settlementState, ...)
+   */
+  async getSettledBatchList({ firstSettlementDate, lastSettlementDate }) {
+    const response = await this.sendRequest('getSettledBatchListRequest', {
+      includeStatistics: false,
+      firstSettlementDate,
+      lastSettlementDate,
+    });
+
+    return response.batchList?.batch || [];
+  }
+
+  /**
+   * List the transactions of a settlement batch
+   * Authorize.Net returns at most 1000 transactions per request, so every page
+   * is requested.
+   * @param {string} batchId - Settlement batch ID
+   * @returns {Promise<Array<Object>>} transaction elements (transId, transactionStatus,
+   * invoiceNumber, settleAmount, subscription, ...)
+   */
+  async getTransactionList(batchId) {
+    const transactions = [];
+
+    for (let page = 1; ; page++) {
+      const response = await this.sendRequest('getTransactionListRequest', {
+        batchId,
+        sorting: {
+          orderBy: 'submitTimeUTC',
+          orderDescending: false,
+        },
+        paging: {
+          limit: TRANSACTION_LIST_PAGE_SIZE,
+          offset: page,
+        },
+      });
+
+      const pageTransactions = response.transactions?.transaction || [];
+      transactions.push(...pageTransactions);
+
+      if (pageTransactions.length < TRANSACTION_LIST_PAGE_SIZE) {
+        return transactions;
+      }
+    }
+  }
+
+  /**
+   * Void an unsettled transaction
+   * Voids are only accepted before the transaction settles. When Authorize.Net
+   * rejects the void, the transaction status is looked up so that an already
+   * settled transaction is reported as needing a refund instead.
+   * @param {Object} voidData - Void data
+   * @param {string} voidData.transId - Transaction ID to void
+   * @returns {Promise<Object>} Void result
+   */
+  async voidTransaction(voidData) {
+    const { transId } = voidData;
+
+    try {
+      const transactionRequest = this.buildReferencedTransactionRequest({
+        transactionType: 'voidTransaction',
+        refTransId: transId,
+      });
+
+      console.log('[Authorize.Net] Void request:', {
+        url: this.client.baseUrl,
+        refTransId: transId,
+      });
+
+      let parsedResponse;
+      try {
+        parsedResponse = await this.executeTransaction(transactionRequest);
+      } catch (error) {
+        if (error.authorizeNetError) {
+          await this.explainRejectedVoid(error, transId);
+        }
         throw error;
       }
 
-      // Return success result
       return {
         success: true,
         transactionId: parsedResponse.transactionResponse.transId,
         authCode: parsedResponse.transactionResponse.authCode,
         responseCode: parsedResponse.transactionResponse.responseCode,
-        amount: amount,
         details: parsedResponse.transactionResponse,
       };
 
     } catch (error) {
-      // Enhance error with Authorize.Net details
-      if (error.response) {
-        const parsedResponse = this.parseXmlResponse(error.response.data);
-        const errorMessages = parsedResponse.messages?.message || [];
-        const transactionErrors = parsedResponse.transactionResponse?.errors || [];
+      this.logError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the gateway message of a rejected void when the transaction has
+   * already settled, since the only way to return the funds is a refund
+   * @param {Error} error - Error with authorizeNetError from the void request
+   * @param {string} transId - Transaction ID that was voided
+   */
+  async explainRejectedVoid(error, transId) {
+    let transaction;
+    try {
+      transaction = await this.getTransactionDetails(transId);
+    } catch (lookupError) {
+      // Keep the original void error if the lookup fails as well
+      console.warn('[Authorize.Net] Could not look up rejected void transaction:', lookupError.message);
+      return;
+    }
+
+    if (transaction.transactionStatus === 'settledSuccessfully') {
+      error.message = `Transaction ${transId} has already settled and cannot be voided; issue a refund instead`;
+      error.statusCode = 409;
+      error.code = 'TRANSACTION_ALREADY_SETTLED';
+      error.authorizeNetError.transactionStatus = transaction.transactionStatus;
+      error.authorizeNetError.suggestedAction = 'refund';
+    }
+  }
+
+  /**
+   * Create a customer profile (CIM) from a successful transaction
+   * The card of the transaction becomes a payment profile that later charges
+   * (e.g. ARB subscriptions) are made with. If the customer already has a
+   * profile, the payment profile is added to it (see createCustomerPaymentProfile).
+   * @param {Object} profileData - Profile data
+   * @param {string} profileData.transId - Transaction ID of the first payment
+   * @param {string} [profileData.customerId] - Merchant customer ID (20 characters max)
+   * @param {string} [profileData.email] - Customer email
+   * @param {string} [profileData.description] - Profile description
+   * @returns {Promise<{ customerProfileId: string, customerPaymentProfileId: string|null, duplicate?: boolean }>} Profile IDs
+   */
+  async createCustomerProfileFromTransaction(profileData) {
+    const { transId, customerId, email, description } = profileData;
+
+    try {
+      console.log('[Authorize.Net] Customer profile request:', {
+        url: this.client.baseUrl,
+        transId,
+        customerId,
+      });
+
+      let response;
+      try {
+        response = await this.sendRequest('createCustomerProfileFromTransactionRequest', {
+          transId,
+          customer: {
+            merchantCustomerId: customerId,
+            description,
+            email,
+          },
+        });
+      } catch (error) {
+        const customerProfileId = getDuplicateProfileId(error);
+        if (!customerProfileId) {
+          throw error;
+        }
+
+        console.log('[Authorize.Net] Customer profile exists, adding payment profile:', {
+          customerProfileId,
+          transId,
+        });
+        return this.createCustomerPaymentProfile({ customerProfileId, transId });
+      }
+
+      return {
+        customerProfileId: response.customerProfileId,
+        customerPaymentProfileId: response.customerPaymentProfileIdList?.numericString?.[0] || null,
+      };
+
+    } catch (error) {
+      this.logError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add the card of a successful transaction to an existing customer profile
+   * Apple Pay cards cannot be sent to createCustomerPaymentProfileRequest (the
+   * token is single use), so the payment profile is created from the
+   * transaction the token paid for.
+   * @param {Object} profileData - Profile data
+   * @param {string} profileData.customerProfileId - Customer profile ID
+   * @param {string} profileData.transId - Transaction ID paid with the card
+   * @returns {Promise<{ customerProfileId: string, customerPaymentProfileId: string|null, duplicate: boolean }>}
+   * Profile IDs. duplicate is true when the card was already stored in the
+   * profile (the payment profile ID is null if Authorize.Net does not return it)
+   */
+  async createCustomerPaymentProfile(profileData) {
+    const { customerProfileId, transId } = profileData;
+
+    try {
+      console.log('[Authorize.Net] Customer payment profile request:', {
+        url: this.client.baseUrl,
+        customerProfileId,
+        transId,
+      });
+
+      let response;
+      let duplicate = false;
+      try {
+        response = await this.sendRequest('createCustomerProfileFromTransactionRequest', {
+          transId,
+          customerProfileId,
+        });
+      } catch (error) {
+        // E00039 "A duplicate customer payment profile already exists."
+        if (!isDuplicateError(error)) {
+          throw error;
+        }
+        response = error.authorizeNetError.response || {};
+        duplicate = true;
+      }
+
+      return {
+        customerProfileId,
+        customerPaymentProfileId: response.customerPaymentProfileIdList?.numericString?.[0]
+          || response.customerPaymentProfileId
+          || null,
+        duplicate,
+      };
+
+    } catch (error) {
+      this.logError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Charge a customer payment profile without the customer (merchant-initiated
+   * transaction), e.g. an adjustment to a paid order
+   * The card networks require the stored credential indicators of the
+   * transaction the card was stored with: its network transaction ID and amount.
+   * @param {Object} chargeData - Charge data
+   * @param {string} chargeData.customerProfileId - Customer profile ID
+   * @param {string} chargeData.customerPaymentProfileId - Payment profile ID
+   * @param {number} chargeData.amount - Amount to charge
+   * @param {string} chargeData.reason - resubmission, delayedCharge, reauthorization or noShow
+   * @param {string} [chargeData.originalNetworkTransId] - Network transaction ID of the payment the card was stored with
+   * @param {string} [chargeData.originalAuthAmount] - Amount of that payment
+   * @param {string} [chargeData.refId] - Merchant reference ID (20 characters max)
+   * @param {string} [chargeData.invoiceNumber] - Invoice number (20 characters max)
+   * @param {string} [chargeData.description] - Description
+   * @returns {Promise<Object>} Charge result (same shape as processApplePayTransaction)
+   */
+  async chargeCustomerProfile(chargeData) {
+    const {
+      customerProfileId,
+      customerPaymentProfileId,
+      amount,
+      reason,
+      originalNetworkTransId,
+      originalAuthAmount,
+      refId,
+      invoiceNumber,
+      description,
+    } = chargeData;
+
+    try {
+      const transactionRequest = {
+        transactionType: 'authCaptureTransaction',
+        amount: amount.toFixed(2),
+        profile: {
+          customerProfileId,
+          paymentProfile: {
+            paymentProfileId: customerPaymentProfileId,
+          },
+        },
+        order: {
+          invoiceNumber: invoiceNumber?.slice(0, 20),
+          description,
+        },
+        processingOptions: {
+          isSubsequentAuth: true,
+        },
+        subsequentAuthInformation: {
+          originalNetworkTransId,
+          originalAuthAmount,
+          reason,
+        },
+      };
+
+      console.log('[Authorize.Net] Customer profile charge request:', {
+        url: this.client.baseUrl,
+        customerProfileId,
+        customerPaymentProfileId,
+        amount: amount.toFixed(2),
+        reason,
+        originalNetworkTransId,
+      });
+
+      const parsedResponse = await this.executeTransaction(transactionRequest, refId?.slice(0, 20));
+
+      return {
+        success: true,
+        transactionId: parsedResponse.transactionResponse.transId,
+        authCode: parsedResponse.transactionResponse.authCode,
+        responseCode: parsedResponse.transactionResponse.responseCode,
+        amount,
+        captured: true,
+        details: parsedResponse.transactionResponse,
+      };
+
+    } catch (error) {
+      this.logError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an ARB (Automated Recurring Billing) subscription that charges a
+   * customer payment profile
+   * @param {Object} subscriptionData - Subscription data
+   * @param {string} subscriptionData.refId - Merchant reference ID (20 characters max)
+   * @param {string} subscriptionData.name - Subscription name (50 characters max)
+   * @param {string} subscriptionData.amount - Amount of every payment (e.g. "9.99")
+   * @param {Object} subscriptionData.interval - { length, unit } with unit 'months' or 'days'
+   * @param {string} subscriptionData.startDate - Date of the first payment (YYYY-MM-DD)
+   * @param {number} [subscriptionData.totalOccurrences] - Number of payments (9999 for no end date)
+   * @param {string} subscriptionData.customerProfileId - Customer profile ID
+   * @param {string} subscriptionData.customerPaymentProfileId - Payment profile ID
+   * @param {string} [subscriptionData.invoiceNumber] - Invoice number of every payment (20 characters max)
+   * @param {string} [subscriptionData.description] - Description of every payment
+   * @returns {Promise<{ subscriptionId: string }>} ARB subscription ID
+   */
+  async createSubscription(subscriptionData) {
+    const {
+      refId,
+      name,
+      amount,
+      interval,
+      startDate,
+      totalOccurrences = ARB_UNLIMITED_OCCURRENCES,
+      customerProfileId,
+      customerPaymentProfileId,
+      invoiceNumber,
+      description,
+    } = subscriptionData;
+
+    try {
+      console.log('[Authorize.Net] Create subscription request:', {
+        url: this.client.baseUrl,
+        refId,
+        amount,
+        interval,
+        startDate,
+        customerProfileId,
+      });
+
+      const response = await this.sendRequest('ARBCreateSubscriptionRequest', {
+        refId: refId?.slice(0, 20),
+        subscription: {
+          name: name.slice(0, 50),
+          paymentSchedule: {
+            interval: {
+              length: interval.length,
+              unit: interval.unit,
+            },
+            startDate,
+            totalOccurrences,
+          },
+          amount,
+          order: {
+            invoiceNumber: invoiceNumber?.slice(0, 20),
+            description,
+          },
+          profile: {
+            customerProfileId,
+            customerPaymentProfileId,
+          },
+        },
+      });
+
+      return {
+        subscriptionId: response.subscriptionId,
+      };
+
+    } catch (error) {
+      this.logError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the name or amount of an ARB subscription
+   * The billing interval of an ARB subscription cannot be changed.
+   * @param {Object} subscriptionData - Subscription data
+   * @param {string} subscriptionData.subscriptionId - ARB subscription ID
+   * @param {string} [subscriptionData.name] - New name (50 characters max)
+   * @param {string} [subscriptionData.amount] - New amount of the next payments
+   * @returns {Promise<{ subscriptionId: string }>} ARB subscription ID
+   */
+  async updateSubscription(subscriptionData) {
+    const { subscriptionId, name, amount } = subscriptionData;
+
+    try {
+      console.log('[Authorize.Net] Update subscription request:', {
+        url: this.client.baseUrl,
+        subscriptionId,
+        amount,
+      });
+
+      await this.sendRequest('ARBUpdateSubscriptionRequest', {
+        subscriptionId,
+        subscription: {
+          name: name?.slice(0, 50),
+          amount,
+        },
+      });
+
+      return { subscriptionId };
+
+    } catch (error) {
+      this.logError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an ARB subscription (no further payments are made)
+   * @param {string} subscriptionId - ARB subscription ID
+   * @returns {Promise<{ subscriptionId: string }>} ARB subscription ID
+   */
+  async cancelSubscription(subscriptionId) {
+    try {
+      console.log('[Authorize.Net] Cancel subscription request:', {
+        url: this.client.baseUrl,
+        subscriptionId,
+      });
+
+      await this.sendRequest('ARBCancelSubscriptionRequest', { subscriptionId });
+
+      return { subscriptionId };
+
+    } catch (error) {
+      this.logError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get details of a previously submitted transaction
+   * @param {string} transId - Transaction ID
+   * @returns {Promise<Object>} transaction element of getTransactionDetailsResponse
+   */
+  async getTransactionDetails(transId) {
+    const response = await this.sendRequest('getTransactionDetailsRequest', { transId });
+    return response.transaction || {};
+  }
+
+  /**
+   * Send a request to Authorize.Net and check the messages result code
+   * Errors are enriched with an authorizeNetError object for the errorHandler
+   * @param {string} requestType - Request element name (e.g. 'createTransactionRequest')
+   * @param {Object} body - Request elements, excluding merchantAuthentication
+   * @returns {Promise<Object>} Response element tree
+   */
+  async sendRequest(requestType, body) {
+    try {
+      const parsedResponse = await this.client.send(requestType, body);
+      const messages = parsedResponse.messages || {};
+
+      // Log response for POC debugging
+      console.log('[Authorize.Net] Response:', {
+        requestType,
+        resultCode: messages.resultCode,
+        responseCode: parsedResponse.transactionResponse?.responseCode,
+        transId: parsedResponse.transactionResponse?.transId,
+        transactionErrors: parsedResponse.transactionResponse?.errors?.error,
+        messageErrors: messages.message,
+      });
+
+      // Check for errors at messages level
+      if (messages.resultCode !== 'Ok') {
+        const errorMessages = messages.message || [];
+        const transactionErrors = parsedResponse.transactionResponse?.errors?.error || [];
         const allErrors = [...errorMessages, ...transactionErrors];
         
+        const errorMessage = allErrors.length > 0 
+          ? allErrors.map(e => e.text || e.errorText || e.code || e.errorCode).join('; ')
+          : 'Authorize.Net transaction failed';
+        
+        const error = new Error(errorMessage);
         error.authorizeNetError = {
-          status: error.response.status,
-          statusText: error.response.statusText,
-          resultCode: parsedResponse.messages?.resultCode,
+          resultCode: messages.resultCode,
           errors: allErrors,
           messageErrors: errorMessages,
           transactionErrors: transactionErrors,
           response: parsedResponse,
-          rawResponse: error.response.data,
         };
-      } else if (error.authorizeNetError) {
-        // Error already has authorizeNetError from above
-        // Make sure errors array is properly populated
-        if (!error.authorizeNetError.errors || error.authorizeNetError.errors.length === 0) {
-          const messageErrors = error.authorizeNetError.messageErrors || [];
-          const transactionErrors = error.authorizeNetError.transactionErrors || [];
-          error.authorizeNetError.errors = [...messageErrors, ...transactionErrors];
-        }
+        throw error;
       }
 
-      // Log error for POC debugging
-      console.error('[Authorize.Net] Error:', {
-        message: error.message,
-        authorizeNetError: error.authorizeNetError,
-        stack: config.isDevelopment ? error.stack : undefined,
-      });
+      return parsedResponse;
 
+    } catch (error) {
+      this.enrichError(error);
       throw error;
     }
   }
+
+  /**
+   * Send a createTransactionRequest and check the transaction response code
+   * @param {Object} transactionRequest - transactionRequest element
+   * @param {string} [refId] - Merchant reference ID echoed back in the response
+   * @returns {Promise<Object>} Response element tree
+   */
+  async executeTransaction(transactionRequest, refId) {
+    const parsedResponse = await this.sendRequest('createTransactionRequest', {
+      refId,
+      transactionRequest,
+    });
+
+    // Check transaction response
+    if (parsedResponse.transactionResponse?.responseCode !== '1') {
+      const error = new Error('Transaction was declined');
+      error.authorizeNetError = {
+        responseCode: parsedResponse.transactionResponse?.responseCode,
+        errors: parsedResponse.transactionResponse?.errors?.error || [],
+        response: parsedResponse,
+      };
+      throw error;
+    }
+
+    return parsedResponse;
+  }
+
+  /**
+   * Enhance error with Authorize.Net details
+   * @param {Error} error - Error thrown while calling Authorize.Net
+   */
+  enrichError(error) {
+    if (error.response) {
+      let parsedResponse = {};
+      try {
+        parsedResponse = this.client.parseResponse(error.response.data).response;
+      } catch (parseError) {
+        // Non-XML error body (e.g. an HTML error page), keep only the raw response
+      }
+      const errorMessages = parsedResponse.messages?.message || [];
+      const transactionErrors = parsedResponse.transactionResponse?.errors?.error || [];
+      const allErrors = [...errorMessages, ...transactionErrors];
+      
+      error.authorizeNetError = {
+        status: error.response.status,
+        statusText: error.response.statusText,
+        resultCode: parsedResponse.messages?.resultCode,
+        errors: allErrors,
+        messageErrors: errorMessages,
+        transactionErrors: transactionErrors,
+        response: parsedResponse,
+        rawResponse: error.response.data,
+      };
+    } else if (error.authorizeNetError) {
+      // Error already has authorizeNetError from above
+      // Make sure errors array is properly populated
+      if (!error.authorizeNetError.errors || error.authorizeNetError.errors.length === 0) {
+        const messageErrors = error.authorizeNetError.messageErrors || [];
+        const transactionErrors = error.authorizeNetError.transactionErrors || [];
+        error.authorizeNetError.errors = [...messageErrors, ...transactionErrors];
+      }
+    }
+  }
+
+  /**
+   * Log error for POC debugging
+   * @param {Error} error - Error to log
+   */
+  logError(error) {
+    console.error('[Authorize.Net] Error:', {
+      message: error.message,
+      authorizeNetError: error.authorizeNetError,
+      stack: config.isDevelopment ? error.stack : undefined,
+    });
+  }
+}
+
+/**
+ * Customer profile ID of a rejected duplicate profile
+ * Authorize.Net rejects a second profile for the same merchant customer ID or
+ * email with E00039 "A duplicate record with ID 1234 already exists."
+ * @param {Error} error - Error with authorizeNetError
+ * @returns {string|null} Existing customer profile ID, or null for other errors
+ */
+function getDuplicateProfileId(error) {
+  const duplicate = (error.authorizeNetError?.errors || [])
+    .find((e) => (e.code || e.errorCode) === 'E00039');
+  const match = /ID (\d+)/.exec(duplicate?.text || duplicate?.errorText || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Whether Authorize.Net rejected a request as a duplicate record (E00039)
+ * @param {Error} error - Error with authorizeNetError
+ * @returns {boolean} True for duplicate profiles and payment profiles
+ */
+function isDuplicateError(error) {
+  return (error.authorizeNetError?.errors || [])
+    .some((e) => (e.code || e.errorCode) === 'E00039');
 }
 
 // Export singleton instance
@@ -0,0 +1,194 @@
+import cartConfig from '../config/cart.js';
+
+// Authorize.Net accepts at most 30 line items per transaction
+const MAX_GATEWAY_LINE_ITEMS = 30;
+
+/**
+ * Cart Service
+ * Prices the cart of an order: item subtotal, discounts, tax on the taxable
+ * items after discounts, shipping and duty. The priced cart is rendered as the
+ * Apple Pay line items and sent to Authorize.Net as itemized (Level 2/3) data.
+ *
+ * All arithmetic is done in cents; amounts are returned as decimal strings.
+ * Priced carts keep the fields of the cart definition, so they can be priced
+ * again (e.g. when the shipping method changes).
+ */
+class CartService {
+  /**
+   * Cart every new order starts from
+   * @returns {Object} Cart definition (items, discounts, tax, duty), see config/cart.js
+   */
+  getCart() {
+    return structuredClone(cartConfig);
+  }
+
+  /**
+   * Price a cart
+   * @param {Object} cart - Cart definition or priced cart
+   * @param {Object} [shippingMethod] - Selected shipping method ({ label, amount })
+   * @returns {{ cart: Object, lineItems: Array<Object>, total: Object }} Priced cart,
+   * Apple Pay line items and total
+   */
+  price(cart, shippingMethod) {
+    const items = cart.items.map((item) => ({
+      ...item,
+      amount: formatCents(toCents(item.unitPrice) * item.quantity),
+    }));
+    const subtotalCents = items.reduce((sum, item) => sum + toCents(item.amount), 0);
+    const taxableCents = items
+      .filter((item) => item.taxable)
+      .reduce((sum, item) => sum + toCents(item.amount), 0);
+
+    // Discounts never take the subtotal below zero
+    let remainingCents = subtotalCents;
+    const discounts = (cart.discounts || []).map((discount) => {
+      const requested = discount.type === 'percent'
+        ? Math.round(subtotalCents * discount.value / 100)
+        : toCents(discount.value);
+      const cents = Math.min(requested, remainingCents);
+      remainingCents -= cents;
+      return { ...discount, amount: formatCents(cents) };
+    });
+    const discountCents = subtotalCents - remainingCents;
+
+    // Discounts are spread over taxable and non-taxable items pro rata
+    const taxableAfterDiscountCents = subtotalCents > 0
+      ? taxableCents - Math.round(discountCents * taxableCents / subtotalCents)
+      : 0;
+    const taxRate = cart.tax?.rate || 0;
+    const taxCents = Math.round(taxableAfterDiscountCents * taxRate);
+
+    const shippingCents = shippingMethod ? toCents(shippingMethod.amount) : 0;
+    const dutyCents = cart.duty ? toCents(cart.duty.amount) : 0;
+    const totalCents = subtotalCents - discountCents + taxCents + shippingCents + dutyCents;
+
+    const priced = {
+      items,
+      discounts,
+      tax: {
+        name: cart.tax?.name || 'Tax',
+        rate: taxRate,
+        amount: formatCents(taxCents),
+      },
+      duty: cart.duty || null,
+      subtotal: formatCents(subtotalCents),
+      discountTotal: formatCents(discountCents),
+    };
+
+    return {
+      cart: priced,
+      lineItems: this.toLineItems(priced, shippingMethod),
+      total: {
+        label: 'Apple Pay POC Payment',
+        amount: formatCents(totalCents),
+      },
+    };
+  }
+
+  /**
+   * Apple Pay line items of a priced cart
+   * @param {Object} cart - Priced cart
+   * @param {Object} [shippingMethod] - Selected shipping method
+   * @returns {Array<Object>} ApplePayLineItem objects (discounts are negative)
+   */
+  toLineItems(cart, shippingMethod) {
+    const lineItems = cart.items.map((item) => ({
+      label: item.quantity > 1 ? `${item.name} × ${item.quantity}` : item.name,
+      amount: item.amount,
+    }));
+
+    for (const discount of cart.discounts) {
+      lineItems.push({
+        label: discount.label,
+        amount: formatCents(-toCents(discount.amount)),
+      });
+    }
+
+    if (cart.tax.rate > 0) {
+      lineItems.push({
+        label: cart.tax.name,
+        amount: cart.tax.amount,
+      });
+    }
+
+    if (shippingMethod) {
+      lineItems.push({
+        label: shippingMethod.label,
+        amount: shippingMethod.amount,
+      });
+    }
+
+    if (cart.duty) {
+      lineItems.push({
+        label: cart.duty.name,
+        amount: formatCents(toCents(cart.duty.amount)),
+      });
+    }
+
+    return lineItems;
+  }
+
+  /**
+   * Itemized transaction data of a priced cart for AuthorizeNetService
+   * Authorize.Net limits: itemId and name 31, description 255 characters, 30 line items.
+   * @param {Object} cart - Priced cart
+   * @param {Object} [shippingMethod] - Selected shipping method
+   * @returns {Object} lineItems, tax, shipping, duty ({ amount, name, description })
+   * and discountAmount
+   */
+  toTransactionDetails(cart, shippingMethod) {
+    return {
+      lineItems: cart.items.slice(0, MAX_GATEWAY_LINE_ITEMS).map((item) => ({
+        itemId: item.sku.slice(0, 31),
+        name: item.name.slice(0, 31),
+        description: item.description?.slice(0, 255),
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        taxable: Boolean(item.taxable),
+      })),
+      tax: cart.tax.rate > 0
+        ? {
+          amount: cart.tax.amount,
+          name: cart.tax.name,
+          description: `${+(cart.tax.rate * 100).toFixed(4)}%`,
+        }
+        : undefined,
+      shipping: shippingMethod
+        ? {
+          amount: shippingMethod.amount,
+          name: shippingMethod.label,
+          description: shippingMethod.detail,
+        }
+        : undefined,
+      duty: cart.duty
+        ? {
+          amount: formatCents(toCents(cart.duty.amount)),
+          name: cart.duty.name,
+          description: cart.duty.description,
+        }
+        : undefined,
+      discountAmount: toCents(cart.discountTotal) > 0 ? cart.discountTotal : undefined,
+    };
+  }
+}
+
+/**
+ * Amount in cents
+ * @param {string|number} amount - Decimal amount (e.g. "9.99")
+ * @returns {number} Cents
+ */
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+/**
+ * Decimal amount
+ * @param {number} cents - Cents
+ * @returns {string} Amount with two decimals (e.g. "9.99")
+ */
+function formatCents(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+// Export singleton instance
+export default new CartService();
@@ -0,0 +1,171 @@
+/**
+ * Apple Pay contact helpers
+ * Validation and conversion of ApplePayPaymentContact objects (shipping and
+ * billing contacts of the payment sheet) to Authorize.Net addresses.
+ *
+ * Validation problems are returned in the shape of ApplePayError
+ * ({ code, contactField, message }) so the frontend can show them in the sheet.
+ */
+
+// Postal code formats of the countries cards are most often issued in;
+// other countries only get a loose format check
+const POSTAL_CODE_PATTERNS = {
+  US: /^\d{5}(-\d{4})?$/,
+  CA: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/,
+  GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/,
+  AU: /^\d{4}$/,
+  DE: /^\d{5}$/,
+  FR: /^\d{5}$/,
+  ES: /^\d{5}$/,
+  IT: /^\d{5}$/,
+  NL: /^\d{4} ?[A-Z]{2}$/,
+  JP: /^\d{3}-?\d{4}$/,
+  MX: /^\d{5}$/,
+};
+
+const GENERIC_POSTAL_CODE_PATTERN = /^[A-Z0-9][A-Z0-9 -]{1,9}$/;
+
+// Countries without postal codes (the billing address may omit it)
+const COUNTRIES_WITHOUT_POSTAL_CODES = ['AE', 'HK', 'IE', 'QA'];
+
+const COUNTRY_CODE_PATTERN = /^[A-Z]{2}$/;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Uppercase a country or state code (Apple Pay may send "ca" or "Ca")
+ * @param {*} value - Code
+ * @returns {string} Normalized code, or an empty string
+ */
+export function normalizeCode(value) {
+  return typeof value === 'string' ? value.trim().toUpperCase() : '';
+}
+
+/**
+ * Contact error in the shape of ApplePayError
+ * @param {string} code - ApplePayErrorCode (e.g. shippingContactInvalid, billingContactInvalid)
+ * @param {string} contactField - ApplePayErrorContactField (e.g. postalCode)
+ * @param {string} message - Message shown in the sheet
+ * @returns {Object} Error fields
+ */
+export function contactError(code, contactField, message) {
+  return { code, contactField, message };
+}
+
+/**
+ * Error for a contact the sheet has to ask the shopper to fix
+ * @param {string} code - Error code (SHIPPING_CONTACT_INVALID or BILLING_CONTACT_INVALID)
+ * @param {string} type - applePayError.type (ShippingContactError or BillingContactError)
+ * @param {Array<Object>} errors - ApplePayError fields ({ code, contactField, message })
+ * @returns {Error} Error (400) with the fields in applePayError.errors
+ */
+export function invalidContactError(code, type, errors) {
+  const error = new Error(errors.map((e) => e.message).join('; '));
+  error.statusCode = 400;
+  error.code = code;
+  error.applePayError = {
+    type,
+    errors,
+  };
+  return error;
+}
+
+/**
+ * Check the format of a postal code
+ * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+ * @param {string} postalCode - Postal code
+ * @returns {boolean} True if it has the format of the country
+ */
+export function isValidPostalCode(countryCode, postalCode) {
+  const value = String(postalCode || '').trim().toUpperCase();
+  const pattern = POSTAL_CODE_PATTERNS[normalizeCode(countryCode)] || GENERIC_POSTAL_CODE_PATTERN;
+  return pattern.test(value);
+}
+
+/**
+ * Validate the billing contact of an authorized payment
+ * The billing address is used for address verification (AVS), so it must be
+ * complete; cards can be issued in any country.
+ * @param {Object} contact - Apple Pay contact (payment.billingContact)
+ * @returns {Array<Object>} ApplePayError fields ({ code, contactField, message }), empty if valid
+ */
+export function validateBillingContact(contact) {
+  const code = 'billingContactInvalid';
+
+  if (!contact || typeof contact !== 'object') {
+    return [contactError(code, 'postalAddress', 'Enter a billing address')];
+  }
+
+  const errors = [];
+  const countryCode = normalizeCode(contact.countryCode);
+
+  if (!COUNTRY_CODE_PATTERN.test(countryCode)) {
+    errors.push(contactError(code, 'countryCode', 'Enter a valid country'));
+  } else if (contact.postalCode || !COUNTRIES_WITHOUT_POSTAL_CODES.includes(countryCode)) {
+    if (!isValidPostalCode(countryCode, contact.postalCode)) {
+      errors.push(contactError(code, 'postalCode', countryCode === 'US'
+        ? 'Enter a valid ZIP code'
+        : 'Enter a valid postal code'));
+    }
+  }
+
+  if (!Array.isArray(contact.addressLines) || !contact.addressLines.some((line) => String(line || '').trim())) {
+    errors.push(contactError(code, 'addressLines', 'Enter a street address'));
+  }
+
+  if (!String(contact.locality || '').trim()) {
+    errors.push(contactError(code, 'locality', 'Enter a city'));
+  }
+
+  if (!String(contact.givenName || '').trim() && !String(contact.familyName || '').trim()) {
+    errors.push(contactError(code, 'name', 'Enter the name on the card'));
+  }
+
+  if (contact.emailAddress && !EMAIL_PATTERN.test(String(contact.emailAddress).trim())) {
+    errors.push(contactError(code, 'emailAddress', 'Enter a valid email address'));
+  }
+
+  return errors;
+}
+
+/**
+ * Convert a full Apple Pay contact to an Authorize.Net address (billTo/shipTo)
+ * Authorize.Net limits: names 50, address 60, city 40, state 40, zip 20 characters.
+ * @param {Object} contact - Apple Pay contact
+ * @returns {Object} Address (firstName, lastName, address, city, state, zip, country)
+ */
+export function toAddress(contact) {
+  return {
+    firstName: (contact.givenName || '').trim().slice(0, 50),
+    lastName: (contact.familyName || '').trim().slice(0, 50),
+    address: (contact.addressLines || [])
+      .map((line) => String(line || '').trim())
+      .filter(Boolean)
+      .join(', ')
+      .slice(0, 60),
+    city: (contact.locality || '').trim().slice(0, 40),
+    // US states are two-letter codes, other countries may use names
+    state: (normalizeCode(contact.countryCode) === 'US'
+      ? normalizeCode(contact.administrativeArea)
+      : (contact.administrativeArea || '').trim()).slice(0, 40),
+    zip: String(contact.postalCode || '').trim().toUpperCase().slice(0, 20),
+    country: normalizeCode(contact.countryCode),
+  };
+}
+
+/**
+ * Convert the billing contact of an authorized payment to the billing fields
+ * of AuthorizeNetService (orderInfo.billingAddress and orderInfo.email)
+ * @param {Object} contact - Apple Pay contact (payment.billingContact)
+ * @returns {{ billingAddress: Object, email: string }} Billing address (with phone
+ * number, 25 characters max) and email (255 characters max)
+ */
+export function toBillingDetails(contact) {
+  return {
+    billingAddress: {
+      ...toAddress(contact),
+      phoneNumber: String(contact.phoneNumber || '').trim().slice(0, 25),
+    },
+    email: String(contact.emailAddress || '').trim().slice(0, 255),
+  };
+}
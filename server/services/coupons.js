@@ -0,0 +1,217 @@
+import couponConfig from '../config/coupons.js';
+import { couponRedemptionRepository, transactionRepository } from '../repositories/index.js';
+
+/**
+ * Coupon Service
+ * Validates the coupon codes shoppers enter in the Apple Pay sheet
+ * (config/coupons.js): percent or fixed discounts, minimum spend, validity
+ * window and usage limits. A valid coupon becomes a discount of the order cart.
+ *
+ * Codes are checked again when the order is paid: the redemption is reserved
+ * while the payment is in flight (so usage limits hold under concurrent
+ * payments), confirmed when it succeeds and released when it fails. A
+ * reservation is never released once the order has an approved transaction.
+ *
+ * Usage limits count orders, not shoppers: the user ID sent with a payment is
+ * chosen by the client, so it cannot limit redemptions per person.
+ *
+ * Invalid codes are rejected with COUPON_CODE_INVALID (400) and ApplePayError
+ * fields in applePayError.errors (couponCodeInvalid or couponCodeExpired).
+ */
+class CouponService {
+  /**
+   * Normalize a code entered by the shopper
+   * @param {*} code - Code
+   * @returns {string} Uppercase code without surrounding spaces, or an empty string
+   */
+  normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+  }
+
+  /**
+   * Find a coupon by code
+   * @param {string} code - Code (any case)
+   * @returns {Object|null} Coupon definition, or null if the code does not exist
+   */
+  findCoupon(code) {
+    const normalized = this.normalizeCode(code);
+    return couponConfig.find((coupon) => this.normalizeCode(coupon.code) === normalized) || null;
+  }
+
+  /**
+   * Check that a coupon can be used for an order
+   * @param {string} code - Code entered by the shopper
+   * @param {Object} context - Order context
+   * @param {string} context.subtotal - Item subtotal before discounts
+   * @param {string} [context.orderId] - Order ID (its own reservation is not counted)
+   * @param {Date} [context.now] - Current time (defaults to now)
+   * @returns {Promise<Object>} Coupon definition
+   * @throws {Error} COUPON_CODE_INVALID (400) with the reason in applePayError.reason
+   */
+  async validate(code, { subtotal, orderId, now = new Date() }) {
+    const coupon = this.findCoupon(code);
+
+    if (!coupon) {
+      throw couponError('unknown', 'This code is not valid', { code: this.normalizeCode(code) });
+    }
+
+    if (coupon.startsAt && new Date(coupon.startsAt).getTime() > now.getTime()) {
+      throw couponError('not_started', 'This code is not valid yet', {
+        code: coupon.code,
+        startsAt: coupon.startsAt,
+      });
+    }
+
+    if (coupon.expiresAt && new Date(coupon.expiresAt).getTime() <= now.getTime()) {
+      throw couponError('expired', 'This code has expired', {
+        code: coupon.code,
+        expiresAt: coupon.expiresAt,
+      });
+    }
+
+    if (coupon.minimumSpend && toCents(subtotal) < toCents(coupon.minimumSpend)) {
+      throw couponError('minimum_spend', `This code requires a minimum spend of $${coupon.minimumSpend}`, {
+        code: coupon.code,
+        minimumSpend: coupon.minimumSpend,
+        subtotal,
+      });
+    }
+
+    if (coupon.maxRedemptions) {
+      const redemptions = (await couponRedemptionRepository.findByCode(coupon.code))
+        .filter((redemption) => redemption.orderId !== orderId);
+
+      if (redemptions.length >= coupon.maxRedemptions) {
+        throw couponError('usage_limit', 'This code is no longer available', { code: coupon.code });
+      }
+    }
+
+    return coupon;
+  }
+
+  /**
+   * Cart discount of a coupon
+   * @param {Object} coupon - Coupon definition
+   * @returns {Object} Discount for the cart (see CartService)
+   */
+  toDiscount(coupon) {
+    return {
+      id: coupon.code,
+      label: coupon.label,
+      type: coupon.type,
+      value: coupon.value,
+      coupon: true,
+    };
+  }
+
+  /**
+   * Reserve the coupon of an order before it is charged
+   * @param {Object} order - Order (status "processing")
+   * @param {Object} [context] - Payment context
+   * @param {string} [context.userId] - User paying the order (kept with the redemption)
+   * @returns {Promise<Object|null>} Redemption, or null if the order has no coupon
+   * @throws {Error} COUPON_CODE_INVALID (400) if the coupon can no longer be used
+   */
+  async reserve(order, { userId } = {}) {
+    if (!order.coupon) {
+      return null;
+    }
+
+    const coupon = await this.validate(order.coupon.code, {
+      subtotal: order.cart.subtotal,
+      orderId: order.id,
+    });
+
+    const redemption = await couponRedemptionRepository.reserve({
+      code: coupon.code,
+      orderId: order.id,
+      userId: userId || null,
+      discount: order.cart.discounts.find((discount) => discount.coupon)?.amount || null,
+    }, {
+      maxRedemptions: coupon.maxRedemptions,
+    });
+
+    if (!redemption) {
+      throw couponError('usage_limit', 'This code is no longer available', { code: coupon.code });
+    }
+
+    return redemption;
+  }
+
+  /**
+   * Confirm the coupon of a paid order
+   * @param {Object} order - Order
+   * @param {string} transId - Authorize.Net transaction ID of the payment
+   * @returns {Promise<Object|null>} Redemption, or null if the order has no coupon
+   */
+  async confirm(order, transId) {
+    if (!order.coupon) {
+      return null;
+    }
+
+    return couponRedemptionRepository.confirm(order.coupon.code, order.id, { transId });
+  }
+
+  /**
+   * Release the coupon of an order whose payment failed
+   * Kept if the order has an approved transaction: the shopper was charged
+   * with the discount, so the redemption counts.
+   * @param {Object} order - Order
+   * @returns {Promise<void>}
+   */
+  async release(order) {
+    if (!order.coupon) {
+      return;
+    }
+
+    const records = await transactionRepository.findByOrderId(order.id);
+    const approved = records.find((record) => record.status === 'approved');
+    if (approved) {
+      console.warn('[Coupons] Redemption of a charged order not released:', {
+        code: order.coupon.code,
+        orderId: order.id,
+        transId: approved.transId,
+      });
+      return;
+    }
+
+    await couponRedemptionRepository.release(order.coupon.code, order.id);
+  }
+}
+
+/**
+ * Amount in cents
+ * @param {string} amount - Decimal amount (e.g. "25.00")
+ * @returns {number} Cents
+ */
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+/**
+ * Error for a coupon code the sheet has to reject
+ * @param {string} reason - unknown, not_started, expired, minimum_spend or usage_limit
+ * @param {string} message - Message shown in the sheet
+ * @param {Object} details - Error details
+ * @returns {Error} COUPON_CODE_INVALID (400)
+ */
+function couponError(reason, message, details) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'COUPON_CODE_INVALID';
+  error.details = details;
+  error.applePayError = {
+    type: 'CouponCodeError',
+    reason,
+    errors: [
+      {
+        code: reason === 'expired' ? 'couponCodeExpired' : 'couponCodeInvalid',
+        message,
+      },
+    ],
+  };
+  return error;
+}
+
+// Export singleton instance
+export default new CouponService();
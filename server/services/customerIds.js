@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import config from '../config/applepay.js';
+import { customerIdRepository } from '../repositories/index.js';
+
+// Authorize.Net limits customer.id and merchantCustomerId to 20 characters
+const CUSTOMER_ID_LENGTH = 20;
+
+/**
+ * Customer ID Service
+ * Maps our user IDs (any length, e.g. UUIDs) to the merchant customer IDs sent
+ * to Authorize.Net, which are limited to 20 characters.
+ *
+ * A customer ID is the first 20 hex characters of HMAC-SHA256(userId) keyed
+ * with CUSTOMER_ID_SECRET: the same user always gets the same ID (also after
+ * a restart or on another instance), IDs of different users do not share
+ * prefixes, and user IDs cannot be guessed from gateway records. Changing
+ * CUSTOMER_ID_SECRET gives every user a new customer ID.
+ *
+ * Every ID is registered in the customer-ids store before it is sent, so
+ * customer IDs found in Authorize.Net records can be traced back to user IDs.
+ * Two user IDs with the same customer ID are rejected (CUSTOMER_ID_COLLISION).
+ */
+class CustomerIdService {
+  /**
+   * Customer ID of a user (not registered)
+   * @param {string} userId - User ID
+   * @returns {string} 20-character customer ID
+   */
+  toCustomerId(userId) {
+    return crypto
+      .createHmac('sha256', config.customerIdSecret)
+      .update(userId, 'utf8')
+      .digest('hex')
+      .slice(0, CUSTOMER_ID_LENGTH);
+  }
+
+  /**
+   * Register the customer ID of a user before it is sent to Authorize.Net
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} 20-character customer ID
+   * @throws {Error} CUSTOMER_ID_COLLISION (500) if another user has the same customer ID
+   */
+  async register(userId) {
+    const customerId = this.toCustomerId(userId);
+
+    const created = await customerIdRepository.createIfAbsent({
+      customerId,
+      userId,
+      createdAt: new Date().toISOString(),
+    });
+
+    if (!created) {
+      const mapping = await customerIdRepository.findByCustomerId(customerId);
+      if (mapping && mapping.userId !== userId) {
+        console.error('[Customer IDs] Customer ID collision:', { customerId });
+        const error = new Error('Customer ID collision');
+        error.statusCode = 500;
+        error.code = 'CUSTOMER_ID_COLLISION';
+        throw error;
+      }
+    }
+
+    return customerId;
+  }
+
+  /**
+   * Get the user of a customer ID
+   * @param {string} customerId - Merchant customer ID
+   * @returns {Promise<string>} User ID
+   * @throws {Error} If the customer ID was not registered (404)
+   */
+  async getUserId(customerId) {
+    const userId = await this.findUserId(customerId);
+
+    if (!userId) {
+      const error = new Error(`Customer ID ${customerId} not found`);
+      error.statusCode = 404;
+      error.code = 'CUSTOMER_ID_NOT_FOUND';
+      throw error;
+    }
+
+    return userId;
+  }
+
+  /**
+   * Find the user of a customer ID from an Authorize.Net record
+   * @param {string} customerId - Merchant customer ID
+   * @returns {Promise<string|null>} User ID, or null if the customer ID was not registered
+   */
+  async findUserId(customerId) {
+    if (!customerId) {
+      return null;
+    }
+
+    return (await customerIdRepository.findByCustomerId(customerId))?.userId || null;
+  }
+}
+
+// Export singleton instance
+export default new CustomerIdService();
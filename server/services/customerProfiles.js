@@ -0,0 +1,199 @@
+import authorizeNetService from './authorizeNet.js';
+import customerIdService from './customerIds.js';
+import transactionService from './transactions.js';
+import { customerProfileRepository } from '../repositories/index.js';
+
+/**
+ * Customer Profile Service
+ * Stores the cards of returning shoppers in Authorize.Net customer profiles
+ * (CIM), so they can be charged again without the shopper (merchant-initiated
+ * transactions, e.g. an adjustment to a paid order).
+ *
+ * Every user gets one customer profile, created from their first payment with
+ * a saved card; the cards of later payments are added to it as payment
+ * profiles. The mapping from user ID to customer profile is stored in the
+ * customer-profiles store, so the profile is found again by user ID.
+ *
+ * Cards can only be stored from a successful transaction (Apple Pay tokens are
+ * single use). The network transaction ID of that transaction is kept with the
+ * payment profile: merchant-initiated charges must reference it.
+ */
+class CustomerProfileService {
+  /**
+   * Store the card of a successful payment in the customer profile of a user
+   * @param {Object} paymentData - Payment data
+   * @param {string} paymentData.userId - User who paid
+   * @param {Object} paymentData.payment - Result from AuthorizeNetService
+   * @param {string} [paymentData.email] - Customer email (for a new customer profile)
+   * @param {string} paymentData.source - What the card was stored for (payment or subscription)
+   * @returns {Promise<{ customerProfileId: string, paymentProfile: Object }>}
+   * Customer profile ID and the stored payment profile
+   * @throws {Error} Gateway error, or PAYMENT_PROFILE_NOT_CREATED (502) if
+   * Authorize.Net did not return a payment profile
+   */
+  async saveFromPayment({ userId, payment, email, source }) {
+    let paymentProfile;
+    // Same merchant customer ID as the payment (see processApplePayTransaction)
+    const customerId = await customerIdService.register(userId);
+
+    const profile = await customerProfileRepository.upsert(userId, async (current) => {
+      const result = current
+        ? await authorizeNetService.createCustomerPaymentProfile({
+          customerProfileId: current.customerProfileId,
+          transId: payment.transactionId,
+        })
+        : await authorizeNetService.createCustomerProfileFromTransaction({
+          transId: payment.transactionId,
+          customerId,
+          email,
+        });
+
+      const paymentProfiles = current?.paymentProfiles || [];
+      const cardNumber = payment.details?.accountNumber || null;
+
+      // A card that is already stored keeps the network transaction ID it was stored with
+      paymentProfile = paymentProfiles.find((p) => p.id === result.customerPaymentProfileId)
+        || (result.duplicate && cardNumber ? paymentProfiles.find((p) => p.cardNumber === cardNumber) : null);
+
+      if (!paymentProfile) {
+        if (!result.customerPaymentProfileId) {
+          const error = new Error('Authorize.Net did not return a payment profile for the card');
+          error.statusCode = 502;
+          error.code = 'PAYMENT_PROFILE_NOT_CREATED';
+          error.details = {
+            customerProfileId: result.customerProfileId,
+            transId: payment.transactionId,
+          };
+          throw error;
+        }
+
+        paymentProfile = {
+          id: result.customerPaymentProfileId,
+          cardNumber,
+          cardType: payment.details?.accountType || null,
+          source,
+          transId: payment.transactionId,
+          networkTransId: payment.details?.networkTransId || null,
+          authAmount: payment.amount.toFixed(2),
+          createdAt: new Date().toISOString(),
+        };
+      }
+
+      return {
+        customerId,
+        customerProfileId: result.customerProfileId,
+        email: email || current?.email || null,
+        // The card used last is charged by default
+        defaultPaymentProfileId: paymentProfile.id,
+        paymentProfiles: paymentProfiles.some((p) => p.id === paymentProfile.id)
+          ? paymentProfiles
+          : [...paymentProfiles, paymentProfile],
+      };
+    });
+
+    console.log('[Customer Profiles] Card stored:', {
+      userId,
+      customerProfileId: profile.customerProfileId,
+      paymentProfileId: paymentProfile.id,
+      cardNumber: paymentProfile.cardNumber,
+      source,
+    });
+
+    return {
+      customerProfileId: profile.customerProfileId,
+      paymentProfile,
+    };
+  }
+
+  /**
+   * Find the customer profile of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Customer profile, or null if the user has no stored card
+   */
+  async findProfile(userId) {
+    return customerProfileRepository.findByUserId(userId);
+  }
+
+  /**
+   * Get the customer profile of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Customer profile
+   * @throws {Error} If the user has no stored card (404)
+   */
+  async getProfile(userId) {
+    const profile = await this.findProfile(userId);
+
+    if (!profile) {
+      const error = new Error(`No customer profile for user ${userId}`);
+      error.statusCode = 404;
+      error.code = 'CUSTOMER_PROFILE_NOT_FOUND';
+      throw error;
+    }
+
+    return profile;
+  }
+
+  /**
+   * Charge a stored card of a user without the user (merchant-initiated)
+   * @param {string} userId - User ID
+   * @param {Object} chargeData - Charge data
+   * @param {number} chargeData.amount - Amount to charge
+   * @param {string} chargeData.reason - resubmission, delayedCharge, reauthorization or noShow
+   * @param {string} [chargeData.paymentProfileId] - Payment profile to charge (defaults to the card used last)
+   * @param {string} [chargeData.orderId] - Order the charge belongs to
+   * @param {string} [chargeData.description] - Description
+   * @param {string} [chargeData.requestId] - Request ID (X-Request-Id)
+   * @returns {Promise<{ result: Object, paymentProfile: Object }>} Charge result
+   * from AuthorizeNetService and the charged payment profile
+   * @throws {Error} CUSTOMER_PROFILE_NOT_FOUND or PAYMENT_PROFILE_NOT_FOUND (404),
+   * or the gateway error
+   */
+  async charge(userId, { amount, reason, paymentProfileId, orderId, description, requestId }) {
+    const profile = await this.getProfile(userId);
+    const id = paymentProfileId || profile.defaultPaymentProfileId;
+    const paymentProfile = profile.paymentProfiles.find((p) => p.id === id);
+
+    if (!paymentProfile) {
+      const error = new Error(`Payment profile ${id} not found for user ${userId}`);
+      error.statusCode = 404;
+      error.code = 'PAYMENT_PROFILE_NOT_FOUND';
+      error.details = {
+        paymentProfileIds: profile.paymentProfiles.map((p) => p.id),
+      };
+      throw error;
+    }
+
+    const transactionContext = {
+      requestId,
+      type: 'authCaptureTransaction',
+      orderId,
+      userId,
+      amount,
+    };
+
+    let result;
+    try {
+      result = await authorizeNetService.chargeCustomerProfile({
+        customerProfileId: profile.customerProfileId,
+        customerPaymentProfileId: paymentProfile.id,
+        amount,
+        reason,
+        originalNetworkTransId: paymentProfile.networkTransId || undefined,
+        originalAuthAmount: paymentProfile.authAmount,
+        refId: orderId,
+        invoiceNumber: orderId,
+        description: description || 'Merchant-initiated charge',
+      });
+    } catch (error) {
+      await transactionService.recordFailure(transactionContext, error);
+      throw error;
+    }
+
+    await transactionService.recordSuccess(transactionContext, result);
+
+    return { result, paymentProfile };
+  }
+}
+
+// Export singleton instance
+export default new CustomerProfileService();
@@ -0,0 +1,469 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import tls from 'tls';
+import config from '../config/applepay.js';
+import { elementContent, findExtension, readElement } from './asn1.js';
+
+/**
+ * Merchant Identity Certificate Service
+ * Loads the Apple Pay merchant identity certificate and private key used for
+ * merchant validation (mutual TLS with the Apple Pay gateway) once, instead of
+ * on every /validate request, and checks that the key belongs to the certificate.
+ *
+ * Sources, in order of priority:
+ * 1. APPLE_MERCHANT_P12 (PKCS#12 bundle, .p12/.pfx file or base64) with APPLE_MERCHANT_P12_PASSPHRASE
+ * 2. APPLE_MERCHANT_CERT / APPLE_MERCHANT_KEY (PEM content or base64, for serverless)
+ * 3. APPLE_MERCHANT_CERT_PATH / APPLE_MERCHANT_KEY_PATH (PEM files, for local/Docker)
+ * The PEM private key may be encrypted, with APPLE_MERCHANT_KEY_PASSPHRASE.
+ * Bundles and encrypted keys are passed to TLS as they are (with the passphrase),
+ * the decrypted key is never written anywhere.
+ *
+ * Certificate files are watched, so a rotated certificate is picked up without
+ * a restart. If the new files cannot be loaded (e.g. the certificate was replaced
+ * but not the key yet), the previous certificate stays in use.
+ */
+
+// Apple merchant identifier extension
+const MERCHANT_ID_OID = '1.2.840.113635.100.6.32';
+
+// DER tags of the string types the extension value may be wrapped in
+const DER_STRING_TAGS = new Set([0x04, 0x0c, 0x13, 0x16]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the Apple merchant identifier extension of a certificate
+ * Apple stores the hex-encoded SHA-256 hash of the merchant ID in it.
+ * @param {crypto.X509Certificate} certificate - Merchant identity or payment processing certificate
+ * @returns {string|null} Extension value, or null if the certificate has none
+ */
+export function readMerchantIdExtension(certificate) {
+  let value = findExtension(certificate.raw, MERCHANT_ID_OID);
+  if (!value) {
+    return null;
+  }
+
+  if (DER_STRING_TAGS.has(value[0])) {
+    const inner = readElement(value);
+    if (inner.end === value.length) {
+      value = elementContent(value, inner);
+    }
+  }
+
+  return value.toString('utf8');
+}
+
+/**
+ * Build a CertificateError
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @param {Object} details - applePayError fields
+ * @returns {Error} Error
+ */
+function certificateError(message, code, details) {
+  const error = new Error(message);
+  error.code = code;
+  error.applePayError = {
+    type: 'CertificateError',
+    ...details,
+  };
+  return error;
+}
+
+class MerchantCertificateService {
+  constructor() {
+    // Loaded certificate: { credentials (TLS options), certificate (X509Certificate), info }
+    this.current = null;
+    // Error of the last failed load, cleared by a successful one
+    this.lastError = null;
+    this.watchedPaths = [];
+    this.expiryTimer = null;
+  }
+
+  /**
+   * Load the certificate and start hot reload and expiry monitoring
+   * Called once at server startup. A missing or invalid certificate is logged,
+   * not thrown, so the rest of the API keeps working; /validate reports the error.
+   */
+  start() {
+    try {
+      this.load();
+    } catch (error) {
+      console.error('[Apple Pay] Merchant identity certificate not loaded:', {
+        message: error.message,
+        applePayError: error.applePayError,
+      });
+    }
+
+    this.watch();
+
+    if (!this.expiryTimer) {
+      this.expiryTimer = setInterval(() => this.checkExpiry(), DAY_MS);
+      this.expiryTimer.unref();
+    }
+  }
+
+  /**
+   * Stop watching the certificate files and the expiry check
+   */
+  stop() {
+    for (const path of this.watchedPaths) {
+      fs.unwatchFile(path);
+    }
+    this.watchedPaths = [];
+
+    clearInterval(this.expiryTimer);
+    this.expiryTimer = null;
+  }
+
+  /**
+   * TLS client credentials for the merchant validation request
+   * @returns {Object} TLS options: { cert, key, passphrase? } or { pfx, passphrase? }
+   * @throws {Error} If no valid certificate could be loaded, or it expired
+   */
+  getCredentials() {
+    if (!this.current) {
+      this.load();
+    }
+
+    const { info } = this.current;
+    const now = Date.now();
+
+    if (new Date(info.notAfter).getTime() <= now) {
+      throw certificateError(
+        `Merchant identity certificate expired at ${info.notAfter}`,
+        'MERCHANT_CERTIFICATE_EXPIRED',
+        {
+          message: 'Merchant identity certificate has expired. Renew it in the Apple Developer Portal.',
+          notAfter: info.notAfter,
+          source: info.source,
+        }
+      );
+    }
+
+    if (new Date(info.notBefore).getTime() > now) {
+      throw certificateError(
+        `Merchant identity certificate is not valid before ${info.notBefore}`,
+        'MERCHANT_CERTIFICATE_NOT_YET_VALID',
+        {
+          message: 'Merchant identity certificate is not valid yet.',
+          notBefore: info.notBefore,
+          source: info.source,
+        }
+      );
+    }
+
+    return { ...this.current.credentials };
+  }
+
+  /**
+   * Details of the loaded certificate
+   * @returns {Object} Status: loaded, certificate details and the last load error
+   */
+  getStatus() {
+    return {
+      loaded: Boolean(this.current),
+      certificate: this.current ? {
+        ...this.current.info,
+        daysUntilExpiry: this.daysUntilExpiry(),
+      } : null,
+      lastError: this.lastError,
+      hotReload: this.watchedPaths.length > 0,
+    };
+  }
+
+  /**
+   * Read, parse and check the certificate and private key
+   * Replaces the loaded certificate only if the new one is valid.
+   * @returns {Object} Certificate details
+   * @throws {Error} If the certificate or key cannot be read, parsed, or do not match
+   */
+  load() {
+    try {
+      const { credentials, certificate, format, source, keySource } = this.usesP12() ? this.loadP12() : this.loadPem();
+
+      const merchantIdentifier = readMerchantIdExtension(certificate);
+      const expectedIdentifier = crypto.createHash('sha256').update(config.appleMerchantId).digest('hex');
+
+      const info = {
+        subject: certificate.subject.split('\n').join(', '),
+        issuer: certificate.issuer.split('\n').join(', '),
+        serialNumber: certificate.serialNumber,
+        fingerprint256: certificate.fingerprint256,
+        notBefore: new Date(certificate.validFrom).toISOString(),
+        notAfter: new Date(certificate.validTo).toISOString(),
+        merchantIdOid: MERCHANT_ID_OID,
+        merchantIdentifier,
+        matchesMerchantId: merchantIdentifier ? merchantIdentifier.toLowerCase() === expectedIdentifier : null,
+        format,
+        encrypted: Boolean(credentials.passphrase),
+        source,
+        keySource,
+        loadedAt: new Date().toISOString(),
+      };
+
+      this.current = { credentials, certificate, info };
+      this.lastError = null;
+
+      console.log('[Apple Pay] Merchant identity certificate loaded:', {
+        subject: info.subject,
+        notAfter: info.notAfter,
+        source: info.source,
+      });
+
+      if (info.matchesMerchantId === false) {
+        console.warn(`[Apple Pay] Merchant identity certificate was not issued for APPLE_MERCHANT_ID ${config.appleMerchantId}`);
+      }
+
+      this.checkExpiry();
+
+      return info;
+    } catch (error) {
+      this.lastError = {
+        message: error.message,
+        code: error.code,
+        at: new Date().toISOString(),
+      };
+      throw error;
+    }
+  }
+
+  /**
+   * Load the PEM certificate and (optionally encrypted) private key
+   * @returns {Object} { credentials, certificate, format, source, keySource }
+   * @throws {Error} If they cannot be read or parsed, or do not match
+   */
+  loadPem() {
+    const cert = this.readPem('certificate');
+    const key = this.readPem('key');
+    const passphrase = config.appleMerchantKeyPassphrase || undefined;
+
+    let certificate;
+    let privateKey;
+    try {
+      certificate = new crypto.X509Certificate(cert.pem);
+    } catch (err) {
+      throw certificateError(`Invalid merchant certificate: ${err.message}`, 'INVALID_MERCHANT_CERTIFICATE', {
+        message: 'Merchant identity certificate is not a valid PEM certificate.',
+        source: cert.source,
+      });
+    }
+    try {
+      privateKey = crypto.createPrivateKey({ key: key.pem, passphrase });
+    } catch (err) {
+      let message = 'Merchant private key is not a valid PEM private key.';
+      // PKCS#8 "ENCRYPTED PRIVATE KEY" or traditional "Proc-Type: 4,ENCRYPTED" keys
+      if (!passphrase && key.pem.includes('ENCRYPTED')) {
+        message = 'Merchant private key is encrypted. Set APPLE_MERCHANT_KEY_PASSPHRASE.';
+      } else if (passphrase) {
+        message = 'Merchant private key could not be decrypted. Check APPLE_MERCHANT_KEY_PASSPHRASE.';
+      }
+      throw certificateError(`Invalid merchant private key: ${err.message}`, 'INVALID_MERCHANT_KEY', {
+        message,
+        source: key.source,
+      });
+    }
+
+    if (!certificate.checkPrivateKey(privateKey)) {
+      throw certificateError('Merchant private key does not match the merchant certificate', 'MERCHANT_KEY_MISMATCH', {
+        message: 'Merchant private key does not belong to the merchant identity certificate.',
+        certificateSource: cert.source,
+        keySource: key.source,
+      });
+    }
+
+    return {
+      credentials: passphrase ? { cert: cert.pem, key: key.pem, passphrase } : { cert: cert.pem, key: key.pem },
+      certificate,
+      format: 'pem',
+      source: cert.source,
+      keySource: key.source,
+    };
+  }
+
+  /**
+   * Load the PKCS#12 bundle
+   * OpenSSL checks the passphrase and that the key matches the certificate
+   * while building the TLS context; the certificate is read back from it.
+   * @returns {Object} { credentials, certificate, format, source, keySource }
+   * @throws {Error} If the bundle cannot be read or decrypted
+   */
+  loadP12() {
+    const source = config.appleMerchantP12Path || 'env:APPLE_MERCHANT_P12';
+    const passphrase = config.appleMerchantP12Passphrase || undefined;
+
+    let pfx;
+    if (config.appleMerchantP12Path) {
+      try {
+        pfx = fs.readFileSync(config.appleMerchantP12Path);
+      } catch (err) {
+        throw certificateError(`Failed to load merchant PKCS#12 bundle: ${err.message}`, 'ENOENT', {
+          message: 'Merchant PKCS#12 bundle not found. Check the APPLE_MERCHANT_P12 file path.',
+          path: config.appleMerchantP12Path,
+        });
+      }
+    } else {
+      pfx = Buffer.from(config.appleMerchantP12, 'base64');
+    }
+
+    let socket;
+    try {
+      const secureContext = tls.createSecureContext({ pfx, passphrase });
+      // An unconnected socket exposes the local certificate of the context
+      socket = new tls.TLSSocket(null, { secureContext });
+      const { raw } = socket.getCertificate() || {};
+
+      return {
+        credentials: passphrase ? { pfx, passphrase } : { pfx },
+        certificate: new crypto.X509Certificate(raw),
+        format: 'pkcs12',
+        source,
+        keySource: source,
+      };
+    } catch (err) {
+      let code = 'INVALID_MERCHANT_P12';
+      let message = 'Merchant PKCS#12 bundle could not be read.';
+      if (/mac verify failure/i.test(err.message)) {
+        code = 'MERCHANT_P12_BAD_PASSPHRASE';
+        message = 'Merchant PKCS#12 bundle could not be decrypted. Check APPLE_MERCHANT_P12_PASSPHRASE.';
+      } else if (/unsupported/i.test(err.message)) {
+        message = 'Merchant PKCS#12 bundle uses legacy encryption (RC2/3DES) that OpenSSL 3 no longer supports. Re-export it with current defaults (see README).';
+      } else if (/key values mismatch/i.test(err.message)) {
+        code = 'MERCHANT_KEY_MISMATCH';
+        message = 'Private key in the PKCS#12 bundle does not belong to its certificate.';
+      }
+      throw certificateError(`Invalid merchant PKCS#12 bundle: ${err.message}`, code, {
+        message,
+        source,
+      });
+    } finally {
+      socket?.destroy();
+    }
+  }
+
+  /**
+   * Whether the merchant identity is configured as a PKCS#12 bundle
+   * @returns {boolean} True if APPLE_MERCHANT_P12 is set
+   */
+  usesP12() {
+    return Boolean(config.appleMerchantP12Path || config.appleMerchantP12);
+  }
+
+  /**
+   * Reload after a certificate file changed, keeping the current certificate on failure
+   * @param {string} path - Changed file
+   */
+  reload(path) {
+    console.log(`[Apple Pay] Merchant certificate file changed, reloading: ${path}`);
+
+    try {
+      this.load();
+    } catch (error) {
+      console.error('[Apple Pay] Merchant certificate reload failed, keeping the previous certificate:', {
+        message: error.message,
+        applePayError: error.applePayError,
+      });
+    }
+  }
+
+  /**
+   * Watch the certificate and key files (sources given as environment variables are not watched)
+   */
+  watch() {
+    if (config.appleMerchantCertWatchIntervalMs <= 0 || this.watchedPaths.length > 0) {
+      return;
+    }
+
+    const paths = [];
+    if (this.usesP12()) {
+      if (config.appleMerchantP12Path) {
+        paths.push(config.appleMerchantP12Path);
+      }
+    } else {
+      if (!config.appleMerchantCert) {
+        paths.push(config.appleMerchantCertPath);
+      }
+      if (!config.appleMerchantKey) {
+        paths.push(config.appleMerchantKeyPath);
+      }
+    }
+
+    for (const path of paths) {
+      // Not persistent: watching must not keep the process alive
+      fs.watchFile(path, { interval: config.appleMerchantCertWatchIntervalMs, persistent: false }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+          this.reload(path);
+        }
+      });
+      this.watchedPaths.push(path);
+    }
+  }
+
+  /**
+   * Log a warning if the certificate expires within APPLE_MERCHANT_CERT_EXPIRY_WARNING_DAYS
+   */
+  checkExpiry() {
+    const days = this.daysUntilExpiry();
+    if (days === null) {
+      return;
+    }
+
+    const { notAfter } = this.current.info;
+    if (days < 0) {
+      console.error(`[Apple Pay] Merchant identity certificate expired at ${notAfter}, merchant validation will fail`);
+    } else if (days <= config.appleMerchantCertExpiryWarningDays) {
+      console.warn(`[Apple Pay] Merchant identity certificate expires in ${days} day(s) (${notAfter}), renew it in the Apple Developer Portal`);
+    }
+  }
+
+  /**
+   * Whole days until the loaded certificate expires (negative once expired)
+   * @returns {number|null} Days, or null if no certificate is loaded
+   */
+  daysUntilExpiry() {
+    if (!this.current) {
+      return null;
+    }
+
+    return Math.floor((new Date(this.current.info.notAfter).getTime() - Date.now()) / DAY_MS);
+  }
+
+  /**
+   * Read the certificate or private key PEM from its environment variable or file
+   * @param {string} kind - 'certificate' or 'key'
+   * @returns {{ pem: string, source: string }} PEM content and where it came from
+   */
+  readPem(kind) {
+    const isCertificate = kind === 'certificate';
+    const envName = isCertificate ? 'APPLE_MERCHANT_CERT' : 'APPLE_MERCHANT_KEY';
+    const envValue = isCertificate ? config.appleMerchantCert : config.appleMerchantKey;
+    const path = isCertificate ? config.appleMerchantCertPath : config.appleMerchantKeyPath;
+    const label = isCertificate ? 'certificate' : 'private key';
+
+    // Environment variables first (recommended for serverless/Vercel)
+    if (envValue) {
+      // Handle escaped newlines (common when pasting PEM content as env var)
+      let pem = envValue.replace(/\\n/g, '\n');
+      // Handle base64 encoded values (common in CI/CD environments)
+      if (!pem.includes('-----BEGIN')) {
+        pem = Buffer.from(pem, 'base64').toString('utf8');
+      }
+      return { pem, source: `env:${envName}` };
+    }
+
+    // Fall back to file path (for local/Docker development)
+    try {
+      return { pem: fs.readFileSync(path, 'utf8'), source: path };
+    } catch (err) {
+      throw certificateError(`Failed to load merchant ${label}: ${err.message}`, 'ENOENT', {
+        message: isCertificate
+          ? 'Merchant identity certificate not found. Set APPLE_MERCHANT_CERT environment variable or provide file path.'
+          : 'Merchant private key not found. Set APPLE_MERCHANT_KEY environment variable or provide file path.',
+        path,
+      });
+    }
+  }
+}
+
+// Export singleton instance
+export default new MerchantCertificateService();
@@ -0,0 +1,480 @@
+import crypto from 'crypto';
+import config from '../config/applepay.js';
+import { orderRepository, transactionRepository } from '../repositories/index.js';
+import shippingService from './shipping.js';
+import cartService from './cart.js';
+import couponService from './coupons.js';
+import { invalidContactError, toAddress } from './contacts.js';
+
+// Order statuses whose payment has settled funds that can be refunded
+const REFUNDABLE_STATUSES = ['paid', 'captured', 'partially_refunded'];
+
+// Statuses an order can move to from a capture, refund, void or fraud decision,
+// with the statuses it must be in (a late or replayed event does not reopen a
+// refunded or voided order). Partial refunds are recorded by recordRefund: a
+// refund event does not mark a partially refunded order as refunded.
+const TRANSACTION_STATUS_TRANSITIONS = {
+  captured: ['authorized'],
+  refunded: ['paid', 'captured'],
+  voided: ['authorized', 'paid', 'captured'],
+  declined: ['authorized', 'paid'],
+};
+
+/**
+ * Order Service
+ * The server is the pricing authority: the browser asks for a priced order
+ * (a quote), builds the Apple Pay sheet from it, and /process charges the
+ * stored total for that order ID instead of an amount sent by the client.
+ * Orders are priced from the configured cart (see CartService).
+ *
+ * Order lifecycle: quoted -> processing -> paid (or authorized in deferred capture mode)
+ * A failed payment returns the order to "quoted" so the shopper can retry
+ * until the quote expires. Captures, refunds, voids and fraud decisions
+ * (from the back-office endpoints or Authorize.Net webhooks) move a paid order
+ * on to captured, refunded, voided or declined. A partial refund moves it to
+ * partially_refunded until the refunds add up to the captured amount.
+ *
+ * While the order is quoted, the shopper can change the shipping address and
+ * method (updateShipping) or enter a coupon code (applyCoupon) in the Apple Pay
+ * sheet, which reprices the order.
+ *
+ * Orders are kept in the order repository, every status change is appended to
+ * order.statusHistory.
+ */
+class OrderService {
+  /**
+   * Create a priced order (quote)
+   * @param {Object} [options] - Quote options
+   * @param {string} [options.userId] - User the quote was created for
+   * @param {string} [options.requestId] - Request ID (X-Request-Id)
+   * @returns {Promise<Object>} Order
+   */
+  async createQuote({ userId, requestId } = {}) {
+    const now = new Date();
+    // Priced with the default method until the shopper picks an address in the sheet
+    const shippingMethod = shippingService.selectShippingMethod(null);
+
+    const order = {
+      // Used as the Authorize.Net refId, which is limited to 20 characters
+      id: `ORD-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+      status: 'quoted',
+      userId: userId || null,
+      currencyCode: 'USD',
+      countryCode: 'US',
+      shipping: {
+        method: shippingMethod,
+        contact: null,
+      },
+      coupon: null,
+      // cart, lineItems and total
+      ...cartService.price(cartService.getCart(), shippingMethod),
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + config.quoteTtlSeconds * 1000).toISOString(),
+      transactionId: null,
+      authCode: null,
+      statusHistory: [
+        {
+          status: 'quoted',
+          at: now.toISOString(),
+          source: 'api',
+          requestId: requestId || null,
+        },
+      ],
+    };
+
+    return orderRepository.create(order);
+  }
+
+  /**
+   * Get an order by ID
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Order
+   * @throws {Error} If the order does not exist (404)
+   */
+  async getOrder(orderId) {
+    const order = await orderRepository.findById(orderId);
+
+    if (!order) {
+      const error = new Error(`Order ${orderId} not found`);
+      error.statusCode = 404;
+      error.code = 'ORDER_NOT_FOUND';
+      throw error;
+    }
+
+    return order;
+  }
+
+  /**
+   * Lock an order for payment
+   * Rejects orders that expired, were already paid, or have a payment in flight.
+   * @param {string} orderId - Order ID
+   * @param {Object} [context] - Payment context
+   * @param {string} [context.userId] - User paying the order
+   * @param {string} [context.requestId] - Request ID (X-Request-Id)
+   * @returns {Promise<Object>} Order (status "processing")
+   */
+  async reserveForPayment(orderId, { userId, requestId } = {}) {
+    const order = await this.getOrder(orderId);
+    this.assertQuoteOpen(order);
+
+    // Another request may have reserved the order since it was read
+    const reserved = await this.changeStatus(order, ['quoted'], 'processing', {
+      source: 'api',
+      requestId,
+    }, {
+      userId: userId || order.userId,
+    });
+
+    if (!reserved) {
+      throw paymentInProgressError(orderId);
+    }
+
+    return reserved;
+  }
+
+  /**
+   * Change the shipping address or method of a quoted order and reprice it
+   * Called from the onshippingcontactselected and onshippingmethodselected
+   * handlers of the Apple Pay sheet. If the selected method is not available
+   * for the address, the default method is used instead.
+   * @param {string} orderId - Order ID
+   * @param {Object} selection - Shipping selection
+   * @param {Object} [selection.shippingContact] - Redacted Apple Pay contact (keeps the
+   * current address when omitted)
+   * @param {string} [selection.shippingMethodIdentifier] - Selected shipping method
+   * (keeps the current method when omitted)
+   * @returns {Promise<Object>} Repriced order
+   * @throws {Error} SHIPPING_CONTACT_INVALID (400) with the ApplePayError fields in
+   * applePayError.errors, or the errors of assertQuoteOpen for closed quotes
+   */
+  async updateShipping(orderId, { shippingContact, shippingMethodIdentifier } = {}) {
+    const order = await this.getOrder(orderId);
+    this.assertQuoteOpen(order);
+
+    let contact = order.shipping?.contact || null;
+    if (shippingContact !== undefined) {
+      const errors = shippingService.validateContact(shippingContact, { redacted: true });
+      if (errors.length > 0) {
+        throw shippingContactError(errors);
+      }
+      contact = shippingService.toRedactedContact(shippingContact);
+    }
+
+    const method = shippingService.selectShippingMethod(
+      contact,
+      shippingMethodIdentifier || order.shipping?.method?.identifier
+    );
+
+    const updated = await orderRepository.transition(order.id, ['quoted'], (current) => ({
+      shipping: { method, contact },
+      ...cartService.price(current.cart, method),
+    }));
+
+    if (!updated) {
+      throw paymentInProgressError(orderId);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Apply a coupon code to a quoted order and reprice it
+   * Called from the oncouponcodechanged handler of the Apple Pay sheet. The
+   * coupon replaces the previous one; an empty code removes it.
+   * @param {string} orderId - Order ID
+   * @param {string} couponCode - Code entered by the shopper
+   * @returns {Promise<Object>} Repriced order
+   * @throws {Error} COUPON_CODE_INVALID (400) with the ApplePayError fields in
+   * applePayError.errors, or the errors of assertQuoteOpen for closed quotes
+   */
+  async applyCoupon(orderId, couponCode) {
+    const order = await this.getOrder(orderId);
+    this.assertQuoteOpen(order);
+
+    const coupon = couponService.normalizeCode(couponCode)
+      ? await couponService.validate(couponCode, {
+        subtotal: order.cart.subtotal,
+        orderId: order.id,
+      })
+      : null;
+
+    const updated = await orderRepository.transition(order.id, ['quoted'], (current) => {
+      const discounts = current.cart.discounts.filter((discount) => !discount.coupon);
+      if (coupon) {
+        discounts.push(couponService.toDiscount(coupon));
+      }
+
+      return {
+        coupon: coupon
+          ? { code: coupon.code, label: coupon.label, type: coupon.type, value: coupon.value }
+          : null,
+        ...cartService.price({ ...current.cart, discounts }, current.shipping?.method),
+      };
+    });
+
+    if (!updated) {
+      throw paymentInProgressError(orderId);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Check the full shipping contact of an authorized payment
+   * The sheet only shared a redacted contact while the shopper chose the
+   * shipping method, so the method must still be available for the full address.
+   * @param {Object} order - Order
+   * @param {Object} shippingContact - Full Apple Pay contact (payment.shippingContact)
+   * @returns {Object} Authorize.Net address for shipTo
+   * @throws {Error} SHIPPING_CONTACT_INVALID (400) with the ApplePayError fields in
+   * applePayError.errors
+   */
+  getShippingAddress(order, shippingContact) {
+    const errors = shippingService.validateContact(shippingContact);
+
+    const method = order.shipping?.method;
+    if (errors.length === 0 && method
+      && !shippingService.getShippingMethods(shippingContact).some((m) => m.identifier === method.identifier)) {
+      errors.push({
+        code: 'shippingContactInvalid',
+        contactField: 'administrativeArea',
+        message: `${method.label} is not available for this address`,
+      });
+    }
+
+    if (errors.length > 0) {
+      throw shippingContactError(errors);
+    }
+
+    return toAddress(shippingContact);
+  }
+
+  /**
+   * Itemized data of an order for the Authorize.Net transaction
+   * @param {Object} order - Order
+   * @returns {Object} lineItems, tax, shipping, duty and discountAmount (see CartService)
+   */
+  getTransactionDetails(order) {
+    return cartService.toTransactionDetails(order.cart, order.shipping?.method);
+  }
+
+  /**
+   * Check that a quote can still be changed or paid
+   * @param {Object} order - Order
+   * @throws {Error} If the order expired (410), was already paid or has a
+   * payment in flight (409)
+   */
+  assertQuoteOpen(order) {
+    const orderId = order.id;
+
+    if (order.status === 'processing') {
+      throw paymentInProgressError(orderId);
+    }
+
+    if (order.status !== 'quoted') {
+      const error = new Error(`Order ${orderId} has already been paid (status: ${order.status})`);
+      error.statusCode = 409;
+      error.code = 'ORDER_ALREADY_PAID';
+      error.details = { orderId, status: order.status, transactionId: order.transactionId };
+      throw error;
+    }
+
+    if (new Date(order.expiresAt).getTime() <= Date.now()) {
+      const error = new Error(`Order ${orderId} expired at ${order.expiresAt}, request a new quote`);
+      error.statusCode = 410;
+      error.code = 'ORDER_EXPIRED';
+      error.details = { orderId, expiresAt: order.expiresAt };
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an order as paid
+   * @param {string} orderId - Order ID
+   * @param {Object} result - Transaction result from AuthorizeNetService
+   * @param {Object} [context] - Payment context
+   * @param {string} [context.requestId] - Request ID (X-Request-Id)
+   * @returns {Promise<Object>} Order (status "paid", or "authorized" if not captured yet)
+   */
+  async markPaid(orderId, result, { requestId } = {}) {
+    const order = await this.getOrder(orderId);
+
+    return this.changeStatus(order, null, result.captured ? 'paid' : 'authorized', {
+      source: 'api',
+      requestId,
+      transId: result.transactionId,
+    }, {
+      transactionId: result.transactionId,
+      authCode: result.authCode,
+      paidAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Release an order after a failed payment so it can be retried
+   * @param {string} orderId - Order ID
+   * @param {Object} [context] - Payment context
+   * @param {string} [context.requestId] - Request ID (X-Request-Id)
+   * @returns {Promise<Object>} Order
+   */
+  async releaseAfterFailure(orderId, { requestId } = {}) {
+    const order = await this.getOrder(orderId);
+
+    return (await this.changeStatus(order, ['processing'], 'quoted', {
+      source: 'api',
+      requestId,
+      reason: 'payment_failed',
+    })) || order;
+  }
+
+  /**
+   * Find the order a transaction belongs to
+   * Matches the payment transaction of the order, or any other gateway call
+   * recorded for it (e.g. the refund transaction of a refund).
+   * @param {string} transId - Authorize.Net transaction ID
+   * @returns {Promise<Object|null>} Order, or null if the transaction is unknown
+   */
+  async findByTransactionId(transId) {
+    const order = await orderRepository.findByTransactionId(transId);
+    if (order) {
+      return order;
+    }
+
+    const record = await transactionRepository.findByTransId(transId);
+    return record?.orderId ? orderRepository.findById(record.orderId) : null;
+  }
+
+  /**
+   * Record a refund on the order of the refunded transaction
+   * Keeps the total refunded so far in order.refundedAmount. The order is
+   * refunded once that total reaches the captured amount, and partially_refunded
+   * before.
+   * @param {string} transId - Refunded (original) transaction ID
+   * @param {Object} result - Refund result from AuthorizeNetService.refundTransaction
+   * @param {Object} change - Where the change came from, stored in statusHistory
+   * @returns {Promise<Object|null>} Updated order, or null if the transaction is
+   * unknown or the order cannot be refunded
+   */
+  async recordRefund(transId, result, change = {}) {
+    const order = await this.findByTransactionId(transId);
+    if (!order) {
+      return null;
+    }
+
+    const fullyRefunded = Math.round(result.refundedAmount * 100) >= Math.round(result.capturedAmount * 100);
+
+    return this.changeStatus(order, REFUNDABLE_STATUSES, fullyRefunded ? 'refunded' : 'partially_refunded', {
+      ...change,
+      transId,
+      refundTransId: result.transactionId,
+      amount: result.amount.toFixed(2),
+    }, {
+      refundedAmount: result.refundedAmount.toFixed(2),
+    });
+  }
+
+  /**
+   * Update the status of the order a transaction belongs to
+   * Used after captures and voids, and for Authorize.Net webhook events. The
+   * order must be in one of the statuses of TRANSACTION_STATUS_TRANSITIONS for
+   * the new status, so a late or replayed event leaves it unchanged.
+   * @param {string} transId - Authorize.Net transaction ID
+   * @param {string} status - New order status (captured, refunded, voided or declined)
+   * @param {Object} change - Where the change came from, stored in statusHistory
+   * (e.g. { source: 'webhook', eventId, eventType })
+   * @returns {Promise<Object|null>} Updated order, or null if the transaction is
+   * unknown or the order cannot move to the status
+   */
+  async updateStatusForTransaction(transId, status, change = {}) {
+    const order = await this.findByTransactionId(transId);
+    if (!order || order.status === status) {
+      return null;
+    }
+
+    return this.changeStatus(order, TRANSACTION_STATUS_TRANSITIONS[status], status, { ...change, transId });
+  }
+
+  /**
+   * Change the status of an order and append the change to its history
+   * @param {Object} order - Order
+   * @param {Array<string>|null} fromStatuses - Required current statuses (null for any)
+   * @param {string} status - New status
+   * @param {Object} change - Where the change came from (source, requestId, ...)
+   * @param {Object} [changes] - Other fields to update
+   * @returns {Promise<Object|null>} Updated order, or null if it was not in a required status
+   */
+  async changeStatus(order, fromStatuses, status, change, changes = {}) {
+    const entry = {
+      status,
+      at: new Date().toISOString(),
+      ...change,
+    };
+
+    return orderRepository.transition(order.id, fromStatuses, (current) => ({
+      ...changes,
+      status,
+      statusHistory: [...(current.statusHistory || []), entry],
+    }));
+  }
+
+  /**
+   * Public view of an order, as returned to the frontend
+   * @param {Object} order - Order
+   * @returns {Object} Order fields needed to build the Apple Pay sheet
+   */
+  toQuote(order) {
+    return {
+      id: order.id,
+      status: order.status,
+      currencyCode: order.currencyCode,
+      countryCode: order.countryCode,
+      cart: order.cart,
+      lineItems: order.lineItems,
+      total: order.total,
+      shippingMethods: this.getShippingMethods(order),
+      couponCode: order.coupon?.code || null,
+      expiresAt: order.expiresAt,
+    };
+  }
+
+  /**
+   * Shipping methods for the Apple Pay sheet, selected method first
+   * (the sheet selects the first one)
+   * @param {Object} order - Order
+   * @returns {Array<Object>} ApplePayShippingMethod objects
+   */
+  getShippingMethods(order) {
+    const methods = shippingService.getShippingMethods(order.shipping?.contact);
+    const selected = order.shipping?.method?.identifier;
+
+    return [
+      ...methods.filter((method) => method.identifier === selected),
+      ...methods.filter((method) => method.identifier !== selected),
+    ];
+  }
+}
+
+/**
+ * Error for an order that is being paid by another request
+ * @param {string} orderId - Order ID
+ * @returns {Error} ORDER_PAYMENT_IN_PROGRESS (409)
+ */
+function paymentInProgressError(orderId) {
+  const error = new Error(`A payment for order ${orderId} is already in progress`);
+  error.statusCode = 409;
+  error.code = 'ORDER_PAYMENT_IN_PROGRESS';
+  error.details = { orderId };
+  return error;
+}
+
+/**
+ * Error for a shipping contact the sheet has to ask the shopper to fix
+ * @param {Array<Object>} errors - ApplePayError fields ({ code, contactField, message })
+ * @returns {Error} SHIPPING_CONTACT_INVALID (400)
+ */
+function shippingContactError(errors) {
+  return invalidContactError('SHIPPING_CONTACT_INVALID', 'ShippingContactError', errors);
+}
+
+// Export singleton instance
+export default new OrderService();
@@ -0,0 +1,404 @@
+import authorizeNetService from './authorizeNet.js';
+import {
+  orderRepository,
+  transactionRepository,
+  subscriptionRepository,
+} from '../repositories/index.js';
+
+// Authorize.Net lists settled batches for ranges of up to 31 days
+const MAX_RANGE_DAYS = 31;
+
+// Batch transaction statuses that moved money (others, e.g. voided or declined, are not compared)
+const SETTLED_STATUSES = ['settledSuccessfully', 'refundSettledSuccessfully'];
+
+// Order statuses whose payment transaction is captured and settles
+const SETTLING_ORDER_STATUSES = ['paid', 'captured', 'partially_refunded', 'refunded'];
+
+const CSV_COLUMNS = [
+  'status',
+  'transId',
+  'batchId',
+  'settlementTimeUTC',
+  'transactionStatus',
+  'source',
+  'orderId',
+  'subscriptionId',
+  'userId',
+  'invoiceNumber',
+  'settledAmount',
+  'expectedAmount',
+  'difference',
+];
+
+/**
+ * Reconciliation Service
+ * Compares the transactions Authorize.Net settled in a date range with the
+ * payments we stored, so finance can tie out deposits:
+ *
+ * - matched: settled transaction of a known payment, for the expected amount
+ * - amount_mismatch: known payment settled for another amount
+ * - extra: settled transaction we have no record of
+ * - missing: order captured in the range that no batch settled, although a
+ *   batch was settled after it was captured
+ * - unsettled: order captured in the range after the last batch (settles later)
+ *
+ * Settled transactions are matched to, in order: the payment transaction of an
+ * order (expected amount: the captured amount, else the order total), a
+ * recorded gateway call (refunds, merchant-initiated charges, first
+ * subscription payments) and an ARB subscription (recurring payments, whose
+ * amount is not compared: the subscription only keeps its current amount).
+ */
+class ReconciliationService {
+  /**
+   * Build the reconciliation report of a settlement date range
+   * @param {Object} [range] - Settlement date range (UTC days, inclusive)
+   * @param {string} [range.from] - First day, YYYY-MM-DD (default: the day before `to`)
+   * @param {string} [range.to] - Last day, YYYY-MM-DD (default: today)
+   * @returns {Promise<Object>} Report: range, batches, summary and rows
+   * @throws {Error} Validation error (400) for an invalid range, or the gateway error
+   */
+  async run({ from, to } = {}) {
+    const range = this.parseRange({ from, to });
+
+    const batches = await authorizeNetService.getSettledBatchList({
+      firstSettlementDate: `${range.from}T00:00:00Z`,
+      lastSettlementDate: `${range.to}T23:59:59Z`,
+    });
+
+    const settled = [];
+    for (const batch of batches) {
+      const transactions = await authorizeNetService.getTransactionList(batch.batchId);
+      settled.push(...transactions.map((transaction) => ({ batch, transaction })));
+    }
+
+    const [orders, records, subscriptions] = await Promise.all([
+      orderRepository.list(),
+      transactionRepository.list(),
+      subscriptionRepository.list(),
+    ]);
+    const approvedRecords = records.filter((record) => record.status === 'approved' && record.transId);
+
+    const rows = [];
+    const settledTransIds = new Set();
+    let skipped = 0;
+
+    for (const { batch, transaction } of settled) {
+      if (!SETTLED_STATUSES.includes(transaction.transactionStatus)) {
+        skipped++;
+        continue;
+      }
+
+      settledTransIds.add(transaction.transId);
+      rows.push(this.compare(batch, transaction, { orders, approvedRecords, subscriptions }));
+    }
+
+    // Orders are expected in a batch settled after their capture
+    const lastSettlementTime = batches
+      .map((batch) => batch.settlementTimeUTC)
+      .sort()
+      .pop() || null;
+
+    for (const order of orders) {
+      const capturedAt = getCapturedAt(order);
+      if (!capturedAt || capturedAt.slice(0, 10) < range.from || capturedAt.slice(0, 10) > range.to
+        || settledTransIds.has(order.transactionId)) {
+        continue;
+      }
+
+      const expectedAmount = getExpectedOrderAmount(order, approvedRecords);
+      rows.push({
+        status: lastSettlementTime && new Date(capturedAt) < new Date(lastSettlementTime)
+          ? 'missing'
+          : 'unsettled',
+        transId: order.transactionId,
+        batchId: null,
+        settlementTimeUTC: null,
+        transactionStatus: null,
+        source: 'order',
+        orderId: order.id,
+        subscriptionId: null,
+        userId: order.userId || null,
+        invoiceNumber: order.id,
+        settledAmount: null,
+        expectedAmount,
+        difference: null,
+      });
+    }
+
+    const report = {
+      from: range.from,
+      to: range.to,
+      generatedAt: new Date().toISOString(),
+      batches: batches.map((batch) => ({
+        batchId: batch.batchId,
+        settlementTimeUTC: batch.settlementTimeUTC,
+        settlementState: batch.settlementState,
+        transactionCount: settled.filter((entry) => entry.batch === batch).length,
+      })),
+      summary: summarize(rows, skipped),
+      rows,
+    };
+
+    console.log('[Reconciliation] Report built:', {
+      from: report.from,
+      to: report.to,
+      ...report.summary,
+    });
+
+    return report;
+  }
+
+  /**
+   * Compare a settled transaction with the payment it belongs to
+   * @param {Object} batch - Settlement batch
+   * @param {Object} transaction - Batch transaction (getTransactionListRequest)
+   * @param {Object} data - Stored orders, approved gateway calls and subscriptions
+   * @returns {Object} Report row
+   */
+  compare(batch, transaction, { orders, approvedRecords, subscriptions }) {
+    const row = {
+      status: 'extra',
+      transId: transaction.transId,
+      batchId: batch.batchId,
+      settlementTimeUTC: batch.settlementTimeUTC,
+      transactionStatus: transaction.transactionStatus,
+      source: null,
+      orderId: null,
+      subscriptionId: null,
+      userId: null,
+      invoiceNumber: transaction.invoiceNumber || null,
+      settledAmount: parseFloat(transaction.settleAmount).toFixed(2),
+      expectedAmount: null,
+      difference: null,
+    };
+
+    const order = orders.find((o) => o.transactionId === transaction.transId);
+    const record = approvedRecords.find((r) => r.transId === transaction.transId);
+    const arbSubscriptionId = transaction.subscription?.id;
+    const subscription = arbSubscriptionId
+      ? subscriptions.find((s) => s.arbSubscriptionId === arbSubscriptionId
+        || s.previousArbSubscriptionIds?.includes(arbSubscriptionId))
+      : null;
+
+    if (order) {
+      Object.assign(row, {
+        source: 'order',
+        orderId: order.id,
+        userId: order.userId || null,
+        expectedAmount: getExpectedOrderAmount(order, approvedRecords),
+      });
+    } else if (record) {
+      Object.assign(row, {
+        source: 'transaction',
+        orderId: record.orderId || null,
+        subscriptionId: record.subscriptionId || null,
+        userId: record.userId || null,
+        expectedAmount: record.amount !== undefined && record.amount !== null
+          ? Number(record.amount).toFixed(2)
+          : null,
+      });
+    } else if (subscription) {
+      Object.assign(row, {
+        source: 'subscription',
+        subscriptionId: subscription.id,
+        userId: subscription.userId || null,
+      });
+    } else {
+      return row;
+    }
+
+    const differenceCents = row.expectedAmount === null
+      ? 0
+      : toCents(row.settledAmount) - toCents(row.expectedAmount);
+
+    row.status = differenceCents === 0 ? 'matched' : 'amount_mismatch';
+    row.difference = row.expectedAmount === null ? null : (differenceCents / 100).toFixed(2);
+    return row;
+  }
+
+  /**
+   * Validate a settlement date range and apply the defaults
+   * @param {Object} range - Requested range
+   * @param {string} [range.from] - First day, YYYY-MM-DD
+   * @param {string} [range.to] - Last day, YYYY-MM-DD
+   * @returns {{ from: string, to: string }} Range
+   * @throws {Error} Validation error (400)
+   */
+  parseRange({ from, to }) {
+    const validationErrors = [];
+
+    const toDate = to === undefined ? startOfToday() : parseDay(to);
+    if (!toDate) {
+      validationErrors.push({
+        field: 'to',
+        constraint: 'date',
+        message: 'to must be a date in the format YYYY-MM-DD',
+      });
+    }
+
+    const fromDate = from === undefined ? toDate && addDays(toDate, -1) : parseDay(from);
+    if (!fromDate) {
+      validationErrors.push({
+        field: 'from',
+        constraint: 'date',
+        message: 'from must be a date in the format YYYY-MM-DD',
+      });
+    }
+
+    if (fromDate && toDate) {
+      if (fromDate > toDate) {
+        validationErrors.push({
+          field: 'from',
+          constraint: 'range',
+          message: 'from must not be after to',
+        });
+      } else if (addDays(fromDate, MAX_RANGE_DAYS - 1) < toDate) {
+        validationErrors.push({
+          field: 'to',
+          constraint: 'range',
+          message: `The range must not exceed ${MAX_RANGE_DAYS} days`,
+        });
+      }
+    }
+
+    if (validationErrors.length > 0) {
+      const error = new Error('Validation failed');
+      error.type = 'validation';
+      error.fields = validationErrors;
+      throw error;
+    }
+
+    return {
+      from: fromDate.toISOString().slice(0, 10),
+      to: toDate.toISOString().slice(0, 10),
+    };
+  }
+
+  /**
+   * Export the rows of a report as CSV (one header line, RFC 4180 quoting)
+   * @param {Object} report - Report from run()
+   * @returns {string} CSV
+   */
+  toCsv(report) {
+    const lines = [
+      CSV_COLUMNS.join(','),
+      ...report.rows.map((row) => CSV_COLUMNS.map((column) => toCsvField(row[column])).join(',')),
+    ];
+
+    return `${lines.join('\r\n')}\r\n`;
+  }
+}
+
+/**
+ * Time an order's payment was captured (the auth time of orders paid in one step)
+ * @param {Object} order - Order
+ * @returns {string|null} ISO timestamp, or null if the payment does not settle
+ */
+function getCapturedAt(order) {
+  if (!SETTLING_ORDER_STATUSES.includes(order.status) || !order.transactionId) {
+    return null;
+  }
+
+  const capture = order.statusHistory?.find((change) => change.status === 'captured');
+  return capture?.at || order.paidAt || null;
+}
+
+/**
+ * Amount an order's payment transaction should settle for
+ * @param {Object} order - Order
+ * @param {Array<Object>} approvedRecords - Approved gateway calls
+ * @returns {string} Decimal amount
+ */
+function getExpectedOrderAmount(order, approvedRecords) {
+  const capture = approvedRecords.find((record) => record.type === 'priorAuthCaptureTransaction'
+    && record.refTransId === order.transactionId
+    && record.amount !== undefined && record.amount !== null);
+
+  return Number(capture ? capture.amount : order.total.amount).toFixed(2);
+}
+
+/**
+ * Count report rows by status and total the settled amounts
+ * @param {Array<Object>} rows - Report rows
+ * @param {number} skipped - Batch transactions that did not settle (voided, declined, ...)
+ * @returns {Object} Summary
+ */
+function summarize(rows, skipped) {
+  const count = (status) => rows.filter((row) => row.status === status).length;
+  const total = (transactionStatus) => rows
+    .filter((row) => row.transactionStatus === transactionStatus)
+    .reduce((sum, row) => sum + toCents(row.settledAmount), 0);
+
+  return {
+    settled: rows.filter((row) => row.batchId).length,
+    matched: count('matched'),
+    amountMismatches: count('amount_mismatch'),
+    extra: count('extra'),
+    missing: count('missing'),
+    unsettled: count('unsettled'),
+    skipped,
+    settledAmount: (total('settledSuccessfully') / 100).toFixed(2),
+    refundedAmount: (total('refundSettledSuccessfully') / 100).toFixed(2),
+  };
+}
+
+/**
+ * Parse a YYYY-MM-DD day
+ * @param {*} value - Day
+ * @returns {Date|null} Midnight UTC, or null if the value is not a valid day
+ */
+function parseDay(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+
+  const date = new Date(`${value}T00:00:00Z`);
+  // Rejects days that roll over (e.g. 2026-02-30)
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value ? date : null;
+}
+
+/**
+ * Midnight UTC today
+ * @returns {Date} Date
+ */
+function startOfToday() {
+  return parseDay(new Date().toISOString().slice(0, 10));
+}
+
+/**
+ * Add days to a date
+ * @param {Date} date - Date
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {Date} New date
+ */
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+/**
+ * Convert a decimal amount to cents
+ * @param {string} amount - Decimal amount (e.g. "25.00")
+ * @returns {number} Cents
+ */
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+/**
+ * Format a CSV field, quoting values with commas, quotes or line breaks
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export singleton instance
+export default new ReconciliationService();
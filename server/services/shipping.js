@@ -0,0 +1,150 @@
+import { contactError, isValidPostalCode, normalizeCode } from './contacts.js';
+
+/**
+ * Shipping Service
+ * Shipping methods offered in the Apple Pay sheet and validation of the
+ * shipping contact, for the order pricing in OrderService.
+ *
+ * While the sheet is open Apple Pay only shares a redacted contact (country,
+ * state, city and postal code); the full address (street, name, phone) is
+ * only revealed with the authorized payment. Contact problems are returned in
+ * the shape of ApplePayError ({ code, contactField, message }) so the sheet can
+ * show them next to the field the shopper has to fix.
+ */
+
+// Countries we ship to
+const SHIPPING_COUNTRIES = ['US'];
+
+// US states, DC, territories and military (APO/FPO) codes
+const US_STATES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY',
+  'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV',
+  'WI', 'WY', 'DC', 'PR', 'GU', 'VI', 'AS', 'MP', 'AA', 'AE', 'AP',
+];
+
+// Overnight delivery is only offered in the contiguous US
+const NON_CONTIGUOUS_STATES = ['AK', 'HI', 'PR', 'GU', 'VI', 'AS', 'MP', 'AA', 'AE', 'AP'];
+
+/**
+ * Shipping methods, in the order they are shown in the sheet (the first
+ * available one is the default). Amounts are in the order currency.
+ */
+export const SHIPPING_METHODS = [
+  {
+    identifier: 'standard',
+    label: 'Standard Shipping',
+    detail: 'Arrives in 5-7 business days',
+    amount: '0.00',
+  },
+  {
+    identifier: 'express',
+    label: 'Express Shipping',
+    detail: 'Arrives in 2-3 business days',
+    amount: '9.99',
+  },
+  {
+    identifier: 'overnight',
+    label: 'Overnight Shipping',
+    detail: 'Arrives the next business day',
+    amount: '24.99',
+    excludedStates: NON_CONTIGUOUS_STATES,
+  },
+];
+
+class ShippingService {
+  /**
+   * Shipping methods available for a contact
+   * @param {Object} [contact] - Apple Pay contact (redacted or full), or null before
+   * the shopper picked an address
+   * @returns {Array<Object>} ApplePayShippingMethod objects (identifier, label, detail, amount)
+   */
+  getShippingMethods(contact) {
+    const state = normalizeCode(contact?.administrativeArea);
+
+    return SHIPPING_METHODS
+      .filter((method) => !state || !method.excludedStates?.includes(state))
+      .map(({ identifier, label, detail, amount }) => ({ identifier, label, detail, amount }));
+  }
+
+  /**
+   * Pick a shipping method for a contact
+   * @param {Object} [contact] - Apple Pay contact
+   * @param {string} [identifier] - Method selected in the sheet
+   * @returns {Object} Selected method, or the default one if the selection is not
+   * available for the contact
+   */
+  selectShippingMethod(contact, identifier) {
+    const methods = this.getShippingMethods(contact);
+    return methods.find((method) => method.identifier === identifier) || methods[0];
+  }
+
+  /**
+   * Validate a shipping contact
+   * @param {Object} contact - Apple Pay contact (ApplePayPaymentContact)
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.redacted] - Contact from onshippingcontactselected: only
+   * the country, state, city and postal code are checked
+   * @returns {Array<Object>} ApplePayError fields ({ code, contactField, message }), empty if valid
+   */
+  validateContact(contact, { redacted = false } = {}) {
+    if (!contact || typeof contact !== 'object') {
+      return [contactError('shippingContactInvalid', 'postalAddress', 'Enter a shipping address')];
+    }
+
+    const errors = [];
+    const countryCode = normalizeCode(contact.countryCode);
+
+    if (!countryCode) {
+      errors.push(contactError('shippingContactInvalid', 'countryCode', 'Enter a country'));
+    } else if (!SHIPPING_COUNTRIES.includes(countryCode)) {
+      // Unserviceable: the shopper has to pick another address, not fix this one
+      errors.push(contactError('addressUnserviceable', 'countryCode', 'We only ship to the United States'));
+      return errors;
+    }
+
+    const state = normalizeCode(contact.administrativeArea);
+    if (!state || !US_STATES.includes(state)) {
+      errors.push(contactError('shippingContactInvalid', 'administrativeArea', 'Enter a valid US state'));
+    }
+
+    if (!isValidPostalCode('US', contact.postalCode)) {
+      errors.push(contactError('shippingContactInvalid', 'postalCode', 'Enter a valid ZIP code'));
+    }
+
+    if (redacted) {
+      return errors;
+    }
+
+    if (!Array.isArray(contact.addressLines) || !contact.addressLines.some((line) => String(line || '').trim())) {
+      errors.push(contactError('shippingContactInvalid', 'addressLines', 'Enter a street address'));
+    }
+
+    if (!String(contact.locality || '').trim()) {
+      errors.push(contactError('shippingContactInvalid', 'locality', 'Enter a city'));
+    }
+
+    if (!String(contact.givenName || '').trim() && !String(contact.familyName || '').trim()) {
+      errors.push(contactError('shippingContactInvalid', 'name', 'Enter the name of the recipient'));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Redacted view of a contact, as stored on the order
+   * @param {Object} contact - Apple Pay contact
+   * @returns {Object} Country, state, city and postal code
+   */
+  toRedactedContact(contact) {
+    return {
+      countryCode: normalizeCode(contact.countryCode),
+      administrativeArea: normalizeCode(contact.administrativeArea),
+      locality: contact.locality || null,
+      postalCode: String(contact.postalCode || '').trim(),
+    };
+  }
+}
+
+// Export singleton instance
+export default new ShippingService();
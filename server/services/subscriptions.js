@@ -0,0 +1,667 @@
+import crypto from 'crypto';
+import config from '../config/applepay.js';
+import planConfig from '../config/plans.js';
+import authorizeNetService from './authorizeNet.js';
+import customerProfileService from './customerProfiles.js';
+import transactionService from './transactions.js';
+import { subscriptionRepository } from '../repositories/index.js';
+
+// Subscriptions that still have (or can get back) a payment schedule
+const OPEN_STATUSES = ['active', 'paused', 'suspended'];
+
+// Units of Apple Pay recurring line items for the ARB interval units
+const APPLE_PAY_INTERVAL_UNITS = {
+  months: 'month',
+  days: 'day',
+};
+
+/**
+ * Subscription Service
+ * Plans (config/plans.js) paid with Apple Pay: the Apple Pay token pays the
+ * first period, its card is stored in the customer profile (CIM) of the user
+ * (see CustomerProfileService) and an Authorize.Net ARB subscription charges
+ * the profile for every following period. If the profile or ARB subscription
+ * cannot be created, the first payment is voided.
+ *
+ * Subscription lifecycle: active <-> paused, and canceled from any open status.
+ * Authorize.Net webhooks move subscriptions to suspended (a payment failed),
+ * terminated, canceled or expired.
+ *
+ * ARB has no pause: pausing cancels the ARB subscription and keeps the customer
+ * profile, resuming creates a new ARB subscription for the profile that starts
+ * at the next billing date. Billing dates are counted from billingAnchorDate
+ * (the first ARB payment), so a resumed subscription keeps its billing day.
+ *
+ * Every status change is appended to subscription.statusHistory.
+ */
+class SubscriptionService {
+  /**
+   * Plans that can be subscribed to
+   * @returns {Array<Object>} Plan definitions with the Apple Pay payment request
+   * of each plan (total and recurringPaymentRequest)
+   */
+  getPlans() {
+    return planConfig.map((plan) => ({
+      ...structuredClone(plan),
+      ...this.toApplePayRequest(plan),
+    }));
+  }
+
+  /**
+   * Find a plan by ID
+   * @param {string} planId - Plan ID
+   * @returns {Object|null} Plan definition, or null if the plan does not exist
+   */
+  findPlan(planId) {
+    return planConfig.find((plan) => plan.id === planId) || null;
+  }
+
+  /**
+   * Get a plan by ID
+   * @param {string} planId - Plan ID
+   * @returns {Object} Plan definition
+   * @throws {Error} Validation error (400) if the plan does not exist
+   */
+  getPlan(planId) {
+    const plan = this.findPlan(planId);
+
+    if (!plan) {
+      const error = new Error('Validation failed');
+      error.type = 'validation';
+      error.fields = [{
+        field: 'planId',
+        constraint: 'invalid',
+        message: `planId must be one of: ${planConfig.map((p) => p.id).join(', ')}`,
+      }];
+      throw error;
+    }
+
+    return plan;
+  }
+
+  /**
+   * Apple Pay payment request fields of a plan
+   * The total is the first payment, charged when the shopper subscribes.
+   * managementURL is null when SUBSCRIPTION_MANAGEMENT_URL is not set (the
+   * frontend then uses its own URL).
+   * @param {Object} plan - Plan definition
+   * @returns {{ total: Object, recurringPaymentRequest: Object }} ApplePayLineItem
+   * total and ApplePayRecurringPaymentRequest
+   */
+  toApplePayRequest(plan) {
+    const regularBilling = {
+      label: plan.name,
+      amount: plan.amount,
+      paymentTiming: 'recurring',
+      recurringPaymentIntervalUnit: APPLE_PAY_INTERVAL_UNITS[plan.interval.unit],
+      recurringPaymentIntervalCount: plan.interval.length,
+    };
+
+    return {
+      total: regularBilling,
+      recurringPaymentRequest: {
+        paymentDescription: plan.description,
+        regularBilling,
+        billingAgreement: `You will be charged $${plan.amount} today and ${describeInterval(plan.interval)} until you cancel.`,
+        managementURL: config.subscriptionManagementUrl || null,
+      },
+    };
+  }
+
+  /**
+   * Subscribe to a plan: charge the first payment with the Apple Pay token and
+   * schedule the following ones
+   * @param {Object} subscriptionData - Subscription data
+   * @param {string} subscriptionData.planId - Plan ID
+   * @param {Object} subscriptionData.paymentToken - Apple Pay payment token
+   * @param {Object} [subscriptionData.networkToken] - Token decrypted by ApplePayTokenService
+   * @param {string} subscriptionData.userId - User who subscribes
+   * @param {Object} [subscriptionData.billingAddress] - Billing address (see contacts.js)
+   * @param {string} [subscriptionData.email] - Customer email
+   * @param {string} [subscriptionData.requestId] - Request ID (X-Request-Id)
+   * @returns {Promise<Object>} Subscription
+   * @throws {Error} Gateway error if the first payment fails, or
+   * SUBSCRIPTION_SETUP_FAILED (502) if it was voided because the payment
+   * schedule could not be created or stored (a created ARB subscription is
+   * canceled)
+   */
+  async create({ planId, paymentToken, networkToken, userId, billingAddress, email, requestId }) {
+    const plan = this.getPlan(planId);
+    const now = new Date();
+    // Used as the Authorize.Net refId and invoice number, which are limited to 20 characters
+    const id = `SUB-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    const amount = parseFloat(plan.amount);
+
+    const transactionContext = {
+      requestId,
+      type: 'authCaptureTransaction',
+      subscriptionId: id,
+      userId,
+      amount,
+    };
+
+    let payment;
+    try {
+      payment = await authorizeNetService.processApplePayTransaction({
+        paymentToken,
+        networkToken,
+        amount,
+        userId,
+        recurring: true,
+        orderInfo: {
+          orderId: id,
+          invoiceNumber: id,
+          description: plan.name,
+          billingAddress,
+          email,
+          lineItems: [{
+            itemId: plan.id.slice(0, 31),
+            name: plan.name.slice(0, 31),
+            description: plan.description?.slice(0, 255),
+            quantity: 1,
+            unitPrice: plan.amount,
+            taxable: false,
+          }],
+        },
+      });
+    } catch (error) {
+      await transactionService.recordFailure(transactionContext, error);
+      throw error;
+    }
+
+    await transactionService.recordSuccess(transactionContext, payment);
+
+    // The first payment covers the first period, ARB charges from the next one
+    const billingAnchorDate = addInterval(toDateString(now), plan.interval, 1);
+
+    let arbSubscription;
+    try {
+      // One customer profile per user: later subscriptions add a payment profile to it
+      const saved = await customerProfileService.saveFromPayment({
+        userId,
+        payment,
+        email,
+        source: 'subscription',
+      });
+      const profile = {
+        customerProfileId: saved.customerProfileId,
+        customerPaymentProfileId: saved.paymentProfile.id,
+      };
+
+      arbSubscription = await authorizeNetService.createSubscription({
+        refId: id,
+        name: plan.name,
+        amount: plan.amount,
+        interval: plan.interval,
+        startDate: billingAnchorDate,
+        customerProfileId: profile.customerProfileId,
+        customerPaymentProfileId: profile.customerPaymentProfileId,
+        invoiceNumber: id,
+        description: plan.description,
+      });
+
+      // Without the local record the ARB subscription could not be managed:
+      // a failed write undoes it like a failed setup
+      return await subscriptionRepository.create({
+        id,
+        status: 'active',
+        userId: userId || null,
+        planId: plan.id,
+        name: plan.name,
+        amount: plan.amount,
+        currencyCode: 'USD',
+        interval: plan.interval,
+        customerProfileId: profile.customerProfileId,
+        customerPaymentProfileId: profile.customerPaymentProfileId,
+        arbSubscriptionId: arbSubscription.subscriptionId,
+        // ARB subscriptions canceled by pauses
+        previousArbSubscriptionIds: [],
+        firstTransactionId: payment.transactionId,
+        billingAnchorDate,
+        expiring: false,
+        createdAt: now.toISOString(),
+        pausedAt: null,
+        canceledAt: null,
+        statusHistory: [
+          {
+            status: 'active',
+            at: now.toISOString(),
+            source: 'api',
+            requestId: requestId || null,
+            transId: payment.transactionId,
+          },
+        ],
+      });
+    } catch (error) {
+      const arbSubscriptionCanceled = arbSubscription
+        ? await this.cancelFailedArbSubscription(arbSubscription.subscriptionId, id)
+        : null;
+      const voided = await this.voidFirstPayment(payment, transactionContext);
+
+      error.message = `Subscription could not be set up: ${error.message}`;
+      error.statusCode = 502;
+      error.code = 'SUBSCRIPTION_SETUP_FAILED';
+      error.details = {
+        planId: plan.id,
+        transactionId: payment.transactionId,
+        firstPaymentVoided: voided,
+        arbSubscriptionId: arbSubscription?.subscriptionId || null,
+        arbSubscriptionCanceled,
+      };
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel the ARB subscription of a subscription that could not be stored
+   * @param {string} arbSubscriptionId - ARB subscription ID
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<boolean>} Whether the ARB subscription was canceled
+   */
+  async cancelFailedArbSubscription(arbSubscriptionId, subscriptionId) {
+    try {
+      await authorizeNetService.cancelSubscription(arbSubscriptionId);
+      return true;
+    } catch (error) {
+      console.error('[Subscriptions] ARB subscription of a failed subscription could not be canceled:', {
+        subscriptionId,
+        arbSubscriptionId,
+        message: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Void the first payment of a subscription that could not be set up
+   * @param {Object} payment - Result of the first payment
+   * @param {Object} transactionContext - Context of the first payment
+   * @returns {Promise<boolean>} Whether the payment was voided
+   */
+  async voidFirstPayment(payment, transactionContext) {
+    const voidContext = {
+      ...transactionContext,
+      type: 'voidTransaction',
+      refTransId: payment.transactionId,
+    };
+
+    try {
+      const result = await authorizeNetService.voidTransaction({ transId: payment.transactionId });
+      await transactionService.recordSuccess(voidContext, result);
+      return true;
+    } catch (error) {
+      await transactionService.recordFailure(voidContext, error);
+      console.error('[Subscriptions] First payment of a failed subscription could not be voided:', {
+        subscriptionId: transactionContext.subscriptionId,
+        transactionId: payment.transactionId,
+        message: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Get a subscription by ID
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<Object>} Subscription
+   * @throws {Error} If the subscription does not exist (404)
+   */
+  async getSubscription(subscriptionId) {
+    const subscription = await subscriptionRepository.findById(subscriptionId);
+
+    if (!subscription) {
+      const error = new Error(`Subscription ${subscriptionId} not found`);
+      error.statusCode = 404;
+      error.code = 'SUBSCRIPTION_NOT_FOUND';
+      throw error;
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Find the subscription an ARB subscription currently bills
+   * @param {string} arbSubscriptionId - ARB subscription ID
+   * @returns {Promise<Object|null>} Subscription, or null if no subscription uses it
+   */
+  async findByArbSubscriptionId(arbSubscriptionId) {
+    return subscriptionRepository.findByArbSubscriptionId(arbSubscriptionId);
+  }
+
+  /**
+   * List subscriptions
+   * @param {Object} [filter] - Filter ({ userId, status })
+   * @returns {Promise<Array<Object>>} Subscriptions, oldest first
+   */
+  async listSubscriptions(filter = {}) {
+    return subscriptionRepository.list(filter);
+  }
+
+  /**
+   * Switch a subscription to another plan
+   * The new amount applies from the next payment. Only plans with the same
+   * billing interval can be chosen.
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} planId - New plan ID
+   * @param {Object} [change] - Where the change came from ({ source, requestId })
+   * @returns {Promise<Object>} Updated subscription
+   * @throws {Error} SUBSCRIPTION_NOT_UPDATABLE (409) if the subscription is closed
+   */
+  async changePlan(subscriptionId, planId, change = {}) {
+    const subscription = await this.getSubscription(subscriptionId);
+    const plan = this.getPlan(planId);
+    assertStatus(subscription, OPEN_STATUSES, 'SUBSCRIPTION_NOT_UPDATABLE', 'updated');
+
+    if (plan.interval.length !== subscription.interval.length || plan.interval.unit !== subscription.interval.unit) {
+      const error = new Error('Validation failed');
+      error.type = 'validation';
+      error.fields = [{
+        field: 'planId',
+        constraint: 'interval',
+        message: `planId must be billed ${describeInterval(subscription.interval)} like the current plan`,
+      }];
+      throw error;
+    }
+
+    // A paused subscription gets the new amount when it is resumed
+    if (subscription.arbSubscriptionId) {
+      await authorizeNetService.updateSubscription({
+        subscriptionId: subscription.arbSubscriptionId,
+        name: plan.name,
+        amount: plan.amount,
+      });
+    }
+
+    const updated = await subscriptionRepository.transition(subscription.id, OPEN_STATUSES, (current) => ({
+      planId: plan.id,
+      name: plan.name,
+      amount: plan.amount,
+      planHistory: [
+        ...(current.planHistory || []),
+        { planId: plan.id, previousPlanId: current.planId, at: new Date().toISOString(), ...change },
+      ],
+    }));
+
+    if (!updated) {
+      throw statusError(await this.getSubscription(subscription.id), 'SUBSCRIPTION_NOT_UPDATABLE', 'updated');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Pause an active subscription: cancel its ARB subscription and keep the
+   * customer profile for resume()
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} [change] - Where the change came from ({ source, requestId })
+   * @returns {Promise<Object>} Updated subscription
+   * @throws {Error} SUBSCRIPTION_NOT_PAUSABLE (409) if the subscription is not active
+   */
+  async pause(subscriptionId, change = {}) {
+    const subscription = await this.getSubscription(subscriptionId);
+    assertStatus(subscription, ['active'], 'SUBSCRIPTION_NOT_PAUSABLE', 'paused');
+
+    await authorizeNetService.cancelSubscription(subscription.arbSubscriptionId);
+
+    const updated = await this.changeStatus(subscription, ['active'], 'paused', change, (current) => ({
+      arbSubscriptionId: null,
+      previousArbSubscriptionIds: [...current.previousArbSubscriptionIds, current.arbSubscriptionId],
+      pausedAt: new Date().toISOString(),
+    }));
+
+    if (!updated) {
+      throw statusError(await this.getSubscription(subscription.id), 'SUBSCRIPTION_NOT_PAUSABLE', 'paused');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Resume a paused subscription: create a new ARB subscription for the
+   * customer profile, starting at the next billing date after today
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} [change] - Where the change came from ({ source, requestId })
+   * @returns {Promise<Object>} Updated subscription
+   * @throws {Error} SUBSCRIPTION_NOT_RESUMABLE (409) if the subscription is not paused
+   */
+  async resume(subscriptionId, change = {}) {
+    const subscription = await this.getSubscription(subscriptionId);
+    assertStatus(subscription, ['paused'], 'SUBSCRIPTION_NOT_RESUMABLE', 'resumed');
+
+    const tomorrow = addInterval(toDateString(new Date()), { length: 1, unit: 'days' }, 1);
+    const startDate = getNextBillingDate(subscription, tomorrow);
+    const plan = this.findPlan(subscription.planId);
+
+    const arbSubscription = await authorizeNetService.createSubscription({
+      refId: subscription.id,
+      name: subscription.name,
+      amount: subscription.amount,
+      interval: subscription.interval,
+      startDate,
+      customerProfileId: subscription.customerProfileId,
+      customerPaymentProfileId: subscription.customerPaymentProfileId,
+      invoiceNumber: subscription.id,
+      description: plan?.description,
+    });
+
+    const updated = await this.changeStatus(subscription, ['paused'], 'active', change, {
+      arbSubscriptionId: arbSubscription.subscriptionId,
+      pausedAt: null,
+      expiring: false,
+    });
+
+    if (!updated) {
+      // Resumed or canceled meanwhile: do not leave a second payment schedule behind
+      await authorizeNetService.cancelSubscription(arbSubscription.subscriptionId);
+      throw statusError(await this.getSubscription(subscription.id), 'SUBSCRIPTION_NOT_RESUMABLE', 'resumed');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Cancel a subscription: no further payments are made
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} [change] - Where the change came from ({ source, requestId })
+   * @returns {Promise<Object>} Updated subscription
+   * @throws {Error} SUBSCRIPTION_NOT_CANCELABLE (409) if the subscription is already closed
+   */
+  async cancel(subscriptionId, change = {}) {
+    const subscription = await this.getSubscription(subscriptionId);
+    assertStatus(subscription, OPEN_STATUSES, 'SUBSCRIPTION_NOT_CANCELABLE', 'canceled');
+
+    if (subscription.arbSubscriptionId) {
+      await authorizeNetService.cancelSubscription(subscription.arbSubscriptionId);
+    }
+
+    const updated = await this.changeStatus(subscription, OPEN_STATUSES, 'canceled', change, {
+      canceledAt: new Date().toISOString(),
+    });
+
+    if (!updated) {
+      throw statusError(await this.getSubscription(subscription.id), 'SUBSCRIPTION_NOT_CANCELABLE', 'canceled');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Update the status of the subscription an ARB subscription bills
+   * Used for Authorize.Net webhook events. Closed subscriptions keep their
+   * status, and events of ARB subscriptions canceled by a pause are ignored.
+   * @param {string} arbSubscriptionId - ARB subscription ID
+   * @param {string} status - New status (suspended, terminated, canceled or expired)
+   * @param {Object} change - Where the change came from, stored in statusHistory
+   * @returns {Promise<Object|null>} Updated subscription, or null if nothing changed
+   */
+  async updateStatusForArbSubscription(arbSubscriptionId, status, change = {}) {
+    const subscription = await subscriptionRepository.findByArbSubscriptionId(arbSubscriptionId);
+    if (!subscription || subscription.status === status) {
+      return null;
+    }
+
+    const fromStatuses = status === 'suspended' ? ['active'] : ['active', 'suspended'];
+    return this.changeStatus(subscription, fromStatuses, status, { ...change, arbSubscriptionId }, {
+      canceledAt: status === 'canceled' ? new Date().toISOString() : subscription.canceledAt,
+    });
+  }
+
+  /**
+   * Apply other changes reported for an ARB subscription
+   * @param {string} arbSubscriptionId - ARB subscription ID
+   * @param {Object} changes - Fields to set (e.g. amount after an update in the
+   * Merchant Interface, expiring when the payment profile's card is about to expire)
+   * @returns {Promise<Object|null>} Updated subscription, or null if it is unknown
+   */
+  async updateForArbSubscription(arbSubscriptionId, changes) {
+    const subscription = await subscriptionRepository.findByArbSubscriptionId(arbSubscriptionId);
+    if (!subscription) {
+      return null;
+    }
+
+    return subscriptionRepository.transition(subscription.id, null, changes);
+  }
+
+  /**
+   * Change the status of a subscription and append the change to its history
+   * @param {Object} subscription - Subscription
+   * @param {Array<string>|null} fromStatuses - Required current statuses (null for any)
+   * @param {string} status - New status
+   * @param {Object} change - Where the change came from (source, requestId, ...)
+   * @param {Object|Function} [changes] - Other fields to update, or a function
+   * that returns them from the current subscription
+   * @returns {Promise<Object|null>} Updated subscription, or null if it was not
+   * in a required status
+   */
+  async changeStatus(subscription, fromStatuses, status, change, changes = {}) {
+    const entry = {
+      status,
+      at: new Date().toISOString(),
+      ...change,
+    };
+
+    return subscriptionRepository.transition(subscription.id, fromStatuses, (current) => ({
+      ...(typeof changes === 'function' ? changes(current) : changes),
+      status,
+      statusHistory: [...(current.statusHistory || []), entry],
+    }));
+  }
+
+  /**
+   * Public view of a subscription
+   * @param {Object} subscription - Subscription
+   * @returns {Object} Subscription fields shown to the subscriber
+   */
+  toView(subscription) {
+    return {
+      id: subscription.id,
+      status: subscription.status,
+      planId: subscription.planId,
+      name: subscription.name,
+      amount: subscription.amount,
+      currencyCode: subscription.currencyCode,
+      interval: subscription.interval,
+      // Paused and closed subscriptions have no upcoming payment
+      nextBillingDate: subscription.status === 'active'
+        ? getNextBillingDate(subscription, toDateString(new Date()))
+        : null,
+      expiring: subscription.expiring,
+      createdAt: subscription.createdAt,
+      pausedAt: subscription.pausedAt,
+      canceledAt: subscription.canceledAt,
+    };
+  }
+}
+
+/**
+ * Check that a subscription is in one of the statuses an action requires
+ * @param {Object} subscription - Subscription
+ * @param {Array<string>} statuses - Allowed statuses
+ * @param {string} code - Error code
+ * @param {string} action - Action for the message (e.g. 'paused')
+ * @throws {Error} code (409) if the subscription is in another status
+ */
+function assertStatus(subscription, statuses, code, action) {
+  if (!statuses.includes(subscription.status)) {
+    throw statusError(subscription, code, action);
+  }
+}
+
+/**
+ * Error for an action that the subscription status does not allow
+ * @param {Object} subscription - Subscription
+ * @param {string} code - Error code
+ * @param {string} action - Action for the message (e.g. 'paused')
+ * @returns {Error} code (409)
+ */
+function statusError(subscription, code, action) {
+  const error = new Error(`Subscription ${subscription.id} cannot be ${action} (status: ${subscription.status})`);
+  error.statusCode = 409;
+  error.code = code;
+  error.details = {
+    subscriptionId: subscription.id,
+    status: subscription.status,
+  };
+  return error;
+}
+
+/**
+ * First billing date of a subscription on or after a date
+ * @param {Object} subscription - Subscription (billingAnchorDate, interval)
+ * @param {string} notBefore - Date (YYYY-MM-DD)
+ * @returns {string} Billing date (YYYY-MM-DD)
+ */
+function getNextBillingDate(subscription, notBefore) {
+  let periods = 0;
+  let date = subscription.billingAnchorDate;
+
+  while (date < notBefore) {
+    periods += 1;
+    date = addInterval(subscription.billingAnchorDate, subscription.interval, periods);
+  }
+
+  return date;
+}
+
+/**
+ * Add billing intervals to a date
+ * Monthly dates keep the day of the month, or use the last day of shorter months.
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object} interval - { length, unit } with unit 'months' or 'days'
+ * @param {number} periods - Number of intervals to add
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function addInterval(date, { length, unit }, periods) {
+  const [year, month, day] = date.split('-').map(Number);
+
+  if (unit === 'days') {
+    return toDateString(new Date(Date.UTC(year, month - 1, day + length * periods)));
+  }
+
+  const targetMonth = month - 1 + length * periods;
+  const lastDay = new Date(Date.UTC(year, targetMonth + 1, 0)).getUTCDate();
+  return toDateString(new Date(Date.UTC(year, targetMonth, Math.min(day, lastDay))));
+}
+
+/**
+ * Date part of a timestamp (UTC, which is never behind the Authorize.Net
+ * Mountain Time date ARB start dates are checked against)
+ * @param {Date} date - Timestamp
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Billing interval in words
+ * @param {Object} interval - { length, unit }
+ * @returns {string} e.g. "every month", "every 3 months", "every 14 days"
+ */
+function describeInterval({ length, unit }) {
+  const singular = APPLE_PAY_INTERVAL_UNITS[unit];
+  return length === 1 ? `every ${singular}` : `every ${length} ${singular}s`;
+}
+
+// Export singleton instance
+export default new SubscriptionService();
@@ -0,0 +1,122 @@
+import { transactionRepository } from '../repositories/index.js';
+
+/**
+ * Transaction Service
+ * Records every Authorize.Net gateway call made by the API routes, with the
+ * request that triggered it, so payment results are kept outside the logs.
+ *
+ * Recording never fails the request: a storage error is logged and the
+ * gateway result is returned to the client as usual.
+ */
+class TransactionService {
+  /**
+   * Record a successful gateway call
+   * @param {Object} context - Call context
+   * @param {string} context.requestId - Request ID (X-Request-Id)
+   * @param {string} context.type - Authorize.Net transaction type (e.g. 'authCaptureTransaction')
+   * @param {string} [context.orderId] - Order the call belongs to
+   * @param {string} [context.subscriptionId] - Subscription the call belongs to
+   * @param {string} [context.userId] - User who made the payment
+   * @param {number} [context.amount] - Requested amount
+   * @param {string} [context.refTransId] - Referenced transaction (capture, refund, void)
+   * @param {Object} result - Result from AuthorizeNetService
+   * @returns {Promise<Object|null>} Stored record
+   */
+  async recordSuccess(context, result) {
+    return this.record({
+      ...context,
+      status: 'approved',
+      amount: result.amount ?? context.amount,
+      transId: result.transactionId,
+      authCode: result.authCode,
+      responseCode: result.responseCode,
+      errors: [],
+    });
+  }
+
+  /**
+   * Record a failed gateway call (declined, rejected or not sent)
+   * @param {Object} context - Call context (same as recordSuccess)
+   * @param {Error} error - Error thrown by AuthorizeNetService
+   * @returns {Promise<Object|null>} Stored record
+   */
+  async recordFailure(context, error) {
+    const transactionResponse = error.authorizeNetError?.response?.transactionResponse;
+    const gatewayErrors = error.authorizeNetError?.errors || [];
+
+    return this.record({
+      ...context,
+      status: 'failed',
+      // Declined transactions still get a transaction ID ("0" when none was created)
+      transId: transactionResponse?.transId && transactionResponse.transId !== '0'
+        ? transactionResponse.transId
+        : null,
+      authCode: transactionResponse?.authCode || null,
+      responseCode: transactionResponse?.responseCode || error.authorizeNetError?.responseCode || null,
+      errors: gatewayErrors.length > 0
+        ? gatewayErrors.map((e) => ({
+          code: e.errorCode || e.code,
+          message: e.errorText || e.text,
+        }))
+        : [{ code: error.code || 'ERROR', message: error.message }],
+    });
+  }
+
+  /**
+   * Get the gateway calls made for an order
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Array<Object>>} Records, oldest first
+   */
+  async listForOrder(orderId) {
+    return transactionRepository.findByOrderId(orderId);
+  }
+
+  /**
+   * Get the amount refunded so far for a transaction
+   * @param {string} transId - Refunded (original) transaction ID
+   * @returns {Promise<number>} Sum of the approved refunds that reference it
+   */
+  async getRefundedAmount(transId) {
+    const records = await transactionRepository.list();
+    const refundedCents = records
+      .filter((record) => record.type === 'refundTransaction'
+        && record.status === 'approved'
+        && record.refTransId === transId)
+      .reduce((sum, record) => sum + Math.round(Number(record.amount) * 100), 0);
+
+    return refundedCents / 100;
+  }
+
+  /**
+   * Store a record
+   * @param {Object} record - Transaction record
+   * @returns {Promise<Object|null>} Stored record, or null if it could not be stored
+   */
+  async record(record) {
+    try {
+      return await transactionRepository.create({
+        requestId: record.requestId || null,
+        type: record.type,
+        status: record.status,
+        orderId: record.orderId || null,
+        subscriptionId: record.subscriptionId || null,
+        userId: record.userId || null,
+        amount: record.amount ?? null,
+        refTransId: record.refTransId || null,
+        transId: record.transId || null,
+        authCode: record.authCode || null,
+        responseCode: record.responseCode || null,
+        errors: record.errors,
+      });
+    } catch (error) {
+      console.error('[Transactions] Failed to record gateway call:', {
+        message: error.message,
+        record,
+      });
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+export default new TransactionService();
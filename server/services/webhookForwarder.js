@@ -0,0 +1,145 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import config from '../config/applepay.js';
+
+// Upper bound for the delay between two delivery attempts
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10000;
+
+/**
+ * Webhook Forwarder
+ * Re-emits normalized webhook events to our internal services
+ * (WEBHOOK_FORWARD_URLS), so they never have to talk to Authorize.Net.
+ *
+ * Each delivery is a JSON POST of the normalized event with these headers:
+ * - X-Event-Id / X-Event-Type: event ID and type
+ * - X-Event-Timestamp: Unix time (seconds) of this delivery attempt
+ * - X-Event-Signature: "sha256=<hex>", HMAC-SHA256 of "<timestamp>.<body>"
+ *   keyed with WEBHOOK_FORWARD_SECRET
+ *
+ * Deliveries run in the background so the Authorize.Net webhook is answered
+ * quickly. Network errors, timeouts, 408, 429 and 5xx responses are retried
+ * with exponential backoff (WEBHOOK_FORWARD_INITIAL_DELAY_MS, doubled after each
+ * attempt) up to WEBHOOK_FORWARD_MAX_ATTEMPTS; other 4xx responses are not.
+ * A delivery that gives up is logged; replaying the event sends it again.
+ */
+class WebhookForwarder {
+  constructor() {
+    this.urls = config.webhookForwardUrls;
+    this.secret = config.webhookForwardSecret;
+    this.maxAttempts = config.webhookForwardMaxAttempts;
+    this.initialDelayMs = config.webhookForwardInitialDelayMs;
+  }
+
+  /**
+   * Whether any destination is configured
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.urls.length > 0;
+  }
+
+  /**
+   * Forward an event to every destination
+   * Returns once the deliveries are scheduled, not when they complete.
+   * @param {Object} event - Normalized event
+   */
+  forward(event) {
+    const body = JSON.stringify(event);
+
+    for (const url of this.urls) {
+      this.deliver(url, event, body, 1).catch((error) => {
+        // deliver() handles its own errors, this only guards against bugs
+        console.error('[Webhook Forwarder] Unexpected delivery error:', error.message);
+      });
+    }
+  }
+
+  /**
+   * Send one delivery attempt, and schedule the next one if it can be retried
+   * @param {string} url - Destination URL
+   * @param {Object} event - Normalized event
+   * @param {string} body - Serialized event
+   * @param {number} attempt - Attempt number (1-based)
+   */
+  async deliver(url, event, body, attempt) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    try {
+      const response = await axios.post(url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Event-Id': event.id,
+          'X-Event-Type': event.type,
+          'X-Event-Timestamp': timestamp,
+          'X-Event-Signature': this.sign(timestamp, body),
+        },
+        timeout: DELIVERY_TIMEOUT_MS,
+        // Keep the body as sent, so the signature matches
+        transformRequest: [(data) => data],
+      });
+
+      console.log('[Webhook Forwarder] Event delivered:', {
+        eventId: event.id,
+        url,
+        attempt,
+        status: response.status,
+      });
+    } catch (error) {
+      const status = error.response?.status;
+      const retryable = !status || status === 408 || status === 429 || status >= 500;
+
+      if (!retryable || attempt >= this.maxAttempts) {
+        console.error('[Webhook Forwarder] Giving up on event delivery:', {
+          eventId: event.id,
+          url,
+          attempts: attempt,
+          status,
+          message: error.message,
+        });
+        return;
+      }
+
+      const delayMs = this.retryDelay(attempt);
+      console.warn('[Webhook Forwarder] Event delivery failed, retrying:', {
+        eventId: event.id,
+        url,
+        attempt,
+        status,
+        message: error.message,
+        retryInMs: delayMs,
+      });
+
+      setTimeout(() => {
+        this.deliver(url, event, body, attempt + 1).catch((err) => {
+          console.error('[Webhook Forwarder] Unexpected delivery error:', err.message);
+        });
+      }, delayMs);
+    }
+  }
+
+  /**
+   * Delay before the next attempt: exponential backoff with up to 20% jitter,
+   * so destinations recovering from an outage are not hit all at once
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  retryDelay(attempt) {
+    const delay = Math.min(this.initialDelayMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+    return Math.round(delay * (1 + Math.random() * 0.2));
+  }
+
+  /**
+   * Sign a delivery
+   * @param {string} timestamp - X-Event-Timestamp value
+   * @param {string} body - Request body
+   * @returns {string} X-Event-Signature value
+   */
+  sign(timestamp, body) {
+    const digest = crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+}
+
+// Export singleton instance
+export default new WebhookForwarder();
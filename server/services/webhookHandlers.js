@@ -0,0 +1,101 @@
+/**
+ * Webhook Handler Registry
+ * Application code subscribes to Authorize.Net webhook events here instead of
+ * editing the /webhook route:
+ *
+ *   import webhookHandlers from './services/webhookHandlers.js';
+ *
+ *   webhookHandlers.on('net.authorize.payment.refund.created', async (event) => {
+ *     await accounting.recordRefund(event.orderId, event.amount);
+ *   }, { name: 'accounting-refunds' });
+ *
+ * Event types can be exact ('net.authorize.payment.refund.created'), a prefix
+ * wildcard ('net.authorize.payment.*') or '*' for every event.
+ *
+ * Handlers receive the normalized event (see WebhookService.normalizeEvent) and
+ * a context with the stored raw event and the trigger ('webhook' or 'replay').
+ * They run one after another in registration order. If any handler throws, the
+ * event goes to the dead-letter queue and a replay runs all handlers again, so
+ * handlers must be safe to run more than once for the same event ID.
+ */
+class WebhookHandlerRegistry {
+  constructor() {
+    this.handlers = [];
+  }
+
+  /**
+   * Subscribe a handler to an event type
+   * @param {string} eventType - Event type, prefix wildcard ('net.authorize.payment.*') or '*'
+   * @param {Function} handler - async (event, context) => void
+   * @param {Object} [options] - Options
+   * @param {string} [options.name] - Name used in logs and attempt records
+   * @returns {Function} Unsubscribe function
+   */
+  on(eventType, handler, { name } = {}) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Webhook handler for ${eventType} must be a function`);
+    }
+
+    const registration = {
+      eventType,
+      handler,
+      name: name || handler.name || `handler-${this.handlers.length + 1}`,
+    };
+    this.handlers.push(registration);
+
+    return () => {
+      this.handlers = this.handlers.filter((item) => item !== registration);
+    };
+  }
+
+  /**
+   * Get the handlers subscribed to an event type
+   * @param {string} eventType - Event type
+   * @returns {Array<Object>} Registrations, in registration order
+   */
+  handlersFor(eventType) {
+    return this.handlers.filter(({ eventType: pattern }) => {
+      if (pattern === '*') return true;
+      if (pattern.endsWith('.*')) return String(eventType).startsWith(pattern.slice(0, -1));
+      return pattern === eventType;
+    });
+  }
+
+  /**
+   * Run every handler subscribed to an event
+   * All handlers run even if one fails, then the failures are thrown together.
+   * @param {Object} event - Normalized event
+   * @param {Object} context - Handler context ({ event, trigger })
+   * @returns {Promise<Array<string>>} Names of the handlers that ran
+   * @throws {Error} If one or more handlers failed (error.details.failures)
+   */
+  async dispatch(event, context) {
+    const registrations = this.handlersFor(event.type);
+    const failures = [];
+
+    for (const { name, handler } of registrations) {
+      try {
+        await handler(event, context);
+      } catch (error) {
+        console.error(`[Webhooks] Handler ${name} failed:`, {
+          eventId: event.id,
+          eventType: event.type,
+          message: error.message,
+        });
+        failures.push({ handler: name, message: error.message, code: error.code });
+      }
+    }
+
+    if (failures.length > 0) {
+      const error = new Error(`${failures.length} webhook handler(s) failed: ${failures.map((f) => f.handler).join(', ')}`);
+      error.code = 'WEBHOOK_HANDLER_FAILED';
+      error.details = { failures };
+      throw error;
+    }
+
+    return registrations.map(({ name }) => name);
+  }
+}
+
+// Export singleton instance
+export default new WebhookHandlerRegistry();
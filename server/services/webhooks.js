@@ -0,0 +1,352 @@
+import crypto from 'crypto';
+import config from '../config/applepay.js';
+import orderService from './orders.js';
+import subscriptionService from './subscriptions.js';
+import webhookHandlers from './webhookHandlers.js';
+import webhookForwarder from './webhookForwarder.js';
+import { webhookEventRepository } from '../repositories/index.js';
+
+/**
+ * Webhook Service
+ * Stores every Authorize.Net webhook event with its raw payload before acting
+ * on it, and records the outcome of each processing attempt.
+ *
+ * Authorize.Net redelivers events until it gets a 2xx response, so events are
+ * keyed by event ID and a redelivery of a stored event is ignored. Events whose
+ * handler fails are moved to the dead-letter queue (status "dead_letter") and
+ * can be inspected and re-run from the admin endpoints.
+ *
+ * Event statuses: received -> processed | dead_letter
+ *
+ * What an event does is decided by the handlers subscribed in the handler
+ * registry (webhookHandlers.js). Built in: order and subscription status
+ * updates and, when WEBHOOK_FORWARD_URLS is set, forwarding to our internal services.
+ *
+ * Documentation: https://developer.authorize.net/api/reference/features/webhooks.html
+ */
+class WebhookService {
+  constructor() {
+    // Events being processed right now, so a replay cannot run concurrently
+    this.processing = new Set();
+  }
+
+  /**
+   * Store a received event
+   * @param {Object} delivery - Webhook delivery
+   * @param {string} [delivery.eventId] - X-Anet-Event-Id header
+   * @param {Object} delivery.payload - Parsed request body
+   * @param {Buffer} [delivery.rawBody] - Raw request body
+   * @param {string} [delivery.requestId] - Request ID (X-Request-Id)
+   * @returns {Promise<{ event: Object, duplicate: boolean }>} Stored event, and
+   * whether it had already been received
+   */
+  async receive({ eventId, payload, rawBody, requestId }) {
+    const rawPayload = rawBody ? rawBody.toString('utf8') : JSON.stringify(payload);
+    const event = {
+      // The notification ID in the body identifies the event as well; as a last
+      // resort identical bodies are treated as the same event
+      id: eventId || payload?.notificationId || `sha256:${crypto.createHash('sha256').update(rawPayload).digest('hex')}`,
+      eventType: payload?.eventType || null,
+      payload,
+      rawPayload,
+      requestId: requestId || null,
+      status: 'received',
+      receivedAt: new Date().toISOString(),
+      processedAt: null,
+      attempts: [],
+      lastError: null,
+    };
+
+    const created = await webhookEventRepository.createIfAbsent(event);
+    if (!created) {
+      return {
+        event: await webhookEventRepository.findById(event.id),
+        duplicate: true,
+      };
+    }
+
+    return { event, duplicate: false };
+  }
+
+  /**
+   * Store a delivered event and process it, unless it is a redelivery
+   * A redelivery is only processed when the first delivery was stored but never
+   * processed (e.g. the server stopped in between).
+   * @param {Object} delivery - Webhook delivery (see receive())
+   * @returns {Promise<{ event: Object, ignored: boolean }>} Event, and whether
+   * the delivery was ignored as a duplicate
+   */
+  async deliver(delivery) {
+    const { event, duplicate } = await this.receive(delivery);
+
+    if (duplicate && (event.status !== 'received' || this.processing.has(event.id))) {
+      return { event, ignored: true };
+    }
+
+    return {
+      event: await this.process(event.id, { requestId: delivery.requestId }),
+      ignored: false,
+    };
+  }
+
+  /**
+   * Run a stored event through the handlers and record the outcome
+   * A failed event is moved to the dead-letter queue instead of throwing.
+   * @param {string} eventId - Event ID
+   * @param {Object} [options] - Options
+   * @param {string} [options.trigger] - What started this attempt ('webhook' or 'replay')
+   * @param {string} [options.requestId] - Request ID (X-Request-Id)
+   * @returns {Promise<Object>} Updated event
+   * @throws {Error} If the event does not exist (404) or is being processed (409)
+   */
+  async process(eventId, { trigger = 'webhook', requestId } = {}) {
+    const event = await this.getEvent(eventId);
+
+    if (this.processing.has(eventId)) {
+      const error = new Error(`Webhook event ${eventId} is already being processed`);
+      error.statusCode = 409;
+      error.code = 'WEBHOOK_EVENT_IN_PROGRESS';
+      error.details = { eventId };
+      throw error;
+    }
+
+    this.processing.add(eventId);
+    const startedAt = new Date().toISOString();
+
+    try {
+      let attempt;
+      try {
+        const result = await this.handleEvent(event, trigger);
+        attempt = {
+          at: startedAt,
+          trigger,
+          requestId: requestId || null,
+          outcome: 'processed',
+          orderId: result.orderId || null,
+          handlers: result.handlers,
+        };
+      } catch (error) {
+        console.error('[Authorize.Net] Webhook processing error:', {
+          eventId,
+          eventType: event.eventType,
+          message: error.message,
+        });
+        attempt = {
+          at: startedAt,
+          trigger,
+          requestId: requestId || null,
+          outcome: 'failed',
+          error: { message: error.message, code: error.code, details: error.details },
+        };
+      }
+
+      return await webhookEventRepository.update(eventId, (current) => ({
+        status: attempt.outcome === 'processed' ? 'processed' : 'dead_letter',
+        processedAt: attempt.outcome === 'processed' ? new Date().toISOString() : current.processedAt,
+        lastError: attempt.error || null,
+        attempts: [...current.attempts, attempt],
+      }));
+    } finally {
+      this.processing.delete(eventId);
+    }
+  }
+
+  /**
+   * Re-run every event in the dead-letter queue
+   * @param {Object} [options] - Same options as process()
+   * @returns {Promise<Array<Object>>} Updated events
+   */
+  async retryDeadLetters(options = {}) {
+    const events = await webhookEventRepository.list({ status: 'dead_letter' });
+    const results = [];
+
+    // One at a time: the handlers update shared order records
+    for (const event of events) {
+      if (!this.processing.has(event.id)) {
+        results.push(await this.process(event.id, { ...options, trigger: 'replay' }));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get a stored event
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} Event
+   * @throws {Error} If the event does not exist (404)
+   */
+  async getEvent(eventId) {
+    const event = await webhookEventRepository.findById(eventId);
+
+    if (!event) {
+      const error = new Error(`Webhook event ${eventId} not found`);
+      error.statusCode = 404;
+      error.code = 'WEBHOOK_EVENT_NOT_FOUND';
+      throw error;
+    }
+
+    return event;
+  }
+
+  /**
+   * List stored events
+   * @param {Object} [filter] - Filter
+   * @param {string} [filter.status] - received, processed or dead_letter
+   * @returns {Promise<Array<Object>>} Events, oldest first
+   */
+  async listEvents(filter = {}) {
+    return webhookEventRepository.list(filter);
+  }
+
+  /**
+   * Act on an event: run the handlers subscribed in the handler registry
+   * @param {Object} event - Stored event
+   * @param {string} trigger - What started this attempt ('webhook' or 'replay')
+   * @returns {Promise<{ orderId?: string, handlers: Array<string> }>} Order the
+   * event belongs to, and the handlers that ran
+   */
+  async handleEvent(event, trigger) {
+    const normalized = await this.normalizeEvent(event);
+
+    console.log('[Authorize.Net] Handling webhook event:', {
+      eventId: normalized.id,
+      eventType: normalized.type,
+      transactionId: normalized.transactionId,
+      orderId: normalized.orderId,
+      trigger,
+    });
+
+    const handlers = await webhookHandlers.dispatch(normalized, { event, trigger });
+
+    return { orderId: normalized.orderId, handlers };
+  }
+
+  /**
+   * Convert a stored Authorize.Net event into the event given to handlers and
+   * forwarded to our services
+   * @param {Object} event - Stored event
+   * @returns {Promise<Object>} Normalized event
+   */
+  async normalizeEvent(event) {
+    const { eventType, eventDate, payload: eventPayload = {} } = event.payload || {};
+
+    // Payment events carry the transaction ID in payload.id
+    const transactionId = eventType?.startsWith('net.authorize.payment.') ? eventPayload.id || null : null;
+    const order = transactionId ? await orderService.findByTransactionId(transactionId) : null;
+
+    // Subscription events carry the ARB subscription ID in payload.id
+    const arbSubscriptionId = eventType?.startsWith('net.authorize.customer.subscription.') ? eventPayload.id || null : null;
+    const subscription = arbSubscriptionId
+      ? await subscriptionService.findByArbSubscriptionId(arbSubscriptionId)
+      : null;
+
+    return {
+      id: event.id,
+      type: eventType || null,
+      source: 'authorize.net',
+      occurredAt: eventDate || event.receivedAt,
+      receivedAt: event.receivedAt,
+      transactionId,
+      orderId: order?.id || null,
+      subscriptionId: subscription?.id || null,
+      // Payment events report authAmount, subscription events the subscription amount
+      amount: (eventPayload.authAmount ?? eventPayload.amount) !== undefined
+        ? Number(eventPayload.authAmount ?? eventPayload.amount)
+        : null,
+      responseCode: eventPayload.responseCode !== undefined ? String(eventPayload.responseCode) : null,
+      authCode: eventPayload.authCode || null,
+      invoiceNumber: eventPayload.invoiceNumber || null,
+      entity: eventPayload.entityName || null,
+      entityId: eventPayload.id || null,
+    };
+  }
+}
+
+/**
+ * Order statuses set by Authorize.Net payment events
+ * OrderService.updateStatusForTransaction only applies them to orders in an
+ * allowed status, so replayed or out-of-order events are ignored.
+ */
+const ORDER_STATUS_EVENTS = {
+  'net.authorize.payment.capture.created': 'captured',
+  'net.authorize.payment.refund.created': 'refunded',
+  'net.authorize.payment.void.created': 'voided',
+  'net.authorize.payment.fraud.declined': 'declined',
+};
+
+for (const [eventType, status] of Object.entries(ORDER_STATUS_EVENTS)) {
+  webhookHandlers.on(eventType, async (event, { trigger }) => {
+    if (!event.transactionId) return;
+
+    const order = await orderService.updateStatusForTransaction(event.transactionId, status, {
+      source: trigger === 'replay' ? 'webhook-replay' : 'webhook',
+      eventId: event.id,
+      eventType: event.type,
+    });
+
+    if (order) {
+      console.log('[Authorize.Net] Order status updated from webhook:', {
+        orderId: order.id,
+        status: order.status,
+        transId: event.transactionId,
+      });
+    }
+  }, { name: 'order-status' });
+}
+
+/**
+ * Subscription statuses set by Authorize.Net ARB subscription events
+ */
+const SUBSCRIPTION_STATUS_EVENTS = {
+  'net.authorize.customer.subscription.suspended': 'suspended',
+  'net.authorize.customer.subscription.terminated': 'terminated',
+  'net.authorize.customer.subscription.cancelled': 'canceled',
+  'net.authorize.customer.subscription.expired': 'expired',
+};
+
+for (const [eventType, status] of Object.entries(SUBSCRIPTION_STATUS_EVENTS)) {
+  webhookHandlers.on(eventType, async (event, { trigger }) => {
+    if (!event.entityId) return;
+
+    const subscription = await subscriptionService.updateStatusForArbSubscription(event.entityId, status, {
+      source: trigger === 'replay' ? 'webhook-replay' : 'webhook',
+      eventId: event.id,
+      eventType: event.type,
+    });
+
+    if (subscription) {
+      console.log('[Authorize.Net] Subscription status updated from webhook:', {
+        subscriptionId: subscription.id,
+        status: subscription.status,
+        arbSubscriptionId: event.entityId,
+      });
+    }
+  }, { name: 'subscription-status' });
+}
+
+// Amount changes made in the Merchant Interface, and cards about to expire
+webhookHandlers.on('net.authorize.customer.subscription.updated', async (event) => {
+  if (!event.entityId || event.amount === null) return;
+
+  await subscriptionService.updateForArbSubscription(event.entityId, {
+    amount: event.amount.toFixed(2),
+  });
+}, { name: 'subscription-update' });
+
+webhookHandlers.on('net.authorize.customer.subscription.expiring', async (event) => {
+  if (!event.entityId) return;
+
+  await subscriptionService.updateForArbSubscription(event.entityId, { expiring: true });
+}, { name: 'subscription-expiring' });
+
+if (webhookForwarder.enabled) {
+  for (const eventType of config.webhookForwardEvents) {
+    webhookHandlers.on(eventType, async (event) => {
+      webhookForwarder.forward(event);
+    }, { name: 'forwarder' });
+  }
+}
+
+// Export singleton instance
+export default new WebhookService();
@@ -0,0 +1,122 @@
+import fs from 'fs';
+import { dirname } from 'path';
+
+/**
+ * JSON file key-value store
+ * Keeps the whole collection in memory and rewrites the file on every change
+ * (write to a temporary file, then rename, so a crash never leaves a partial file).
+ * Suitable for a single node: the file is not locked against other processes.
+ */
+class FileStore {
+  /**
+   * @param {string} filePath - Path of the JSON file backing this store
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = null;
+  }
+
+  /**
+   * Load the collection from disk on first use
+   */
+  load() {
+    if (this.entries) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.entries = new Map(Object.entries(data));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        const error = new Error(`Failed to load store file ${this.filePath}: ${err.message}`);
+        error.originalError = err.message;
+        throw error;
+      }
+      this.entries = new Map();
+    }
+  }
+
+  /**
+   * Write the collection to disk
+   */
+  persist() {
+    fs.mkdirSync(dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.entries), null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Key
+   * @returns {Promise<*>} Value, or undefined if missing or expired
+   */
+  async get(key) {
+    this.load();
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.persist();
+      return undefined;
+    }
+
+    return structuredClone(entry.value);
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Key
+   * @param {*} value - JSON-serializable value
+   * @param {Object} [options] - Options
+   * @param {number} [options.ttlSeconds] - Expire the value after this many seconds
+   */
+  async set(key, value, { ttlSeconds } = {}) {
+    this.load();
+    this.entries.set(key, {
+      value: structuredClone(value),
+      expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null,
+    });
+    this.persist();
+  }
+
+  /**
+   * Set a value only if the key does not exist yet
+   * @param {string} key - Key
+   * @param {*} value - JSON-serializable value
+   * @param {Object} [options] - Same options as set()
+   * @returns {Promise<boolean>} True if the value was stored
+   */
+  async setIfAbsent(key, value, options = {}) {
+    if ((await this.get(key)) !== undefined) {
+      return false;
+    }
+    await this.set(key, value, options);
+    return true;
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Key
+   */
+  async delete(key) {
+    this.load();
+    if (this.entries.delete(key)) {
+      this.persist();
+    }
+  }
+
+  /**
+   * List all values that have not expired
+   * @returns {Promise<Array<*>>} Values
+   */
+  async list() {
+    this.load();
+    const now = Date.now();
+    return [...this.entries.values()]
+      .filter((entry) => !entry.expiresAt || entry.expiresAt > now)
+      .map((entry) => structuredClone(entry.value));
+  }
+}
+
+export default FileStore;
@@ -0,0 +1,30 @@
+import { join } from 'path';
+import config from '../config/applepay.js';
+import MemoryStore from './memoryStore.js';
+import FileStore from './fileStore.js';
+
+/**
+ * Key-value store factory
+ * Every store has the same async interface (get, set, setIfAbsent, delete, list),
+ * so the backend can be switched with STORE_DRIVER without touching callers:
+ * - file: one JSON file per collection in STORE_DIR (default, single node)
+ * - memory: in-process Map (development, lost on restart)
+ */
+
+const stores = new Map();
+
+/**
+ * Get the store for a collection (one instance per collection name)
+ * @param {string} name - Collection name (e.g. 'idempotency-keys')
+ * @returns {MemoryStore|FileStore} Store
+ */
+export function getStore(name) {
+  if (!stores.has(name)) {
+    const store = config.storeDriver === 'file'
+      ? new FileStore(join(config.storeDir, `${name}.json`))
+      : new MemoryStore();
+    stores.set(name, store);
+  }
+
+  return stores.get(name);
+}
@@ -0,0 +1,84 @@
+/**
+ * In-memory key-value store
+ * Default store for development. Data is lost when the process restarts and is
+ * not shared between instances (e.g. serverless functions).
+ *
+ * Values are cloned on read and write so callers get the same copy semantics
+ * as with the file store.
+ */
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Key
+   * @returns {Promise<*>} Value, or undefined if missing or expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    return structuredClone(entry.value);
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Key
+   * @param {*} value - JSON-serializable value
+   * @param {Object} [options] - Options
+   * @param {number} [options.ttlSeconds] - Expire the value after this many seconds
+   */
+  async set(key, value, { ttlSeconds } = {}) {
+    this.entries.set(key, {
+      value: structuredClone(value),
+      expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null,
+    });
+  }
+
+  /**
+   * Set a value only if the key does not exist yet
+   * @param {string} key - Key
+   * @param {*} value - JSON-serializable value
+   * @param {Object} [options] - Same options as set()
+   * @returns {Promise<boolean>} True if the value was stored
+   */
+  async setIfAbsent(key, value, options = {}) {
+    if ((await this.get(key)) !== undefined) {
+      return false;
+    }
+    await this.set(key, value, options);
+    return true;
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Key
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * List all values that have not expired
+   * @returns {Promise<Array<*>>} Values
+   */
+  async list() {
+    const values = [];
+    for (const key of [...this.entries.keys()]) {
+      const value = await this.get(key);
+      if (value !== undefined) {
+        values.push(value);
+      }
+    }
+    return values;
+  }
+}
+
+export default MemoryStore;
@@ -12,6 +12,10 @@ class ApplePayApp {
     this.applePaySession = null;
     this.merchantId = ''; // Loaded from API
     this.paymentAmount = 10.00; // Loaded from API
+    this.cart = null; // Priced cart from the API (items, discounts, tax)
+    this.order = null; // Priced order (quote) from the server, see loadQuote()
+    this.plans = []; // Subscription plans from the API, with their Apple Pay request
+    this.savePaymentMethod = false; // Store the card for merchant-initiated charges
     this.isInitiating = false; // Flag to prevent double initiation
     
     this.init();
@@ -32,6 +36,9 @@ class ApplePayApp {
     // Load configuration from backend
     await this.loadConfig();
 
+    // Get a priced order so the Apple Pay sheet can be built synchronously on click
+    await this.loadQuote();
+
     // Show button immediately (will be refined by checkApplePaySupport)
     this.showApplePayButton();
 
@@ -55,15 +62,18 @@ class ApplePayApp {
         this.merchantId = data.merchantId;
       }
       
-      if (data.paymentAmount) {
+      if (data.cart) {
+        this.cart = data.cart;
+        this.paymentAmount = parseFloat(data.cart.total.amount);
+      } else if (data.paymentAmount) {
         this.paymentAmount = parseFloat(data.paymentAmount);
       }
 
-      // Update payment amount display
-      const amountDisplay = document.getElementById('paymentAmount');
-      if (amountDisplay) {
-        amountDisplay.textContent = `$${this.paymentAmount.toFixed(2)}`;
-      }
+      // Update payment amount display (replaced by the order once the quote is loaded)
+      this.renderAmount(this.cart?.lineItems);
+
+      this.plans = data.plans || [];
+      this.renderPlans();
 
       // Update merchant ID display
       const merchantIdDisplay = document.getElementById('merchantIdDisplay');
@@ -83,6 +93,8 @@ class ApplePayApp {
       logger.info('Configuration loaded', {
         merchantId: this.merchantId,
         paymentAmount: this.paymentAmount,
+        cartItems: this.cart?.items?.length || 0,
+        plans: this.plans.length,
       });
     } catch (error) {
       logger.error(error, { context: 'Loading configuration' });
@@ -101,6 +113,94 @@ class ApplePayApp {
     }
   }
 
+  /**
+   * Create a priced order (quote) on the server
+   * The server is the pricing authority: the Apple Pay sheet shows this quote,
+   * and /process charges the stored total for its order ID.
+   */
+  async loadQuote() {
+    try {
+      const response = await fetch('/api/applepay/orders', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          userId: this.userId || undefined,
+        }),
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.order) {
+        throw new Error(data.error?.message || 'Failed to create order');
+      }
+
+      this.order = data.order;
+      this.paymentAmount = parseFloat(data.order.total.amount);
+
+      // Update payment amount display
+      this.renderAmount(this.order.lineItems);
+
+      logger.info('Order quote loaded', {
+        orderId: this.order.id,
+        total: this.order.total.amount,
+        expiresAt: this.order.expiresAt,
+      });
+    } catch (error) {
+      this.order = null;
+      logger.error(error, { context: 'Loading order quote' });
+    }
+  }
+
+  /**
+   * Show the line items and total of the cart or order
+   * @param {Array<Object>} [lineItems] - Apple Pay line items (label, amount)
+   */
+  renderAmount(lineItems) {
+    const amountDisplay = document.getElementById('paymentAmount');
+    if (amountDisplay) {
+      amountDisplay.textContent = `$${this.paymentAmount.toFixed(2)}`;
+    }
+
+    const lineItemsList = document.getElementById('cartLineItems');
+    if (lineItemsList && lineItems) {
+      lineItemsList.replaceChildren(...lineItems.map((lineItem) => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        const amount = document.createElement('span');
+        label.textContent = lineItem.label;
+        amount.textContent = parseFloat(lineItem.amount) < 0
+          ? `-$${Math.abs(parseFloat(lineItem.amount)).toFixed(2)}`
+          : `$${parseFloat(lineItem.amount).toFixed(2)}`;
+        item.append(label, amount);
+        return item;
+      }));
+    }
+  }
+
+  /**
+   * Show the subscription plans in the plan selector
+   */
+  renderPlans() {
+    const planSelect = document.getElementById('planSelect');
+    if (!planSelect) return;
+
+    planSelect.replaceChildren(...this.plans.map((plan) => {
+      const option = document.createElement('option');
+      const { recurringPaymentIntervalUnit: unit, recurringPaymentIntervalCount: count } = plan.total;
+      option.value = plan.id;
+      option.textContent = `${plan.name} ($${plan.amount} / ${count > 1 ? `${count} ${unit}s` : unit})`;
+      return option;
+    }));
+  }
+
+  /**
+   * Check whether the current quote can still be paid
+   */
+  hasValidQuote() {
+    return !!this.order && new Date(this.order.expiresAt).getTime() > Date.now();
+  }
+
   /**
    * Update connection status display
    */
@@ -146,6 +246,14 @@ class ApplePayApp {
       });
     }
 
+    // Save card checkbox (the shopper's consent to store the card)
+    const savePaymentMethodInput = document.getElementById('savePaymentMethod');
+    if (savePaymentMethodInput) {
+      savePaymentMethodInput.addEventListener('change', (e) => {
+        this.savePaymentMethod = e.target.checked;
+      });
+    }
+
     // Check Apple Pay Support button
     const checkApplePayBtn = document.getElementById('checkApplePayBtn');
     if (checkApplePayBtn) {
@@ -154,6 +262,15 @@ class ApplePayApp {
       });
     }
 
+    // Subscribe button
+    const subscribeButton = document.getElementById('subscribeButton');
+    if (subscribeButton) {
+      subscribeButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.initiateSubscription();
+      });
+    }
+
     // Clear logs button
     const clearLogsBtnBottom = document.getElementById('clearLogsBtnBottom');
     if (clearLogsBtnBottom) {
@@ -441,10 +558,23 @@ class ApplePayApp {
       this.applePaySession = null;
     }
 
+    // The session must be created synchronously in the click handler, so the
+    // quote has to be loaded already. Refresh it in the background if it expired.
+    if (!this.hasValidQuote()) {
+      logger.warn('Order quote is missing or expired, requesting a new one');
+      this.showStatusMessage('Your price quote expired. Refreshing, please try again.', 'warning');
+      this.loadQuote();
+      return;
+    }
+
     // Set flag to prevent double initiation
     this.isInitiating = true;
 
-    logger.event('Apple Pay Initiated', { userId: this.userId, amount: this.paymentAmount });
+    logger.event('Apple Pay Initiated', {
+      userId: this.userId,
+      orderId: this.order.id,
+      amount: this.order.total.amount,
+    });
 
     // Validate merchant ID is set
     if (!this.merchantId || this.merchantId.trim() === '') {
@@ -455,38 +585,46 @@ class ApplePayApp {
       return;
     }
 
-    // Create payment request
+    // Create payment request from the server-priced order
     const paymentRequest = {
-      countryCode: 'US',
-      currencyCode: 'USD',
+      countryCode: this.order.countryCode,
+      currencyCode: this.order.currencyCode,
       merchantIdentifier: this.merchantId, // Explicitly set merchant identifier
       supportedNetworks: ['visa', 'masterCard', 'amex'],
       merchantCapabilities: ['supports3DS'],
-      total: {
-        label: 'Apple Pay POC Payment',
-        amount: this.paymentAmount.toFixed(2),
-      },
-      lineItems: [
-        {
-          label: 'Payment',
-          amount: this.paymentAmount.toFixed(2),
-        },
-      ],
+      total: this.order.total,
+      lineItems: this.order.lineItems,
+      // Shipping methods and prices come from the server, and are updated
+      // for the address the shopper picks (see updateShipping)
+      requiredShippingContactFields: ['postalAddress', 'name', 'email', 'phone'],
+      shippingType: 'shipping',
+      shippingMethods: this.order.shippingMethods,
+      // Billing address for address verification (AVS). Apple Pay returns the
+      // email and phone in the shipping contact, so they are requested there too
+      requiredBillingContactFields: ['postalAddress', 'name', 'email', 'phone'],
     };
 
+    // Coupon codes can be entered in the sheet from Apple Pay JS version 12
+    const sessionVersion = ApplePaySession.supportsVersion?.(12) ? 12 : 3;
+    if (sessionVersion >= 12) {
+      paymentRequest.supportsCouponCode = true;
+      paymentRequest.couponCode = this.order.couponCode || '';
+    }
+
     logger.info('Payment request created', {
       merchantId: this.merchantId,
-      amount: this.paymentAmount,
+      orderId: this.order.id,
+      amount: this.order.total.amount,
       countryCode: paymentRequest.countryCode,
       currencyCode: paymentRequest.currencyCode,
     });
 
     // Create Apple Pay session
     try {
-      this.applePaySession = new ApplePaySession(3, paymentRequest);
+      this.applePaySession = new ApplePaySession(sessionVersion, paymentRequest);
       logger.info('Apple Pay session object created', {
         merchantId: this.merchantId,
-        sessionVersion: 3,
+        sessionVersion,
       });
     } catch (sessionError) {
       logger.error(sessionError, { context: 'Creating Apple Pay Session' });
@@ -495,16 +633,39 @@ class ApplePayApp {
       return;
     }
 
-    // Handle merchant validation
-    this.applePaySession.onvalidatemerchant = (event) => {
-      logger.event('Apple Pay: Merchant Validation Requested', {
-        validationURL: event.validationURL,
+    // Handle shipping address changes (Apple Pay only shares a redacted address here)
+    this.applePaySession.onshippingcontactselected = async (event) => {
+      logger.event('Apple Pay: Shipping Contact Selected', {
+        countryCode: event.shippingContact?.countryCode,
+        administrativeArea: event.shippingContact?.administrativeArea,
+        postalCode: event.shippingContact?.postalCode,
       });
 
-      // Reset initiation flag when validation starts
-      this.isInitiating = false;
+      const update = await this.updateShipping({ shippingContact: event.shippingContact });
+      this.applePaySession?.completeShippingContactSelection(update);
+    };
 
-      this.validateMerchant(event.validationURL);
+    // Handle shipping method changes
+    this.applePaySession.onshippingmethodselected = async (event) => {
+      logger.event('Apple Pay: Shipping Method Selected', {
+        shippingMethod: event.shippingMethod?.identifier,
+      });
+
+      const update = await this.updateShipping({ shippingMethodIdentifier: event.shippingMethod?.identifier });
+      this.applePaySession?.completeShippingMethodSelection({
+        newTotal: update.newTotal,
+        newLineItems: update.newLineItems,
+      });
+    };
+
+    // Handle coupon codes entered in the sheet
+    this.applePaySession.oncouponcodechanged = async (event) => {
+      logger.event('Apple Pay: Coupon Code Changed', {
+        couponCode: event.couponCode,
+      });
+
+      const update = await this.applyCoupon(event.couponCode);
+      this.applePaySession?.completeCouponCodeChange(update);
     };
 
     // Handle payment authorization
@@ -520,6 +681,26 @@ class ApplePayApp {
       this.processPayment(event.payment);
     };
 
+    this.beginSession();
+  }
+
+  /**
+   * Attach the handlers shared by payments and subscriptions (merchant
+   * validation, cancellation, errors) and show the payment sheet
+   */
+  beginSession() {
+    // Handle merchant validation
+    this.applePaySession.onvalidatemerchant = (event) => {
+      logger.event('Apple Pay: Merchant Validation Requested', {
+        validationURL: event.validationURL,
+      });
+
+      // Reset initiation flag when validation starts
+      this.isInitiating = false;
+
+      this.validateMerchant(event.validationURL);
+    };
+
     // Handle cancellation
     this.applePaySession.oncancel = (event) => {
       logger.event('Apple Pay: Payment Cancelled');
@@ -568,6 +749,82 @@ class ApplePayApp {
     }
   }
 
+  /**
+   * Subscribe to the selected plan with Apple Pay
+   * The sheet shows a recurring payment request (Apple Pay JS version 14): the
+   * first payment is charged now, the following ones by the server's payment schedule.
+   */
+  initiateSubscription() {
+    if (this.isInitiating || this.applePaySession) {
+      logger.info('Apple Pay session already in progress, ignoring subscription request');
+      return;
+    }
+
+    if (!this.userId || this.userId.trim() === '') {
+      this.showStatusMessage('Please enter or generate a User ID', 'error');
+      return;
+    }
+
+    const planId = document.getElementById('planSelect')?.value;
+    const plan = this.plans.find((p) => p.id === planId);
+    if (!plan) {
+      this.showStatusMessage('Please select a plan', 'error');
+      return;
+    }
+
+    if (!window.ApplePaySession || !ApplePaySession.supportsVersion?.(14)) {
+      this.showStatusMessage('Subscriptions require Apple Pay on iOS 16 / macOS 13 or later', 'error');
+      return;
+    }
+
+    this.isInitiating = true;
+
+    logger.event('Apple Pay Subscription Initiated', {
+      userId: this.userId,
+      planId: plan.id,
+      amount: plan.amount,
+    });
+
+    const paymentRequest = {
+      countryCode: 'US',
+      currencyCode: 'USD',
+      merchantIdentifier: this.merchantId,
+      supportedNetworks: ['visa', 'masterCard', 'amex'],
+      merchantCapabilities: ['supports3DS'],
+      total: plan.total,
+      recurringPaymentRequest: {
+        ...plan.recurringPaymentRequest,
+        // Apple Pay requires a page where the subscription can be managed
+        managementURL: plan.recurringPaymentRequest.managementURL || window.location.href,
+      },
+      // Billing address for the customer profile; the email is only returned
+      // in the shipping contact
+      requiredBillingContactFields: ['postalAddress', 'name'],
+      requiredShippingContactFields: ['email', 'phone'],
+    };
+
+    try {
+      this.applePaySession = new ApplePaySession(14, paymentRequest);
+    } catch (sessionError) {
+      logger.error(sessionError, { context: 'Creating Apple Pay Session' });
+      this.showStatusMessage('Failed to create Apple Pay session. Please check your configuration.', 'error');
+      this.isInitiating = false;
+      return;
+    }
+
+    // Handle payment authorization
+    this.applePaySession.onpaymentauthorized = (event) => {
+      logger.event('Apple Pay: Subscription Payment Authorized', {
+        planId: plan.id,
+        billingContact: event.payment.billingContact,
+      });
+
+      this.processSubscription(event.payment, plan);
+    };
+
+    this.beginSession();
+  }
+
   /**
    * Validate merchant with backend
    */
@@ -618,6 +875,159 @@ class ApplePayApp {
     }
   }
 
+  /**
+   * Reprice the order for the shipping address or method selected in the sheet
+   * @param {Object} selection - { shippingContact } or { shippingMethodIdentifier }
+   * @returns {Promise<Object>} Update for completeShippingContactSelection
+   * (newTotal, newLineItems, newShippingMethods, errors)
+   */
+  async updateShipping(selection) {
+    try {
+      await this.updateOrder('shipping', selection);
+
+      logger.info('Order shipping updated', {
+        orderId: this.order.id,
+        shippingMethod: this.order.shippingMethods[0]?.identifier,
+        total: this.order.total.amount,
+      });
+
+      return {
+        newTotal: this.order.total,
+        newLineItems: this.order.lineItems,
+        newShippingMethods: this.order.shippingMethods,
+      };
+    } catch (error) {
+      logger.error(error, { context: 'Updating shipping' });
+
+      const contactErrors = this.toApplePayErrors(error);
+
+      // Keep the current price, the sheet shows the errors and blocks payment
+      return {
+        newTotal: this.order.total,
+        newLineItems: this.order.lineItems,
+        newShippingMethods: [],
+        errors: contactErrors.length > 0
+          ? contactErrors
+          : [new ApplePayError('unknown', undefined, error.message || 'Shipping is not available')],
+      };
+    }
+  }
+
+  /**
+   * Reprice the order for the coupon code entered in the sheet
+   * @param {string} couponCode - Code entered by the shopper (empty to remove the coupon)
+   * @returns {Promise<Object>} Update for completeCouponCodeChange
+   * (newTotal, newLineItems, newShippingMethods, errors)
+   */
+  async applyCoupon(couponCode) {
+    try {
+      await this.updateOrder('coupon', { couponCode });
+
+      logger.info('Order coupon updated', {
+        orderId: this.order.id,
+        couponCode: this.order.couponCode,
+        total: this.order.total.amount,
+      });
+
+      return {
+        newTotal: this.order.total,
+        newLineItems: this.order.lineItems,
+        newShippingMethods: this.order.shippingMethods,
+      };
+    } catch (error) {
+      logger.error(error, { context: 'Applying coupon code' });
+
+      const couponErrors = this.toApplePayErrors(error);
+
+      // Keep the current price without the rejected code
+      return {
+        newTotal: this.order.total,
+        newLineItems: this.order.lineItems,
+        newShippingMethods: this.order.shippingMethods,
+        errors: couponErrors.length > 0
+          ? couponErrors
+          : [new ApplePayError('couponCodeInvalid', undefined, error.message || 'This code is not valid')],
+      };
+    }
+  }
+
+  /**
+   * Send a change of the quoted order to the server and keep the repriced order
+   * @param {string} action - 'shipping' or 'coupon'
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} Repriced order
+   * @throws {Object} API error (code, message, applePayError)
+   */
+  async updateOrder(action, body) {
+    const response = await fetch(`/api/applepay/orders/${encodeURIComponent(this.order.id)}/${action}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.order) {
+      throw data.error || new Error('Failed to update order');
+    }
+
+    this.order = data.order;
+    this.paymentAmount = parseFloat(data.order.total.amount);
+    this.renderAmount(this.order.lineItems);
+    return this.order;
+  }
+
+  /**
+   * Billing contact of an authorized payment
+   * Apple Pay returns the email and phone number in the shipping contact
+   * @param {Object} payment - ApplePayPayment
+   * @returns {Object} Billing contact with email and phone number
+   */
+  getBillingContact(payment) {
+    const billingContact = payment.billingContact || {};
+
+    return {
+      ...billingContact,
+      emailAddress: billingContact.emailAddress || payment.shippingContact?.emailAddress,
+      phoneNumber: billingContact.phoneNumber || payment.shippingContact?.phoneNumber,
+    };
+  }
+
+  /**
+   * Convert contact and coupon code errors returned by the server to ApplePayError objects
+   * @param {Object} error - Error from the API response
+   * @returns {Array<ApplePayError>} Errors for the sheet, empty for other errors
+   */
+  toApplePayErrors(error) {
+    const sheetErrorCodes = ['SHIPPING_CONTACT_INVALID', 'BILLING_CONTACT_INVALID', 'COUPON_CODE_INVALID'];
+    if (!sheetErrorCodes.includes(error?.code) || !Array.isArray(error.applePayError?.errors)) {
+      return [];
+    }
+
+    return error.applePayError.errors.map(
+      (e) => new ApplePayError(e.code, e.contactField, e.message)
+    );
+  }
+
+  /**
+   * Build a plain JSON token so all required Apple Pay fields survive serialization
+   * @param {Object} token - ApplePayPaymentToken
+   * @returns {Object} Token for the server (paymentData, transactionIdentifier)
+   */
+  toServerToken(token) {
+    return {
+      paymentData: {
+        data: token?.paymentData?.data,
+        signature: token?.paymentData?.signature,
+        header: token?.paymentData?.header,
+        version: token?.paymentData?.version,
+      },
+      // Same as header.transactionId, the server rejects tokens it has already seen
+      transactionIdentifier: token?.transactionIdentifier,
+    };
+  }
+
   /**
    * Process payment with backend
    */
@@ -627,32 +1037,41 @@ class ApplePayApp {
         paymentToken: payment.token,
       });
 
-      // Build a plain JSON token so all required Apple Pay fields survive serialization.
-      const token = payment.token;
-      const paymentTokenForServer = {
-        paymentData: {
-          data: token?.paymentData?.data,
-          signature: token?.paymentData?.signature,
-          header: token?.paymentData?.header,
-          version: token?.paymentData?.version,
-        },
-      };
+      const paymentTokenForServer = this.toServerToken(payment.token);
 
-      const response = await fetch('/api/applepay/process', {
+      // One key per authorized payment: if the response is lost, the retry with
+      // the same key replays the stored result instead of charging again
+      const idempotencyKey = uuidv4();
+      const requestOptions = {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Idempotency-Key': idempotencyKey,
         },
         body: JSON.stringify({
           paymentToken: paymentTokenForServer,
-          amount: this.paymentAmount,
+          orderId: this.order.id,
           userId: this.userId,
+          savePaymentMethod: this.savePaymentMethod,
           orderInfo: {
-            orderId: `ORDER-${Date.now()}`,
             description: 'Apple Pay POC Payment',
+            // Full addresses, only revealed with the authorized payment
+            shippingContact: payment.shippingContact,
+            billingContact: this.getBillingContact(payment),
           },
         }),
-      });
+      };
+
+      let response;
+      try {
+        response = await fetch('/api/applepay/process', requestOptions);
+      } catch (networkError) {
+        logger.warn('Network error while processing payment, retrying with the same Idempotency-Key', {
+          idempotencyKey,
+          message: networkError.message,
+        });
+        response = await fetch('/api/applepay/process', requestOptions);
+      }
 
       const data = await response.json();
 
@@ -665,8 +1084,13 @@ class ApplePayApp {
         logger.event('Payment Processed Successfully', {
           transactionId: data.transaction.id,
           amount: data.transaction.amount,
+          paymentProfileId: data.paymentProfile?.id,
         });
 
+        if (this.savePaymentMethod && !data.paymentProfile) {
+          logger.warn('Payment succeeded but the card could not be saved');
+        }
+
         // Complete payment with success status
         this.applePaySession.completePayment(ApplePaySession.STATUS_SUCCESS);
         
@@ -674,9 +1098,15 @@ class ApplePayApp {
         this.applePaySession = null;
         // Reset initiation flag
         this.isInitiating = false;
+        // The paid order cannot be charged again, get a fresh quote for the next payment
+        this.loadQuote();
         
+        // In deferred capture mode the payment is only authorized at this point
+        const statusLabel = data.transaction.status === 'authorized'
+          ? 'Payment authorized'
+          : 'Payment successful';
         this.showStatusMessage(
-          `Payment successful! Transaction ID: ${data.transaction.id}`,
+          `${statusLabel}! Transaction ID: ${data.transaction.id}`,
           'success'
         );
       } else {
@@ -686,6 +1116,23 @@ class ApplePayApp {
     } catch (error) {
       logger.error(error, { context: 'Payment Processing' });
 
+      // Address and coupon problems are shown in the sheet, which stays open so
+      // the shopper can fix them and authorize again
+      const contactErrors = this.toApplePayErrors(error);
+      if (contactErrors.length > 0 && this.applePaySession) {
+        this.applePaySession.completePayment({
+          status: ApplePaySession.STATUS_FAILURE,
+          errors: contactErrors,
+        });
+        const messages = {
+          SHIPPING_CONTACT_INVALID: 'Please check your shipping address',
+          BILLING_CONTACT_INVALID: 'Please check your billing address',
+          COUPON_CODE_INVALID: 'Your coupon code can no longer be used',
+        };
+        this.showStatusMessage(messages[error.code], 'warning');
+        return;
+      }
+
       // Complete payment with failure status
       if (this.applePaySession) {
         try {
@@ -700,11 +1147,84 @@ class ApplePayApp {
       // Reset initiation flag
       this.isInitiating = false;
 
+      // Expired or already paid orders cannot be retried, get a fresh quote
+      if (error.code === 'ORDER_EXPIRED' || error.code === 'ORDER_ALREADY_PAID' || error.code === 'ORDER_NOT_FOUND') {
+        this.loadQuote();
+      }
+
       const errorMessage = error.error?.message || error.message || 'Payment processing failed';
       this.showStatusMessage(`Payment failed: ${errorMessage}`, 'error');
     }
   }
 
+  /**
+   * Create the subscription with the authorized first payment
+   * @param {Object} payment - ApplePayPayment
+   * @param {Object} plan - Selected plan
+   */
+  async processSubscription(payment, plan) {
+    try {
+      const response = await fetch('/api/applepay/subscriptions', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': uuidv4(),
+        },
+        body: JSON.stringify({
+          paymentToken: this.toServerToken(payment.token),
+          planId: plan.id,
+          userId: this.userId,
+          billingContact: this.getBillingContact(payment),
+        }),
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.subscription) {
+        throw data.error || new Error('Subscription failed');
+      }
+
+      logger.event('Subscription Created', {
+        subscriptionId: data.subscription.id,
+        transactionId: data.transaction.id,
+        nextBillingDate: data.subscription.nextBillingDate,
+      });
+
+      this.applePaySession.completePayment(ApplePaySession.STATUS_SUCCESS);
+      this.applePaySession = null;
+      this.isInitiating = false;
+
+      this.showStatusMessage(
+        `Subscribed to ${data.subscription.name}! Next payment on ${data.subscription.nextBillingDate}. Transaction ID: ${data.transaction.id}`,
+        'success'
+      );
+    } catch (error) {
+      logger.error(error, { context: 'Subscription Processing' });
+
+      // Billing address problems are shown in the sheet, which stays open
+      const contactErrors = this.toApplePayErrors(error);
+      if (contactErrors.length > 0 && this.applePaySession) {
+        this.applePaySession.completePayment({
+          status: ApplePaySession.STATUS_FAILURE,
+          errors: contactErrors,
+        });
+        this.showStatusMessage('Please check your billing address', 'warning');
+        return;
+      }
+
+      if (this.applePaySession) {
+        try {
+          this.applePaySession.completePayment(ApplePaySession.STATUS_FAILURE);
+        } catch (completeError) {
+          // Ignore errors when completing payment
+        }
+        this.applePaySession = null;
+      }
+      this.isInitiating = false;
+
+      this.showStatusMessage(`Subscription failed: ${error.message || 'Unknown error'}`, 'error');
+    }
+  }
+
   /**
    * Download logs as TXT file
    */
@@ -780,6 +1300,8 @@ class ApplePayApp {
 
   /**
    * Show status message
+   * @param {string} message - Message text
+   * @param {string} type - Message type (success, error, warning, info)
    */
   showStatusMessage(message, type = 'info') {
     const statusDiv = document.getElementById('statusMessage');
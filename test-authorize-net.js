@@ -2,11 +2,11 @@
 // Usage: node test-authorize-net.js [token-file.json]
 //   atau: node test-authorize-net.js (akan menggunakan token default dari log)
 
-import axios from 'axios';
 import dotenv from 'dotenv';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
+import AnetApiClient from './server/services/anetApiClient.js';
 
 // Load environment variables
 dotenv.config();
@@ -66,19 +66,15 @@ function loadToken() {
   return DEFAULT_APPLE_PAY_TOKEN;
 }
 
-// Escape XML special characters
-function escapeXml(str) {
-  if (!str) return '';
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
-}
+// Authorize.Net XML client (shared with server/services/authorizeNet.js)
+const client = new AnetApiClient({
+  apiLoginId: API_LOGIN_ID,
+  transactionKey: TRANSACTION_KEY,
+  baseUrl: BASE_URL,
+});
 
-// Create XML request
-function createXmlRequest(applePayToken, amount, orderId, invoiceNumber) {
+// Create transaction request body
+function createTransactionBody(applePayToken, amount, orderId, invoiceNumber) {
   // For Authorize.Net Apple Pay:
   // dataValue should be base64(JSON.stringify(token.paymentData))
   // (includes data + header + signature + version needed for decryption)
@@ -90,101 +86,23 @@ function createXmlRequest(applePayToken, amount, orderId, invoiceNumber) {
 
   const paymentDataValue = Buffer.from(JSON.stringify(paymentData), 'utf8').toString('base64');
 
-  const xml = `<?xml version="1.0" encoding="utf-8"?>
-<createTransactionRequest xmlns="AnetApi/xml/v1/schema/AnetApiSchema.xsd">
-  <merchantAuthentication>
-    <name>${escapeXml(API_LOGIN_ID)}</name>
-    <transactionKey>${escapeXml(TRANSACTION_KEY)}</transactionKey>
-  </merchantAuthentication>
-  <refId>${escapeXml(orderId)}</refId>
-  <transactionRequest>
-    <transactionType>authCaptureTransaction</transactionType>
-    <amount>${escapeXml(amount.toFixed(2))}</amount>
-    <payment>
-      <opaqueData>
-        <dataDescriptor>COMMON.APPLE.INAPP.PAYMENT</dataDescriptor>
-        <dataValue>${escapeXml(paymentDataValue)}</dataValue>
-      </opaqueData>
-    </payment>
-    <order>
-      <invoiceNumber>${escapeXml(invoiceNumber)}</invoiceNumber>
-      <description>Apple Pay Test Payment</description>
-    </order>
-  </transactionRequest>
-</createTransactionRequest>`;
-
-  return xml;
-}
-
-// Parse XML response
-function parseXmlResponse(xmlString) {
-  const result = {
-    transactionResponse: {},
-    messages: {},
+  return {
+    refId: orderId,
+    transactionRequest: {
+      transactionType: 'authCaptureTransaction',
+      amount: amount.toFixed(2),
+      payment: {
+        opaqueData: {
+          dataDescriptor: 'COMMON.APPLE.INAPP.PAYMENT',
+          dataValue: paymentDataValue,
+        },
+      },
+      order: {
+        invoiceNumber: invoiceNumber,
+        description: 'Apple Pay Test Payment',
+      },
+    },
   };
-
-  // Extract transaction response
-  const transMatch = xmlString.match(/<transactionResponse[^>]*>([\s\S]*?)<\/transactionResponse>/);
-  if (transMatch) {
-    const transXml = transMatch[1];
-    
-    const responseCodeMatch = transXml.match(/<responseCode>(.*?)<\/responseCode>/);
-    if (responseCodeMatch) {
-      result.transactionResponse.responseCode = responseCodeMatch[1];
-    }
-
-    const authCodeMatch = transXml.match(/<authCode>(.*?)<\/authCode>/);
-    if (authCodeMatch) {
-      result.transactionResponse.authCode = authCodeMatch[1];
-    }
-
-    const transIdMatch = transXml.match(/<transId>(.*?)<\/transId>/);
-    if (transIdMatch) {
-      result.transactionResponse.transId = transIdMatch[1];
-    }
-
-    const errors = [];
-    const errorMatches = transXml.matchAll(/<error>([\s\S]*?)<\/error>/g);
-    for (const errorMatch of errorMatches) {
-      const errorXml = errorMatch[1];
-      const errorCodeMatch = errorXml.match(/<errorCode>(.*?)<\/errorCode>/);
-      const errorTextMatch = errorXml.match(/<errorText>(.*?)<\/errorText>/);
-      errors.push({
-        errorCode: errorCodeMatch ? errorCodeMatch[1] : '',
-        errorText: errorTextMatch ? errorTextMatch[1] : '',
-      });
-    }
-    if (errors.length > 0) {
-      result.transactionResponse.errors = errors;
-    }
-  }
-
-  // Extract messages
-  const messagesMatch = xmlString.match(/<messages[^>]*>([\s\S]*?)<\/messages>/);
-  if (messagesMatch) {
-    const messagesXml = messagesMatch[1];
-    const resultCodeMatch = messagesXml.match(/<resultCode>(.*?)<\/resultCode>/);
-    if (resultCodeMatch) {
-      result.messages.resultCode = resultCodeMatch[1];
-    }
-    
-    const messageErrors = [];
-    const messageErrorMatches = messagesXml.matchAll(/<message>([\s\S]*?)<\/message>/g);
-    for (const messageErrorMatch of messageErrorMatches) {
-      const messageErrorXml = messageErrorMatch[1];
-      const codeMatch = messageErrorXml.match(/<code>(.*?)<\/code>/);
-      const textMatch = messageErrorXml.match(/<text>(.*?)<\/text>/);
-      messageErrors.push({
-        code: codeMatch ? codeMatch[1] : '',
-        text: textMatch ? textMatch[1] : '',
-      });
-    }
-    if (messageErrors.length > 0) {
-      result.messages.message = messageErrors;
-    }
-  }
-
-  return result;
 }
 
 // Main test function
@@ -217,45 +135,39 @@ async function testAuthorizeNet() {
   console.log('');
 
   try {
-    // Create XML request
-    const xmlRequest = createXmlRequest(applePayToken, AMOUNT, ORDER_ID, INVOICE_NUMBER);
+    // Create request body
+    const requestBody = createTransactionBody(applePayToken, AMOUNT, ORDER_ID, INVOICE_NUMBER);
     
     console.log('📤 Sending request to Authorize.Net...');
     console.log('');
 
-    // Make API request
-    const response = await axios.post(BASE_URL, xmlRequest, {
-      headers: {
-        'Content-Type': 'application/xml',
-      },
-      timeout: 30000,
-    });
-
-    // Parse response
-    const parsedResponse = parseXmlResponse(response.data);
+    // Make API request (response is parsed by the client)
+    const parsedResponse = await client.send('createTransactionRequest', requestBody);
+    const transactionResponse = parsedResponse.transactionResponse || {};
+    const transactionErrors = transactionResponse.errors?.error || [];
 
     console.log('📥 Response received:');
     console.log('');
-    console.log('Messages Result Code:', parsedResponse.messages.resultCode);
-    console.log('Transaction Response Code:', parsedResponse.transactionResponse.responseCode);
+    console.log('Messages Result Code:', parsedResponse.messages?.resultCode);
+    console.log('Transaction Response Code:', transactionResponse.responseCode);
     
-    if (parsedResponse.transactionResponse.transId) {
-      console.log('Transaction ID:', parsedResponse.transactionResponse.transId);
+    if (transactionResponse.transId) {
+      console.log('Transaction ID:', transactionResponse.transId);
     }
     
-    if (parsedResponse.transactionResponse.authCode) {
-      console.log('Auth Code:', parsedResponse.transactionResponse.authCode);
+    if (transactionResponse.authCode) {
+      console.log('Auth Code:', transactionResponse.authCode);
     }
 
-    if (parsedResponse.transactionResponse.errors && parsedResponse.transactionResponse.errors.length > 0) {
+    if (transactionErrors.length > 0) {
       console.log('');
       console.log('❌ Transaction Errors:');
-      parsedResponse.transactionResponse.errors.forEach(err => {
+      transactionErrors.forEach(err => {
         console.log(`  - [${err.errorCode}] ${err.errorText}`);
       });
     }
 
-    if (parsedResponse.messages.message && parsedResponse.messages.message.length > 0) {
+    if (parsedResponse.messages?.message && parsedResponse.messages.message.length > 0) {
       console.log('');
       console.log('❌ Message Errors:');
       parsedResponse.messages.message.forEach(msg => {
@@ -263,11 +175,11 @@ async function testAuthorizeNet() {
       });
     }
 
-    if (parsedResponse.messages.resultCode === 'Ok' && parsedResponse.transactionResponse.responseCode === '1') {
+    if (parsedResponse.messages?.resultCode === 'Ok' && transactionResponse.responseCode === '1') {
       console.log('');
       console.log('✅ Transaction successful!');
-      console.log('Transaction ID:', parsedResponse.transactionResponse.transId);
-      console.log('Auth Code:', parsedResponse.transactionResponse.authCode);
+      console.log('Transaction ID:', transactionResponse.transId);
+      console.log('Auth Code:', transactionResponse.authCode);
     } else {
       console.log('');
       console.log('❌ Transaction failed');
@@ -286,7 +198,7 @@ async function testAuthorizeNet() {
       console.error('Status:', error.response.status);
       console.error('Status Text:', error.response.statusText);
       
-      const parsedResponse = parseXmlResponse(error.response.data);
+      const parsedResponse = client.parseResponse(error.response.data).response;
       console.error('');
       console.error('Parsed Error Response:');
       console.error(JSON.stringify(parsedResponse, null, 2));
@@ -300,10 +212,10 @@ async function testAuthorizeNet() {
         });
       }
       
-      if (parsedResponse.transactionResponse?.errors) {
+      if (parsedResponse.transactionResponse?.errors?.error) {
         console.error('');
         console.error('Transaction Errors:');
-        parsedResponse.transactionResponse.errors.forEach(err => {
+        parsedResponse.transactionResponse.errors.error.forEach(err => {
           console.error(`  - [${err.errorCode}] ${err.errorText}`);
         });
       }
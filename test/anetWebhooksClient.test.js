@@ -0,0 +1,131 @@
+import './helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startServer } from './helpers/http.js';
+import AnetWebhooksClient from '../server/services/anetWebhooksClient.js';
+
+const WEBHOOK = {
+  webhookId: '72a55c78-66e6-4b1e-a4d6-3f925c00561f',
+  name: 'Orders',
+  url: 'https://example.com/api/applepay/webhook',
+  eventTypes: ['net.authorize.payment.capture.created'],
+  status: 'active',
+};
+
+describe('AnetWebhooksClient', () => {
+  let api;
+  let client;
+  let respond;
+
+  before(async () => {
+    api = await startServer((request) => respond(request));
+    client = new AnetWebhooksClient({
+      apiLoginId: 'test-login',
+      transactionKey: 'test-transaction-key',
+      // Trailing slashes are removed
+      baseUrl: `${api.url}/rest/v1/`,
+    });
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    api.requests.length = 0;
+    respond = () => ({ body: {} });
+  });
+
+  const lastRequest = () => api.requests[api.requests.length - 1];
+
+  it('authenticates with the API Login ID and Transaction Key', async () => {
+    respond = () => ({ body: [{ name: 'net.authorize.payment.capture.created' }] });
+
+    assert.deepEqual(await client.listEventTypes(), [{ name: 'net.authorize.payment.capture.created' }]);
+    assert.equal(lastRequest().path, '/rest/v1/eventtypes');
+    assert.equal(lastRequest().headers.authorization,
+      `Basic ${Buffer.from('test-login:test-transaction-key').toString('base64')}`);
+  });
+
+  it('lists, reads, creates and updates webhooks', async () => {
+    respond = () => ({ body: [WEBHOOK] });
+    assert.deepEqual(await client.listWebhooks(), [WEBHOOK]);
+    assert.deepEqual([lastRequest().method, lastRequest().path], ['GET', '/rest/v1/webhooks']);
+
+    respond = () => ({ body: WEBHOOK });
+    assert.deepEqual(await client.getWebhook(WEBHOOK.webhookId), WEBHOOK);
+    assert.deepEqual([lastRequest().method, lastRequest().path], ['GET', `/rest/v1/webhooks/${WEBHOOK.webhookId}`]);
+
+    respond = (request) => ({ body: { webhookId: WEBHOOK.webhookId, ...JSON.parse(request.body) } });
+    const created = await client.createWebhook({ url: WEBHOOK.url, eventTypes: WEBHOOK.eventTypes, name: 'Orders' });
+    assert.deepEqual(created, WEBHOOK);
+    assert.deepEqual([lastRequest().method, lastRequest().path], ['POST', '/rest/v1/webhooks']);
+    assert.equal(lastRequest().headers['content-type'], 'application/json');
+    assert.deepEqual(JSON.parse(lastRequest().body),
+      { name: 'Orders', url: WEBHOOK.url, eventTypes: WEBHOOK.eventTypes, status: 'active' });
+
+    const updated = await client.updateWebhook(WEBHOOK.webhookId, { status: 'inactive' });
+    assert.equal(updated.status, 'inactive');
+    assert.deepEqual([lastRequest().method, lastRequest().path], ['PUT', `/rest/v1/webhooks/${WEBHOOK.webhookId}`]);
+    assert.deepEqual(JSON.parse(lastRequest().body), { status: 'inactive' });
+  });
+
+  it('deletes and pings webhooks, with empty responses', async () => {
+    respond = () => ({ status: 200 });
+    assert.equal(await client.deleteWebhook(WEBHOOK.webhookId), undefined);
+    assert.deepEqual([lastRequest().method, lastRequest().path], ['DELETE', `/rest/v1/webhooks/${WEBHOOK.webhookId}`]);
+
+    assert.equal(await client.pingWebhook(WEBHOOK.webhookId), undefined);
+    assert.deepEqual([lastRequest().method, lastRequest().path], ['POST', `/rest/v1/webhooks/${WEBHOOK.webhookId}/pings`]);
+  });
+
+  it('escapes IDs in the path', async () => {
+    respond = () => ({ body: WEBHOOK });
+    await client.getWebhook('../eventtypes');
+    assert.equal(lastRequest().path, '/rest/v1/webhooks/..%2Feventtypes');
+  });
+
+  it('pages the notification history', async () => {
+    const notification = { notificationId: 'd0e8e7fe-c3e7-4add-a480-27bc5ce28a18', deliveryStatus: 'Failed' };
+    respond = () => ({ body: { _links: {}, notifications: [notification] } });
+
+    assert.deepEqual(await client.listNotifications({ offset: 2, limit: 50, deliveryStatus: 'Failed' }), [notification]);
+    assert.equal(lastRequest().path, '/rest/v1/notifications');
+    assert.deepEqual(lastRequest().query, { offset: '2', limit: '50', deliveryStatus: 'Failed' });
+
+    respond = () => ({ body: {} });
+    assert.deepEqual(await client.listNotifications(), []);
+    assert.deepEqual(lastRequest().query, { offset: '0', limit: '100' });
+
+    respond = () => ({ body: { ...notification, payload: { id: '60000000001' } } });
+    assert.equal((await client.getNotification(notification.notificationId)).payload.id, '60000000001');
+    assert.equal(lastRequest().path, `/rest/v1/notifications/${notification.notificationId}`);
+  });
+
+  it('rethrows API errors with the error body', async () => {
+    const body = {
+      status: 400,
+      reason: 'VALIDATION_ERROR',
+      message: 'Invalid webhook URL',
+      correlationId: 'cf7a2d9c-ae42-4e5e-b7b4-1b2f6e5c2f0a',
+    };
+    respond = () => ({ status: 400, body });
+
+    await assert.rejects(client.createWebhook({ url: 'http://example.com', eventTypes: [] }), (error) => {
+      assert.equal(error.statusCode, 400);
+      assert.equal(error.code, 'WEBHOOKS_API_ERROR');
+      assert.equal(error.message, 'Authorize.Net Webhooks API POST /webhooks failed: Invalid webhook URL');
+      assert.deepEqual(error.authorizeNetError, { ...body, response: body });
+      return true;
+    });
+  });
+
+  it('reports server errors as 502', async () => {
+    respond = () => ({ status: 503, headers: { 'Content-Type': 'text/plain' }, body: 'Service Unavailable' });
+
+    await assert.rejects(client.listWebhooks(), (error) => {
+      assert.equal(error.statusCode, 502);
+      assert.equal(error.authorizeNetError.status, 503);
+      assert.match(error.message, /failed: HTTP 503$/);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import './helpers/env.js';
+import { buildToken } from './helpers/applePayTokens.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import applePayTokenService from '../server/services/applePayToken.js';
+
+const order = { id: 'ORD-TEST', total: { label: 'Total', amount: '10.00' }, currencyCode: 'USD' };
+
+/**
+ * Error matcher for assert.throws / assert.rejects
+ * @param {string} code - Expected error.code
+ * @param {string} reason - Expected error.applePayError.reason
+ * @returns {Function} Validation function
+ */
+function tokenError(code, reason) {
+  return (error) => {
+    assert.equal(error.code, code);
+    assert.equal(error.applePayError?.reason, reason);
+    return true;
+  };
+}
+
+describe('ApplePayTokenService', () => {
+  it('verifies and decrypts a valid EC_v1 token', () => {
+    const token = buildToken();
+    assert.deepEqual(applePayTokenService.getValidationErrors(token), []);
+
+    const decrypted = applePayTokenService.decrypt(token);
+    assert.equal(decrypted.version, 'EC_v1');
+    assert.equal(decrypted.transactionId, token.paymentData.header.transactionId);
+    assert.equal(decrypted.dpanLast4, '1111');
+    assert.equal(decrypted.expirationDate, '301231');
+    assert.equal(decrypted.eci, '7');
+    assert.equal(decrypted.transactionAmount, 1000);
+    applePayTokenService.assertMatchesOrder(decrypted, order);
+  });
+
+  it('rejects a tampered signature', () => {
+    const token = buildToken();
+    const signature = Buffer.from(token.paymentData.signature, 'base64');
+    // Last byte of the ECDSA signature value
+    signature[signature.length - 1] ^= 0x01;
+    token.paymentData.signature = signature.toString('base64');
+
+    assert.throws(() => applePayTokenService.decrypt(token), tokenError('INVALID_PAYMENT_TOKEN', 'signature_invalid'));
+  });
+
+  it('rejects tampered data', () => {
+    const token = buildToken();
+    const data = Buffer.from(token.paymentData.data, 'base64');
+    data[0] ^= 0x01;
+    token.paymentData.data = data.toString('base64');
+
+    assert.throws(() => applePayTokenService.decrypt(token), tokenError('INVALID_PAYMENT_TOKEN', 'signature_invalid'));
+  });
+
+  it('rejects a messageDigest that is not a SHA-256 digest', () => {
+    const token = buildToken({ messageDigest: Buffer.alloc(20) });
+
+    assert.throws(() => applePayTokenService.decrypt(token), tokenError('INVALID_PAYMENT_TOKEN', 'signature_invalid'));
+  });
+
+  it('rejects a stale signingTime', () => {
+    const token = buildToken({ signingTime: new Date(Date.now() - 60 * 60 * 1000) });
+
+    assert.throws(() => applePayTokenService.decrypt(token), tokenError('INVALID_PAYMENT_TOKEN', 'stale'));
+    assert.throws(() => applePayTokenService.checkFreshness(token), tokenError('INVALID_PAYMENT_TOKEN', 'stale'));
+  });
+
+  it('rejects a replayed token', async () => {
+    const token = buildToken();
+    await applePayTokenService.claim(token, { orderId: order.id, userId: 'test-user', requestId: 'request-1' });
+
+    await assert.rejects(
+      applePayTokenService.claim(token, { orderId: order.id, userId: 'test-user', requestId: 'request-2' }),
+      tokenError('PAYMENT_TOKEN_REPLAYED', 'replayed')
+    );
+  });
+
+  it('rejects an amount that differs from the order total', () => {
+    const decrypted = applePayTokenService.decrypt(buildToken({ amount: 999 }));
+
+    assert.throws(() => applePayTokenService.assertMatchesOrder(decrypted, order), tokenError('INVALID_PAYMENT_TOKEN', 'amount_mismatch'));
+  });
+});
@@ -0,0 +1,123 @@
+import './helpers/env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import cartService from '../server/services/cart.js';
+
+const EXPRESS = { label: 'Express Shipping', amount: '9.99', detail: '1-2 business days', identifier: 'express' };
+const STANDARD = { label: 'Standard Shipping', amount: '0.00', detail: '5-7 business days', identifier: 'standard' };
+
+// Example cart of server/config/cart.js
+const EXAMPLE_CART = {
+  items: [
+    { sku: 'TSHIRT-M', name: 'T-Shirt (M)', quantity: 2, unitPrice: '19.99', taxable: true },
+    { sku: 'GIFTCARD', name: 'Gift Card', quantity: 1, unitPrice: '25.00', taxable: false },
+  ],
+  discounts: [
+    { id: 'SPRING10', label: 'Spring Sale (10%)', type: 'percent', value: 10 },
+    { id: 'LOYALTY', label: 'Loyalty Reward', type: 'amount', value: '5.00' },
+  ],
+  tax: { name: 'Sales Tax', rate: 0.0825 },
+  duty: { name: 'Import Duty', description: 'Customs duty', amount: '3.00' },
+};
+
+/**
+ * Apple Pay rejects a sheet whose line items do not add up to the total
+ * @param {Object} priced - Result of CartService.price
+ */
+function assertLineItemsAddUp(priced) {
+  const sumCents = priced.lineItems.reduce((sum, item) => sum + Math.round(parseFloat(item.amount) * 100), 0);
+  assert.equal((sumCents / 100).toFixed(2), priced.total.amount);
+}
+
+describe('CartService.price', () => {
+  it('applies discounts, tax after discounts, shipping and duty', () => {
+    const priced = cartService.price(structuredClone(EXAMPLE_CART), EXPRESS);
+
+    assert.deepEqual(priced.cart.items.map((item) => item.amount), ['39.98', '25.00']);
+    assert.equal(priced.cart.subtotal, '64.98');
+    // 10% of 64.98 is 6.498, rounded to the cent
+    assert.deepEqual(priced.cart.discounts.map((discount) => discount.amount), ['6.50', '5.00']);
+    assert.equal(priced.cart.discountTotal, '11.50');
+    // 11.50 spread pro rata: 7.08 on the taxable 39.98, so 8.25% of 32.90
+    assert.equal(priced.cart.tax.amount, '2.71');
+    assert.equal(priced.total.amount, '69.18');
+    assert.deepEqual(priced.lineItems.map((item) => item.amount), ['39.98', '25.00', '-6.50', '-5.00', '2.71', '9.99', '3.00']);
+    assertLineItemsAddUp(priced);
+  });
+
+  it('keeps amounts exact in cents', () => {
+    const priced = cartService.price({
+      items: [
+        { sku: 'STICKER', name: 'Sticker', quantity: 3, unitPrice: '0.10', taxable: true },
+        { sku: 'MUG', name: 'Mug', quantity: 3, unitPrice: '19.99', taxable: true },
+      ],
+      discounts: [],
+      tax: { name: 'Sales Tax', rate: 0.07 },
+      duty: null,
+    });
+
+    assert.deepEqual(priced.cart.items.map((item) => item.amount), ['0.30', '59.97']);
+    assert.equal(priced.cart.subtotal, '60.27');
+    assert.equal(priced.cart.tax.amount, '4.22');
+    assert.equal(priced.total.amount, '64.49');
+    assertLineItemsAddUp(priced);
+  });
+
+  it('never takes the subtotal below zero', () => {
+    const priced = cartService.price({
+      items: [{ sku: 'BOOK', name: 'Book', quantity: 1, unitPrice: '10.00', taxable: true }],
+      discounts: [
+        { id: 'HALF', label: 'Half Price', type: 'percent', value: 50 },
+        { id: 'BIG', label: 'Big Reward', type: 'amount', value: '20.00' },
+      ],
+      tax: { name: 'Sales Tax', rate: 0.1 },
+      duty: null,
+    }, { label: 'Standard Shipping', amount: '4.99' });
+
+    assert.deepEqual(priced.cart.discounts.map((discount) => discount.amount), ['5.00', '5.00']);
+    assert.equal(priced.cart.discountTotal, '10.00');
+    assert.equal(priced.cart.tax.amount, '0.00');
+    assert.equal(priced.total.amount, '4.99');
+    assertLineItemsAddUp(priced);
+  });
+
+  it('prices a priced cart again', () => {
+    const priced = cartService.price(structuredClone(EXAMPLE_CART), EXPRESS);
+    const repriced = cartService.price(priced.cart, STANDARD);
+
+    assert.equal(repriced.total.amount, '59.19');
+    assertLineItemsAddUp(repriced);
+    assert.deepEqual(cartService.price(repriced.cart, EXPRESS), priced);
+  });
+});
+
+describe('CartService.toTransactionDetails', () => {
+  it('itemizes the priced cart for Authorize.Net', () => {
+    const { cart } = cartService.price(structuredClone(EXAMPLE_CART), EXPRESS);
+    const details = cartService.toTransactionDetails(cart, EXPRESS);
+
+    assert.deepEqual(details.lineItems.map((item) => [item.itemId, item.quantity, item.unitPrice, item.taxable]),
+      [['TSHIRT-M', 2, '19.99', true], ['GIFTCARD', 1, '25.00', false]]);
+    assert.deepEqual(details.tax, { amount: '2.71', name: 'Sales Tax', description: '8.25%' });
+    assert.deepEqual(details.shipping, { amount: '9.99', name: 'Express Shipping', description: '1-2 business days' });
+    assert.deepEqual(details.duty, { amount: '3.00', name: 'Import Duty', description: 'Customs duty' });
+    assert.equal(details.discountAmount, '11.50');
+  });
+
+  it('applies the Authorize.Net line item limits', () => {
+    const items = Array.from({ length: 35 }, (_, index) => ({
+      sku: `SKU-${index}-${'X'.repeat(40)}`,
+      name: `Product ${index} ${'Y'.repeat(40)}`,
+      quantity: 1,
+      unitPrice: '1.00',
+      taxable: false,
+    }));
+    const { cart } = cartService.price({ items, discounts: [], tax: { name: 'Sales Tax', rate: 0 }, duty: null });
+    const details = cartService.toTransactionDetails(cart);
+
+    assert.equal(details.lineItems.length, 30);
+    assert.equal(details.lineItems[0].itemId.length, 31);
+    assert.equal(details.lineItems[0].name.length, 31);
+    assert.deepEqual([details.tax, details.shipping, details.duty, details.discountAmount], [undefined, undefined, undefined, undefined]);
+  });
+});
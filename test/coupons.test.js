@@ -0,0 +1,158 @@
+import './helpers/env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import couponConfig from '../server/config/coupons.js';
+import couponService from '../server/services/coupons.js';
+import orderService from '../server/services/orders.js';
+import { couponRedemptionRepository, transactionRepository } from '../server/repositories/index.js';
+
+// Codes for the tests, next to the configured ones
+couponConfig.push(
+  {
+    code: 'TEST-LIMITED',
+    label: 'Limited Test Code',
+    type: 'amount',
+    value: '1.00',
+    maxRedemptions: 2,
+  },
+  {
+    code: 'TEST-SINGLE',
+    label: 'Single Use Test Code',
+    type: 'amount',
+    value: '1.00',
+    maxRedemptions: 1,
+  },
+  {
+    code: 'TEST-LATER',
+    label: 'Future Test Code',
+    type: 'percent',
+    value: 5,
+    startsAt: '2999-01-01T00:00:00Z',
+  }
+);
+
+/**
+ * Error matcher for a rejected coupon code
+ * @param {string} reason - Expected error.applePayError.reason
+ * @param {string} [errorCode] - Expected ApplePayError code
+ * @returns {Function} Validation function for assert.rejects
+ */
+function couponError(reason, errorCode = 'couponCodeInvalid') {
+  return (error) => {
+    assert.equal(error.code, 'COUPON_CODE_INVALID');
+    assert.equal(error.applePayError.reason, reason);
+    assert.equal(error.applePayError.errors[0].code, errorCode);
+    return true;
+  };
+}
+
+let orderCount = 0;
+
+/**
+ * Order with a coupon, as reserved when it is paid
+ * @param {string} code - Coupon code
+ * @returns {Object} Order
+ */
+function orderWithCoupon(code) {
+  orderCount++;
+  return {
+    id: `ORD-COUPON-${orderCount}`,
+    coupon: { code },
+    cart: {
+      subtotal: '33.33',
+      discounts: [{ id: code, coupon: true, amount: '1.00' }],
+    },
+  };
+}
+
+describe('OrderService.applyCoupon', () => {
+  it('discounts a percent coupon in cents', async () => {
+    const quote = await orderService.createQuote({ userId: 'test-user' });
+    const order = await orderService.applyCoupon(quote.id, ' welcome10 ');
+
+    assert.equal(order.coupon.code, 'WELCOME10');
+    // 10% of 33.33 is 3.333, rounded to the cent
+    assert.deepEqual(order.cart.discounts.map((discount) => discount.amount), ['3.33']);
+    assert.equal(order.total.amount, '30.00');
+    assert.deepEqual(order.lineItems.map((item) => item.amount), ['33.33', '-3.33', '0.00']);
+  });
+
+  it('replaces the coupon with a new code and removes it with an empty code', async () => {
+    const quote = await orderService.createQuote({ userId: 'test-user' });
+    await orderService.applyCoupon(quote.id, 'WELCOME10');
+
+    const replaced = await orderService.applyCoupon(quote.id, 'save5');
+    assert.equal(replaced.coupon.code, 'SAVE5');
+    assert.deepEqual(replaced.cart.discounts.map((discount) => [discount.id, discount.amount]), [['SAVE5', '5.00']]);
+    assert.equal(replaced.total.amount, '28.33');
+
+    const removed = await orderService.applyCoupon(quote.id, '');
+    assert.equal(removed.coupon, null);
+    assert.deepEqual(removed.cart.discounts, []);
+    assert.equal(removed.total.amount, '33.33');
+  });
+
+  it('rejects an unknown code', async () => {
+    const quote = await orderService.createQuote({ userId: 'test-user' });
+    await assert.rejects(orderService.applyCoupon(quote.id, 'NOPE'), couponError('unknown'));
+  });
+});
+
+describe('CouponService', () => {
+  it('rejects codes that are unknown, not valid yet or expired', async () => {
+    await assert.rejects(couponService.validate('NOPE', { subtotal: '33.33' }), couponError('unknown'));
+    await assert.rejects(couponService.validate('TEST-LATER', { subtotal: '33.33' }), couponError('not_started'));
+    await assert.rejects(
+      couponService.validate('LAUNCH20', { subtotal: '33.33', now: new Date('2028-01-01T00:00:00Z') }),
+      couponError('expired', 'couponCodeExpired')
+    );
+  });
+
+  it('compares the minimum spend in cents', async () => {
+    await assert.rejects(couponService.validate('SAVE5', { subtotal: '24.99' }), couponError('minimum_spend'));
+    assert.equal((await couponService.validate('SAVE5', { subtotal: '25.00' })).code, 'SAVE5');
+  });
+
+  it('counts reserved and redeemed orders against the usage limit', async () => {
+    const first = orderWithCoupon('TEST-LIMITED');
+    const second = orderWithCoupon('TEST-LIMITED');
+    const third = orderWithCoupon('TEST-LIMITED');
+
+    await couponService.reserve(first, { userId: 'test-user' });
+    await couponService.confirm(first, '60000000001');
+    await couponService.reserve(second, { userId: 'test-user' });
+
+    await assert.rejects(couponService.reserve(third), couponError('usage_limit'));
+    await assert.rejects(couponService.validate('TEST-LIMITED', { subtotal: '33.33' }), couponError('usage_limit'));
+    // The own reservation of an order does not count against it
+    await couponService.validate('TEST-LIMITED', { subtotal: '33.33', orderId: second.id });
+
+    // A failed payment releases its reservation, a redeemed code is kept
+    await couponService.release(second);
+    await couponRedemptionRepository.release('TEST-LIMITED', first.id);
+    await couponService.reserve(third);
+
+    const redemptions = await couponRedemptionRepository.findByCode('TEST-LIMITED');
+    assert.deepEqual(redemptions.map((redemption) => redemption.orderId).sort(), [first.id, third.id].sort());
+  });
+
+  it('holds the usage limit under concurrent reservations', async () => {
+    const orders = [orderWithCoupon('TEST-SINGLE'), orderWithCoupon('TEST-SINGLE'), orderWithCoupon('TEST-SINGLE')];
+    const results = await Promise.allSettled(orders.map((order) => couponService.reserve(order)));
+
+    assert.deepEqual(results.map((result) => result.status).sort(), ['fulfilled', 'rejected', 'rejected']);
+    assert.equal((await couponRedemptionRepository.findByCode('TEST-SINGLE')).length, 1);
+  });
+
+  it('keeps the coupon of a charged order', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const order = orderWithCoupon('WELCOME10');
+    await couponService.reserve(order);
+    await transactionRepository.create({ orderId: order.id, status: 'approved', transId: '60000000002' });
+
+    await couponService.release(order);
+
+    const redemptions = await couponRedemptionRepository.findByCode('WELCOME10');
+    assert.ok(redemptions.some((redemption) => redemption.orderId === order.id));
+  });
+});
@@ -0,0 +1,242 @@
+// Synthetic Apple Pay payment tokens for the tests
+// Builds a throwaway certificate chain (root, intermediate and leaf with the
+// Apple Pay OIDs) and a payment processing key, configures the token service to
+// trust them (APPLE_PAY_ROOT_CA_PATH, APPLE_PAY_ROOT_CA_FINGERPRINT,
+// APPLE_PAY_PROCESSING_KEY), and signs and encrypts EC_v1 tokens with them.
+// Import it before the server modules, after ./env.js.
+
+import './env.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+
+const OID_EC_PUBLIC_KEY_WITH_SHA256 = '1.2.840.10045.4.3.2';
+const OID_COMMON_NAME = '2.5.4.3';
+const OID_BASIC_CONSTRAINTS = '2.5.29.19';
+const OID_APPLE_PAY_LEAF = '1.2.840.113635.100.6.29';
+const OID_APPLE_PAY_INTERMEDIATE = '1.2.840.113635.100.6.2.14';
+const OID_DATA = '1.2.840.113549.1.7.1';
+const OID_SIGNED_DATA = '1.2.840.113549.1.7.2';
+const OID_CONTENT_TYPE = '1.2.840.113549.1.9.3';
+const OID_MESSAGE_DIGEST = '1.2.840.113549.1.9.4';
+const OID_SIGNING_TIME = '1.2.840.113549.1.9.5';
+const OID_SHA256 = '2.16.840.1.101.3.4.2.1';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minimal DER encoder, enough for the certificates and the CMS signature below
+
+function der(tag, ...contents) {
+  const content = Buffer.concat(contents);
+  const length = content.length < 0x80
+    ? Buffer.from([content.length])
+    : content.length < 0x100
+      ? Buffer.from([0x81, content.length])
+      : Buffer.from([0x82, content.length >> 8, content.length & 0xff]);
+  return Buffer.concat([Buffer.from([tag]), length, content]);
+}
+
+const sequence = (...contents) => der(0x30, ...contents);
+const set = (...contents) => der(0x31, ...contents);
+const octetString = (bytes) => der(0x04, bytes);
+const utf8String = (text) => der(0x0c, Buffer.from(text, 'utf8'));
+
+function integer(value) {
+  let bytes = Buffer.isBuffer(value) ? value : Buffer.from([value]);
+  if (bytes[0] & 0x80) {
+    bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  }
+  return der(0x02, bytes);
+}
+
+function oid(value) {
+  const [first, second, ...rest] = value.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const part of rest) {
+    const chunk = [part & 0x7f];
+    for (let remaining = Math.floor(part / 0x80); remaining > 0; remaining = Math.floor(remaining / 0x80)) {
+      chunk.unshift((remaining & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+function utcTime(date) {
+  const text = date.toISOString().replace(/[-:T]/g, '').slice(2, 14);
+  return der(0x17, Buffer.from(`${text}Z`, 'latin1'));
+}
+
+const name = (commonName) => sequence(set(sequence(oid(OID_COMMON_NAME), utf8String(commonName))));
+const signatureAlgorithm = () => sequence(oid(OID_EC_PUBLIC_KEY_WITH_SHA256));
+
+/**
+ * Issue an X.509 certificate signed with ECDSA/SHA-256
+ * @param {Object} options - Options
+ * @param {string} options.subject - Subject common name
+ * @param {string} options.issuer - Issuer common name
+ * @param {crypto.KeyObject} options.publicKey - Subject public key
+ * @param {crypto.KeyObject} options.issuerKey - Issuer private key
+ * @param {Buffer} options.serial - Serial number
+ * @param {boolean} [options.ca] - CA certificate
+ * @param {string} [options.marker] - OID of an empty extension (Apple Pay leaf or intermediate)
+ * @returns {Buffer} DER-encoded certificate
+ */
+function issueCertificate({ subject, issuer, publicKey, issuerKey, serial, ca = false, marker }) {
+  const now = Date.now();
+  const extensions = [
+    sequence(oid(OID_BASIC_CONSTRAINTS), der(0x01, Buffer.from([0xff])), octetString(ca ? sequence(der(0x01, Buffer.from([0xff]))) : sequence())),
+  ];
+  if (marker) {
+    extensions.push(sequence(oid(marker), octetString(der(0x05))));
+  }
+
+  const tbsCertificate = sequence(
+    der(0xa0, integer(2)),
+    integer(serial),
+    signatureAlgorithm(),
+    name(issuer),
+    sequence(utcTime(new Date(now - 365 * DAY_MS)), utcTime(new Date(now + 365 * DAY_MS))),
+    name(subject),
+    publicKey.export({ type: 'spki', format: 'der' }),
+    der(0xa3, sequence(...extensions))
+  );
+
+  const signature = crypto.sign('sha256', tbsCertificate, issuerKey);
+  return sequence(tbsCertificate, signatureAlgorithm(), der(0x03, Buffer.from([0]), signature));
+}
+
+/**
+ * Build a detached CMS SignedData signature, as in token.paymentData.signature
+ * @param {Buffer} content - Signed content
+ * @param {Object} signer - { certificate, key, issuer, serial } of the leaf
+ * @param {Buffer} intermediate - Intermediate certificate
+ * @param {Date} signingTime - signingTime attribute
+ * @param {Buffer} [messageDigest] - messageDigest attribute (default: SHA-256 of the content)
+ * @returns {Buffer} DER-encoded ContentInfo
+ */
+function signContent(content, signer, intermediate, signingTime, messageDigest = crypto.createHash('sha256').update(content).digest()) {
+  const attributes = [
+    sequence(oid(OID_CONTENT_TYPE), set(oid(OID_DATA))),
+    sequence(oid(OID_SIGNING_TIME), set(utcTime(signingTime))),
+    sequence(oid(OID_MESSAGE_DIGEST), set(octetString(messageDigest))),
+  ];
+  const signature = crypto.sign('sha256', set(...attributes), signer.key);
+
+  const signerInfo = sequence(
+    integer(1),
+    sequence(name(signer.issuer), integer(signer.serial)),
+    sequence(oid(OID_SHA256)),
+    der(0xa0, ...attributes),
+    signatureAlgorithm(),
+    octetString(signature)
+  );
+
+  const signedData = sequence(
+    integer(1),
+    set(sequence(oid(OID_SHA256))),
+    sequence(oid(OID_DATA)),
+    der(0xa0, signer.certificate, intermediate),
+    set(signerInfo)
+  );
+
+  return sequence(oid(OID_SIGNED_DATA), der(0xa0, signedData));
+}
+
+const newEcKey = () => crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+// Synthetic chain: root -> intermediate (Apple Pay intermediate OID) -> leaf (Apple Pay leaf OID)
+const rootKeys = newEcKey();
+const intermediateKeys = newEcKey();
+const leafKeys = newEcKey();
+const processingKeys = newEcKey();
+
+const root = issueCertificate({
+  subject: 'Test Root CA', issuer: 'Test Root CA', publicKey: rootKeys.publicKey, issuerKey: rootKeys.privateKey,
+  serial: crypto.randomBytes(8), ca: true,
+});
+const intermediate = issueCertificate({
+  subject: 'Test Application Integration CA', issuer: 'Test Root CA', publicKey: intermediateKeys.publicKey,
+  issuerKey: rootKeys.privateKey, serial: crypto.randomBytes(8), ca: true, marker: OID_APPLE_PAY_INTERMEDIATE,
+});
+const leafSerial = crypto.randomBytes(8);
+const leaf = {
+  certificate: issueCertificate({
+    subject: 'Test Payment Signer', issuer: 'Test Application Integration CA', publicKey: leafKeys.publicKey,
+    issuerKey: intermediateKeys.privateKey, serial: leafSerial, marker: OID_APPLE_PAY_LEAF,
+  }),
+  key: leafKeys.privateKey,
+  issuer: 'Test Application Integration CA',
+  serial: leafSerial,
+};
+
+// Trust the synthetic root and decrypt with the synthetic processing key
+const tempDir = fs.mkdtempSync(join(os.tmpdir(), 'apple-pay-token-test-'));
+const rootCaPath = join(tempDir, 'root.pem');
+const rootCertificate = new crypto.X509Certificate(root);
+fs.writeFileSync(rootCaPath, rootCertificate.toString());
+
+process.env.APPLE_PAY_PROCESSING_KEY = processingKeys.privateKey.export({ type: 'pkcs8', format: 'pem' });
+process.env.APPLE_PAY_ROOT_CA_PATH = rootCaPath;
+process.env.APPLE_PAY_ROOT_CA_FINGERPRINT = rootCertificate.fingerprint256;
+process.on('exit', () => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Build a signed and encrypted EC_v1 token for the synthetic chain
+ * @param {Object} [options] - Options
+ * @param {number} [options.amount] - transactionAmount, in minor units
+ * @param {Date} [options.signingTime] - signingTime of the signature
+ * @param {Buffer} [options.messageDigest] - messageDigest of the signature (default: the right one)
+ * @returns {Object} Token as in ApplePayPayment.token
+ */
+export function buildToken({ amount = 1000, signingTime = new Date(), messageDigest } = {}) {
+  const payload = {
+    applicationPrimaryAccountNumber: '4111111111111111',
+    applicationExpirationDate: '301231',
+    currencyCode: '840',
+    transactionAmount: amount,
+    deviceManufacturerIdentifier: '040010030273',
+    paymentDataType: '3DSecure',
+    paymentData: {
+      onlinePaymentCryptogram: 'AgAAAAAAAIR8CQrXcIhbQAAAAAA=',
+      eciIndicator: '7',
+    },
+  };
+
+  // ECDH with the processing key, then the KDF of the payment token format reference
+  const ephemeral = newEcKey();
+  const sharedSecret = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey: processingKeys.publicKey });
+  const symmetricKey = crypto.createHash('sha256')
+    .update(Buffer.from([0, 0, 0, 1]))
+    .update(sharedSecret)
+    .update(Buffer.from([13]))
+    .update('id-aes256-GCM')
+    .update('Apple')
+    .update(crypto.createHash('sha256').update(process.env.APPLE_MERCHANT_ID).digest())
+    .digest();
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', symmetricKey, Buffer.alloc(16));
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload)), cipher.final(), cipher.getAuthTag()]);
+  const ephemeralPublicKey = ephemeral.publicKey.export({ type: 'spki', format: 'der' });
+  const transactionId = crypto.randomBytes(32);
+
+  const signature = signContent(Buffer.concat([ephemeralPublicKey, data, transactionId]), leaf, intermediate, signingTime, messageDigest);
+
+  return {
+    paymentData: {
+      version: 'EC_v1',
+      data: data.toString('base64'),
+      signature: signature.toString('base64'),
+      header: {
+        ephemeralPublicKey: ephemeralPublicKey.toString('base64'),
+        publicKeyHash: crypto.createHash('sha256')
+          .update(processingKeys.publicKey.export({ type: 'spki', format: 'der' }))
+          .digest('base64'),
+        transactionId: transactionId.toString('hex'),
+      },
+    },
+    paymentMethod: { displayName: 'Visa 1111', network: 'Visa', type: 'debit' },
+    transactionIdentifier: transactionId.toString('hex'),
+  };
+}
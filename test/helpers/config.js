@@ -0,0 +1,15 @@
+import config from '../../server/config/applepay.js';
+
+/**
+ * Change a configuration value for the rest of a test
+ * @param {Object} t - Test context
+ * @param {string} name - Configuration property
+ * @param {*} value - Value during the test
+ */
+export function setConfig(t, name, value) {
+  const original = config[name];
+  config[name] = value;
+  t.after(() => {
+    config[name] = original;
+  });
+}
@@ -0,0 +1,21 @@
+// Configuration of the tests, set before the server modules read process.env
+// Every test file imports this module first. Values from a local .env are not
+// used for these variables (dotenv does not override variables that are set),
+// so tests never run with real credentials or write to the file store.
+
+process.env.NODE_ENV = 'test';
+process.env.STORE_DRIVER = 'memory';
+process.env.APPLE_MERCHANT_ID = 'merchant.com.example.test';
+process.env.AUTHORIZE_NET_API_LOGIN_ID = 'test-login';
+process.env.AUTHORIZE_NET_TRANSACTION_KEY = 'test-transaction-key';
+process.env.AUTHORIZE_NET_MODE = 'sandbox';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.AUTHORIZE_NET_SIGNATURE_KEY = 'A1'.repeat(64);
+process.env.AUTHORIZE_NET_SIGNATURE_KEY_PREVIOUS = '';
+process.env.WEBHOOK_SIGNATURE_MODE = 'enforce';
+process.env.WEBHOOK_FORWARD_URLS = '';
+// Default cart: a single item at PAYMENT_AMOUNT, standard shipping is free
+process.env.PAYMENT_AMOUNT = '33.33';
+process.env.APPLE_PAY_TOKEN_MAX_AGE_SECONDS = '300';
+process.env.APPLE_PAY_PROCESSING_KEY = '';
+process.env.APPLE_PAY_PROCESSING_KEY_PATH = '';
@@ -0,0 +1,150 @@
+// Local HTTP stand-ins for the services the server calls, and a local app
+// for the routes under test
+
+import http from 'http';
+import express from 'express';
+import AnetApiClient from '../../server/services/anetApiClient.js';
+import { errorHandler, requestIdMiddleware } from '../../server/middleware/errorHandler.js';
+
+const ANET_NAMESPACE = 'AnetApi/xml/v1/schema/AnetApiSchema.xsd';
+
+/**
+ * Start a local HTTP server that records requests and answers them with a handler
+ * @param {Function} handler - (request) => { status, headers, body } (sync or async);
+ * request has method, path, query, headers and body (raw string). Object bodies
+ * are sent as JSON.
+ * @returns {Promise<Object>} { url, requests, close() }
+ */
+export async function startServer(handler) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString('utf8'),
+      };
+      requests.push(request);
+
+      try {
+        const { status = 200, headers = {}, body = '' } = (await handler(request)) || {};
+        const json = body !== null && typeof body === 'object';
+        res.writeHead(status, json ? { 'Content-Type': 'application/json', ...headers } : headers);
+        res.end(json ? JSON.stringify(body) : body);
+      } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(error.stack);
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+/**
+ * Start a stand-in for the Authorize.Net XML API
+ * Requests are parsed like responses of AnetApiClient (leaf values are strings).
+ * Handlers return the elements of the response; messages defaults to a
+ * successful resultCode.
+ * @param {Object<string, Function>} handlers - (elements, request) => response elements,
+ * per request type (e.g. getTransactionListRequest: () => ({ transactions: { transaction: [...] } }))
+ * @returns {Promise<Object>} { url, requests, calls(requestType), close() }; requests
+ * have their type and parsed element tree in request.anet
+ */
+export async function startAuthorizeNet(handlers) {
+  const client = new AnetApiClient({ apiLoginId: '', transactionKey: '', baseUrl: '' });
+
+  const standIn = await startServer(async (request) => {
+    const { type, response: elements } = client.parseResponse(request.body);
+    request.anet = { type, elements };
+
+    const handler = handlers[type];
+    if (!handler) {
+      throw new Error(`No stand-in handler for ${type}`);
+    }
+
+    const { messages, ...rest } = (await handler(elements, request)) || {};
+    const body = client.builder.build({
+      [type.replace(/Request$/, 'Response')]: {
+        '@_xmlns': ANET_NAMESPACE,
+        messages: messages || { resultCode: 'Ok', message: { code: 'I00001', text: 'Successful.' } },
+        ...client.compact(rest),
+      },
+    });
+
+    return { headers: { 'Content-Type': 'application/xml' }, body };
+  });
+
+  return {
+    ...standIn,
+    calls: (type) => standIn.requests.filter((request) => request.anet?.type === type).map((request) => request.anet.elements),
+  };
+}
+
+/**
+ * Start an Express app with the middleware of server/index.js around a router
+ * @param {string} mountPath - Path of the router (e.g. '/api/applepay')
+ * @param {express.Router} router - Router under test
+ * @returns {Promise<Object>} { url, request(method, path, { body, headers }), close() }
+ */
+export async function startApp(mountPath, router) {
+  const app = express();
+  app.use(requestIdMiddleware);
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }));
+  app.use(mountPath, router);
+  app.use(errorHandler);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    /**
+     * Send a request to the app
+     * @returns {Promise<Object>} { status, headers, body } (JSON bodies parsed)
+     */
+    async request(method, path, { body, headers = {} } = {}) {
+      const response = await fetch(`${url}${path}`, {
+        method,
+        headers: {
+          ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+          ...headers,
+        },
+        body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+      });
+      const text = await response.text();
+      let parsed = text;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        // Not JSON (e.g. CSV)
+      }
+      return { status: response.status, headers: response.headers, body: parsed };
+    },
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
@@ -0,0 +1,227 @@
+import './helpers/env.js';
+import { buildToken } from './helpers/applePayTokens.js';
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startApp, startAuthorizeNet } from './helpers/http.js';
+import { setConfig } from './helpers/config.js';
+import applePayRouter from '../server/routes/applepay.js';
+import authorizeNetService from '../server/services/authorizeNet.js';
+import orderService from '../server/services/orders.js';
+import { orderRepository } from '../server/repositories/index.js';
+
+const CONTACT = {
+  givenName: 'Jane',
+  familyName: 'Appleseed',
+  addressLines: ['1 Infinite Loop'],
+  locality: 'Cupertino',
+  administrativeArea: 'CA',
+  postalCode: '95014',
+  countryCode: 'US',
+  emailAddress: 'jane@example.com',
+};
+
+let anet;
+let app;
+
+before(async () => {
+  let paymentCount = 0;
+  anet = await startAuthorizeNet({
+    createTransactionRequest: () => {
+      paymentCount++;
+      return {
+        transactionResponse: {
+          responseCode: '1',
+          authCode: 'ABC123',
+          transId: `6000000000${paymentCount}`,
+          accountNumber: 'XXXX1111',
+          accountType: 'Visa',
+          messages: { message: { code: '1', description: 'This transaction has been approved.' } },
+        },
+      };
+    },
+  });
+  authorizeNetService.client.baseUrl = anet.url;
+  app = await startApp('/api/applepay', applePayRouter);
+});
+
+after(async () => {
+  await app.close();
+  await anet.close();
+});
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+/**
+ * Body of a /process request for a new quote, with a token for its total
+ * @returns {Promise<Object>} Request body
+ */
+async function paymentRequest() {
+  const quote = await orderService.createQuote({ userId: 'test-user' });
+  return {
+    paymentToken: buildToken({ amount: Math.round(parseFloat(quote.total.amount) * 100) }),
+    orderId: quote.id,
+    userId: 'test-user',
+    orderInfo: { shippingContact: CONTACT, billingContact: CONTACT },
+  };
+}
+
+/**
+ * Send a /process request
+ * @param {Object} body - Request body
+ * @param {Object} [headers] - Request headers
+ * @returns {Promise<Object>} Response
+ */
+const processPayment = (body, headers) => app.request('POST', '/api/applepay/process', { body, headers });
+
+describe('POST /api/applepay/process with an Idempotency-Key', () => {
+  it('charges once and replays the stored response for a repeat request', async () => {
+    const body = await paymentRequest();
+    const headers = { 'Idempotency-Key': 'checkout-1' };
+
+    const first = await processPayment(body, headers);
+    const repeat = await processPayment(body, headers);
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.transaction.status, 'approved');
+    assert.equal(first.headers.get('idempotent-replayed'), null);
+    assert.equal(repeat.status, 200);
+    assert.equal(repeat.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(repeat.body, first.body);
+    assert.equal(anet.calls('createTransactionRequest').length, 1);
+  });
+
+  it('replays an error response', async () => {
+    const { orderInfo, ...body } = await paymentRequest();
+    const headers = { 'Idempotency-Key': 'checkout-2' };
+
+    const first = await processPayment(body, headers);
+    const repeat = await processPayment(body, headers);
+
+    assert.equal(first.status, 400);
+    assert.equal(first.body.error.code, 'VALIDATION_ERROR');
+    assert.equal(repeat.status, 400);
+    assert.equal(repeat.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(repeat.body, first.body);
+  });
+
+  it('rejects a key reused with a different body', async () => {
+    const headers = { 'Idempotency-Key': 'checkout-3' };
+    const first = await processPayment(await paymentRequest(), headers);
+    const sent = anet.calls('createTransactionRequest').length;
+
+    const other = await processPayment(await paymentRequest(), headers);
+
+    assert.equal(first.status, 200);
+    assert.equal(other.status, 409);
+    assert.equal(other.body.error.code, 'IDEMPOTENCY_KEY_CONFLICT');
+    assert.equal(anet.calls('createTransactionRequest').length, sent);
+  });
+
+  it('uses keys per endpoint', async () => {
+    const headers = { 'Idempotency-Key': 'checkout-4' };
+    assert.equal((await processPayment(await paymentRequest(), headers)).status, 200);
+
+    const subscription = await app.request('POST', '/api/applepay/subscriptions', { body: {}, headers });
+
+    assert.equal(subscription.status, 400);
+    assert.equal(subscription.headers.get('idempotent-replayed'), null);
+  });
+
+  it('rejects keys longer than 255 characters', async () => {
+    const response = await processPayment(await paymentRequest(), { 'Idempotency-Key': 'k'.repeat(256) });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.details.fields[0].field, 'Idempotency-Key');
+  });
+});
+
+describe('POST /api/applepay/process token checks', () => {
+  /**
+   * Check that a request was rejected before charging, leaving the order to be paid
+   * @param {Object} body - Request body
+   * @param {number} sent - createTransactionRequest calls before the request
+   */
+  const assertNotCharged = async (body, sent) => {
+    assert.equal(anet.calls('createTransactionRequest').length, sent);
+    assert.equal((await orderRepository.findById(body.orderId)).status, 'quoted');
+  };
+
+  it('rejects a token that was already submitted', async () => {
+    const first = await paymentRequest();
+    assert.equal((await processPayment(first)).status, 200);
+    const sent = anet.calls('createTransactionRequest').length;
+
+    // Same token for another order of the same total
+    const replay = { ...(await paymentRequest()), paymentToken: first.paymentToken };
+    const response = await processPayment(replay);
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error.code, 'PAYMENT_TOKEN_REPLAYED');
+    assert.equal(response.body.error.applePayError.transactionId, first.paymentToken.paymentData.header.transactionId);
+    await assertNotCharged(replay, sent);
+  });
+
+  it('rejects a token signed outside the freshness window', async () => {
+    const body = await paymentRequest();
+    const amount = Math.round(parseFloat((await orderRepository.findById(body.orderId)).total.amount) * 100);
+    body.paymentToken = buildToken({ amount, signingTime: new Date(Date.now() - 301 * 1000) });
+    const sent = anet.calls('createTransactionRequest').length;
+
+    const response = await processPayment(body);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, 'INVALID_PAYMENT_TOKEN');
+    assert.equal(response.body.error.applePayError.reason, 'stale');
+    await assertNotCharged(body, sent);
+
+    // Rejected before it was claimed: a fresh token for the order still pays it
+    assert.equal((await processPayment({ ...body, paymentToken: buildToken({ amount }) })).status, 200);
+  });
+
+  it('checks the age of tokens that Authorize.Net decrypts', async (t) => {
+    setConfig(t, 'applePayProcessingKey', '');
+    const body = await paymentRequest();
+    body.paymentToken = buildToken({ signingTime: new Date(Date.now() + 600 * 1000) });
+    const sent = anet.calls('createTransactionRequest').length;
+
+    const response = await processPayment(body);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.applePayError.reason, 'stale');
+    await assertNotCharged(body, sent);
+  });
+
+  it('rejects tokens without the expected structure with field errors', async () => {
+    const body = await paymentRequest();
+    const { paymentData } = body.paymentToken;
+    body.paymentToken = {
+      ...body.paymentToken,
+      paymentData: {
+        ...paymentData,
+        version: 'EC_v2',
+        signature: 'not base64!',
+        header: { ...paymentData.header, transactionId: 'xyz', publicKeyHash: undefined },
+      },
+    };
+    const sent = anet.calls('createTransactionRequest').length;
+
+    const response = await processPayment(body);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, 'VALIDATION_ERROR');
+    assert.deepEqual(response.body.error.details.fields.map((field) => [field.field, field.constraint]), [
+      ['paymentToken.paymentData.version', 'enum'],
+      ['paymentToken.paymentData.signature', 'format'],
+      ['paymentToken.paymentData.header.publicKeyHash', 'required'],
+      ['paymentToken.paymentData.header.transactionId', 'format'],
+      ['paymentToken.transactionIdentifier', 'mismatch'],
+    ]);
+    await assertNotCharged(body, sent);
+
+    const missing = await processPayment({ ...body, paymentToken: { paymentMethod: {} } });
+    assert.deepEqual(missing.body.error.details.fields.map((field) => field.field), ['paymentToken.paymentData']);
+  });
+});
@@ -0,0 +1,186 @@
+import './helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { startAuthorizeNet } from './helpers/http.js';
+import authorizeNetService from '../server/services/authorizeNet.js';
+import reconciliationService from '../server/services/reconciliation.js';
+import { orderRepository, transactionRepository, subscriptionRepository } from '../server/repositories/index.js';
+
+// Settled batches of 2026-03-01 and 2026-03-02
+const BATCHES = [
+  { batchId: '7001', settlementTimeUTC: '2026-03-01T02:00:00Z', settlementState: 'settledSuccessfully' },
+  { batchId: '7002', settlementTimeUTC: '2026-03-02T02:00:00Z', settlementState: 'settledSuccessfully' },
+];
+
+const BATCH_TRANSACTIONS = {
+  7001: [
+    { transId: '60000000008', transactionStatus: 'settledSuccessfully', settleAmount: '12.34', invoiceNumber: 'POS, counter 2' },
+    { transId: '60000000009', transactionStatus: 'voided', settleAmount: '0.00' },
+  ],
+  7002: [
+    { transId: '60000000001', transactionStatus: 'settledSuccessfully', settleAmount: '30.00', invoiceNumber: 'ORD-PAID' },
+    { transId: '60000000002', transactionStatus: 'settledSuccessfully', settleAmount: '29.99', invoiceNumber: 'ORD-SHORT' },
+    { transId: '60000000003', transactionStatus: 'settledSuccessfully', settleAmount: '45.50', invoiceNumber: 'ORD-CAPTURED' },
+    { transId: '60000000010', transactionStatus: 'refundSettledSuccessfully', settleAmount: '10.00', invoiceNumber: 'ORD-PAID' },
+    { transId: '60000000007', transactionStatus: 'settledSuccessfully', settleAmount: '19.99', subscription: { id: '9001', payNum: '2' } },
+  ],
+};
+
+/**
+ * Stored order
+ * @param {string} id - Order ID
+ * @param {string} status - Order status
+ * @param {string} transactionId - Payment transaction ID
+ * @param {string} amount - Order total
+ * @param {string} paidAt - Time of the payment
+ * @param {Array<Object>} [statusHistory] - Status changes after the payment
+ * @returns {Object} Order
+ */
+function order(id, status, transactionId, amount, paidAt, statusHistory = []) {
+  return {
+    id,
+    status,
+    userId: 'test-user',
+    currencyCode: 'USD',
+    total: { label: 'Total', amount },
+    transactionId,
+    paidAt,
+    createdAt: paidAt,
+    statusHistory,
+  };
+}
+
+describe('ReconciliationService.run', () => {
+  let anet;
+  let report;
+
+  before(async () => {
+    anet = await startAuthorizeNet({
+      getSettledBatchListRequest: () => ({ batchList: { batch: BATCHES } }),
+      getTransactionListRequest: ({ batchId }) => ({ transactions: { transaction: BATCH_TRANSACTIONS[batchId] } }),
+    });
+    authorizeNetService.client.baseUrl = anet.url;
+
+    await orderRepository.create(order('ORD-PAID', 'paid', '60000000001', '30.00', '2026-03-01T10:00:00Z'));
+    await orderRepository.create(order('ORD-SHORT', 'paid', '60000000002', '30.00', '2026-03-01T11:00:00Z'));
+    // Authorized for 50.00, captured for 45.50
+    await orderRepository.create(order('ORD-CAPTURED', 'captured', '60000000003', '50.00', '2026-02-28T09:00:00Z', [
+      { status: 'captured', at: '2026-03-01T12:00:00Z' },
+    ]));
+    // Paid before the last batch, but in none
+    await orderRepository.create(order('ORD-MISSING', 'paid', '60000000004', '15.00', '2026-03-01T15:00:00Z'));
+    // Paid after the last batch
+    await orderRepository.create(order('ORD-LATE', 'paid', '60000000005', '20.00', '2026-03-02T05:00:00Z'));
+    // Authorized only: does not settle
+    await orderRepository.create(order('ORD-AUTHORIZED', 'authorized', '60000000006', '25.00', '2026-03-01T13:00:00Z'));
+
+    await transactionRepository.create({
+      type: 'priorAuthCaptureTransaction',
+      status: 'approved',
+      orderId: 'ORD-CAPTURED',
+      transId: '60000000003',
+      refTransId: '60000000003',
+      amount: '45.50',
+    });
+    await transactionRepository.create({
+      type: 'refundTransaction',
+      status: 'approved',
+      orderId: 'ORD-PAID',
+      transId: '60000000010',
+      refTransId: '60000000001',
+      amount: '10.00',
+    });
+    await subscriptionRepository.create({
+      id: 'SUB-TEST',
+      userId: 'test-user',
+      arbSubscriptionId: '9001',
+      status: 'active',
+      createdAt: '2026-01-15T00:00:00Z',
+    });
+
+    report = await reconciliationService.run({ from: '2026-03-01', to: '2026-03-02' });
+  });
+
+  after(() => anet.close());
+
+  const row = (transId) => report.rows.find((candidate) => candidate.transId === transId);
+  const describeRow = ({ status, source, orderId, subscriptionId, settledAmount, expectedAmount, difference }) => (
+    [status, source, orderId || subscriptionId, settledAmount, expectedAmount, difference]
+  );
+
+  it('requests the batches of the range and the transactions of each batch', () => {
+    const [batchList] = anet.calls('getSettledBatchListRequest');
+    assert.equal(batchList.firstSettlementDate, '2026-03-01T00:00:00Z');
+    assert.equal(batchList.lastSettlementDate, '2026-03-02T23:59:59Z');
+    assert.deepEqual(anet.calls('getTransactionListRequest').map((request) => request.batchId), ['7001', '7002']);
+  });
+
+  it('matches settled transactions to orders, gateway calls and subscriptions', () => {
+    assert.deepEqual(describeRow(row('60000000001')), ['matched', 'order', 'ORD-PAID', '30.00', '30.00', '0.00']);
+    assert.deepEqual(describeRow(row('60000000002')), ['amount_mismatch', 'order', 'ORD-SHORT', '29.99', '30.00', '-0.01']);
+    // Expected amount of a captured order: the captured amount
+    assert.deepEqual(describeRow(row('60000000003')), ['matched', 'order', 'ORD-CAPTURED', '45.50', '45.50', '0.00']);
+    assert.deepEqual(describeRow(row('60000000010')), ['matched', 'transaction', 'ORD-PAID', '10.00', '10.00', '0.00']);
+    assert.deepEqual(describeRow(row('60000000007')), ['matched', 'subscription', 'SUB-TEST', '19.99', null, null]);
+    assert.deepEqual(describeRow(row('60000000008')), ['extra', null, null, '12.34', null, null]);
+  });
+
+  it('reports captured orders without a settlement as missing or unsettled', () => {
+    assert.deepEqual([row('60000000004').status, row('60000000004').expectedAmount], ['missing', '15.00']);
+    assert.deepEqual([row('60000000005').status, row('60000000005').expectedAmount], ['unsettled', '20.00']);
+    // Authorized order and voided transaction
+    assert.equal(row('60000000006'), undefined);
+    assert.equal(row('60000000009'), undefined);
+  });
+
+  it('totals the report', () => {
+    assert.deepEqual(report.summary, {
+      settled: 6,
+      matched: 4,
+      amountMismatches: 1,
+      extra: 1,
+      missing: 1,
+      unsettled: 1,
+      skipped: 1,
+      settledAmount: '137.82',
+      refundedAmount: '10.00',
+    });
+    assert.deepEqual(report.batches.map((batch) => [batch.batchId, batch.transactionCount]), [['7001', 2], ['7002', 5]]);
+  });
+
+  it('exports the rows as CSV', () => {
+    const lines = reconciliationService.toCsv(report).split('\r\n');
+
+    assert.equal(lines[0], 'status,transId,batchId,settlementTimeUTC,transactionStatus,source,orderId,subscriptionId,userId,invoiceNumber,settledAmount,expectedAmount,difference');
+    assert.equal(lines.length, report.rows.length + 2);
+    assert.equal(lines.find((line) => line.includes('60000000008')),
+      'extra,60000000008,7001,2026-03-01T02:00:00Z,settledSuccessfully,,,,,"POS, counter 2",12.34,,');
+  });
+});
+
+describe('ReconciliationService.parseRange', () => {
+  /**
+   * Error matcher for an invalid range
+   * @param {Array<string>} fields - Expected fields of the errors
+   * @returns {Function} Validation function for assert.throws
+   */
+  const invalidRange = (fields) => (error) => {
+    assert.equal(error.type, 'validation');
+    assert.deepEqual(error.fields.map((field) => field.field), fields);
+    return true;
+  };
+
+  it('defaults from to the day before to', () => {
+    assert.deepEqual(reconciliationService.parseRange({ to: '2026-03-02' }), { from: '2026-03-01', to: '2026-03-02' });
+  });
+
+  it('accepts up to 31 days', () => {
+    assert.deepEqual(reconciliationService.parseRange({ from: '2026-03-01', to: '2026-03-31' }), { from: '2026-03-01', to: '2026-03-31' });
+    assert.throws(() => reconciliationService.parseRange({ from: '2026-03-01', to: '2026-04-01' }), invalidRange(['to']));
+  });
+
+  it('rejects reversed ranges and invalid days', () => {
+    assert.throws(() => reconciliationService.parseRange({ from: '2026-03-02', to: '2026-03-01' }), invalidRange(['from']));
+    assert.throws(() => reconciliationService.parseRange({ from: '2026-02-30', to: '03/01/2026' }), invalidRange(['to', 'from']));
+  });
+});
@@ -0,0 +1,133 @@
+import './helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startApp, startAuthorizeNet } from './helpers/http.js';
+import applePayRouter from '../server/routes/applepay.js';
+import authorizeNetService from '../server/services/authorizeNet.js';
+import { orderRepository } from '../server/repositories/index.js';
+
+const ADMIN_HEADERS = { 'X-Admin-Key': 'test-admin-key' };
+
+// Transaction details answered by the stand-in, by transaction ID
+const TRANSACTIONS = {
+  60000000001: { transactionStatus: 'settledSuccessfully', settleAmount: '30.00' },
+  60000000002: { transactionStatus: 'settledSuccessfully', settleAmount: '30.00' },
+  60000000003: { transactionStatus: 'capturedPendingSettlement', settleAmount: '30.00' },
+};
+
+describe('POST /api/applepay/refund', () => {
+  let anet;
+  let app;
+  let refundCount = 0;
+
+  before(async () => {
+    anet = await startAuthorizeNet({
+      getTransactionDetailsRequest: ({ transId }) => ({
+        transaction: {
+          transId,
+          ...TRANSACTIONS[transId],
+          payment: { creditCard: { cardNumber: 'XXXX1111', expirationDate: 'XXXX' } },
+        },
+      }),
+      createTransactionRequest: () => {
+        refundCount++;
+        return {
+          transactionResponse: {
+            responseCode: '1',
+            authCode: '',
+            transId: `6100000000${refundCount}`,
+            messages: { message: { code: '1', description: 'This transaction has been approved.' } },
+          },
+        };
+      },
+    });
+    authorizeNetService.client.baseUrl = anet.url;
+    app = await startApp('/api/applepay', applePayRouter);
+
+    for (const [index, transId] of Object.keys(TRANSACTIONS).entries()) {
+      await orderRepository.create({
+        id: `ORD-REFUND-${index + 1}`,
+        status: 'paid',
+        userId: 'test-user',
+        currencyCode: 'USD',
+        total: { label: 'Total', amount: '30.00' },
+        transactionId: transId,
+        paidAt: '2026-03-01T10:00:00Z',
+        statusHistory: [],
+      });
+    }
+  });
+
+  after(async () => {
+    await app.close();
+    await anet.close();
+  });
+
+  beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+  });
+
+  /**
+   * Send a refund request as the back office
+   * @param {Object} body - Request body (transId, amount)
+   * @returns {Promise<Object>} Response
+   */
+  const refund = (body) => app.request('POST', '/api/applepay/refund', { body, headers: ADMIN_HEADERS });
+
+  it('keeps the order partially refunded until the refunds add up to the captured amount', async () => {
+    const partial = await refund({ transId: '60000000001', amount: 10 });
+
+    assert.equal(partial.status, 200);
+    assert.deepEqual([partial.body.transaction.amount, partial.body.transaction.refundedAmount], [10, 10]);
+    const [request] = anet.calls('createTransactionRequest').slice(-1);
+    assert.equal(request.transactionRequest.transactionType, 'refundTransaction');
+    assert.equal(request.transactionRequest.amount, '10.00');
+    assert.equal(request.transactionRequest.refTransId, '60000000001');
+
+    let order = await orderRepository.findById('ORD-REFUND-1');
+    assert.deepEqual([order.status, order.refundedAmount], ['partially_refunded', '10.00']);
+
+    // Without an amount, the rest is refunded
+    const rest = await refund({ transId: '60000000001' });
+
+    assert.equal(rest.status, 200);
+    assert.deepEqual([rest.body.transaction.amount, rest.body.transaction.refundedAmount], [20, 30]);
+    order = await orderRepository.findById('ORD-REFUND-1');
+    assert.deepEqual([order.status, order.refundedAmount], ['refunded', '30.00']);
+    assert.deepEqual(order.statusHistory.map((change) => [change.status, change.amount]),
+      [['partially_refunded', '10.00'], ['refunded', '20.00']]);
+  });
+
+  it('rejects refunds above the amount not refunded yet', async () => {
+    assert.equal((await refund({ transId: '60000000002', amount: 25 })).status, 200);
+    const sent = anet.calls('createTransactionRequest').length;
+
+    const response = await refund({ transId: '60000000002', amount: 10 });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, 'VALIDATION_ERROR');
+    const [field] = response.body.error.details.fields;
+    assert.deepEqual([field.field, field.constraint], ['amount', 'max']);
+    assert.match(field.message, /must not exceed 5\.00 \(captured 30\.00, already refunded 25\.00\)/);
+    assert.equal(anet.calls('createTransactionRequest').length, sent);
+
+    const order = await orderRepository.findById('ORD-REFUND-2');
+    assert.deepEqual([order.status, order.refundedAmount], ['partially_refunded', '25.00']);
+  });
+
+  it('rejects a refund of a fully refunded transaction', async () => {
+    const response = await refund({ transId: '60000000001' });
+
+    assert.equal(response.status, 400);
+    assert.match(response.body.error.details.fields[0].message, /has already been fully refunded/);
+  });
+
+  it('rejects transactions that have not settled', async () => {
+    const response = await refund({ transId: '60000000003', amount: 5 });
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error.code, 'TRANSACTION_NOT_SETTLED');
+    assert.equal((await orderRepository.findById('ORD-REFUND-3')).status, 'paid');
+  });
+});
@@ -0,0 +1,125 @@
+import './helpers/env.js';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startApp } from './helpers/http.js';
+import { setConfig } from './helpers/config.js';
+import config from '../server/config/applepay.js';
+import applePayRouter from '../server/routes/applepay.js';
+import { webhookEventRepository } from '../server/repositories/index.js';
+
+const PREVIOUS_KEY = 'B2'.repeat(64);
+
+let eventCount = 0;
+
+/**
+ * Raw body of an Authorize.Net event
+ * @returns {string} JSON, as sent by Authorize.Net
+ */
+function eventBody() {
+  eventCount++;
+  return JSON.stringify({
+    notificationId: `signature-event-${eventCount}`,
+    eventType: 'net.authorize.payment.refund.created',
+    eventDate: new Date().toISOString(),
+    webhookId: 'test-webhook',
+    payload: { entityName: 'transaction', id: '60000000099', responseCode: 1, authAmount: 30 },
+  });
+}
+
+/**
+ * X-ANET-Signature header of a body
+ * @param {string} body - Raw body
+ * @param {string} key - Signature Key
+ * @returns {string} "sha512=<HEX>"
+ */
+const signature = (body, key) => `sha512=${crypto.createHmac('sha512', key).update(body).digest('hex').toUpperCase()}`;
+
+describe('POST /api/applepay/webhook signature verification', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/applepay', applePayRouter);
+  });
+
+  after(() => app.close());
+
+  beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+  });
+
+  /**
+   * Post a raw event body
+   * @param {string} body - Raw body
+   * @param {string} [header] - X-ANET-Signature header
+   * @returns {Promise<Object>} Response
+   */
+  const postWebhook = (body, header) => app.request('POST', '/api/applepay/webhook', {
+    body,
+    headers: header === undefined ? {} : { 'X-ANET-Signature': header },
+  });
+
+  const storedEvent = (body) => webhookEventRepository.findById(JSON.parse(body).notificationId);
+
+  it('accepts an HMAC-SHA512 signature of the raw body with the signature key', async () => {
+    const body = eventBody();
+
+    const response = await postWebhook(body, signature(body, config.authorizeNetSignatureKey));
+
+    assert.equal(response.status, 200);
+    assert.equal((await storedEvent(body)).rawPayload, body);
+  });
+
+  it('rejects unsigned requests and invalid signatures with 401', async () => {
+    const body = eventBody();
+    const signed = signature(body, config.authorizeNetSignatureKey);
+    // Same JSON, other bytes: the signature covers the raw body
+    const reformatted = JSON.stringify(JSON.parse(body), null, 2);
+
+    for (const [header, reason] of [
+      [undefined, 'missing'],
+      ['sha256=abc', 'malformed'],
+      [signature(body, 'C3'.repeat(64)), 'mismatch'],
+    ]) {
+      const response = await postWebhook(body, header);
+      assert.equal(response.status, 401);
+      assert.equal(response.body.error.code, 'INVALID_WEBHOOK_SIGNATURE');
+      assert.equal(response.body.error.details.reason, reason);
+    }
+    assert.equal((await postWebhook(reformatted, signed)).status, 401);
+    assert.equal(await storedEvent(body), null);
+  });
+
+  it('accepts the previous signature key during a rotation', async (t) => {
+    const body = eventBody();
+
+    assert.equal((await postWebhook(body, signature(body, PREVIOUS_KEY))).status, 401);
+
+    setConfig(t, 'authorizeNetPreviousSignatureKey', PREVIOUS_KEY);
+    assert.equal((await postWebhook(body, signature(body, PREVIOUS_KEY))).status, 200);
+    assert.match(console.warn.mock.calls.at(-1).arguments[0], /previous signature key/);
+  });
+
+  it('lets invalid signatures through in log-only mode', async (t) => {
+    setConfig(t, 'webhookSignatureMode', 'log-only');
+    const body = eventBody();
+
+    const response = await postWebhook(body);
+
+    assert.equal(response.status, 200);
+    assert.match(console.warn.mock.calls.at(-1).arguments[0], /signature missing, accepting because WEBHOOK_SIGNATURE_MODE=log-only/);
+    assert.notEqual(await storedEvent(body), null);
+  });
+
+  it('answers 503 without a signature key, so Authorize.Net retries', async (t) => {
+    setConfig(t, 'authorizeNetSignatureKey', '');
+    const body = eventBody();
+
+    const response = await postWebhook(body, signature(body, 'A1'.repeat(64)));
+
+    assert.equal(response.status, 503);
+    assert.equal(response.body.error.code, 'WEBHOOK_SIGNATURE_KEY_MISSING');
+  });
+});
@@ -0,0 +1,113 @@
+import './helpers/env.js';
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import webhookService from '../server/services/webhooks.js';
+import { orderRepository, transactionRepository } from '../server/repositories/index.js';
+
+let eventCount = 0;
+
+/**
+ * Deliver an Authorize.Net payment event
+ * @param {string} eventType - Event type (e.g. 'net.authorize.payment.capture.created')
+ * @param {string} transId - Transaction ID in payload.id
+ * @returns {Promise<Object>} Processed event
+ */
+async function deliverPaymentEvent(eventType, transId) {
+  eventCount++;
+  const { event } = await webhookService.deliver({
+    payload: {
+      notificationId: `test-event-${eventCount}`,
+      eventType,
+      eventDate: new Date().toISOString(),
+      webhookId: 'test-webhook',
+      payload: { entityName: 'transaction', id: transId, responseCode: 1, authAmount: 30 },
+    },
+  });
+  return event;
+}
+
+/**
+ * Store an order paid with a transaction
+ * @param {string} id - Order ID
+ * @param {string} status - Order status
+ * @param {string} transactionId - Payment transaction ID
+ * @returns {Promise<Object>} Order
+ */
+function createOrder(id, status, transactionId) {
+  return orderRepository.create({
+    id,
+    status,
+    userId: 'test-user',
+    currencyCode: 'USD',
+    total: { label: 'Total', amount: '30.00' },
+    transactionId,
+    paidAt: '2026-03-01T10:00:00Z',
+    statusHistory: [],
+  });
+}
+
+const statuses = async (orderId) => (await orderRepository.findById(orderId)).statusHistory.map((change) => change.status);
+
+describe('Order status webhook events', () => {
+  beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+  });
+
+  it('moves an authorized order to captured and voided', async () => {
+    await createOrder('ORD-WEBHOOK-1', 'authorized', '60000000001');
+
+    await deliverPaymentEvent('net.authorize.payment.capture.created', '60000000001');
+    assert.equal((await orderRepository.findById('ORD-WEBHOOK-1')).status, 'captured');
+
+    await deliverPaymentEvent('net.authorize.payment.void.created', '60000000001');
+    assert.equal((await orderRepository.findById('ORD-WEBHOOK-1')).status, 'voided');
+  });
+
+  it('does not reopen a voided order on a late or replayed capture', async () => {
+    await createOrder('ORD-WEBHOOK-2', 'authorized', '60000000002');
+    const capture = await deliverPaymentEvent('net.authorize.payment.capture.created', '60000000002');
+    await deliverPaymentEvent('net.authorize.payment.void.created', '60000000002');
+
+    const replayed = await webhookService.process(capture.id, { trigger: 'replay' });
+    await deliverPaymentEvent('net.authorize.payment.capture.created', '60000000002');
+
+    assert.equal(replayed.status, 'processed');
+    assert.equal((await orderRepository.findById('ORD-WEBHOOK-2')).status, 'voided');
+    assert.deepEqual(await statuses('ORD-WEBHOOK-2'), ['captured', 'voided']);
+  });
+
+  it('does not reopen a refunded order on a late capture or void', async () => {
+    await createOrder('ORD-WEBHOOK-3', 'refunded', '60000000003');
+
+    await deliverPaymentEvent('net.authorize.payment.capture.created', '60000000003');
+    await deliverPaymentEvent('net.authorize.payment.void.created', '60000000003');
+
+    assert.equal((await orderRepository.findById('ORD-WEBHOOK-3')).status, 'refunded');
+    assert.deepEqual(await statuses('ORD-WEBHOOK-3'), []);
+  });
+
+  it('keeps a partially refunded order on the event of its refund', async () => {
+    await createOrder('ORD-WEBHOOK-4', 'partially_refunded', '60000000004');
+    await transactionRepository.create({
+      type: 'refundTransaction',
+      status: 'approved',
+      orderId: 'ORD-WEBHOOK-4',
+      transId: '60000000014',
+      refTransId: '60000000004',
+      amount: 10,
+    });
+
+    await deliverPaymentEvent('net.authorize.payment.refund.created', '60000000014');
+
+    assert.equal((await orderRepository.findById('ORD-WEBHOOK-4')).status, 'partially_refunded');
+  });
+
+  it('declines a paid order on a fraud decision', async () => {
+    await createOrder('ORD-WEBHOOK-5', 'paid', '60000000005');
+
+    await deliverPaymentEvent('net.authorize.payment.fraud.declined', '60000000005');
+    await deliverPaymentEvent('net.authorize.payment.capture.created', '60000000005');
+
+    assert.deepEqual(await statuses('ORD-WEBHOOK-5'), ['declined']);
+  });
+});
@@ -0,0 +1,169 @@
+// Manage Authorize.Net webhook subscriptions from the command line
+// Usage: npm run webhooks -- <command> [options]
+//
+// Commands:
+//   list                                  List webhook subscriptions
+//   event-types                           List event types that can be subscribed to
+//   get <webhookId>                       Show a webhook subscription
+//   create [--url URL] [--events a,b] [--name NAME] [--inactive]
+//                                         Subscribe a URL (default: BACKEND_URL/api/applepay/webhook)
+//   update <webhookId> [--url URL] [--events a,b] [--status active|inactive]
+//   delete <webhookId>                    Delete a webhook subscription
+//   ping <webhookId>                      Send a test notification
+//   notifications [--offset N] [--limit N] [--status Failed|Delivered|RetryPending]
+//                                         Show notification history
+//   notification <notificationId>         Show one notification with its payload
+//
+// The API follows AUTHORIZE_NET_MODE (sandbox/production); set AUTHORIZE_NET_WEBHOOKS_URL
+// to run against a local stand-in instead.
+
+import config from './server/config/applepay.js';
+import AnetWebhooksClient from './server/services/anetWebhooksClient.js';
+
+// Events handled by /api/applepay/webhook (see server/services/webhooks.js)
+const DEFAULT_EVENT_TYPES = [
+  'net.authorize.payment.authorization.created',
+  'net.authorize.payment.capture.created',
+  'net.authorize.payment.refund.created',
+  'net.authorize.payment.void.created',
+  'net.authorize.payment.fraud.approved',
+  'net.authorize.payment.fraud.declined',
+  'net.authorize.customer.subscription.suspended',
+  'net.authorize.customer.subscription.terminated',
+  'net.authorize.customer.subscription.cancelled',
+  'net.authorize.customer.subscription.expired',
+  'net.authorize.customer.subscription.expiring',
+  'net.authorize.customer.subscription.updated',
+];
+
+const USAGE = 'Usage: npm run webhooks -- <list|event-types|get|create|update|delete|ping|notifications|notification> [options]';
+
+/**
+ * Split command line arguments into positional arguments and --options
+ * @param {Array<string>} args - Arguments after the command
+ * @returns {{ positional: Array<string>, options: Object }}
+ */
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const name = args[i].slice(2);
+      const next = args[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        options[name] = true;
+      } else {
+        options[name] = next;
+        i++;
+      }
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Get a required positional argument
+ * @param {Array<string>} positional - Positional arguments
+ * @param {string} name - Argument name, for the error message
+ * @returns {string} Argument value
+ */
+function requireArg(positional, name) {
+  if (!positional[0]) {
+    throw new Error(`Missing <${name}>\n${USAGE}`);
+  }
+  return positional[0];
+}
+
+/**
+ * Parse a comma-separated --events option
+ * @param {string|undefined} value - Option value
+ * @returns {Array<string>|undefined} Event types
+ */
+function parseEvents(value) {
+  if (value === undefined) return undefined;
+  return String(value).split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, options } = parseArgs(rest);
+
+  const client = new AnetWebhooksClient({
+    apiLoginId: config.authorizeNetApiLoginId,
+    transactionKey: config.authorizeNetTransactionKey,
+    baseUrl: config.authorizeNetWebhooksBaseUrl,
+  });
+
+  console.error(`Webhooks API: ${client.baseUrl} (${config.authorizeNetMode})`);
+
+  switch (command) {
+    case 'list':
+      return client.listWebhooks();
+
+    case 'event-types':
+      return client.listEventTypes();
+
+    case 'get':
+      return client.getWebhook(requireArg(positional, 'webhookId'));
+
+    case 'create': {
+      const backendUrl = (process.env.BACKEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+      return client.createWebhook({
+        url: options.url || `${backendUrl}/api/applepay/webhook`,
+        eventTypes: parseEvents(options.events) || DEFAULT_EVENT_TYPES,
+        name: options.name || 'Apple Pay POC',
+        status: options.inactive ? 'inactive' : 'active',
+      });
+    }
+
+    case 'update': {
+      const webhookId = requireArg(positional, 'webhookId');
+      const changes = {
+        url: options.url,
+        eventTypes: parseEvents(options.events),
+        status: options.status,
+      };
+      if (Object.values(changes).every((value) => value === undefined)) {
+        throw new Error('Nothing to update: pass --url, --events or --status');
+      }
+      return client.updateWebhook(webhookId, changes);
+    }
+
+    case 'delete':
+      await client.deleteWebhook(requireArg(positional, 'webhookId'));
+      return { deleted: positional[0] };
+
+    case 'ping':
+      await client.pingWebhook(requireArg(positional, 'webhookId'));
+      return { pinged: positional[0] };
+
+    case 'notifications':
+      return client.listNotifications({
+        offset: options.offset !== undefined ? parseInt(options.offset, 10) : undefined,
+        limit: options.limit !== undefined ? parseInt(options.limit, 10) : undefined,
+        deliveryStatus: options.status,
+      });
+
+    case 'notification':
+      return client.getNotification(requireArg(positional, 'notificationId'));
+
+    default:
+      throw new Error(command ? `Unknown command: ${command}\n${USAGE}` : USAGE);
+  }
+}
+
+main()
+  .then((result) => {
+    console.log(JSON.stringify(result, null, 2));
+  })
+  .catch((error) => {
+    console.error(`Error: ${error.message}`);
+    if (error.authorizeNetError) {
+      console.error(JSON.stringify(error.authorizeNetError, null, 2));
+    }
+    process.exit(1);
+  });